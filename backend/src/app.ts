@@ -15,6 +15,12 @@ import { postsRouter } from './routes/posts';
 import { commentsRouter } from './routes/comments';
 import { categoriesRouter } from './routes/categories';
 import { adminRouter } from './routes/admin';
+import { feedsRouter } from './routes/feeds';
+import { sitemapRouter } from './routes/sitemap';
+import { renderRouter } from './routes/render';
+import { previewsRouter } from './routes/previews';
+import { seriesRouter } from './routes/series';
+import { uploadDir } from './services/images';
 
 // Create the Express application
 const app = express();
@@ -74,14 +80,48 @@ const likeLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Page view beacons: max 60 per 15 minutes per IP
+// (views are deduped per visitor and day anyway, see services/views.ts)
+const viewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: { error: 'Too many requests. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // --- Routes ---
 
 // Health check - used by Kubernetes to verify the server is alive
 app.use('/health', healthRouter);
 
+// Search engines: /robots.txt and /sitemap.xml (proxied from the site root by nginx)
+app.use('/', sitemapRouter);
+
+// Uploaded images without S3 (local stand-in for CloudFront's /images/*,
+// see services/images.ts). File names contain a hash, so they never change.
+// Created on the first request: .env is loaded after this module.
+let serveImages: express.RequestHandler | null = null;
+app.use('/images', (req, res, next) => {
+  serveImages ??= express.static(`${uploadDir()}/images`, { immutable: true, maxAge: '365d' });
+  serveImages(req, res, next);
+});
+
 // Blog API routes
+// (the view limiter must run before the posts router, which answers the beacon)
+app.use('/api/posts/:id/view', viewLimiter);
 app.use('/api/posts', postsRouter);
 app.use('/api/categories', categoriesRouter);
+app.use('/api/series', seriesRouter);
+
+// RSS, Atom and JSON feeds (/api/feed.xml, /api/atom.xml, /api/feed.json)
+app.use('/api', feedsRouter);
+
+// Server-rendered post page fragments, included into post.html by nginx SSI
+app.use('/api/render', renderRouter);
+
+// Preview links for unpublished posts (created in the editor)
+app.use('/api/previews', previewsRouter);
 
 // Comment routes are mounted at /api (because they use /posts/:postId/comments)
 // Rate limit comment POST submissions to prevent spam and Comprehend cost inflation
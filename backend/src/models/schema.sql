@@ -37,7 +37,7 @@ CREATE TABLE IF NOT EXISTS posts (
   content               TEXT NOT NULL,                   -- Markdown content
   excerpt               TEXT,                            -- Short summary for post list
   cover_image_url       VARCHAR(500),                    -- S3 URL for cover image
-  status                VARCHAR(20) DEFAULT 'draft',     -- 'draft', 'published', 'archived'
+  status                VARCHAR(20) DEFAULT 'draft',     -- 'draft', 'scheduled', 'published', 'archived'
   featured              BOOLEAN DEFAULT FALSE,           -- Show on homepage highlight
   reading_time_minutes  INTEGER DEFAULT 0,               -- Estimated read time
   view_count            INTEGER DEFAULT 0,
@@ -118,3 +118,424 @@ CREATE TABLE IF NOT EXISTS post_translations (
   created_at    TIMESTAMP DEFAULT NOW(),
   PRIMARY KEY (post_id, language)                -- One translation per post per language
 );
+
+-- ----- FULL-TEXT SEARCH -----
+-- Weighted search document per post: title (A), tag names + excerpt (B),
+-- content (C). German posts use the 'german' config (stemming, stop words),
+-- cached English translations use 'english'. Triggers keep the vectors up
+-- to date, so seed data, API writes and manual psql edits are all indexed.
+-- Note: 'german' does not split closed compounds ("Netzwerksicherheit");
+-- hyphenated parts are indexed and prefix queries ("netzwerk*") cover the rest.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS search_vector tsvector;
+ALTER TABLE post_translations ADD COLUMN IF NOT EXISTS search_vector tsvector;
+
+CREATE INDEX IF NOT EXISTS idx_posts_search ON posts USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_post_translations_search ON post_translations USING GIN (search_vector);
+
+-- Space-separated tag names of a post (tags are weighted like the excerpt)
+CREATE OR REPLACE FUNCTION post_tag_names(p_post_id INTEGER) RETURNS TEXT
+LANGUAGE sql STABLE AS $$
+  SELECT COALESCE(string_agg(t.name, ' '), '')
+  FROM post_tags pt JOIN tags t ON t.id = pt.tag_id
+  WHERE pt.post_id = p_post_id
+$$;
+
+-- Build the weighted search document for one language config
+CREATE OR REPLACE FUNCTION post_search_document(
+  cfg regconfig, p_title TEXT, p_excerpt TEXT, p_content TEXT, p_tags TEXT
+) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT setweight(to_tsvector(cfg, COALESCE(p_title, '')), 'A') ||
+         setweight(to_tsvector(cfg, COALESCE(p_tags, '')), 'B') ||
+         setweight(to_tsvector(cfg, COALESCE(p_excerpt, '')), 'B') ||
+         setweight(to_tsvector(cfg, COALESCE(p_content, '')), 'C')
+$$;
+
+-- Posts: recompute the German vector when text changes
+CREATE OR REPLACE FUNCTION posts_search_vector_trigger() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.search_vector := post_search_document(
+    'german', NEW.title, NEW.excerpt, NEW.content, post_tag_names(NEW.id));
+  RETURN NEW;
+END
+$$;
+
+CREATE OR REPLACE TRIGGER posts_search_vector_update
+  BEFORE INSERT OR UPDATE OF title, excerpt, content ON posts
+  FOR EACH ROW EXECUTE FUNCTION posts_search_vector_trigger();
+
+-- Translations: recompute the English vector when a translation is cached
+CREATE OR REPLACE FUNCTION post_translations_search_vector_trigger() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.search_vector := post_search_document(
+    'english', NEW.title, NEW.excerpt, NEW.content, post_tag_names(NEW.post_id));
+  RETURN NEW;
+END
+$$;
+
+CREATE OR REPLACE TRIGGER post_translations_search_vector_update
+  BEFORE INSERT OR UPDATE OF title, excerpt, content ON post_translations
+  FOR EACH ROW EXECUTE FUNCTION post_translations_search_vector_trigger();
+
+-- Refresh both vectors of a post (used when its tags change)
+CREATE OR REPLACE FUNCTION refresh_post_search_vectors(p_post_id INTEGER) RETURNS void
+LANGUAGE sql AS $$
+  UPDATE posts SET search_vector = post_search_document(
+    'german', title, excerpt, content, post_tag_names(id))
+  WHERE id = p_post_id;
+  UPDATE post_translations SET search_vector = post_search_document(
+    'english', title, excerpt, content, post_tag_names(post_id))
+  WHERE post_id = p_post_id;
+$$;
+
+-- Tag added to / removed from a post
+CREATE OR REPLACE FUNCTION post_tags_search_vector_trigger() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    PERFORM refresh_post_search_vectors(OLD.post_id);
+  ELSE
+    PERFORM refresh_post_search_vectors(NEW.post_id);
+  END IF;
+  RETURN NULL;
+END
+$$;
+
+CREATE OR REPLACE TRIGGER post_tags_search_vector_update
+  AFTER INSERT OR DELETE ON post_tags
+  FOR EACH ROW EXECUTE FUNCTION post_tags_search_vector_trigger();
+
+-- Tag renamed: refresh every post carrying it
+CREATE OR REPLACE FUNCTION tags_search_vector_trigger() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM refresh_post_search_vectors(pt.post_id) FROM post_tags pt WHERE pt.tag_id = NEW.id;
+  RETURN NULL;
+END
+$$;
+
+CREATE OR REPLACE TRIGGER tags_search_vector_update
+  AFTER UPDATE OF name ON tags
+  FOR EACH ROW EXECUTE FUNCTION tags_search_vector_trigger();
+
+-- Backfill rows created before the search columns existed
+UPDATE posts SET search_vector = post_search_document(
+  'german', title, excerpt, content, post_tag_names(id))
+WHERE search_vector IS NULL;
+UPDATE post_translations SET search_vector = post_search_document(
+  'english', title, excerpt, content, post_tag_names(post_id))
+WHERE search_vector IS NULL;
+
+-- ----- POST REVISIONS -----
+-- Snapshot of title/excerpt/content after every edit, so an accidental
+-- save can be undone. The newest revision always matches the post itself.
+-- Revision 1 of posts edited before this table existed is the text as it
+-- was before that first edit (author_sub NULL = unknown).
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id               SERIAL PRIMARY KEY,
+  post_id          INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  revision_number  INTEGER NOT NULL,                 -- 1, 2, 3, ... per post
+  title            VARCHAR(255) NOT NULL,
+  excerpt          TEXT,
+  content          TEXT NOT NULL,
+  author_sub       VARCHAR(255),                     -- Cognito "sub" of the editor
+  restored_from    INTEGER,                          -- revision_number this one restored
+  created_at       TIMESTAMP DEFAULT NOW(),
+  UNIQUE (post_id, revision_number)
+);
+
+-- ----- SCHEDULED PUBLISHING -----
+-- Posts with status 'scheduled' go live at publish_at. The backend's
+-- scheduler (services/publish.ts) promotes them to 'published'.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP;
+
+-- The scheduler only ever looks at scheduled posts
+CREATE INDEX IF NOT EXISTS idx_posts_scheduled ON posts(publish_at) WHERE status = 'scheduled';
+
+-- ----- TAG SUGGESTIONS -----
+-- Key phrases Amazon Comprehend detected in a post. They only become public
+-- tags (post_tags, with their confidence) once accepted in the editor.
+-- Rejected suggestions are kept so the same phrase is not suggested again.
+CREATE TABLE IF NOT EXISTS post_tag_suggestions (
+  post_id       INTEGER REFERENCES posts(id) ON DELETE CASCADE,
+  tag_id        INTEGER REFERENCES tags(id) ON DELETE CASCADE,
+  confidence    REAL NOT NULL,                      -- Comprehend score (0.0 - 1.0)
+  status        VARCHAR(20) DEFAULT 'pending',      -- 'pending', 'accepted', 'rejected'
+  created_at    TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (post_id, tag_id)
+);
+
+-- ----- CACHE SOURCE HASHES -----
+-- Translations and audio files are generated from a post's text. Each cache
+-- row stores a hash of the source it was generated from, so an edited post
+-- is detected (hash mismatch) and regenerated instead of serving the old
+-- text forever. NULL = cached before hashes existed, treated as stale.
+
+-- SHA-256 (hex) of the parts joined with a unit separator, NULL counts as ''.
+-- Must match contentHash() in services/hash.ts.
+CREATE OR REPLACE FUNCTION content_hash(VARIADIC parts TEXT[]) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT encode(sha256(convert_to(array_to_string(parts, chr(31), ''), 'UTF8')), 'hex')
+$$;
+
+-- Translation: hash of the German title, content and excerpt
+ALTER TABLE post_translations ADD COLUMN IF NOT EXISTS source_hash VARCHAR(64);
+-- Audio: hash of the title and content that were read out
+ALTER TABLE post_audio ADD COLUMN IF NOT EXISTS source_hash VARCHAR(64);
+
+-- ----- POST SLUG HISTORY -----
+-- Old slugs of renamed posts. GET /api/posts/:slug answers them with a
+-- 301 to the current slug, so links shared before a rename keep working.
+CREATE TABLE IF NOT EXISTS post_slug_history (
+  slug          VARCHAR(255) PRIMARY KEY,           -- Former slug (unique across all posts)
+  post_id       INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  created_at    TIMESTAMP DEFAULT NOW()             -- When the post moved away from it
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_slug_history_post ON post_slug_history(post_id);
+
+-- ----- POST PREVIEWS -----
+-- Shareable preview links for drafts and scheduled posts. The link carries a
+-- signed token (services/preview.ts) naming the row; revoking the row or
+-- reaching expires_at ends the link. Previews never count as page views.
+CREATE TABLE IF NOT EXISTS post_previews (
+  id            SERIAL PRIMARY KEY,
+  post_id       INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  expires_at    TIMESTAMP NOT NULL,
+  created_by    VARCHAR(255),                       -- Cognito "sub" of the editor
+  created_at    TIMESTAMP DEFAULT NOW(),
+  revoked_at    TIMESTAMP                           -- Set when revoked in the editor
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_previews_post ON post_previews(post_id);
+
+-- ----- MEDIA -----
+-- Media library: one row per stored file, uploaded images (with their WebP
+-- variants) and Polly MP3s. Which posts use a file is looked up from the
+-- posts themselves (services/media.ts), so it is never out of date.
+CREATE TABLE IF NOT EXISTS media (
+  id            SERIAL PRIMARY KEY,
+  s3_key        VARCHAR(500) NOT NULL UNIQUE,       -- 'images/photo-3f2a9c0d1b7e.jpg'
+  kind          VARCHAR(10) NOT NULL,               -- 'image' or 'audio'
+  content_type  VARCHAR(100) NOT NULL,
+  original_name VARCHAR(255),                       -- File name of the upload
+  width         INTEGER,
+  height        INTEGER,
+  size_bytes    INTEGER,                            -- Together with the variants
+  variants      JSONB NOT NULL DEFAULT '[]',        -- [{ width, url }] of the WebP variants
+  created_by    VARCHAR(255),                       -- Cognito "sub" of the uploader
+  created_at    TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_created ON media(created_at DESC);
+
+-- Audio generated before the media library existed
+INSERT INTO media (s3_key, kind, content_type, created_at)
+SELECT s3_key, 'audio', 'audio/mpeg', created_at FROM post_audio
+ON CONFLICT (s3_key) DO NOTHING;
+
+-- ----- SERIES -----
+-- Multi-part posts ("EKS to Lightsail, part 2"). A post belongs to at most
+-- one series; series_position orders the parts (gaps are fine, the public
+-- part numbers count the published parts in this order).
+CREATE TABLE IF NOT EXISTS series (
+  id            SERIAL PRIMARY KEY,
+  title         VARCHAR(255) NOT NULL,
+  slug          VARCHAR(255) UNIQUE NOT NULL,     -- URL-friendly: 'eks-to-lightsail'
+  description   TEXT,
+  created_at    TIMESTAMP DEFAULT NOW(),
+  updated_at    TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES series(id) ON DELETE SET NULL;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS series_position INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_posts_series ON posts(series_id, series_position) WHERE series_id IS NOT NULL;
+
+-- ----- RELATED POSTS -----
+-- Cached ranking of GET /api/posts/:slug/related (ids, best first). The
+-- ranking of one post depends on all published posts, so the triggers
+-- empty the whole cache whenever a published post, its text, category or
+-- tags change; each post is ranked again on its next request.
+CREATE TABLE IF NOT EXISTS related_posts_cache (
+  post_id       INTEGER PRIMARY KEY REFERENCES posts(id) ON DELETE CASCADE,
+  related_ids   INTEGER[] NOT NULL,
+  created_at    TIMESTAMP DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION clear_related_posts_cache() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  DELETE FROM related_posts_cache;
+  RETURN NULL;
+END
+$$;
+
+CREATE OR REPLACE TRIGGER posts_related_cache_insert
+  AFTER INSERT ON posts
+  FOR EACH ROW WHEN (NEW.status = 'published')
+  EXECUTE FUNCTION clear_related_posts_cache();
+
+-- search_vector covers title, excerpt, content and tag names
+-- (views and likes do not clear the cache)
+CREATE OR REPLACE TRIGGER posts_related_cache_update
+  AFTER UPDATE ON posts
+  FOR EACH ROW WHEN (
+    OLD.status IS DISTINCT FROM NEW.status
+    OR OLD.category_id IS DISTINCT FROM NEW.category_id
+    OR OLD.published_at IS DISTINCT FROM NEW.published_at
+    OR OLD.search_vector IS DISTINCT FROM NEW.search_vector)
+  EXECUTE FUNCTION clear_related_posts_cache();
+
+CREATE OR REPLACE TRIGGER posts_related_cache_delete
+  AFTER DELETE ON posts
+  FOR EACH ROW WHEN (OLD.status = 'published')
+  EXECUTE FUNCTION clear_related_posts_cache();
+
+-- Shared tags are weighted by their confidence
+CREATE OR REPLACE TRIGGER post_tags_related_cache_clear
+  AFTER INSERT OR UPDATE OR DELETE ON post_tags
+  FOR EACH STATEMENT EXECUTE FUNCTION clear_related_posts_cache();
+
+-- ----- RENDERED CONTENT -----
+-- Sanitized HTML of the Markdown content, rendered by the backend when a
+-- post or translation is saved (services/markdown.ts). NULL = not rendered
+-- yet (rows from before this column, seed data, psql edits); the API
+-- renders and stores it on the next read.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS content_html TEXT;
+ALTER TABLE post_translations ADD COLUMN IF NOT EXISTS content_html TEXT;
+
+-- Content changed without new HTML (e.g. a manual UPDATE): drop the old HTML
+CREATE OR REPLACE FUNCTION reset_content_html_trigger() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF NEW.content IS DISTINCT FROM OLD.content
+    AND NEW.content_html IS NOT DISTINCT FROM OLD.content_html THEN
+    NEW.content_html := NULL;
+  END IF;
+  RETURN NEW;
+END
+$$;
+
+CREATE OR REPLACE TRIGGER posts_content_html_reset
+  BEFORE UPDATE OF content ON posts
+  FOR EACH ROW EXECUTE FUNCTION reset_content_html_trigger();
+
+CREATE OR REPLACE TRIGGER post_translations_content_html_reset
+  BEFORE UPDATE OF content ON post_translations
+  FOR EACH ROW EXECUTE FUNCTION reset_content_html_trigger();
+
+-- ----- VIEW COUNTING -----
+-- Unique views per post and day, counted by POST /api/posts/:id/view
+-- (services/views.ts). posts.view_count stays the all-time total.
+CREATE TABLE IF NOT EXISTS post_views_daily (
+  post_id       INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  day           DATE NOT NULL,
+  views         INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (post_id, day)
+);
+
+-- Visitors already counted today: a hash of IP and user agent with the
+-- salt of the day. Salts and visitors of past days are deleted, so a hash
+-- cannot be recomputed or linked across days.
+CREATE TABLE IF NOT EXISTS view_salts (
+  day           DATE PRIMARY KEY,
+  salt          VARCHAR(64) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS post_view_visitors (
+  post_id       INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  day           DATE NOT NULL,
+  visitor_hash  CHAR(64) NOT NULL,
+  PRIMARY KEY (post_id, day, visitor_hash)
+);
+
+-- ----- COMMENT THREADS -----
+-- Replies to comments (services/comments.ts). depth is 0 for comments on
+-- the post, 1 for replies to them and so on, up to MAX_COMMENT_DEPTH.
+-- is_author marks replies the blog author wrote from the admin dashboard
+-- (author_sub: the Cognito user); readers cannot set it.
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS depth SMALLINT NOT NULL DEFAULT 0;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS is_author BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS author_sub VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id);
+
+-- ----- COMMENT NOTIFICATIONS -----
+-- Email notifications for commenters (services/notifications.ts).
+-- One row per address (lower case). confirmed_at is set by the first
+-- double opt-in link; unsubscribing clears it. Each comment needs its own
+-- confirmation (comments.subscription_confirmed_at).
+CREATE TABLE IF NOT EXISTS comment_subscribers (
+  id                    SERIAL PRIMARY KEY,
+  email                 VARCHAR(255) NOT NULL UNIQUE,
+  language              VARCHAR(2) NOT NULL DEFAULT 'de',  -- Language of the emails
+  confirmation_sent_at  TIMESTAMP,                          -- Last confirmation email
+  confirmed_at          TIMESTAMP,
+  unsubscribed_at       TIMESTAMP,
+  created_at            TIMESTAMP DEFAULT NOW()
+);
+
+-- subscriber_id: the commenter asked to be notified about this comment.
+-- notified_at: the approval (and reply) emails for it went out.
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS subscriber_id INTEGER REFERENCES comment_subscribers(id) ON DELETE SET NULL;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS notified_at TIMESTAMP;
+
+-- notify_after: approved by a moderator; the emails wait until then, so an
+-- undo in the admin comments page can still take the approval back.
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS notify_after TIMESTAMP;
+
+-- subscription_confirmed_at: the link of the confirmation email for this
+-- comment was opened; only then are emails sent about it.
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS subscription_confirmed_at TIMESTAMP;
+
+-- ----- SPAM FILTER -----
+-- Spam score of new comments (services/spam.ts). Comments at the threshold
+-- get status 'spam'. spam_reasons lists the signals behind spam_score,
+-- content_fingerprint finds the same text on other posts. trained_as is
+-- what the comment taught the classifier ('spam', 'ham' or nothing yet).
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS spam_score REAL;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS spam_reasons TEXT[];
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS content_fingerprint CHAR(64);
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS trained_as VARCHAR(4);
+
+CREATE INDEX IF NOT EXISTS idx_comments_fingerprint ON comments(content_fingerprint);
+
+-- Word counts of the classifier: in how many spam / ham comments a token
+-- appeared. The '#messages' row counts the comments themselves.
+CREATE TABLE IF NOT EXISTS spam_tokens (
+  token       VARCHAR(64) PRIMARY KEY,
+  spam_count  INTEGER NOT NULL DEFAULT 0,
+  ham_count   INTEGER NOT NULL DEFAULT 0
+);
+
+-- ----- COMMENTER RULES -----
+-- Block and allow rules of the admin dashboard (services/rules.ts).
+-- value is an HMAC hash for kind 'email' and 'ip' (IP range), the lower
+-- case name, keyword or pattern otherwise. Rules end at expires_at.
+CREATE TABLE IF NOT EXISTS comment_rules (
+  id           SERIAL PRIMARY KEY,
+  action       VARCHAR(5) NOT NULL,          -- 'block' or 'allow'
+  kind         VARCHAR(10) NOT NULL,         -- 'email', 'ip', 'name', 'keyword', 'regex'
+  value        VARCHAR(200) NOT NULL,
+  note         VARCHAR(200),                 -- Why the rule exists (admin only)
+  expires_at   TIMESTAMP NOT NULL,
+  hit_count    INTEGER NOT NULL DEFAULT 0,
+  last_hit_at  TIMESTAMP,
+  created_by   VARCHAR(255),                 -- Cognito sub of the admin
+  created_at   TIMESTAMP DEFAULT NOW()
+);
+
+-- email_hash / ip_hash: hashes of the commenter's email and IP range, for
+-- rules and the trust of returning commenters. rule_id: the rule that
+-- blocked or approved the comment, trusted: approved as a returning
+-- commenter.
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS email_hash CHAR(64);
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS ip_hash CHAR(64);
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS rule_id INTEGER REFERENCES comment_rules(id) ON DELETE SET NULL;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS trusted BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_comments_email_hash ON comments(email_hash);
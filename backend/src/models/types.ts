@@ -26,16 +26,29 @@ export interface Category {
   created_at: Date;
 }
 
+// ----- Series -----
+
+// Ordered multi-part posts (see services/series.ts)
+export interface Series {
+  id: number;
+  title: string;
+  slug: string;
+  description: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
 // ----- Posts -----
 
 // All possible post statuses
-export type PostStatus = 'draft' | 'published' | 'archived';
+export type PostStatus = 'draft' | 'scheduled' | 'published' | 'archived';
 
 export interface Post {
   id: number;
   title: string;
   slug: string;
   content: string; // Markdown
+  content_html: string | null; // Sanitized HTML of content (markdown.ts), NULL until rendered
   excerpt: string | null;
   cover_image_url: string | null;
   status: PostStatus;
@@ -44,7 +57,10 @@ export interface Post {
   view_count: number;
   author_id: number;
   category_id: number;
+  series_id: number | null;
+  series_position: number | null; // order within the series
   published_at: Date | null;
+  publish_at: Date | null; // go-live time of a 'scheduled' post
   created_at: Date;
   updated_at: Date;
 }
@@ -83,7 +99,7 @@ export interface TagOnPost {
 export type Sentiment = 'POSITIVE' | 'NEGATIVE' | 'NEUTRAL' | 'MIXED';
 
 // Comment moderation statuses
-export type CommentStatus = 'pending' | 'approved' | 'flagged' | 'deleted';
+export type CommentStatus = 'pending' | 'approved' | 'flagged' | 'spam' | 'deleted';
 
 export interface Comment {
   id: number;
@@ -94,6 +110,20 @@ export interface Comment {
   sentiment: Sentiment | null;
   sentiment_score: number | null;
   status: CommentStatus;
+  parent_id: number | null; // The comment this one replies to
+  depth: number; // 0 = comment on the post, 1 = reply, ...
+  is_author: boolean; // Reply of the blog author (admin dashboard)
+  subscriber_id: number | null; // Commenter wants email notifications (comment_subscribers)
+  notified_at: Date | null; // Approval / reply emails sent
+  notify_after: Date | null; // Moderator approval: emails wait until then (undo)
+  spam_score: number | null; // Spam filter score (services/spam.ts)
+  spam_reasons: string[] | null; // Signals behind spam_score
+  content_fingerprint: string | null; // Normalized text hash (duplicate check)
+  trained_as: 'spam' | 'ham' | null; // What the comment taught the classifier
+  email_hash: string | null; // Commenter's email, hashed (services/rules.ts)
+  ip_hash: string | null; // Commenter's IP range, hashed
+  rule_id: number | null; // Block / allow rule that decided the status
+  trusted: boolean; // Approved as a returning commenter
   created_at: Date;
 }
 
@@ -122,8 +152,12 @@ export interface CreatePostRequest {
   excerpt?: string;
   category_id: number;
   status?: PostStatus;
+  publish_at?: string; // ISO date, required when status is 'scheduled'
   featured?: boolean;
   tags?: string[]; // Tag names (manual tags)
+  slug?: string; // Explicit URL slug, generated from the title if omitted
+  cover_image_url?: string | null; // Uploaded image (/images/...) or http(s) URL
+  series_id?: number | null; // Appended as the last part of the series
 }
 
 // What the frontend sends when creating a comment
@@ -131,4 +165,9 @@ export interface CreateCommentRequest {
   author_name: string;
   author_email?: string;
   content: string;
+  parent_id?: number | null; // Reply to this comment
+  notify?: boolean; // Email on approval and replies (needs author_email, double opt-in)
+  language?: string; // Language of those emails ('de' or 'en')
+  website?: string; // Honeypot, hidden in the form -- only bots fill it in
+  form_token?: string; // comment_token of the post (time-to-submit check)
 }
@@ -3,16 +3,111 @@
  *
  * Provides endpoints for the admin dashboard:
  *   GET /api/admin/stats        - Post counts, comment counts, views, recent activity
+ *   GET /api/admin/views        - Unique views per day and the most viewed posts
  *   GET /api/admin/posts        - List all posts (any status) for management
  *   GET /api/admin/posts/:id    - Get single post with full content for editing
+ *   GET /api/admin/posts/:id/revisions            - Revision history of a post
+ *   GET /api/admin/posts/:id/revisions/diff       - Diff two revisions (?from=&to=)
+ *   GET /api/admin/posts/:id/revisions/:number    - Single revision with full text
+ *   POST /api/admin/posts/:id/revisions/:number/restore - Restore a revision
+ *   PUT /api/admin/posts/:id/tag-suggestions/:tagId      - Accept/reject a Comprehend tag
+ *   GET /api/admin/posts/:id/previews             - Active preview links of a post
+ *   POST /api/admin/posts/:id/previews            - Create a preview link
+ *   DELETE /api/admin/posts/:id/previews/:previewId - Revoke a preview link
+ *   POST /api/admin/render      - Render Markdown for the editor preview
  *   GET /api/admin/comments     - List all comments (any status) for moderation
+ *   POST /api/admin/comments/bulk      - Moderate many comments at once (per-ID results)
+ *   DELETE /api/admin/comments/deleted - Delete all soft-deleted comments for good
+ *   POST /api/admin/comments/:id/reply - Reply as the blog author (approved, with badge)
+ *   GET /api/admin/comment-rules        - Block and allow rules for commenters
+ *   POST /api/admin/comment-rules       - Create a rule (email, IP range, name, keyword, regex)
+ *   DELETE /api/admin/comment-rules/:id - Delete a rule
+ *   GET /api/admin/tags         - List tags with usage counts
+ *   PUT /api/admin/tags/:id     - Rename a tag
+ *   POST /api/admin/tags/:id/merge  - Merge duplicate tags into this one
+ *   DELETE /api/admin/tags/orphans  - Delete tags not used by any post
+ *   GET /api/admin/series       - List series with part counts
+ *   GET /api/admin/series/:id   - Series with all its parts (any status)
+ *   POST /api/admin/series      - Create a series
+ *   PUT /api/admin/series/:id   - Update a series / reorder its parts
+ *   DELETE /api/admin/series/:id - Delete a series (the posts stay)
+ *   POST /api/admin/images      - Upload a cover or inline image
+ *   GET /api/admin/media        - Media library with the posts using each file
+ *   DELETE /api/admin/media/:id - Delete an unused file
+ *   GET /api/admin/media/orphan-audio    - Polly MP3s of deleted posts
+ *   DELETE /api/admin/media/orphan-audio - Delete those MP3s
+ *   GET /api/admin/posts/:id/export - Download a post as Markdown with front matter
+ *   GET /api/admin/export       - Download all posts as a zip of Markdown files
+ *   POST /api/admin/import      - Import Markdown files / a zip (dry run unless ?apply=1)
  *
  * All routes are protected by requireAuth middleware.
  */
 
-import { Router, Request, Response } from 'express';
-import { query } from '../models/database';
+import express, { Router, Request, Response, NextFunction } from 'express';
+import { query, withTransaction } from '../models/database';
 import { requireAuth } from '../middleware/auth';
+import { AuthenticatedRequest, CommentStatus } from '../models/types';
+import { diffRevisions, recordRevision } from '../services/revisions';
+import { slugifyTag } from '../services/tags';
+import { suggestTagsForPost } from '../services/autotag';
+import { prewarmCaches } from '../services/publish';
+import {
+  PREVIEW_DEFAULT_HOURS,
+  PREVIEW_MAX_HOURS,
+  previewUrl,
+  signPreviewToken,
+} from '../services/preview';
+import { siteUrl } from '../services/site';
+import { recordSlugChange, slugify, uniquePostSlug } from '../services/slug';
+import { renderMarkdown } from '../services/markdown';
+import { IMAGE_TYPES, maxUploadBytes, processImage, storeImage } from '../services/images';
+import {
+  deleteStoredFiles,
+  findMedia,
+  findOrphanAudio,
+  forgetMedia,
+  listMedia,
+  MediaFilters,
+  recordMedia,
+} from '../services/media';
+import {
+  exportAllPosts,
+  exportPost,
+  ImportFile,
+  importPosts,
+  MAX_IMPORT_BYTES,
+  readImportArchive,
+} from '../services/transfer';
+import { getTopViewedPosts, getViewSeries, MAX_VIEW_DAYS } from '../services/views';
+import {
+  BulkOutcome,
+  findReplyTarget,
+  MAX_BULK_COMMENTS,
+  purgeDeletedComments,
+  removeComments,
+  setCommentStatuses,
+} from '../services/comments';
+import {
+  isValidEmail,
+  notifyCommentsApproved,
+  queueApprovalNotifications,
+} from '../services/notifications';
+import { trainComment } from '../services/spam';
+import {
+  hashEmail,
+  hashIpRange,
+  ipRange,
+  isSafePattern,
+  isValidPattern,
+  MAX_RULE_VALUE_LENGTH,
+  RULE_ACTIONS,
+  RULE_DEFAULT_DAYS,
+  RULE_KINDS,
+  RULE_MAX_DAYS,
+  RuleKind,
+} from '../services/rules';
+import { DEFAULT_AUTHOR } from '../services/seo';
+import { postColumns } from '../services/posts';
 
 export const adminRouter = Router();
 
@@ -42,7 +137,8 @@ adminRouter.get('/stats', async (_req: Request, res: Response) => {
         SELECT
           COUNT(*)::int AS total,
           COUNT(*) FILTER (WHERE status = 'published')::int AS published,
-          COUNT(*) FILTER (WHERE status = 'draft')::int AS drafts
+          COUNT(*) FILTER (WHERE status = 'draft')::int AS drafts,
+          COUNT(*) FILTER (WHERE status = 'scheduled')::int AS scheduled
         FROM posts
       `),
 
@@ -52,7 +148,8 @@ adminRouter.get('/stats', async (_req: Request, res: Response) => {
           COUNT(*)::int AS total,
           COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
           COUNT(*) FILTER (WHERE status = 'approved')::int AS approved,
-          COUNT(*) FILTER (WHERE status = 'flagged')::int AS flagged
+          COUNT(*) FILTER (WHERE status = 'flagged')::int AS flagged,
+          COUNT(*) FILTER (WHERE status = 'spam')::int AS spam
         FROM comments
       `),
 
@@ -61,7 +158,7 @@ adminRouter.get('/stats', async (_req: Request, res: Response) => {
 
       // Last 5 posts (any status)
       query(`
-        SELECT title, status, published_at, created_at
+        SELECT title, status, published_at, publish_at, created_at
         FROM posts
         ORDER BY created_at DESC
         LIMIT 5
@@ -108,11 +205,56 @@ adminRouter.get('/stats', async (_req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /api/admin/views - Unique views as a time series
+ *
+ * Query parameters:
+ *   ?days=30     - Number of days up to today (UTC), 1-366 (default: 30)
+ *   ?post_id=1   - Views of one post (default: all posts)
+ *
+ * Returns { days, total, series: [{ day, views }], top_posts } with one
+ * series entry per day (oldest first) and, for all posts, the 10 most
+ * viewed posts of the period.
+ */
+adminRouter.get('/views', async (req: Request, res: Response) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_VIEW_DAYS) {
+      res.status(400).json({ error: `days must be between 1 and ${MAX_VIEW_DAYS}` });
+      return;
+    }
+    const postId = req.query.post_id === undefined ? null : Number(req.query.post_id);
+    if (postId !== null && (!Number.isInteger(postId) || postId <= 0)) {
+      res.status(400).json({ error: 'Invalid post_id' });
+      return;
+    }
+
+    const [series, topPosts] = await Promise.all([
+      getViewSeries(days, postId),
+      postId === null ? getTopViewedPosts(days, 10) : Promise.resolve([]),
+    ]);
+    res.json({
+      days,
+      total: series.reduce((sum, entry) => sum + entry.views, 0),
+      series,
+      top_posts: topPosts,
+    });
+  } catch (err) {
+    console.error('Error fetching view stats:', err);
+    res.status(500).json({ error: 'Failed to fetch view stats' });
+  }
+});
+
 /**
  * GET /api/admin/posts - List all posts for admin management
  *
- * Returns all posts regardless of status (published, draft, archived),
+ * Returns all posts regardless of status (published, scheduled, draft, archived),
  * sorted by created_at descending. Includes category info and view counts.
+ *
+ * translation_status, audio_de_status and audio_en_status tell whether the
+ * cached translation / audio matches the current text: 'current', 'stale'
+ * (post edited since, regenerated on the next request) or 'missing'.
+ * English audio is also stale when the translation it was read from is.
  */
 adminRouter.get('/posts', async (_req: Request, res: Response) => {
   try {
@@ -121,9 +263,28 @@ adminRouter.get('/posts', async (_req: Request, res: Response) => {
         p.id, p.title, p.slug, p.status, p.featured,
         p.reading_time_minutes, p.view_count,
         c.name AS category_name, c.slug AS category_slug,
-        p.published_at, p.created_at, p.updated_at
+        p.published_at, p.publish_at, p.created_at, p.updated_at,
+        CASE
+          WHEN tr.post_id IS NULL THEN 'missing'
+          WHEN tr.source_hash = content_hash(p.title, p.content, p.excerpt) THEN 'current'
+          ELSE 'stale'
+        END AS translation_status,
+        CASE
+          WHEN ad.post_id IS NULL THEN 'missing'
+          WHEN ad.source_hash = content_hash(p.title, p.content) THEN 'current'
+          ELSE 'stale'
+        END AS audio_de_status,
+        CASE
+          WHEN ae.post_id IS NULL THEN 'missing'
+          WHEN ae.source_hash = content_hash(tr.title, tr.content)
+            AND tr.source_hash = content_hash(p.title, p.content, p.excerpt) THEN 'current'
+          ELSE 'stale'
+        END AS audio_en_status
       FROM posts p
       LEFT JOIN categories c ON p.category_id = c.id
+      LEFT JOIN post_translations tr ON tr.post_id = p.id AND tr.language = 'en'
+      LEFT JOIN post_audio ad ON ad.post_id = p.id AND ad.language = 'de'
+      LEFT JOIN post_audio ae ON ae.post_id = p.id AND ae.language = 'en'
       ORDER BY p.created_at DESC
     `);
 
@@ -138,6 +299,8 @@ adminRouter.get('/posts', async (_req: Request, res: Response) => {
  * GET /api/admin/posts/:id - Get a single post with full content for editing
  *
  * Returns the complete post including Markdown content, category info, and tags.
+ * Tags carry source + confidence (NULL confidence = manual link, listed first).
+ * tag_suggestions lists the pending Comprehend suggestions (not public yet).
  * Does NOT increment view count (admin views don't count).
  */
 adminRouter.get('/posts/:id', async (req: Request, res: Response) => {
@@ -145,7 +308,7 @@ adminRouter.get('/posts/:id', async (req: Request, res: Response) => {
     const postResult = await query(
       `
       SELECT
-        p.*,
+        ${postColumns('p')},
         c.name AS category_name, c.slug AS category_slug
       FROM posts p
       LEFT JOIN categories c ON p.category_id = c.id
@@ -164,26 +327,445 @@ adminRouter.get('/posts/:id', async (req: Request, res: Response) => {
     // Fetch tags for this post
     const tagsResult = await query(
       `
-      SELECT t.name, t.slug
+      SELECT t.name, t.slug, t.source, pt.confidence
       FROM tags t
       JOIN post_tags pt ON t.id = pt.tag_id
       WHERE pt.post_id = $1
+      ORDER BY pt.confidence DESC NULLS FIRST, t.name
+    `,
+      [post.id]
+    );
+
+    // Comprehend suggestions waiting for a decision in the editor
+    const suggestionsResult = await query(
+      `
+      SELECT t.id AS tag_id, t.name, t.slug, s.confidence
+      FROM post_tag_suggestions s
+      JOIN tags t ON t.id = s.tag_id
+      WHERE s.post_id = $1 AND s.status = 'pending'
+      ORDER BY s.confidence DESC, t.name
     `,
       [post.id]
     );
 
-    res.json({ ...post, tags: tagsResult.rows });
+    res.json({ ...post, tags: tagsResult.rows, tag_suggestions: suggestionsResult.rows });
   } catch (err) {
     console.error('Error fetching admin post:', err);
     res.status(500).json({ error: 'Failed to fetch post' });
   }
 });
 
+/**
+ * Parse a revision number from a route/query parameter (positive integer)
+ */
+function parseRevisionNumber(value: unknown): number | null {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+  const revisionNumber = parseInt(value, 10);
+  return revisionNumber > 0 ? revisionNumber : null;
+}
+
+/**
+ * GET /api/admin/posts/:id/revisions - Revision history of a post
+ *
+ * Returns the revisions newest first, without the full content.
+ * author_name is resolved from the users table when the editor has an
+ * entry there (otherwise only author_sub is set, e.g. in dev mode).
+ */
+adminRouter.get('/posts/:id/revisions', async (req: Request, res: Response) => {
+  try {
+    const result = await query(
+      `
+      SELECT
+        r.id, r.revision_number, r.title, r.author_sub, r.restored_from, r.created_at,
+        u.display_name AS author_name,
+        LENGTH(r.content)::int AS content_length
+      FROM post_revisions r
+      LEFT JOIN users u ON u.cognito_id = r.author_sub
+      WHERE r.post_id = $1
+      ORDER BY r.revision_number DESC
+    `,
+      [req.params.id]
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching revisions:', err);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+/**
+ * GET /api/admin/posts/:id/revisions/diff - Compare two revisions
+ *
+ * Query parameters:
+ *   ?to=5    - Revision to show (required)
+ *   ?from=3  - Revision to compare against (default: the one before ?to)
+ *
+ * Returns { from, to, diff }. from is null when ?to is the first revision
+ * (everything counts as added). diff.content is a list of line blocks
+ * ({ type: 'equal' | 'add' | 'remove', lines }).
+ */
+adminRouter.get('/posts/:id/revisions/diff', async (req: Request, res: Response) => {
+  try {
+    const to = parseRevisionNumber(req.query.to);
+    const from =
+      req.query.from === undefined ? (to ? to - 1 : null) : parseRevisionNumber(req.query.from);
+
+    if (!to || from === null) {
+      res.status(400).json({ error: 'Valid revision numbers are required' });
+      return;
+    }
+
+    const result = await query(
+      `
+      SELECT revision_number, title, excerpt, content, author_sub, created_at
+      FROM post_revisions
+      WHERE post_id = $1 AND revision_number = ANY($2::int[])
+    `,
+      [req.params.id, [from, to]]
+    );
+
+    const fromRevision = result.rows.find((r) => r.revision_number === from) ?? null;
+    const toRevision = result.rows.find((r) => r.revision_number === to);
+
+    // from = 0 means "before the first revision"; any other missing revision is a 404
+    if (!toRevision || (!fromRevision && from !== 0)) {
+      res.status(404).json({ error: 'Revision not found' });
+      return;
+    }
+
+    const meta = (r: typeof toRevision) => ({
+      revision_number: r.revision_number,
+      title: r.title,
+      author_sub: r.author_sub,
+      created_at: r.created_at,
+    });
+
+    res.json({
+      from: fromRevision ? meta(fromRevision) : null,
+      to: meta(toRevision),
+      diff: diffRevisions(fromRevision, toRevision),
+    });
+  } catch (err) {
+    console.error('Error diffing revisions:', err);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+/**
+ * GET /api/admin/posts/:id/revisions/:number - Single revision with full text
+ */
+adminRouter.get('/posts/:id/revisions/:number', async (req: Request, res: Response) => {
+  try {
+    const revisionNumber = parseRevisionNumber(req.params.number);
+    if (!revisionNumber) {
+      res.status(400).json({ error: 'Invalid revision number' });
+      return;
+    }
+
+    const result = await query(
+      `
+      SELECT r.*, u.display_name AS author_name
+      FROM post_revisions r
+      LEFT JOIN users u ON u.cognito_id = r.author_sub
+      WHERE r.post_id = $1 AND r.revision_number = $2
+    `,
+      [req.params.id, revisionNumber]
+    );
+
+    if (result.rows.length === 0) {
+      res.status(404).json({ error: 'Revision not found' });
+      return;
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error fetching revision:', err);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+/**
+ * POST /api/admin/posts/:id/revisions/:number/restore - Restore a revision
+ *
+ * Copies title, excerpt and content of the revision back into the post.
+ * Revisions keep no slug: as with an editor save, a restored title that
+ * differs from the current one brings a new slug (the old one redirects).
+ * The restore itself is recorded as a new revision (restored_from = number),
+ * so it can be undone like any other edit. Returns the updated post.
+ * The Comprehend tag suggestions (and for a published post the translation
+ * + audio caches) are refreshed for the restored text.
+ */
+adminRouter.post(
+  '/posts/:id/revisions/:number/restore',
+  async (req: AuthenticatedRequest, res: Response) => {
+    try {
+      const revisionNumber = parseRevisionNumber(req.params.number);
+      if (!revisionNumber) {
+        res.status(400).json({ error: 'Invalid revision number' });
+        return;
+      }
+
+      const post = await withTransaction(async (client) => {
+        const current = await client.query(
+          'SELECT id, title, slug, excerpt, content FROM posts WHERE id = $1 FOR UPDATE',
+          [req.params.id]
+        );
+        const revision = await client.query(
+          `SELECT title, excerpt, content FROM post_revisions
+          WHERE post_id = $1 AND revision_number = $2`,
+          [req.params.id, revisionNumber]
+        );
+        if (current.rows.length === 0 || revision.rows.length === 0) {
+          return null;
+        }
+
+        const { title, excerpt, content } = revision.rows[0];
+        const previous = current.rows[0];
+        const slug =
+          title !== previous.title
+            ? await uniquePostSlug(client, slugify(title) || 'post', previous.id)
+            : previous.slug;
+        const wordCount = content.split(/\s+/).length;
+        const result = await client.query(
+          `UPDATE posts
+          SET title = $1, slug = $2, excerpt = $3, content = $4, content_html = $5,
+            reading_time_minutes = $6, updated_at = NOW()
+          WHERE id = $7
+          RETURNING ${postColumns()}`,
+          [
+            title,
+            slug,
+            excerpt,
+            content,
+            renderMarkdown(content),
+            Math.max(1, Math.ceil(wordCount / 200)),
+            req.params.id,
+          ]
+        );
+        const updated = result.rows[0];
+        await recordSlugChange(client, previous.id, previous.slug, slug);
+
+        await recordRevision(
+          client,
+          updated.id,
+          previous,
+          updated,
+          req.user?.sub ?? null,
+          revisionNumber
+        );
+        return updated;
+      });
+
+      if (!post) {
+        res.status(404).json({ error: 'Revision not found' });
+        return;
+      }
+
+      suggestTagsForPost(post).catch(() => {});
+      if (post.status === 'published') {
+        prewarmCaches(post).catch(() => {});
+      }
+
+      res.json(post);
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      res.status(500).json({ error: 'Failed to restore revision' });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/posts/:id/tag-suggestions/:tagId - Accept or reject a tag suggestion
+ *
+ * Expects { status: 'accepted' | 'rejected' }. Accepting links the tag to
+ * the post with its Comprehend confidence, so it appears publicly.
+ * Rejected suggestions are kept, so the phrase is not suggested again.
+ * Only pending suggestions can be decided (404 otherwise).
+ */
+adminRouter.put('/posts/:id/tag-suggestions/:tagId', async (req: Request, res: Response) => {
+  try {
+    const { status } = req.body;
+    if (status !== 'accepted' && status !== 'rejected') {
+      res.status(400).json({ error: "status must be 'accepted' or 'rejected'" });
+      return;
+    }
+
+    const suggestion = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE post_tag_suggestions SET status = $3
+        WHERE post_id = $1 AND tag_id = $2 AND status = 'pending'
+        RETURNING post_id, tag_id, confidence, status`,
+        [req.params.id, req.params.tagId, status]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      if (status === 'accepted') {
+        await client.query(
+          `INSERT INTO post_tags (post_id, tag_id, confidence)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (post_id, tag_id) DO NOTHING`,
+          [req.params.id, req.params.tagId, result.rows[0].confidence]
+        );
+      }
+      return result.rows[0];
+    });
+
+    if (!suggestion) {
+      res.status(404).json({ error: 'Tag suggestion not found' });
+      return;
+    }
+
+    res.json(suggestion);
+  } catch (err) {
+    console.error('Error updating tag suggestion:', err);
+    res.status(500).json({ error: 'Failed to update tag suggestion' });
+  }
+});
+
+/**
+ * Active preview link as returned to the editor
+ */
+function previewLink(row: { id: number; expires_at: Date; created_at: Date }, base: string) {
+  const token = signPreviewToken(row.id, new Date(row.expires_at));
+  return {
+    id: row.id,
+    token,
+    url: previewUrl(base, token),
+    expires_at: row.expires_at,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * GET /api/admin/posts/:id/previews - Active preview links of a post
+ *
+ * Revoked and expired links are left out. Newest first.
+ */
+adminRouter.get('/posts/:id/previews', async (req: Request, res: Response) => {
+  try {
+    const result = await query(
+      `
+      SELECT id, expires_at, created_at
+      FROM post_previews
+      WHERE post_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC, id DESC
+    `,
+      [req.params.id]
+    );
+
+    const base = siteUrl(req);
+    res.json(result.rows.map((row) => previewLink(row, base)));
+  } catch (err) {
+    console.error('Error fetching preview links:', err);
+    res.status(500).json({ error: 'Failed to fetch preview links' });
+  }
+});
+
+/**
+ * POST /api/admin/posts/:id/previews - Create a preview link
+ *
+ * Expects { expires_in_hours } (optional, 1 - 720, default 72).
+ * Only drafts and scheduled posts get preview links (409 otherwise);
+ * published posts are shared with their normal URL.
+ */
+adminRouter.post('/posts/:id/previews', async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    const hours = req.body?.expires_in_hours ?? PREVIEW_DEFAULT_HOURS;
+    if (!Number.isInteger(hours) || hours < 1 || hours > PREVIEW_MAX_HOURS) {
+      res
+        .status(400)
+        .json({ error: `expires_in_hours must be a whole number from 1 to ${PREVIEW_MAX_HOURS}` });
+      return;
+    }
+
+    const post = await query('SELECT id, status FROM posts WHERE id = $1', [req.params.id]);
+    if (post.rows.length === 0) {
+      res.status(404).json({ error: 'Post not found' });
+      return;
+    }
+    if (post.rows[0].status !== 'draft' && post.rows[0].status !== 'scheduled') {
+      res.status(409).json({ error: 'Only drafts and scheduled posts can be previewed' });
+      return;
+    }
+
+    const result = await query(
+      `
+      INSERT INTO post_previews (post_id, expires_at, created_by)
+      VALUES ($1, NOW() + make_interval(hours => $2), $3)
+      RETURNING id, expires_at, created_at
+    `,
+      [post.rows[0].id, hours, req.user?.sub ?? null]
+    );
+
+    res.status(201).json(previewLink(result.rows[0], siteUrl(req)));
+  } catch (err) {
+    console.error('Error creating preview link:', err);
+    res.status(500).json({ error: 'Failed to create preview link' });
+  }
+});
+
+/**
+ * DELETE /api/admin/posts/:id/previews/:previewId - Revoke a preview link
+ *
+ * The row is kept with revoked_at set; the link stops working at once.
+ */
+adminRouter.delete('/posts/:id/previews/:previewId', async (req: Request, res: Response) => {
+  try {
+    const result = await query(
+      `
+      UPDATE post_previews SET revoked_at = NOW()
+      WHERE id = $1 AND post_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `,
+      [req.params.previewId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      res.status(404).json({ error: 'Preview link not found' });
+      return;
+    }
+
+    res.json({ message: 'Preview link revoked' });
+  } catch (err) {
+    console.error('Error revoking preview link:', err);
+    res.status(500).json({ error: 'Failed to revoke preview link' });
+  }
+});
+
+/**
+ * POST /api/admin/render - Render Markdown for the editor preview
+ *
+ * Body: { content }. Returns { html }, rendered and sanitized exactly like
+ * the saved post (services/markdown.ts), so the preview matches the page.
+ */
+adminRouter.post('/render', async (req: Request, res: Response) => {
+  try {
+    const { content } = req.body ?? {};
+    if (typeof content !== 'string') {
+      res.status(400).json({ error: 'content must be a string' });
+      return;
+    }
+
+    res.json({ html: renderMarkdown(content) });
+  } catch (err) {
+    console.error('Error rendering preview:', err);
+    res.status(500).json({ error: 'Failed to render preview' });
+  }
+});
+
 /**
  * GET /api/admin/comments - List all comments for moderation
  *
- * Returns all comments regardless of status, with the post title.
- * Supports optional ?status= filter (pending, approved, flagged, deleted).
+ * Returns all comments regardless of status, with the post title and, for
+ * replies, the author of the comment replied to (parent_author_name).
+ * Supports optional ?status= filter (pending, approved, flagged, spam, deleted).
+ * spam_score / spam_reasons show what the spam filter thought of it,
+ * rule_id / trusted whether a block or allow rule or the trust of a
+ * returning commenter decided its status; has_email / has_ip tell whether
+ * rules for its commenter can be created from it.
  * Sorted by newest first.
  */
 adminRouter.get('/comments', async (req: Request, res: Response) => {
@@ -195,7 +777,7 @@ adminRouter.get('/comments', async (req: Request, res: Response) => {
 
     // Optional status filter
     if (status && typeof status === 'string') {
-      const validStatuses = ['pending', 'approved', 'flagged', 'deleted'];
+      const validStatuses = ['pending', 'approved', 'flagged', 'spam', 'deleted'];
       if (validStatuses.includes(status)) {
         conditions.push(`c.status = $${paramIndex++}`);
         values.push(status);
@@ -208,9 +790,13 @@ adminRouter.get('/comments', async (req: Request, res: Response) => {
       `
       SELECT
         c.id, c.author_name, c.content, c.status, c.sentiment, c.sentiment_score,
+        c.spam_score, c.spam_reasons, c.rule_id, c.trusted,
+        c.email_hash IS NOT NULL AS has_email, c.ip_hash IS NOT NULL AS has_ip,
+        c.parent_id, c.is_author, parent.author_name AS parent_author_name,
         c.created_at, p.title AS post_title, p.id AS post_id
       FROM comments c
       LEFT JOIN posts p ON c.post_id = p.id
+      LEFT JOIN comments parent ON c.parent_id = parent.id
       ${whereClause}
       ORDER BY c.created_at DESC
     `,
@@ -223,3 +809,1090 @@ adminRouter.get('/comments', async (req: Request, res: Response) => {
     res.status(500).json({ error: 'Failed to fetch comments' });
   }
 });
+
+// Status each bulk action sets ('hard-delete' deletes for good instead)
+const BULK_STATUSES: Record<string, CommentStatus> = {
+  approve: 'approved',
+  pending: 'pending',
+  flag: 'flagged',
+  spam: 'spam',
+  delete: 'deleted',
+};
+const BULK_ACTIONS = [...Object.keys(BULK_STATUSES), 'hard-delete'];
+
+/**
+ * POST /api/admin/comments/bulk - Moderate many comments at once
+ *
+ * Body: { ids: number[], action } with action approve, pending, flag,
+ * spam, delete or hard-delete (up to 500 IDs). hard-delete only removes
+ * deleted and spam comments whose replies are deleted too.
+ * Returns { action, results, email_delay_minutes }, results with one outcome per ID:
+ * { id, ok, previous, status } or { id, ok: false, error }; previous is
+ * the status to go back to for undo. email_delay_minutes tells when the
+ * approval emails go out (null: none are sent). Like PUT /api/comments/:id/status
+ * the decisions train the spam filter and approvals send the
+ * notification emails, after the undo window (queueApprovalNotifications).
+ */
+adminRouter.post('/comments/bulk', async (req: Request, res: Response) => {
+  try {
+    const { ids, action } = req.body ?? {};
+    if (!BULK_ACTIONS.includes(action)) {
+      res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+      return;
+    }
+    if (
+      !Array.isArray(ids) ||
+      ids.length === 0 ||
+      !ids.every((id) => Number.isInteger(id) && id > 0)
+    ) {
+      res.status(400).json({ error: 'ids must be a list of comment IDs' });
+      return;
+    }
+    const unique: number[] = [...new Set<number>(ids)];
+    if (unique.length > MAX_BULK_COMMENTS) {
+      res.status(400).json({ error: `At most ${MAX_BULK_COMMENTS} comments at once` });
+      return;
+    }
+
+    let results: BulkOutcome[];
+    let emailDelayMinutes: number | null = null;
+    if (action === 'hard-delete') {
+      results = await removeComments(unique);
+    } else {
+      const status = BULK_STATUSES[action];
+      results = await setCommentStatuses(unique, status);
+      const changed = results.filter((result) => result.ok).map((result) => result.id);
+
+      // A failed training run does not undo the decision
+      for (const id of changed) {
+        await trainComment(id, status).catch((err) =>
+          console.warn('Spam filter training failed:', (err as Error).message)
+        );
+      }
+      if (status === 'approved') {
+        emailDelayMinutes = await queueApprovalNotifications(changed).catch((err) => {
+          console.warn('Comment notifications failed:', (err as Error).message);
+          return null;
+        });
+      }
+    }
+
+    res.json({ action, results, email_delay_minutes: emailDelayMinutes });
+  } catch (err) {
+    console.error('Error moderating comments:', err);
+    res.status(500).json({ error: 'Failed to moderate comments' });
+  }
+});
+
+/**
+ * DELETE /api/admin/comments/deleted - Delete all soft-deleted comments for good
+ *
+ * Comments with replies that are not deleted are kept (the replies would
+ * go with them). Spam is kept for the spam filter's duplicate check.
+ * Returns { deleted } with the number of removed comments.
+ */
+adminRouter.delete('/comments/deleted', async (_req: Request, res: Response) => {
+  try {
+    res.json({ deleted: await purgeDeletedComments() });
+  } catch (err) {
+    console.error('Error purging deleted comments:', err);
+    res.status(500).json({ error: 'Failed to purge deleted comments' });
+  }
+});
+
+/**
+ * POST /api/admin/comments/:id/reply - Reply to a comment as the blog author
+ *
+ * Body: { content }
+ * The reply is approved right away and shown with the author badge
+ * (is_author). Its name is the display name of the signed-in user, or the
+ * blog author's name. Replying to a pending comment approves it too (and
+ * trains the spam filter with it); flagged, spam and deleted comments
+ * cannot be answered. The commenters get
+ * their notification emails (approval, reply) in the background.
+ */
+adminRouter.post('/comments/:id/reply', async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    const { content } = req.body ?? {};
+    if (typeof content !== 'string' || !content.trim()) {
+      res.status(400).json({ error: 'content is required' });
+      return;
+    }
+    if (content.length > 5000) {
+      res.status(400).json({ error: 'Comment must be 5000 characters or less' });
+      return;
+    }
+
+    const commentId = Number(req.params.id);
+    const target = Number.isInteger(commentId) ? await findReplyTarget(commentId) : null;
+    if (!target) {
+      res.status(404).json({ error: 'Comment not found' });
+      return;
+    }
+    if (target.status === 'flagged' || target.status === 'spam' || target.status === 'deleted') {
+      res.status(400).json({ error: `Cannot reply to a ${target.status} comment` });
+      return;
+    }
+
+    const authorSub = req.user?.sub ?? null;
+    const reply = await withTransaction(async (client) => {
+      if (target.status === 'pending') {
+        await client.query("UPDATE comments SET status = 'approved' WHERE id = $1", [commentId]);
+        await trainComment(commentId, 'approved', client);
+      }
+
+      const user = await client.query('SELECT display_name FROM users WHERE cognito_id = $1', [
+        authorSub,
+      ]);
+      const result = await client.query(
+        `INSERT INTO comments
+          (post_id, parent_id, depth, author_name, content, status, is_author, author_sub)
+        VALUES ($1, $2, $3, $4, $5, 'approved', TRUE, $6)
+        RETURNING id, post_id, parent_id, author_name, content, status, is_author, created_at`,
+        [
+          target.postId,
+          target.parentId,
+          target.depth,
+          user.rows[0]?.display_name ?? DEFAULT_AUTHOR,
+          content.trim(),
+          authorSub,
+        ]
+      );
+      return result.rows[0];
+    });
+
+    const approved = target.status === 'pending' ? [commentId, reply.id] : [reply.id];
+    notifyCommentsApproved(approved).catch((err) =>
+      console.warn('Comment notifications failed:', (err as Error).message)
+    );
+
+    res.status(201).json(reply);
+  } catch (err) {
+    console.error('Error replying to comment:', err);
+    res.status(500).json({ error: 'Failed to reply to comment' });
+  }
+});
+
+/**
+ * The value a new rule matches on, from the request body
+ *
+ * Email and IP rules take the hashes of a comment (comment_id) or hash the
+ * given address; the address itself is not stored. Name and keyword rules
+ * are stored in lower case. Returns an error message for invalid input.
+ */
+async function ruleValue(
+  kind: RuleKind,
+  body: Record<string, unknown>
+): Promise<{ value: string; note?: string } | { error: string; status: number }> {
+  if ((kind === 'email' || kind === 'ip') && body.comment_id !== undefined) {
+    if (!Number.isInteger(body.comment_id)) {
+      return { error: 'comment_id must be a whole number', status: 400 };
+    }
+    const comment = await query(
+      'SELECT id, author_name, email_hash, ip_hash FROM comments WHERE id = $1',
+      [body.comment_id]
+    );
+    if (comment.rows.length === 0) return { error: 'Comment not found', status: 404 };
+    const { id, author_name: authorName, email_hash: emailHash, ip_hash: ipHash } = comment.rows[0];
+    const value = kind === 'email' ? emailHash : ipHash;
+    if (!value) {
+      return {
+        error:
+          kind === 'email' ? 'The comment has no email address' : 'The comment has no IP address',
+        status: 400,
+      };
+    }
+    return { value, note: `Commenter of comment #${id} (${authorName})` };
+  }
+
+  const raw = typeof body.value === 'string' ? body.value.trim() : '';
+  if (!raw) return { error: 'value or comment_id is required', status: 400 };
+
+  if (kind === 'email') {
+    return isValidEmail(raw)
+      ? { value: hashEmail(raw) as string }
+      : { error: 'value must be an email address', status: 400 };
+  }
+  if (kind === 'ip') {
+    return ipRange(raw)
+      ? { value: hashIpRange(raw) as string }
+      : { error: 'value must be an IP address', status: 400 };
+  }
+  if (raw.length > MAX_RULE_VALUE_LENGTH) {
+    return { error: `value must be ${MAX_RULE_VALUE_LENGTH} characters or less`, status: 400 };
+  }
+  if (kind === 'regex') {
+    if (!isValidPattern(raw)) {
+      return { error: 'value is not a valid regular expression', status: 400 };
+    }
+    return isSafePattern(raw)
+      ? { value: raw }
+      : {
+          error:
+            'value could take too long to match: do not repeat groups that contain quantifiers or |, use backreferences, or more than 2 of * + {n,}',
+          status: 400,
+        };
+  }
+  return { value: raw.toLowerCase() };
+}
+
+/**
+ * GET /api/admin/comment-rules - List block and allow rules for commenters
+ *
+ * Newest first, expired ones included (active: false). value is left out
+ * for email and IP rules (only a hash is stored).
+ */
+adminRouter.get('/comment-rules', async (_req: Request, res: Response) => {
+  try {
+    const result = await query(`
+      SELECT
+        id, action, kind,
+        CASE WHEN kind IN ('email', 'ip') THEN NULL ELSE value END AS value,
+        note, expires_at, expires_at > NOW() AS active,
+        hit_count, last_hit_at, created_at
+      FROM comment_rules
+      ORDER BY created_at DESC, id DESC
+    `);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching comment rules:', err);
+    res.status(500).json({ error: 'Failed to fetch comment rules' });
+  }
+});
+
+/**
+ * POST /api/admin/comment-rules - Create a block or allow rule
+ *
+ * Body: { action: 'block' | 'allow', kind, value, comment_id, note,
+ * expires_in_days }. kind is email, ip, name, keyword or regex (see
+ * services/rules.ts). Email and IP rules take either an address as value
+ * or the comment_id of a comment by that commenter. expires_in_days is
+ * optional (1 - 3650, default 90).
+ */
+adminRouter.post('/comment-rules', async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    const body = req.body ?? {};
+    if (!RULE_ACTIONS.includes(body.action)) {
+      res.status(400).json({ error: `action must be one of: ${RULE_ACTIONS.join(', ')}` });
+      return;
+    }
+    if (!RULE_KINDS.includes(body.kind)) {
+      res.status(400).json({ error: `kind must be one of: ${RULE_KINDS.join(', ')}` });
+      return;
+    }
+    const days = body.expires_in_days ?? RULE_DEFAULT_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > RULE_MAX_DAYS) {
+      res
+        .status(400)
+        .json({ error: `expires_in_days must be a whole number from 1 to ${RULE_MAX_DAYS}` });
+      return;
+    }
+    if (body.note !== undefined && body.note !== null && typeof body.note !== 'string') {
+      res.status(400).json({ error: 'note must be a string' });
+      return;
+    }
+    const note = typeof body.note === 'string' ? body.note.trim().slice(0, 200) : '';
+
+    const resolved = await ruleValue(body.kind, body);
+    if ('error' in resolved) {
+      res.status(resolved.status).json({ error: resolved.error });
+      return;
+    }
+
+    const result = await query(
+      `
+      INSERT INTO comment_rules (action, kind, value, note, expires_at, created_by)
+      VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5), $6)
+      RETURNING id, action, kind, note, expires_at, hit_count, created_at
+    `,
+      [
+        body.action,
+        body.kind,
+        resolved.value,
+        note || resolved.note || null,
+        days,
+        req.user?.sub ?? null,
+      ]
+    );
+
+    const rule = result.rows[0];
+    res.status(201).json({
+      ...rule,
+      value: body.kind === 'email' || body.kind === 'ip' ? null : resolved.value,
+      active: true,
+    });
+  } catch (err) {
+    console.error('Error creating comment rule:', err);
+    res.status(500).json({ error: 'Failed to create comment rule' });
+  }
+});
+
+/**
+ * DELETE /api/admin/comment-rules/:id - Delete a rule
+ *
+ * Comments it decided keep their status (rule_id is cleared).
+ */
+adminRouter.delete('/comment-rules/:id', async (req: Request, res: Response) => {
+  try {
+    const result = await query('DELETE FROM comment_rules WHERE id = $1 RETURNING id', [
+      req.params.id,
+    ]);
+
+    if (result.rows.length === 0) {
+      res.status(404).json({ error: 'Rule not found' });
+      return;
+    }
+
+    res.json({ message: 'Rule deleted' });
+  } catch (err) {
+    console.error('Error deleting comment rule:', err);
+    res.status(500).json({ error: 'Failed to delete comment rule' });
+  }
+});
+
+/**
+ * GET /api/admin/tags - List all tags with usage counts
+ *
+ * post_count counts all posts using the tag, manual_count / comprehend_count
+ * split it by link type (manual links have no confidence).
+ * suggestion_count counts pending Comprehend suggestions.
+ * Orphans (no posts, no suggestions) can be removed with DELETE /api/admin/tags/orphans.
+ */
+adminRouter.get('/tags', async (_req: Request, res: Response) => {
+  try {
+    const result = await query(`
+      SELECT
+        t.id, t.name, t.slug, t.source, t.created_at,
+        COUNT(pt.post_id)::int AS post_count,
+        COUNT(pt.post_id) FILTER (WHERE pt.confidence IS NULL)::int AS manual_count,
+        COUNT(pt.post_id) FILTER (WHERE pt.confidence IS NOT NULL)::int AS comprehend_count,
+        (SELECT COUNT(*)::int FROM post_tag_suggestions s
+          WHERE s.tag_id = t.id AND s.status = 'pending') AS suggestion_count
+      FROM tags t
+      LEFT JOIN post_tags pt ON pt.tag_id = t.id
+      GROUP BY t.id
+      ORDER BY t.name
+    `);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching tags:', err);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+/**
+ * PUT /api/admin/tags/:id - Rename a tag
+ *
+ * Expects { name }. The slug is regenerated from the new name.
+ * Returns 409 if another tag already has that name/slug -- merge them instead.
+ */
+adminRouter.put('/tags/:id', async (req: Request, res: Response) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const slug = slugifyTag(name);
+
+    if (!name || !slug.replace(/-/g, '')) {
+      res.status(400).json({ error: 'Tag name is required' });
+      return;
+    }
+    if (name.length > 100) {
+      res.status(400).json({ error: 'Tag name must be 100 characters or less' });
+      return;
+    }
+
+    const conflict = await query(
+      'SELECT id FROM tags WHERE (LOWER(name) = LOWER($1) OR slug = $2) AND id <> $3',
+      [name, slug, req.params.id]
+    );
+    if (conflict.rows.length > 0) {
+      res.status(409).json({
+        error: 'A tag with this name already exists, merge the tags instead',
+        existing_id: conflict.rows[0].id,
+      });
+      return;
+    }
+
+    const result = await query('UPDATE tags SET name = $1, slug = $2 WHERE id = $3 RETURNING *', [
+      name,
+      slug,
+      req.params.id,
+    ]);
+
+    if (result.rows.length === 0) {
+      res.status(404).json({ error: 'Tag not found' });
+      return;
+    }
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error('Error renaming tag:', err);
+    res.status(500).json({ error: 'Failed to rename tag' });
+  }
+});
+
+/**
+ * POST /api/admin/tags/:id/merge - Merge duplicate tags into this tag
+ *
+ * Expects { source_ids: [2, 3] }. All posts of the source tags get the
+ * target tag, then the source tags are deleted (one transaction).
+ * When a post had both, a manual link wins over a Comprehend one; two
+ * Comprehend links keep the higher confidence. The target becomes 'manual'
+ * if any of the merged tags was manual. Tag suggestions move to the target
+ * too (unless the post already has it).
+ */
+adminRouter.post('/tags/:id/merge', async (req: Request, res: Response) => {
+  try {
+    const targetId = Number(req.params.id);
+    const sourceIds: number[] = Array.isArray(req.body.source_ids)
+      ? req.body.source_ids.map(Number).filter((id: number) => Number.isInteger(id))
+      : [];
+
+    if (!Number.isInteger(targetId) || sourceIds.length === 0) {
+      res.status(400).json({ error: 'source_ids must be a non-empty array of tag IDs' });
+      return;
+    }
+    if (sourceIds.includes(targetId)) {
+      res.status(400).json({ error: 'A tag cannot be merged into itself' });
+      return;
+    }
+
+    const merged = await withTransaction(async (client) => {
+      const tags = await client.query(
+        'SELECT id, source FROM tags WHERE id = ANY($1::int[]) FOR UPDATE',
+        [[targetId, ...sourceIds]]
+      );
+      if (tags.rows.length !== new Set([targetId, ...sourceIds]).size) {
+        return null;
+      }
+
+      await client.query(
+        `INSERT INTO post_tags (post_id, tag_id, confidence)
+        SELECT post_id, $1,
+          CASE WHEN COUNT(*) FILTER (WHERE confidence IS NULL) > 0 THEN NULL ELSE MAX(confidence) END
+        FROM post_tags
+        WHERE tag_id = ANY($2::int[])
+        GROUP BY post_id
+        ON CONFLICT (post_id, tag_id) DO UPDATE SET confidence =
+          CASE
+            WHEN post_tags.confidence IS NULL OR EXCLUDED.confidence IS NULL THEN NULL
+            ELSE GREATEST(post_tags.confidence, EXCLUDED.confidence)
+          END`,
+        [targetId, sourceIds]
+      );
+
+      await client.query(
+        `INSERT INTO post_tag_suggestions (post_id, tag_id, confidence, status, created_at)
+        SELECT DISTINCT ON (s.post_id) s.post_id, $1, s.confidence, s.status, s.created_at
+        FROM post_tag_suggestions s
+        WHERE s.tag_id = ANY($2::int[])
+          AND NOT EXISTS (SELECT 1 FROM post_tags pt WHERE pt.post_id = s.post_id AND pt.tag_id = $1)
+        ORDER BY s.post_id, s.confidence DESC
+        ON CONFLICT (post_id, tag_id) DO NOTHING`,
+        [targetId, sourceIds]
+      );
+
+      // Links and suggestions of the source tags go with them (ON DELETE CASCADE)
+      await client.query('DELETE FROM tags WHERE id = ANY($1::int[])', [sourceIds]);
+
+      const anyManual = tags.rows.some((t) => t.source === 'manual');
+      const result = await client.query(
+        `UPDATE tags SET source = CASE WHEN $2 THEN 'manual' ELSE source END
+        WHERE id = $1
+        RETURNING *`,
+        [targetId, anyManual]
+      );
+      return result.rows[0];
+    });
+
+    if (!merged) {
+      res.status(404).json({ error: 'Tag not found' });
+      return;
+    }
+
+    res.json({ ...merged, merged_ids: sourceIds });
+  } catch (err) {
+    console.error('Error merging tags:', err);
+    res.status(500).json({ error: 'Failed to merge tags' });
+  }
+});
+
+/**
+ * DELETE /api/admin/tags/orphans - Delete all tags that no post uses
+ *
+ * Tags with suggestions are kept: a rejected suggestion must stay rejected.
+ * Returns { deleted, tags } with the names of the removed tags.
+ */
+adminRouter.delete('/tags/orphans', async (_req: Request, res: Response) => {
+  try {
+    const result = await query(`
+      DELETE FROM tags t
+      WHERE NOT EXISTS (SELECT 1 FROM post_tags pt WHERE pt.tag_id = t.id)
+        AND NOT EXISTS (SELECT 1 FROM post_tag_suggestions s WHERE s.tag_id = t.id)
+      RETURNING t.name
+    `);
+
+    res.json({
+      deleted: result.rows.length,
+      tags: result.rows.map((row) => row.name),
+    });
+  } catch (err) {
+    console.error('Error deleting orphan tags:', err);
+    res.status(500).json({ error: 'Failed to delete orphan tags' });
+  }
+});
+
+/**
+ * Validate title / slug / description of a series from the request body
+ *
+ * With requireTitle (create) the title must be set; otherwise only the
+ * given fields are checked. The slug is generated from the title when
+ * a new series has none. Returns the fields, or an error message.
+ */
+function parseSeriesFields(
+  body: Record<string, unknown>,
+  requireTitle: boolean
+): { title?: string; slug?: string; description?: string | null } | string {
+  const fields: { title?: string; slug?: string; description?: string | null } = {};
+
+  if (body.title !== undefined || requireTitle) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) return 'Title is required';
+    if (title.length > 255) return 'Title must be 255 characters or less';
+    fields.title = title;
+  }
+  if (body.slug !== undefined && body.slug !== null && body.slug !== '') {
+    const slug = typeof body.slug === 'string' ? slugify(body.slug) : '';
+    if (!slug) return 'Slug must contain letters or numbers';
+    fields.slug = slug;
+  } else if (requireTitle) {
+    fields.slug = slugify(fields.title!) || 'series';
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return 'Description must be a string';
+    }
+    fields.description = body.description?.trim() || null;
+  }
+  return fields;
+}
+
+/**
+ * Check for a unique violation on series.slug
+ */
+function isSeriesSlugConflict(err: unknown): boolean {
+  return (err as { constraint?: string }).constraint === 'series_slug_key';
+}
+
+/**
+ * Load a series with all its parts (any status) in series order
+ */
+async function findSeriesWithParts(id: number | string) {
+  const seriesResult = await query('SELECT * FROM series WHERE id = $1', [id]);
+  if (seriesResult.rows.length === 0) return null;
+
+  const partsResult = await query(
+    `
+    SELECT id, title, slug, status, series_position, published_at
+    FROM posts
+    WHERE series_id = $1
+    ORDER BY series_position NULLS LAST, published_at, id
+  `,
+    [id]
+  );
+  return { ...seriesResult.rows[0], posts: partsResult.rows };
+}
+
+/**
+ * GET /api/admin/series - List all series
+ *
+ * post_count counts the parts in any status, published_count the ones
+ * readers see (GET /api/series/:slug). Sorted by title.
+ */
+adminRouter.get('/series', async (_req: Request, res: Response) => {
+  try {
+    const result = await query(`
+      SELECT
+        s.id, s.title, s.slug, s.description, s.created_at, s.updated_at,
+        COUNT(p.id)::int AS post_count,
+        COUNT(p.id) FILTER (WHERE p.status = 'published')::int AS published_count
+      FROM series s
+      LEFT JOIN posts p ON p.series_id = s.id
+      GROUP BY s.id
+      ORDER BY s.title
+    `);
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching series:', err);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+/**
+ * GET /api/admin/series/:id - Series with all its parts
+ *
+ * posts lists drafts and scheduled parts too, in series order.
+ */
+adminRouter.get('/series/:id', async (req: Request, res: Response) => {
+  try {
+    const series = await findSeriesWithParts(String(req.params.id));
+    if (!series) {
+      res.status(404).json({ error: 'Series not found' });
+      return;
+    }
+
+    res.json(series);
+  } catch (err) {
+    console.error('Error fetching series:', err);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
+
+/**
+ * POST /api/admin/series - Create a series
+ *
+ * Expects { title, description?, slug? }. The slug is generated from the
+ * title unless given; 409 when another series uses it. Posts join a
+ * series with series_id in POST/PUT /api/posts.
+ */
+adminRouter.post('/series', async (req: Request, res: Response) => {
+  try {
+    const fields = parseSeriesFields(req.body ?? {}, true);
+    if (typeof fields === 'string') {
+      res.status(400).json({ error: fields });
+      return;
+    }
+
+    const result = await query(
+      `INSERT INTO series (title, slug, description)
+      VALUES ($1, $2, $3)
+      RETURNING *`,
+      [fields.title, fields.slug, fields.description ?? null]
+    );
+
+    res.status(201).json({ ...result.rows[0], posts: [] });
+  } catch (err) {
+    if (isSeriesSlugConflict(err)) {
+      res.status(409).json({ error: 'Another series already uses this slug' });
+      return;
+    }
+    console.error('Error creating series:', err);
+    res.status(500).json({ error: 'Failed to create series' });
+  }
+});
+
+/**
+ * PUT /api/admin/series/:id - Update a series
+ *
+ * Accepts partial updates of title, slug and description (a new title
+ * keeps the slug, so links stay valid). post_ids sets the order of the
+ * parts and must list exactly the posts of the series (400 otherwise).
+ * Returns the series with its parts like GET /api/admin/series/:id.
+ */
+adminRouter.put('/series/:id', async (req: Request, res: Response) => {
+  try {
+    const fields = parseSeriesFields(req.body ?? {}, false);
+    if (typeof fields === 'string') {
+      res.status(400).json({ error: fields });
+      return;
+    }
+
+    const postIds = req.body?.post_ids;
+    if (
+      postIds !== undefined &&
+      (!Array.isArray(postIds) || !postIds.every((id: unknown) => Number.isInteger(id)))
+    ) {
+      res.status(400).json({ error: 'post_ids must be an array of post IDs' });
+      return;
+    }
+
+    const updates: string[] = [];
+    const values: unknown[] = [];
+    for (const [column, value] of Object.entries(fields)) {
+      values.push(value);
+      updates.push(`${column} = $${values.length}`);
+    }
+    updates.push('updated_at = NOW()');
+    values.push(req.params.id);
+
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query('SELECT id FROM series WHERE id = $1 FOR UPDATE', [
+        req.params.id,
+      ]);
+      if (found.rows.length === 0) return 'missing';
+
+      if (postIds !== undefined) {
+        const parts = await client.query('SELECT id FROM posts WHERE series_id = $1', [
+          req.params.id,
+        ]);
+        const current = parts.rows.map((row) => row.id).sort((a, b) => a - b);
+        const requested = [...postIds].sort((a, b) => a - b);
+        if (current.length !== requested.length || current.some((id, i) => id !== requested[i])) {
+          return 'mismatch';
+        }
+
+        await client.query(
+          `UPDATE posts p SET series_position = o.position
+          FROM unnest($1::int[]) WITH ORDINALITY AS o(id, position)
+          WHERE p.id = o.id`,
+          [postIds]
+        );
+      }
+
+      await client.query(
+        `UPDATE series SET ${updates.join(', ')} WHERE id = $${values.length}`,
+        values
+      );
+      return 'updated';
+    });
+
+    if (outcome === 'missing') {
+      res.status(404).json({ error: 'Series not found' });
+      return;
+    }
+    if (outcome === 'mismatch') {
+      res.status(400).json({ error: 'post_ids must list exactly the posts of the series' });
+      return;
+    }
+
+    res.json(await findSeriesWithParts(String(req.params.id)));
+  } catch (err) {
+    if (isSeriesSlugConflict(err)) {
+      res.status(409).json({ error: 'Another series already uses this slug' });
+      return;
+    }
+    console.error('Error updating series:', err);
+    res.status(500).json({ error: 'Failed to update series' });
+  }
+});
+
+/**
+ * DELETE /api/admin/series/:id - Delete a series
+ *
+ * Its posts are kept and no longer belong to a series (ON DELETE SET NULL).
+ */
+adminRouter.delete('/series/:id', async (req: Request, res: Response) => {
+  try {
+    const result = await query('DELETE FROM series WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      res.status(404).json({ error: 'Series not found' });
+      return;
+    }
+
+    res.json({ message: 'Series deleted' });
+  } catch (err) {
+    console.error('Error deleting series:', err);
+    res.status(500).json({ error: 'Failed to delete series' });
+  }
+});
+
+/**
+ * Read an image upload (the raw file bytes) into req.body as a Buffer
+ *
+ * Other content types get 415 and uploads above UPLOAD_MAX_BYTES 413,
+ * as JSON like the other API errors.
+ */
+function readImageBody(req: Request, res: Response, next: NextFunction): void {
+  if (!req.is(Object.keys(IMAGE_TYPES))) {
+    res.status(415).json({ error: 'Only JPEG, PNG, WebP and GIF images can be uploaded' });
+    return;
+  }
+
+  const limit = maxUploadBytes();
+  express.raw({ type: () => true, limit })(req, res, (err?: unknown) => {
+    if (err) {
+      const tooLarge = (err as { status?: number }).status === 413;
+      res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? `Image must be ${Math.floor(limit / 1024 / 1024)} MB or less`
+          : 'Failed to read upload',
+      });
+      return;
+    }
+    next();
+  });
+}
+
+/**
+ * POST /api/admin/images - Upload a cover or inline image
+ *
+ * The body is the image file itself, with its type as Content-Type
+ * (image/jpeg, image/png, image/webp or image/gif).
+ *
+ * Query parameters:
+ *   ?filename=photo.jpg - Original file name, used for the stored name
+ *
+ * The file is checked (the content must match the type), stripped of
+ * metadata and stored with WebP variants (see services/images.ts), then
+ * added to the media library. Returns 201 with
+ * { id, url, width, height, type, bytes, variants: [{ width, url }] }
+ * (id is the media library entry, null if it could not be saved).
+ */
+adminRouter.post('/images', readImageBody, async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    const mimeType = String(req.is(Object.keys(IMAGE_TYPES)));
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      res.status(400).json({ error: 'The upload is empty' });
+      return;
+    }
+
+    const image = await processImage(req.body, mimeType);
+    if (!image) {
+      res.status(400).json({ error: `The file is not a valid ${mimeType} image` });
+      return;
+    }
+
+    const filename = typeof req.query.filename === 'string' ? req.query.filename : 'image';
+    const stored = await storeImage(image, filename);
+    if (!stored) {
+      res.status(500).json({ error: 'Failed to store image' });
+      return;
+    }
+
+    const id = await recordMedia({
+      key: stored.url.slice(1),
+      kind: 'image',
+      contentType: stored.type,
+      originalName: filename.slice(0, 255),
+      width: stored.width,
+      height: stored.height,
+      sizeBytes: stored.bytes,
+      variants: stored.variants,
+      createdBy: req.user?.sub ?? null,
+    });
+
+    res.status(201).json({ id, ...stored });
+  } catch (err) {
+    console.error('Error uploading image:', err);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+});
+
+/**
+ * GET /api/admin/media - Media library
+ *
+ * Query parameters:
+ *   ?search=photo   - Match the original file name or the storage key
+ *   ?kind=image     - Only images ('image') or only MP3s ('audio')
+ *   ?usage=unused   - Only files no post uses ('unused') or only used ones ('used')
+ *
+ * Returns the files newest first; used_by lists the posts using each file
+ * ([{ id, title, slug, status }], see services/media.ts).
+ */
+adminRouter.get('/media', async (req: Request, res: Response) => {
+  try {
+    const filters: MediaFilters = {};
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      filters.search = req.query.search.trim();
+    }
+    if (req.query.kind === 'image' || req.query.kind === 'audio') {
+      filters.kind = req.query.kind;
+    }
+    if (req.query.usage === 'used' || req.query.usage === 'unused') {
+      filters.usage = req.query.usage;
+    }
+
+    res.json(await listMedia(filters));
+  } catch (err) {
+    console.error('Error fetching media:', err);
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+});
+
+/**
+ * GET /api/admin/media/orphan-audio - Polly MP3s no post uses anymore
+ *
+ * Lists the audio/post-*.mp3 files in S3 without a post_audio row
+ * (left behind by deleted posts). Returns { keys }.
+ */
+adminRouter.get('/media/orphan-audio', async (_req: Request, res: Response) => {
+  try {
+    res.json({ keys: await findOrphanAudio() });
+  } catch (err) {
+    console.error('Error finding orphan audio:', err);
+    res.status(500).json({ error: 'Failed to find orphaned audio files' });
+  }
+});
+
+/**
+ * DELETE /api/admin/media/orphan-audio - Delete the orphaned Polly MP3s
+ *
+ * Deletes the files listed by GET /api/admin/media/orphan-audio from S3
+ * and the media library. Returns { deleted, keys }.
+ */
+adminRouter.delete('/media/orphan-audio', async (_req: Request, res: Response) => {
+  try {
+    const keys = await findOrphanAudio();
+    if (keys.length > 0 && !(await deleteStoredFiles(keys))) {
+      res.status(500).json({ error: 'Failed to delete orphaned audio files' });
+      return;
+    }
+
+    await forgetMedia(keys);
+    res.json({ deleted: keys.length, keys });
+  } catch (err) {
+    console.error('Error deleting orphan audio:', err);
+    res.status(500).json({ error: 'Failed to delete orphaned audio files' });
+  }
+});
+
+/**
+ * DELETE /api/admin/media/:id - Delete a file from storage and the library
+ *
+ * Refuses with 409 while a post uses the file (used_by lists them):
+ * remove it from those posts first. Images are deleted with their variants.
+ */
+adminRouter.delete('/media/:id', async (req: Request, res: Response) => {
+  try {
+    const id = Number(req.params.id);
+    const media = Number.isInteger(id) ? await findMedia(id) : null;
+    if (!media) {
+      res.status(404).json({ error: 'Media not found' });
+      return;
+    }
+
+    if (media.used_by.length > 0) {
+      res.status(409).json({
+        error: 'This file is still used by a post',
+        used_by: media.used_by,
+      });
+      return;
+    }
+
+    const variantKeys = (media.variants as { url: string }[]).map((v) => v.url.slice(1));
+    if (!(await deleteStoredFiles([media.s3_key, ...variantKeys]))) {
+      res.status(500).json({ error: 'Failed to delete file from storage' });
+      return;
+    }
+
+    await query('DELETE FROM media WHERE id = $1', [media.id]);
+    res.json({ message: 'Media deleted' });
+  } catch (err) {
+    console.error('Error deleting media:', err);
+    res.status(500).json({ error: 'Failed to delete media' });
+  }
+});
+
+/**
+ * GET /api/admin/posts/:id/export - Download a post as Markdown
+ *
+ * YAML front matter (title, slug, status, category, tags, dates, cover)
+ * plus the Markdown content, see services/frontmatter.ts.
+ *
+ * Query parameters:
+ *   ?translations=1 - Include the current English translation
+ */
+adminRouter.get('/posts/:id/export', async (req: Request, res: Response) => {
+  try {
+    const id = Number(req.params.id);
+    const exported = Number.isInteger(id)
+      ? await exportPost(id, req.query.translations === '1')
+      : null;
+    if (!exported) {
+      res.status(404).json({ error: 'Post not found' });
+      return;
+    }
+
+    res.type('text/markdown; charset=utf-8').attachment(`${exported.slug}.md`).send(exported.text);
+  } catch (err) {
+    console.error('Error exporting post:', err);
+    res.status(500).json({ error: 'Failed to export post' });
+  }
+});
+
+/**
+ * GET /api/admin/export - Download all posts as a zip of Markdown files
+ *
+ * One <slug>.md per post (any status), same format as a single export.
+ *
+ * Query parameters:
+ *   ?translations=1 - Include the current English translations
+ */
+adminRouter.get('/export', async (req: Request, res: Response) => {
+  try {
+    const zip = await exportAllPosts(req.query.translations === '1');
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.type('application/zip').attachment(`blog-posts-${date}.zip`).send(zip);
+  } catch (err) {
+    console.error('Error exporting posts:', err);
+    res.status(500).json({ error: 'Failed to export posts' });
+  }
+});
+
+/**
+ * Read an import upload (one Markdown file or a zip) into req.body as a Buffer
+ */
+function readImportBody(req: Request, res: Response, next: NextFunction): void {
+  if (!req.is(['application/zip', 'text/markdown', 'text/plain'])) {
+    res.status(415).json({ error: 'Upload a Markdown file (text/markdown) or a zip' });
+    return;
+  }
+
+  express.raw({ type: () => true, limit: MAX_IMPORT_BYTES })(req, res, (err?: unknown) => {
+    if (err) {
+      const tooLarge = (err as { status?: number }).status === 413;
+      res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? `Import must be ${MAX_IMPORT_BYTES / 1024 / 1024} MB or less`
+          : 'Failed to read upload',
+      });
+      return;
+    }
+    next();
+  });
+}
+
+/**
+ * POST /api/admin/import - Import posts from Markdown files
+ *
+ * The body is one Markdown file with front matter (text/markdown) or a
+ * zip of them (application/zip), e.g. from GET /api/admin/export.
+ * Posts are matched by slug: new slugs are created, existing posts updated.
+ *
+ * Query parameters:
+ *   ?apply=1 - Write the changes. Without it the import is a dry run.
+ *
+ * Returns { applied, summary, posts } with the plan of every file (see
+ * services/transfer.ts). When a file is invalid nothing is written and
+ * an apply answers 400 with the same report.
+ */
+adminRouter.post('/import', readImportBody, async (req: AuthenticatedRequest, res: Response) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      res.status(400).json({ error: 'The upload is empty' });
+      return;
+    }
+
+    let files: ImportFile[];
+    if (req.is('application/zip')) {
+      try {
+        files = readImportArchive(req.body);
+      } catch (err) {
+        res.status(400).json({ error: `Invalid zip: ${(err as Error).message}` });
+        return;
+      }
+    } else {
+      files = [{ name: 'upload.md', text: req.body.toString('utf-8') }];
+    }
+    if (files.length === 0) {
+      res.status(400).json({ error: 'The zip contains no Markdown files' });
+      return;
+    }
+
+    const apply = req.query.apply === '1';
+    const report = await importPosts(files, { apply, authorSub: req.user?.sub ?? null });
+    if (apply && !report.applied) {
+      res.status(400).json({ error: 'Some files are invalid, nothing was imported', ...report });
+      return;
+    }
+
+    res.json(report);
+  } catch (err) {
+    console.error('Error importing posts:', err);
+    res.status(500).json({ error: 'Failed to import posts' });
+  }
+});
@@ -2,37 +2,55 @@
  * comments.ts - Comment API routes
  *
  * Handles comments on blog posts:
- *   GET    /posts/:postId/comments  - List approved comments for a post
- *   POST   /posts/:postId/comments  - Submit a new comment (public)
+ *   GET    /posts/:postId/comments  - List approved comments for a post (as threads)
+ *   POST   /posts/:postId/comments  - Submit a new comment or reply (public)
  *   PUT    /comments/:id/status     - Moderate a comment (admin only, later)
+ *   GET    /comments/notifications/confirm     - Double opt-in link (email)
+ *   GET    /comments/notifications/unsubscribe - Unsubscribe link (email)
+ *   POST   /comments/notifications/unsubscribe - One-click unsubscribe of mail clients
  */
 
 import { Router, Request, Response } from 'express';
 import { query } from '../models/database';
-import { CreateCommentRequest } from '../models/types';
+import { CommentStatus, CreateCommentRequest } from '../models/types';
 import { requireAuth } from '../middleware/auth';
 import { notifyNewComment } from '../services/telegram';
 import { analyzeSentiment } from '../services/comprehend';
+import { buildCommentTree, findReplyTarget } from '../services/comments';
+import {
+  confirmSubscription,
+  emailLinkPage,
+  isValidEmail,
+  notifyCommentsApproved,
+  queueApprovalNotifications,
+  SubscribeResult,
+  subscribeToComment,
+  unsubscribe,
+} from '../services/notifications';
+import { scoreComment, trainComment } from '../services/spam';
+import { hashEmail, hashIpRange, judgeCommenter } from '../services/rules';
 
 export const commentsRouter = Router();
 
 /**
  * GET /posts/:postId/comments - List all approved comments for a post
  *
- * Only returns approved comments (not pending, flagged, or deleted).
- * Sorted by oldest first (natural reading order).
+ * Only returns approved comments (not pending, flagged, spam or deleted).
+ * Returns threads: the comments on the post, each with its replies
+ * (nested, see services/comments.ts). Sorted by oldest first on every
+ * level (natural reading order). is_author marks replies of the blog author.
  */
 commentsRouter.get('/posts/:postId/comments', async (req: Request, res: Response) => {
   try {
     const result = await query(
-      `SELECT id, author_name, content, created_at
+      `SELECT id, parent_id, author_name, content, is_author, created_at
       FROM comments
       WHERE post_id = $1 AND status = 'approved'
-      ORDER BY created_at ASC`,
+      ORDER BY created_at ASC, id ASC`,
       [req.params.postId]
     );
 
-    res.json(result.rows);
+    res.json(buildCommentTree(result.rows));
   } catch (err) {
     console.error('Error fetching comments:', err);
     res.status(500).json({ error: 'Failed to fetch comments' });
@@ -43,13 +61,29 @@ commentsRouter.get('/posts/:postId/comments', async (req: Request, res: Response
  * POST /posts/:postId/comments - Submit a new comment
  *
  * Anyone can comment (no login required).
+ * With parent_id the comment is a reply to an approved comment of the
+ * same post (at the deepest level it joins that comment's thread level).
  * New comments start with status "pending" until moderated.
+ * With notify: true (and author_email) the commenter opts in to emails on
+ * approval and replies; notifications in the response tells whether the
+ * address still has to be confirmed ("confirm"), is confirmed ("active")
+ * or no mail is set up ("unavailable"). See services/notifications.ts.
+ * The spam filter scores every comment first (services/spam.ts, using the
+ * hidden website field and form_token = comment_token of the post). Spam
+ * is saved with status "spam" and stops there -- no Telegram message, no
+ * Comprehend, no emails -- but the answer looks like any other pending
+ * comment, so bots learn nothing from it.
+ * Before that the block and allow rules of the dashboard are checked
+ * (services/rules.ts): a blocked comment is saved as "deleted" and answered
+ * the same way; an allow rule or a trusted returning commenter (same email)
+ * gets "approved" right away, unless the spam filter objects.
  * After saving, runs Comprehend sentiment analysis in the background (non-blocking).
  */
 commentsRouter.post('/posts/:postId/comments', async (req: Request, res: Response) => {
   try {
     const { postId } = req.params;
-    const { author_name, author_email, content } = req.body as CreateCommentRequest;
+    const { author_name, author_email, content, parent_id, notify, language, website, form_token } =
+      req.body as CreateCommentRequest;
 
     // Validate required fields
     if (!author_name || !content) {
@@ -71,6 +105,10 @@ commentsRouter.post('/posts/:postId/comments', async (req: Request, res: Respons
       res.status(400).json({ error: 'Email must be 255 characters or less' });
       return;
     }
+    if (notify === true && !(typeof author_email === 'string' && isValidEmail(author_email))) {
+      res.status(400).json({ error: 'A valid email address is required for notifications' });
+      return;
+    }
 
     // Check if the post exists
     // Also fetch title for the Telegram notification
@@ -83,15 +121,88 @@ commentsRouter.post('/posts/:postId/comments', async (req: Request, res: Respons
     // Fetch post title for the notification message
     const postTitle = postCheck.rows[0].title || 'Unknown post';
 
+    // A reply: only to comments readers can see
+    let parentId: number | null = null;
+    let depth = 0;
+    if (parent_id !== undefined && parent_id !== null) {
+      const target = Number.isInteger(parent_id) ? await findReplyTarget(parent_id) : null;
+      if (!target || target.postId !== Number(postId) || target.status !== 'approved') {
+        res.status(400).json({ error: 'parent_id must be an approved comment on this post' });
+        return;
+      }
+      parentId = target.parentId;
+      depth = target.depth;
+    }
+
+    // Block and allow rules, trusted commenters
+    const emailHash = hashEmail(author_email);
+    const ipHash = hashIpRange(req.ip);
+    const verdict = await judgeCommenter({
+      emailHash,
+      ipHash,
+      authorName: author_name,
+      content,
+    });
+
+    // Blocked comments are not worth a spam check
+    const spam =
+      verdict.action === 'block'
+        ? null
+        : await scoreComment({
+            postId: Number(postId),
+            authorName: author_name,
+            content,
+            website,
+            formToken: form_token,
+          });
+
+    let status: CommentStatus = 'pending';
+    if (!spam) status = 'deleted';
+    else if (spam.isSpam) status = 'spam';
+    else if (verdict.action === 'allow') status = 'approved';
+    const decidedByRule = status === 'deleted' || status === 'approved';
+
     const result = await query(
-      `INSERT INTO comments (post_id, author_name, author_email, content)
-      VALUES ($1, $2, $3, $4)
-      RETURNING id, author_name, content, status, created_at`,
-      [postId, author_name, author_email || null, content]
+      `INSERT INTO comments
+        (post_id, author_name, author_email, content, parent_id, depth,
+         status, spam_score, spam_reasons, content_fingerprint,
+         email_hash, ip_hash, rule_id, trusted)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING id, parent_id, author_name, content, status, created_at`,
+      [
+        postId,
+        author_name,
+        author_email || null,
+        content,
+        parentId,
+        depth,
+        status,
+        spam?.score ?? null,
+        spam?.reasons ?? null,
+        spam?.fingerprint ?? null,
+        emailHash,
+        ipHash,
+        decidedByRule ? verdict.ruleId : null,
+        decidedByRule && verdict.trusted,
+      ]
     );
 
     const commentId = result.rows[0].id;
 
+    if (status === 'deleted' || status === 'spam') {
+      console.info(
+        status === 'deleted'
+          ? `Comment ${commentId} blocked by rule ${verdict.ruleId}`
+          : `Comment ${commentId} marked as spam: ${spam?.reasons.join(', ')}`
+      );
+      res.status(201).json({
+        ...result.rows[0],
+        status: 'pending',
+        notifications: notify === true ? 'confirm' : null,
+      });
+      return;
+    }
+
     // Send Telegram notification (non-blocking, never fails the request)
     notifyNewComment({
       authorName: author_name,
@@ -128,7 +239,29 @@ commentsRouter.post('/posts/:postId/comments', async (req: Request, res: Respons
       })
       .catch(() => {});
 
-    res.status(201).json(result.rows[0]);
+    // Email notifications (double opt-in); a failure does not fail the comment
+    let notifications: SubscribeResult | null = null;
+    if (notify === true) {
+      notifications = await subscribeToComment({
+        commentId,
+        email: author_email as string,
+        language: language === 'en' ? 'en' : 'de',
+        authorName: author_name,
+        postTitle,
+      }).catch((err): SubscribeResult => {
+        console.error('Error subscribing to comment notifications:', err);
+        return 'unavailable';
+      });
+    }
+
+    // Approved by a rule or trust: the emails go out like after moderation
+    if (status === 'approved') {
+      notifyCommentsApproved([commentId]).catch((err) =>
+        console.warn('Comment notifications failed:', (err as Error).message)
+      );
+    }
+
+    res.status(201).json({ ...result.rows[0], notifications });
   } catch (err) {
     console.error('Error creating comment:', err);
     res.status(500).json({ error: 'Failed to create comment' });
@@ -136,15 +269,18 @@ commentsRouter.post('/posts/:postId/comments', async (req: Request, res: Respons
 });
 
 /**
- * PUT /comments/:id/status - Moderate a comment (approve, flag, delete)
+ * PUT /comments/:id/status - Moderate a comment (approve, flag, mark as spam, delete)
  *
- * Changes the status of a comment.
+ * Changes the status of a comment. Approving it sends the notification
+ * emails (once per comment) after the undo window of the admin comments
+ * page (queueApprovalNotifications). The decision trains the
+ * spam filter: approved = ham, spam and deleted = spam.
  * Protected: requires valid Cognito JWT (admin only).
  */
 commentsRouter.put('/comments/:id/status', requireAuth, async (req: Request, res: Response) => {
   try {
     const { status } = req.body;
-    const validStatuses = ['pending', 'approved', 'flagged', 'deleted'];
+    const validStatuses = ['pending', 'approved', 'flagged', 'spam', 'deleted'];
 
     if (!status || !validStatuses.includes(status)) {
       res.status(400).json({ error: `Status must be one of: ${validStatuses.join(', ')}` });
@@ -161,9 +297,72 @@ commentsRouter.put('/comments/:id/status', requireAuth, async (req: Request, res
       return;
     }
 
+    // A failed training run does not undo the decision
+    await trainComment(result.rows[0].id, status).catch((err) =>
+      console.warn('Spam filter training failed:', (err as Error).message)
+    );
+
+    if (status === 'approved') {
+      await queueApprovalNotifications([result.rows[0].id]).catch((err) =>
+        console.warn('Comment notifications failed:', (err as Error).message)
+      );
+    }
+
     res.json(result.rows[0]);
   } catch (err) {
     console.error('Error updating comment:', err);
     res.status(500).json({ error: 'Failed to update comment status' });
   }
 });
+
+/**
+ * GET /comments/notifications/confirm?token= - Confirm email notifications
+ *
+ * The link of the confirmation email (double opt-in). Redirects to the
+ * post with ?email=confirmed, or ?email=invalid for a forged or expired link.
+ */
+commentsRouter.get('/comments/notifications/confirm', async (req: Request, res: Response) => {
+  try {
+    const result = await confirmSubscription(String(req.query.token ?? ''));
+    res.redirect(303, emailLinkPage(result.slug, result.ok ? 'confirmed' : 'invalid'));
+  } catch (err) {
+    console.error('Error confirming notifications:', err);
+    res.status(500).json({ error: 'Failed to confirm notifications' });
+  }
+});
+
+/**
+ * GET /comments/notifications/unsubscribe?token= - Unsubscribe link of an email
+ *
+ * Stops all emails to the address right away and redirects to the post
+ * with ?email=unsubscribed (or ?email=invalid).
+ */
+commentsRouter.get('/comments/notifications/unsubscribe', async (req: Request, res: Response) => {
+  try {
+    const result = await unsubscribe(String(req.query.token ?? ''));
+    res.redirect(303, emailLinkPage(result.slug, result.ok ? 'unsubscribed' : 'invalid'));
+  } catch (err) {
+    console.error('Error unsubscribing:', err);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+/**
+ * POST /comments/notifications/unsubscribe?token= - One-click unsubscribe
+ *
+ * Sent by mail clients for the List-Unsubscribe-Post header (RFC 8058),
+ * same token as the link.
+ */
+commentsRouter.post('/comments/notifications/unsubscribe', async (req: Request, res: Response) => {
+  try {
+    const result = await unsubscribe(String(req.query.token ?? ''));
+    if (!result.ok) {
+      res.status(400).json({ error: 'Invalid unsubscribe link' });
+      return;
+    }
+    res.json({ unsubscribed: true });
+  } catch (err) {
+    console.error('Error unsubscribing:', err);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
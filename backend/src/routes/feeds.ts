@@ -0,0 +1,205 @@
+/**
+ * feeds.ts - Feed routes (RSS 2.0, Atom, JSON Feed)
+ *
+ * Mounted at /api:
+ *   GET /feed.xml  - RSS 2.0
+ *   GET /atom.xml  - Atom
+ *   GET /feed.json - JSON Feed 1.1
+ *
+ * All three take the same query parameters:
+ *   ?lang=en             - English feed (cached translations, see translate.ts)
+ *   ?category=homelab    - Only posts of this category
+ *   ?tag=aws             - Only posts with this tag
+ *
+ * Responses carry an ETag (hash of the document) and Last-Modified (latest
+ * change of an entry), so feed readers polling with If-None-Match or
+ * If-Modified-Since get a 304 Not Modified when nothing changed.
+ *
+ * Links are absolute, based on SITE_URL (see site.ts).
+ */
+
+import { Router, Request, Response } from 'express';
+import { query } from '../models/database';
+import { translatePost } from '../services/translate';
+import { postContentHtml } from '../services/posts';
+import { contentHash } from '../services/hash';
+import { siteUrl } from '../services/site';
+import {
+  FEED_BUILDERS,
+  FEED_CONTENT_TYPES,
+  FeedEntry,
+  FeedFormat,
+  escapeXml,
+} from '../services/feed';
+
+export const feedsRouter = Router();
+
+// Number of posts in a feed (newest first)
+const FEED_SIZE = 20;
+
+// Used when a post has no author with a display name
+const DEFAULT_AUTHOR = 'Andy Schlegel';
+
+// Feed title and description per language
+const FEED_TEXTS: Record<string, { title: string; description: string }> = {
+  de: {
+    title: 'Blog - Andy Schlegel',
+    description:
+      'Tech Blog von Andy Schlegel -- AWS, Kubernetes, Terraform, Homelab und der Weg in die Cloud.',
+  },
+  en: {
+    title: 'Blog - Andy Schlegel',
+    description:
+      'Tech blog by Andy Schlegel -- AWS, Kubernetes, Terraform, homelab and the journey into the cloud.',
+  },
+};
+
+// Year for the tag: URIs of entry IDs (RFC 4151). Must never change,
+// otherwise every entry looks new to the readers.
+const TAG_URI_YEAR = 2026;
+
+/**
+ * Make root-relative links and image sources absolute. Feed readers show
+ * the content outside the blog, where "/img/..." would not resolve.
+ */
+function absoluteUrls(html: string, base: string): string {
+  return html.replace(/(src|href)="\/(?!\/)/g, `$1="${base}/`);
+}
+
+/**
+ * Send a feed in the given format
+ */
+function sendFeed(format: FeedFormat) {
+  return async (req: Request, res: Response) => {
+    try {
+      const { lang, category, tag } = req.query;
+      const language = lang === 'en' ? 'en' : 'de';
+      const conditions: string[] = ["p.status = 'published'"];
+      const values: unknown[] = [];
+      const filterNames: string[] = [];
+
+      // Category and tag filters are looked up first: unknown slugs are a 404,
+      // known ones are named in the feed title
+      if (typeof category === 'string' && category.trim()) {
+        const result = await query('SELECT id, name FROM categories WHERE slug = $1', [
+          category.trim(),
+        ]);
+        if (result.rows.length === 0) {
+          res.status(404).json({ error: 'Category not found' });
+          return;
+        }
+        values.push(result.rows[0].id);
+        conditions.push(`p.category_id = $${values.length}`);
+        filterNames.push(result.rows[0].name);
+      }
+
+      if (typeof tag === 'string' && tag.trim()) {
+        const result = await query('SELECT id, name FROM tags WHERE slug = $1', [tag.trim()]);
+        if (result.rows.length === 0) {
+          res.status(404).json({ error: 'Tag not found' });
+          return;
+        }
+        values.push(result.rows[0].id);
+        conditions.push(
+          `EXISTS (SELECT 1 FROM post_tags WHERE post_id = p.id AND tag_id = $${values.length})`
+        );
+        filterNames.push(result.rows[0].name);
+      }
+
+      values.push(FEED_SIZE);
+      const result = await query(
+        `SELECT
+          p.id, p.title, p.slug, p.excerpt, p.content, p.content_html, p.cover_image_url,
+          p.published_at, GREATEST(p.updated_at, p.published_at) AS updated_at,
+          c.name AS category_name, u.display_name AS author_name,
+          (SELECT COALESCE(json_agg(t.name ORDER BY t.name), '[]')
+            FROM post_tags pt JOIN tags t ON pt.tag_id = t.id
+            WHERE pt.post_id = p.id) AS tags
+        FROM posts p
+        LEFT JOIN categories c ON p.category_id = c.id
+        LEFT JOIN users u ON p.author_id = u.id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY p.published_at DESC, p.id DESC
+        LIMIT $${values.length}`,
+        values
+      );
+
+      const base = siteUrl(req);
+      const entries: FeedEntry[] = await Promise.all(
+        result.rows.map(async (post) => {
+          // Untranslated posts stay in the English feed, in German
+          const translation =
+            language === 'en'
+              ? await translatePost(post.id, post.title, post.content, post.excerpt)
+              : null;
+          const title = translation?.title ?? post.title;
+          let contentHtml = absoluteUrls(
+            translation?.content_html ?? (await postContentHtml(post)),
+            base
+          );
+          const imageUrl = post.cover_image_url
+            ? new URL(post.cover_image_url, `${base}/`).toString()
+            : null;
+          if (imageUrl) {
+            contentHtml = `<p><img src="${escapeXml(imageUrl)}" alt="${escapeXml(title)}" /></p>\n${contentHtml}`;
+          }
+
+          return {
+            id: language === 'en' ? `post-${post.id}/en` : `post-${post.id}`,
+            title,
+            url: `${base}/post.html?slug=${encodeURIComponent(post.slug)}`,
+            summary: translation ? translation.excerpt : post.excerpt,
+            contentHtml,
+            imageUrl,
+            author: post.author_name || DEFAULT_AUTHOR,
+            categories: [post.category_name, ...post.tags].filter(Boolean),
+            language: translation ? 'en' : 'de',
+            published: new Date(post.published_at),
+            updated: new Date(post.updated_at),
+          };
+        })
+      );
+
+      const lastModified = entries.reduce<Date | null>(
+        (latest, entry) => (!latest || entry.updated > latest ? entry.updated : latest),
+        null
+      );
+
+      const texts = FEED_TEXTS[language];
+      const queryString = req.originalUrl.includes('?')
+        ? req.originalUrl.slice(req.originalUrl.indexOf('?'))
+        : '';
+      const body = FEED_BUILDERS[format](
+        {
+          title: [texts.title, ...filterNames].join(' - '),
+          description: texts.description,
+          language,
+          homeUrl: `${base}/blog.html`,
+          feedUrl: `${base}${req.baseUrl}${req.path}${queryString}`,
+          idPrefix: `tag:${new URL(base).hostname},${TAG_URI_YEAR}:`,
+          updated: lastModified ?? new Date(),
+        },
+        entries
+      );
+
+      res.set('ETag', `"${contentHash(body)}"`);
+      if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+      res.set('Cache-Control', 'public, max-age=300');
+
+      // req.fresh compares If-None-Match / If-Modified-Since with the headers above
+      if (req.fresh) {
+        res.status(304).end();
+        return;
+      }
+
+      res.type(FEED_CONTENT_TYPES[format]).send(body);
+    } catch (err) {
+      console.error('Error building feed:', err);
+      res.status(500).json({ error: 'Failed to build feed' });
+    }
+  };
+}
+
+feedsRouter.get('/feed.xml', sendFeed('rss'));
+feedsRouter.get('/atom.xml', sendFeed('atom'));
+feedsRouter.get('/feed.json', sendFeed('json'));
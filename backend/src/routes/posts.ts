@@ -2,95 +2,305 @@
  * posts.ts - Blog post API routes
  *
  * Handles all CRUD operations for blog posts:
- *   GET    /posts          - List all published posts
+ *   GET    /posts          - List published posts (cursor-paginated)
  *   GET    /posts/:slug    - Get a single post by its URL slug
+ *   GET    /posts/:slug/adjacent - Previous/next post for navigation
+ *   GET    /posts/:slug/related  - Posts on similar topics (cards under the article)
+ *   POST   /posts/:id/view - Count a page view (beacon from the post page)
  *   POST   /posts          - Create a new post (admin only, later)
  *   PUT    /posts/:id      - Update a post (admin only, later)
  *   DELETE /posts/:id      - Delete a post (admin only, later)
  */
 
 import { Router, Request, Response } from 'express';
-import { query } from '../models/database';
-import { CreatePostRequest } from '../models/types';
+import { query, withTransaction } from '../models/database';
+import { AuthenticatedRequest, CreatePostRequest } from '../models/types';
 import { requireAuth } from '../middleware/auth';
 import { translatePost, getCachedTranslation } from '../services/translate';
+import { findPublishedPost, postColumns } from '../services/posts';
 import { getPostAudioUrl } from '../services/polly';
+import { buildSearchQuery, formatSnippet, HEADLINE_OPTIONS } from '../services/search';
+import { recordRevision } from '../services/revisions';
+import { prewarmCaches, runPublishHooks } from '../services/publish';
+import { replacePostTags } from '../services/tags';
+import { suggestTagsForPost } from '../services/autotag';
+import { recordSlugChange, slugify, uniquePostSlug } from '../services/slug';
+import { isUnknownSeries, nextSeriesPositionSql, parseSeriesId } from '../services/series';
+import { findRelatedPosts, MAX_RELATED } from '../services/related';
+import { renderMarkdown } from '../services/markdown';
+import { parseCoverImageUrl } from '../services/images';
+import { recordView } from '../services/views';
+import { issueCommentToken } from '../services/spam';
 
 export const postsRouter = Router();
 
+// Pagination defaults for GET /posts
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Number of related posts under an article (?limit, at most MAX_RELATED)
+const DEFAULT_RELATED = 3;
+
+// Position of a post in the list ordering (decoded from a cursor).
+// rank is only set for search results, which are ordered by relevance first.
+interface PostCursor {
+  publishedAt: string;
+  id: number;
+  rank?: string;
+}
+
+/**
+ * Encode a post position as an opaque cursor string.
+ *
+ * published_at and rank are passed as their Postgres text representation so
+ * the full precision survives the round trip (a JS Date would cut microseconds
+ * and skip posts published within the same millisecond).
+ */
+function encodeCursor(position: PostCursor): string {
+  return Buffer.from(
+    JSON.stringify({ p: position.publishedAt, i: position.id, r: position.rank })
+  ).toString('base64url');
+}
+
+/**
+ * Decode a cursor string from the query. Returns null if it is malformed.
+ */
+function decodeCursor(cursor: string): PostCursor | null {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (
+      typeof decoded.p !== 'string' ||
+      Number.isNaN(Date.parse(decoded.p)) ||
+      !Number.isInteger(decoded.i) ||
+      (decoded.r !== undefined && Number.isNaN(Number(decoded.r)))
+    ) {
+      return null;
+    }
+    return { publishedAt: decoded.p, id: decoded.i, rank: decoded.r };
+  } catch {
+    return null;
+  }
+}
+
+// Filters shared by the post list, the total count and the prev/next lookup
+interface PostFilters {
+  conditions: string[];
+  values: unknown[];
+  joinClause: string;
+  // Full-text search state, null when no search term is active
+  search: { paramIndex: number; english: boolean } | null;
+}
+
 /**
- * GET /posts - List published posts with optional filtering
+ * Build the WHERE conditions + joins shared by the post list, the total
+ * count and the prev/next lookup, so all of them see the same posts.
+ *
+ * Search uses the trigger-maintained tsvectors (see schema.sql): the German
+ * vector on posts, plus the English vector of the cached translation when
+ * ?lang=en is requested (untranslated posts stay findable in German).
+ *
+ * Placeholders start at $1; callers append their own values afterwards.
+ */
+function buildPostFilters(filters: Request['query']): PostFilters {
+  const { search, category, tag, lang } = filters;
+  const conditions: string[] = ["p.status = 'published'"];
+  const values: unknown[] = [];
+  const joins: string[] = [];
+  let searchState: PostFilters['search'] = null;
+  let paramIndex = 1;
+
+  const tsquery = search && typeof search === 'string' ? buildSearchQuery(search) : null;
+  if (tsquery) {
+    const english = lang === 'en';
+    if (english) {
+      joins.push("LEFT JOIN post_translations ptr ON ptr.post_id = p.id AND ptr.language = 'en'");
+      conditions.push(
+        `(p.search_vector @@ to_tsquery('german', $${paramIndex})
+          OR ptr.search_vector @@ to_tsquery('english', $${paramIndex}))`
+      );
+    } else {
+      conditions.push(`p.search_vector @@ to_tsquery('german', $${paramIndex})`);
+    }
+    searchState = { paramIndex, english };
+    values.push(tsquery);
+    paramIndex++;
+  }
+
+  if (category && typeof category === 'string' && category.trim()) {
+    conditions.push(`c.slug = $${paramIndex}`);
+    values.push(category.trim());
+    paramIndex++;
+  }
+
+  // Tag filter requires a join on post_tags + tags
+  if (tag && typeof tag === 'string' && tag.trim()) {
+    joins.push(`JOIN post_tags pt_filter ON p.id = pt_filter.post_id
+        JOIN tags t_filter ON pt_filter.tag_id = t_filter.id AND t_filter.slug = $${paramIndex}`);
+    values.push(tag.trim());
+  }
+
+  return { conditions, values, joinClause: joins.join('\n      '), search: searchState };
+}
+
+/**
+ * SQL expression ranking a post against the active search (ts_rank).
+ * For English requests the better of the German and English rank wins.
+ */
+function searchRankSql(search: NonNullable<PostFilters['search']>): string {
+  const german = `ts_rank(p.search_vector, to_tsquery('german', $${search.paramIndex}))`;
+  if (!search.english) return german;
+  return `GREATEST(${german},
+          COALESCE(ts_rank(ptr.search_vector, to_tsquery('english', $${search.paramIndex})), 0))`;
+}
+
+/**
+ * SQL expression for the highlighted snippet (ts_headline) of a search hit.
+ * Uses the cached English text when the request is English and one exists.
+ */
+function searchHeadlineSql(
+  search: NonNullable<PostFilters['search']>,
+  optionsIndex: number
+): string {
+  const headline = (cfg: string, alias: string) =>
+    `ts_headline('${cfg}', COALESCE(${alias}.excerpt, '') || E'\n\n' || ${alias}.content,
+          to_tsquery('${cfg}', $${search.paramIndex}), $${optionsIndex})`;
+  if (!search.english) return headline('german', 'p');
+  return `CASE WHEN ptr.post_id IS NOT NULL THEN ${headline('english', 'ptr')}
+          ELSE ${headline('german', 'p')} END`;
+}
+
+/**
+ * GET /posts - List published posts with optional filtering (cursor-paginated)
  *
  * Query parameters:
- *   ?search=terraform    - Search in title and excerpt (case-insensitive)
+ *   ?search=terraform    - Full-text search over title, excerpt, content and tags.
+ *                          Supports "exact phrases" and prefix* queries.
  *   ?category=devops-ci-cd - Filter by category slug
  *   ?tag=aws             - Filter by tag slug
  *   ?lang=en             - Return translated content (cached via Amazon Translate)
+ *   ?limit=12            - Page size (default 12, max 50)
+ *   ?cursor=...          - next_cursor from the previous page
+ *   ?order=asc           - Oldest first (default: newest first)
  *
- * Returns posts sorted by publish date (newest first).
+ * Returns { posts, next_cursor, total }. next_cursor is null on the last page,
+ * total is the number of posts matching the filters (across all pages).
  * Includes category name and tags for each post.
+ * Search results are ordered by relevance (ts_rank, ?order is ignored) and
+ * carry a "snippet": HTML-escaped text with the matches wrapped in <mark>.
  * Only returns published posts (not drafts or archived).
  */
 postsRouter.get('/', async (req: Request, res: Response) => {
   try {
-    const { search, category, tag, lang } = req.query;
+    const { lang, limit, cursor, order } = req.query;
     const targetLang = typeof lang === 'string' && lang === 'en' ? 'en' : null;
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
 
-    // Build WHERE clause dynamically with parameterized queries
-    const conditions: string[] = ["p.status = 'published'"];
-    const values: unknown[] = [];
-    let paramIndex = 1;
+    const pageSize = Math.min(
+      Math.max(parseInt(typeof limit === 'string' ? limit : '', 10) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE
+    );
 
-    if (search && typeof search === 'string' && search.trim()) {
-      conditions.push(`(p.title ILIKE $${paramIndex} OR p.excerpt ILIKE $${paramIndex})`);
-      values.push(`%${search.trim()}%`);
-      paramIndex++;
-    }
+    const { conditions, values, joinClause, search } = buildPostFilters(req.query);
+    const rankSql = search ? searchRankSql(search) : null;
+
+    // The total ignores the cursor, so it is computed before the cursor condition is added
+    const countConditions = [...conditions];
+    const countValues = [...values];
 
-    if (category && typeof category === 'string' && category.trim()) {
-      conditions.push(`c.slug = $${paramIndex}`);
-      values.push(category.trim());
-      paramIndex++;
+    // Cursor: continue after the last post of the previous page.
+    // Row comparison keeps posts with the same rank/published_at in a stable id order.
+    if (cursor !== undefined) {
+      const position = typeof cursor === 'string' ? decodeCursor(cursor) : null;
+      if (!position || (rankSql !== null) !== (position.rank !== undefined)) {
+        res.status(400).json({ error: 'Invalid cursor' });
+        return;
+      }
+      if (rankSql) {
+        conditions.push(
+          `(${rankSql}, p.published_at, p.id) < ($${values.length + 1}::real, $${values.length + 2}::timestamp, $${values.length + 3})`
+        );
+        values.push(position.rank, position.publishedAt, position.id);
+      } else {
+        const comparator = direction === 'DESC' ? '<' : '>';
+        conditions.push(
+          `(p.published_at, p.id) ${comparator} ($${values.length + 1}::timestamp, $${values.length + 2})`
+        );
+        values.push(position.publishedAt, position.id);
+      }
     }
 
-    // Tag filter requires a subquery to check post_tags + tags
-    let tagJoinClause = '';
-    if (tag && typeof tag === 'string' && tag.trim()) {
-      tagJoinClause = `JOIN post_tags pt_filter ON p.id = pt_filter.post_id
-        JOIN tags t_filter ON pt_filter.tag_id = t_filter.id AND t_filter.slug = $${paramIndex}`;
-      values.push(tag.trim());
-      paramIndex++;
+    // Snippet columns only exist for search requests
+    let searchColumns = '';
+    if (search && rankSql) {
+      values.push(HEADLINE_OPTIONS);
+      searchColumns = `,
+        (${rankSql})::text AS cursor_rank,
+        ${searchHeadlineSql(search, values.length)} AS search_headline`;
     }
 
-    const result = await query(
-      `SELECT
+    const orderBy = rankSql
+      ? `${rankSql} DESC, p.published_at DESC, p.id DESC`
+      : `p.published_at ${direction}, p.id ${direction}`;
+
+    // Fetch one extra row to find out whether another page exists
+    values.push(pageSize + 1);
+
+    const [result, countResult] = await Promise.all([
+      query(
+        `SELECT
         p.id, p.title, p.slug, p.excerpt, p.cover_image_url,
         p.featured, p.reading_time_minutes, p.view_count, p.like_count,
-        p.published_at,
+        p.published_at, p.published_at::text AS cursor_published_at,
         c.name AS category_name, c.slug AS category_slug,
         u.display_name AS author_name,
         (SELECT COUNT(*) FROM comments WHERE post_id = p.id AND status = 'approved')::int AS comment_count,
-        COALESCE(
-          json_agg(json_build_object('name', t.name, 'slug', t.slug))
-          FILTER (WHERE t.id IS NOT NULL), '[]'
-        ) AS tags
+        (SELECT COALESCE(json_agg(json_build_object('name', t.name, 'slug', t.slug)), '[]')
+          FROM post_tags pt JOIN tags t ON pt.tag_id = t.id
+          WHERE pt.post_id = p.id) AS tags${searchColumns}
       FROM posts p
       LEFT JOIN categories c ON p.category_id = c.id
       LEFT JOIN users u ON p.author_id = u.id
-      LEFT JOIN post_tags pt ON p.id = pt.post_id
-      LEFT JOIN tags t ON pt.tag_id = t.id
-      ${tagJoinClause}
+      ${joinClause}
       WHERE ${conditions.join(' AND ')}
-      GROUP BY p.id, c.name, c.slug, u.display_name
-      ORDER BY p.published_at DESC`,
-      values
-    );
+      ORDER BY ${orderBy}
+      LIMIT $${values.length}`,
+        values
+      ),
+      query(
+        `SELECT COUNT(DISTINCT p.id)::int AS total
+      FROM posts p
+      LEFT JOIN categories c ON p.category_id = c.id
+      ${joinClause}
+      WHERE ${countConditions.join(' AND ')}`,
+        countValues
+      ),
+    ]);
 
-    let posts = result.rows;
+    const hasMore = result.rows.length > pageSize;
+    const pageRows = hasMore ? result.rows.slice(0, pageSize) : result.rows;
+    const lastRow = pageRows[pageRows.length - 1];
+    const nextCursor =
+      hasMore && lastRow
+        ? encodeCursor({
+            publishedAt: lastRow.cursor_published_at,
+            id: lastRow.id,
+            rank: lastRow.cursor_rank ?? undefined,
+          })
+        : null;
+
+    // Cursor + raw headline columns are internal, don't leak them into the response
+    let posts = pageRows.map(
+      ({
+        cursor_published_at: _cursorPublishedAt,
+        cursor_rank: _cursorRank,
+        search_headline: searchHeadline,
+        ...post
+      }) => (search ? { ...post, snippet: formatSnippet(searchHeadline) } : post)
+    );
 
     // If English translation requested, translate title + excerpt for each post.
     // Uses cache when available, calls Amazon Translate on-demand for uncached posts.
-    // First request may be slower (translates all posts), subsequent requests are instant.
+    // Only the current page is translated, so the first request stays bounded.
     if (targetLang === 'en') {
       const translated = await Promise.all(
         posts.map(
@@ -116,7 +326,11 @@ postsRouter.get('/', async (req: Request, res: Response) => {
       posts = translated;
     }
 
-    res.json(posts);
+    res.json({
+      posts,
+      next_cursor: nextCursor,
+      total: countResult.rows[0]?.total ?? posts.length,
+    });
   } catch (err) {
     console.error('Error fetching posts:', err);
     res.status(500).json({ error: 'Failed to fetch posts' });
@@ -124,90 +338,249 @@ postsRouter.get('/', async (req: Request, res: Response) => {
 });
 
 /**
- * GET /posts/:slug - Get a single post by URL slug
+ * GET /posts/:slug/adjacent - Previous and next post for the post page navigation
  *
- * Returns the full post including Markdown content, tags, and metadata.
- * Also increments the view counter.
+ * Looks up the neighbours of a published post in published_at/id order,
+ * honouring the same filters as GET /posts so the links match the list
+ * the reader came from. With ?search= the neighbours follow the relevance
+ * order of the search results instead (?order is ignored, like GET /posts).
  *
  * Query parameters:
- *   ?lang=en - Return English translation (on-demand via Amazon Translate, cached in DB)
+ *   ?search=, ?category=, ?tag= - Same filters as GET /posts
+ *   ?order=desc                 - Newest first (default: chronological, like blog.html)
+ *   ?lang=en                    - Translated titles (cache only, never calls Translate)
+ *
+ * Returns { prev, next }, each { slug, title } or null.
  */
-postsRouter.get('/:slug', async (req: Request, res: Response) => {
+postsRouter.get('/:slug/adjacent', async (req: Request, res: Response) => {
   try {
-    const { lang } = req.query;
+    const { lang, order } = req.query;
     const targetLang = typeof lang === 'string' && lang === 'en' ? 'en' : null;
 
-    // Fetch the post with category and author info
-    const postResult = await query(
-      `SELECT
-        p.*,
-        c.name AS category_name, c.slug AS category_slug,
-        u.display_name AS author_name
-      FROM posts p
-      LEFT JOIN categories c ON p.category_id = c.id
-      LEFT JOIN users u ON p.author_id = u.id
-      WHERE p.slug = $1 AND p.status = 'published'`,
+    const currentResult = await query(
+      `SELECT id, published_at::text AS published_at
+      FROM posts
+      WHERE slug = $1 AND status = 'published'`,
       [req.params.slug]
     );
 
-    if (postResult.rows.length === 0) {
+    if (currentResult.rows.length === 0) {
       res.status(404).json({ error: 'Post not found' });
       return;
     }
 
-    const post = postResult.rows[0];
+    const current = currentResult.rows[0];
+    const { conditions, values, joinClause, search } = buildPostFilters(req.query);
+    const rankSql = search ? searchRankSql(search) : null;
+
+    // Rank of the current post in the search results (none when it is not a hit)
+    let rank: string | null = null;
+    if (rankSql) {
+      const rankResult = await query(
+        `SELECT (${rankSql})::text AS rank
+        FROM posts p
+        LEFT JOIN categories c ON p.category_id = c.id
+        ${joinClause}
+        WHERE ${conditions.join(' AND ')} AND p.id = $${values.length + 1}`,
+        [...values, current.id]
+      );
+      rank = rankResult.rows[0]?.rank ?? null;
+    }
+
+    // Sort key of the list and the position of the current post in it
+    const keyColumns = ['p.published_at', 'p.id'];
+    const positionSql = [`$${values.length + 1}::timestamp`, `$${values.length + 2}`];
+    values.push(current.published_at, current.id);
+    if (rankSql && rank !== null) {
+      keyColumns.unshift(rankSql);
+      positionSql.unshift(`$${values.length + 1}::real`);
+      values.push(rank);
+    }
+
+    // One query per direction: the closest post below and above the current one
+    const neighbour = (comparator: '<' | '>', direction: 'ASC' | 'DESC') =>
+      query(
+        `SELECT p.id, p.slug, p.title
+        FROM posts p
+        LEFT JOIN categories c ON p.category_id = c.id
+        ${joinClause}
+        WHERE ${conditions.join(' AND ')}
+          AND (${keyColumns.join(', ')}) ${comparator} (${positionSql.join(', ')})
+        ORDER BY ${keyColumns.map((column) => `${column} ${direction}`).join(', ')}
+        LIMIT 1`,
+        values
+      );
+
+    const [lowerResult, higherResult] = await Promise.all([
+      neighbour('<', 'DESC'),
+      neighbour('>', 'ASC'),
+    ]);
+
+    // Chronological by default: "prev" is the older post, "next" the newer one.
+    // Newest first and search results run from the highest key down.
+    const descending = rank !== null || order === 'desc';
+    const lower = lowerResult.rows[0] || null;
+    const higher = higherResult.rows[0] || null;
+
+    const toLink = async (post: { id: number; slug: string; title: string } | null) => {
+      if (!post) return null;
+      if (targetLang === 'en') {
+        const cached = await getCachedTranslation(post.id, 'en');
+        if (cached) return { slug: post.slug, title: cached.title };
+      }
+      return { slug: post.slug, title: post.title };
+    };
+
+    const [prev, next] = await Promise.all([
+      toLink(descending ? higher : lower),
+      toLink(descending ? lower : higher),
+    ]);
 
-    // Fetch tags for this post
-    const tagsResult = await query(
-      `SELECT t.name, t.slug, t.source, pt.confidence
-      FROM tags t
-      JOIN post_tags pt ON t.id = pt.tag_id
-      WHERE pt.post_id = $1`,
-      [post.id]
+    res.json({ prev, next });
+  } catch (err) {
+    console.error('Error fetching adjacent posts:', err);
+    res.status(500).json({ error: 'Failed to fetch adjacent posts' });
+  }
+});
+
+/**
+ * GET /posts/:slug/related - Related posts for the cards under the article
+ *
+ * Ranks the other published posts by shared tags (weighted by their
+ * confidence), same category and text similarity (see services/related.ts).
+ * The ranking is cached until a post or its tags change.
+ *
+ * Query parameters:
+ *   ?limit=3 - Number of posts (default 3, max 10)
+ *   ?lang=en - Translated titles and excerpts (cache only, never calls Translate)
+ *
+ * Returns { posts } with the same card fields as GET /posts, best match
+ * first. Empty when nothing is related.
+ */
+postsRouter.get('/:slug/related', async (req: Request, res: Response) => {
+  try {
+    const { lang, limit } = req.query;
+    const language = lang === 'en' ? 'en' : 'de';
+    const count = Math.min(
+      Math.max(parseInt(typeof limit === 'string' ? limit : '', 10) || DEFAULT_RELATED, 1),
+      MAX_RELATED
     );
 
-    // Increment view count (fire and forget - don't wait for it)
-    query('UPDATE posts SET view_count = view_count + 1 WHERE id = $1', [post.id]);
+    const currentResult = await query(
+      "SELECT id FROM posts WHERE slug = $1 AND status = 'published'",
+      [req.params.slug]
+    );
 
-    // If English requested, translate on-demand (cached after first call)
-    let translatedFields = null;
-    if (targetLang === 'en') {
-      translatedFields = await translatePost(post.id, post.title, post.content, post.excerpt);
+    if (currentResult.rows.length === 0) {
+      res.status(404).json({ error: 'Post not found' });
+      return;
     }
 
-    // Merge translation into response (original fields stay as fallback)
-    const responsePost = translatedFields
-      ? {
-          ...post,
-          title: translatedFields.title,
-          content: translatedFields.content,
-          excerpt: translatedFields.excerpt,
-          original_language: 'de',
-          language: 'en',
-        }
-      : { ...post, language: 'de' };
+    const posts = await findRelatedPosts(currentResult.rows[0].id, count, language);
+    res.json({ posts });
+  } catch (err) {
+    console.error('Error fetching related posts:', err);
+    res.status(500).json({ error: 'Failed to fetch related posts' });
+  }
+});
 
-    res.json({
-      ...responsePost,
-      tags: tagsResult.rows,
-    });
+/**
+ * GET /posts/:slug - Get a single post by URL slug
+ *
+ * Returns the full post including Markdown content, the rendered HTML
+ * (content_html), the table of contents (toc: H2/H3 headings with their
+ * anchor ids), tags, and metadata (see services/posts.ts). Views are not
+ * counted here but by the page's beacon (POST /posts/:id/view), so
+ * prefetches, bots and language switches do not add any.
+ * comment_token goes back with a comment on the post (spam filter, see
+ * services/spam.ts).
+ * An old slug of a renamed post answers with a 301 to the current slug
+ * (see post_slug_history), query parameters are kept.
+ *
+ * Query parameters:
+ *   ?lang=en - Return English translation (on-demand via Amazon Translate, cached in DB)
+ */
+postsRouter.get('/:slug', async (req: Request, res: Response) => {
+  try {
+    const language = req.query.lang === 'en' ? 'en' : 'de';
+    const lookup = await findPublishedPost(String(req.params.slug), language);
+
+    // Renamed post: send old links to the current slug
+    if (lookup.status === 'moved') {
+      const queryIndex = req.originalUrl.indexOf('?');
+      const search = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+      res.redirect(301, `${req.baseUrl}/${encodeURIComponent(lookup.slug)}${search}`);
+      return;
+    }
+
+    if (lookup.status === 'missing') {
+      res.status(404).json({ error: 'Post not found' });
+      return;
+    }
+
+    res.json({ ...lookup.post, comment_token: issueCommentToken(lookup.post.id) });
   } catch (err) {
     console.error('Error fetching post:', err);
     res.status(500).json({ error: 'Failed to fetch post' });
   }
 });
 
+/**
+ * Parse publish_at for a scheduled post. Returns null unless it is a valid
+ * date in the future.
+ */
+function parseScheduledDate(value: unknown): Date | null {
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) return null;
+  return date;
+}
+
+/**
+ * Normalize an explicit slug from the editor ("Mein Post" -> "mein-post").
+ * Returns null when none was given, false when nothing usable is left.
+ */
+function parseRequestedSlug(value: unknown): string | null | false {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') return false;
+  return slugify(value) || false;
+}
+
+/**
+ * Check for a unique violation on posts.slug (explicit slug already in use)
+ */
+function isSlugConflict(err: unknown): boolean {
+  return (err as { constraint?: string }).constraint === 'posts_slug_key';
+}
+
 /**
  * POST /posts - Create a new blog post
  *
  * Expects JSON body with title, content, category_id.
- * Automatically generates a URL slug from the title.
+ * The URL slug is generated from the title ("-2", "-3", ... when taken),
+ * or set explicitly with slug (409 if another post already uses it).
+ * cover_image_url is optional (an uploaded image, see POST /admin/images).
+ * series_id (optional) adds the post as the last part of a series.
+ * status 'scheduled' requires a future publish_at; the scheduler publishes
+ * the post at that time (see services/publish.ts).
+ * Comprehend tag suggestions are detected in the background (see autotag.ts).
  * Protected: requires valid Cognito JWT (admin only).
  */
 postsRouter.post('/', requireAuth, async (req: Request, res: Response) => {
   try {
-    const { title, content, excerpt, category_id, status, featured, tags } =
-      req.body as CreatePostRequest;
+    const {
+      title,
+      content,
+      excerpt,
+      category_id,
+      status,
+      publish_at,
+      featured,
+      tags,
+      slug: requestedSlug,
+      cover_image_url,
+      series_id,
+    } = req.body as CreatePostRequest;
 
     // Validate required fields
     if (!title || !content || !category_id) {
@@ -230,11 +603,31 @@ postsRouter.post('/', requireAuth, async (req: Request, res: Response) => {
       return;
     }
 
-    // Generate URL slug from title: "My First Post" -> "my-first-post"
-    const slug = title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '');
+    // Scheduled posts need a go-live time in the future
+    const publishAt = status === 'scheduled' ? parseScheduledDate(publish_at) : null;
+    if (status === 'scheduled' && !publishAt) {
+      res.status(400).json({ error: 'Scheduled posts need a publish_at date in the future' });
+      return;
+    }
+
+    const explicitSlug = parseRequestedSlug(requestedSlug);
+    if (explicitSlug === false) {
+      res.status(400).json({ error: 'Slug must contain letters or numbers' });
+      return;
+    }
+
+    const coverImageUrl =
+      cover_image_url === undefined ? null : parseCoverImageUrl(cover_image_url);
+    if (coverImageUrl === false) {
+      res.status(400).json({ error: 'cover_image_url must be a path or an http(s) URL' });
+      return;
+    }
+
+    const seriesId = series_id === undefined ? null : parseSeriesId(series_id);
+    if (seriesId === false) {
+      res.status(400).json({ error: 'series_id must be a series ID or null' });
+      return;
+    }
 
     // Calculate reading time (~200 words per minute)
     const wordCount = content.split(/\s+/).length;
@@ -243,49 +636,59 @@ postsRouter.post('/', requireAuth, async (req: Request, res: Response) => {
     // Set published_at if status is "published"
     const publishedAt = status === 'published' ? new Date() : null;
 
-    const result = await query(
-      `INSERT INTO posts (title, slug, content, excerpt, category_id, status, featured, reading_time_minutes, published_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING *`,
-      [
-        title,
-        slug,
-        content,
-        excerpt || null,
-        category_id,
-        status || 'draft',
-        featured || false,
-        readingTime,
-        publishedAt,
-      ]
-    );
+    // Post + tags are saved together (a failing tag insert leaves no half-created post)
+    const post = await withTransaction(async (client) => {
+      // Explicit slug, or one generated from the title: "Über Docker" -> "ueber-docker"
+      const slug = explicitSlug || (await uniquePostSlug(client, slugify(title) || 'post', null));
 
-    const post = result.rows[0];
+      const result = await client.query(
+        `INSERT INTO posts (title, slug, content, excerpt, category_id, status, featured, reading_time_minutes, published_at, publish_at, cover_image_url, series_id, series_position, content_html)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12::int,
+          CASE WHEN $12::int IS NULL THEN NULL ELSE ${nextSeriesPositionSql('$12::int')} END, $13)
+        RETURNING ${postColumns()}`,
+        [
+          title,
+          slug,
+          content,
+          excerpt || null,
+          category_id,
+          status || 'draft',
+          featured || false,
+          readingTime,
+          publishedAt,
+          publishAt,
+          coverImageUrl,
+          seriesId,
+          renderMarkdown(content),
+        ]
+      );
 
-    // Handle manual tags if provided
-    if (tags && tags.length > 0) {
-      for (const tagName of tags) {
-        const tagSlug = tagName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      // Handle manual tags if provided
+      if (Array.isArray(tags) && tags.length > 0) {
+        await replacePostTags(client, result.rows[0].id, tags);
+      }
 
-        // Insert tag if it doesn't exist, get its ID
-        const tagResult = await query(
-          `INSERT INTO tags (name, slug, source)
-          VALUES ($1, $2, 'manual')
-          ON CONFLICT (slug) DO UPDATE SET name = $1
-          RETURNING id`,
-          [tagName, tagSlug]
-        );
+      return result.rows[0];
+    });
 
-        // Link tag to post
-        await query(
-          'INSERT INTO post_tags (post_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-          [post.id, tagResult.rows[0].id]
-        );
-      }
+    // Notify + pre-warm caches in the background (never fails the request)
+    if (post.status === 'published') {
+      runPublishHooks(post).catch(() => {});
     }
 
+    // Comprehend tag suggestions for the editor (background, never fails the request)
+    suggestTagsForPost(post).catch(() => {});
+
     res.status(201).json(post);
   } catch (err) {
+    if (isSlugConflict(err)) {
+      res.status(409).json({ error: 'Another post already uses this slug' });
+      return;
+    }
+    if (isUnknownSeries(err)) {
+      res.status(400).json({ error: 'Series not found' });
+      return;
+    }
     console.error('Error creating post:', err);
     res.status(500).json({ error: 'Failed to create post' });
   }
@@ -295,12 +698,52 @@ postsRouter.post('/', requireAuth, async (req: Request, res: Response) => {
  * PUT /posts/:id - Update an existing post
  *
  * Accepts partial updates (only send the fields you want to change).
+ * Title/excerpt/content changes are stored as a revision (post_revisions)
+ * in the same transaction, so earlier versions can be restored.
+ * status 'scheduled' requires a future publish_at; any other status clears it.
+ * publish_at alone moves the go-live time of a scheduled post; for any
+ * other status it is rejected (400).
+ * The publish hooks run when the post goes from unpublished to published.
+ *
+ * tags (array of names) replaces the post's manual tags in the same
+ * transaction. Comprehend tags are kept, unless replace_comprehend_tags
+ * is true -- then the list is the complete new tag set.
+ * A title change also changes the slug (unless slug is set explicitly);
+ * the old slug keeps working as a redirect (post_slug_history).
+ * series_id moves the post to the end of another series (null removes it);
+ * the current series keeps the post's position.
+ * A text change refreshes the Comprehend tag suggestions in the background,
+ * and for a published post also the translation + audio caches.
  * Protected: requires valid Cognito JWT (admin only).
  */
-postsRouter.put('/:id', requireAuth, async (req: Request, res: Response) => {
+postsRouter.put('/:id', requireAuth, async (req: AuthenticatedRequest, res: Response) => {
   try {
     const { id } = req.params;
-    const { title, content, excerpt, category_id, status, featured } = req.body;
+    const {
+      title,
+      content,
+      excerpt,
+      category_id,
+      status,
+      publish_at,
+      featured,
+      tags,
+      replace_comprehend_tags,
+      slug: requestedSlug,
+      cover_image_url,
+      series_id,
+    } = req.body;
+
+    const explicitSlug = parseRequestedSlug(requestedSlug);
+    if (explicitSlug === false) {
+      res.status(400).json({ error: 'Slug must contain letters or numbers' });
+      return;
+    }
+
+    if (publish_at != null && status !== undefined && status !== 'scheduled') {
+      res.status(400).json({ error: 'publish_at is only allowed for scheduled posts' });
+      return;
+    }
 
     // Build update query dynamically (only update provided fields)
     const updates: string[] = [];
@@ -314,6 +757,8 @@ postsRouter.put('/:id', requireAuth, async (req: Request, res: Response) => {
     if (content !== undefined) {
       updates.push(`content = $${paramIndex++}`);
       values.push(content);
+      updates.push(`content_html = $${paramIndex++}`);
+      values.push(renderMarkdown(content));
 
       // Recalculate reading time
       const wordCount = content.split(/\s+/).length;
@@ -337,13 +782,60 @@ postsRouter.put('/:id', requireAuth, async (req: Request, res: Response) => {
         updates.push(`published_at = COALESCE(published_at, $${paramIndex++})`);
         values.push(new Date());
       }
+
+      // Only scheduled posts keep a go-live time
+      if (status !== 'scheduled') {
+        updates.push('publish_at = NULL');
+      }
+    }
+    // New go-live time: when scheduling, or when moving an already scheduled post
+    if (status === 'scheduled' || (status === undefined && publish_at != null)) {
+      const publishAt = parseScheduledDate(publish_at);
+      if (!publishAt) {
+        res.status(400).json({ error: 'Scheduled posts need a publish_at date in the future' });
+        return;
+      }
+      updates.push(`publish_at = $${paramIndex++}`);
+      values.push(publishAt);
     }
     if (featured !== undefined) {
       updates.push(`featured = $${paramIndex++}`);
       values.push(featured);
     }
+    if (cover_image_url !== undefined) {
+      const coverImageUrl = parseCoverImageUrl(cover_image_url);
+      if (coverImageUrl === false) {
+        res.status(400).json({ error: 'cover_image_url must be a path or an http(s) URL' });
+        return;
+      }
+      updates.push(`cover_image_url = $${paramIndex++}`);
+      values.push(coverImageUrl);
+    }
+    if (series_id !== undefined) {
+      const seriesId = parseSeriesId(series_id);
+      if (seriesId === false) {
+        res.status(400).json({ error: 'series_id must be a series ID or null' });
+        return;
+      }
+      if (seriesId === null) {
+        updates.push('series_id = NULL', 'series_position = NULL');
+      } else {
+        const param = `$${paramIndex++}::int`;
+        updates.push(
+          `series_position = CASE WHEN series_id = ${param} THEN series_position
+            ELSE ${nextSeriesPositionSql(param)} END`,
+          `series_id = ${param}`
+        );
+        values.push(seriesId);
+      }
+    }
+
+    if (tags !== undefined && !Array.isArray(tags)) {
+      res.status(400).json({ error: 'tags must be an array of tag names' });
+      return;
+    }
 
-    if (updates.length === 0) {
+    if (updates.length === 0 && tags === undefined && !explicitSlug) {
       res.status(400).json({ error: 'No fields to update' });
       return;
     }
@@ -352,18 +844,95 @@ postsRouter.put('/:id', requireAuth, async (req: Request, res: Response) => {
     updates.push(`updated_at = NOW()`);
     values.push(id);
 
-    const result = await query(
-      `UPDATE posts SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
-      values
-    );
+    const post = await withTransaction(async (client) => {
+      // Lock the row so concurrent saves get consecutive revision numbers
+      const current = await client.query(
+        'SELECT id, title, slug, excerpt, content, status FROM posts WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (current.rows.length === 0) {
+        return null;
+      }
+      const previous = current.rows[0];
+      if (status === undefined && publish_at != null && previous.status !== 'scheduled') {
+        return 'not scheduled' as const;
+      }
 
-    if (result.rows.length === 0) {
+      // New slug: set explicitly, or following a changed title
+      const newSlug =
+        explicitSlug ||
+        (title !== undefined && title !== previous.title
+          ? await uniquePostSlug(client, slugify(title) || 'post', previous.id)
+          : null);
+      if (newSlug && newSlug !== previous.slug) {
+        await client.query('UPDATE posts SET slug = $1 WHERE id = $2', [newSlug, previous.id]);
+        await recordSlugChange(client, previous.id, previous.slug, newSlug);
+      }
+
+      const result = await client.query(
+        `UPDATE posts SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING ${postColumns()}`,
+        values
+      );
+      const updated = result.rows[0];
+
+      const revision = await recordRevision(
+        client,
+        updated.id,
+        current.rows[0],
+        updated,
+        req.user?.sub ?? null
+      );
+
+      if (tags !== undefined) {
+        await replacePostTags(client, updated.id, tags, {
+          replaceComprehendTags: replace_comprehend_tags === true,
+        });
+      }
+
+      return {
+        ...updated,
+        previous_status: current.rows[0].status,
+        text_changed: revision !== null,
+      };
+    });
+
+    if (!post) {
       res.status(404).json({ error: 'Post not found' });
       return;
     }
+    if (post === 'not scheduled') {
+      res.status(400).json({ error: 'publish_at is only allowed for scheduled posts' });
+      return;
+    }
+
+    const { previous_status: previousStatus, text_changed: textChanged, ...updatedPost } = post;
+
+    // Went live with this save: notify + pre-warm caches in the background
+    if (updatedPost.status === 'published' && previousStatus !== 'published') {
+      runPublishHooks(updatedPost).catch(() => {});
+    }
 
-    res.json(result.rows[0]);
+    // New text, new key phrases: refresh the Comprehend tag suggestions
+    if (textChanged) {
+      suggestTagsForPost(updatedPost).catch(() => {});
+    }
+
+    // Edited live post: regenerate the now stale translation + audio before
+    // the next reader asks for them (a newly published post is covered above)
+    if (textChanged && updatedPost.status === 'published' && previousStatus === 'published') {
+      prewarmCaches(updatedPost).catch(() => {});
+    }
+
+    res.json(updatedPost);
   } catch (err) {
+    if (isSlugConflict(err)) {
+      res.status(409).json({ error: 'Another post already uses this slug' });
+      return;
+    }
+    if (isUnknownSeries(err)) {
+      res.status(400).json({ error: 'Series not found' });
+      return;
+    }
     console.error('Error updating post:', err);
     res.status(500).json({ error: 'Failed to update post' });
   }
@@ -374,7 +943,8 @@ postsRouter.put('/:id', requireAuth, async (req: Request, res: Response) => {
  *
  * Returns a pre-signed S3 URL for the MP3 audio file.
  * First request generates audio via Amazon Polly (~5-15 seconds).
- * Subsequent requests return cached URL instantly.
+ * Subsequent requests return cached URL instantly, until the post is edited
+ * (then the audio is generated again for the new text).
  *
  * Query parameters:
  *   ?lang=en - Get English audio (default: German)
@@ -385,7 +955,7 @@ postsRouter.get('/:id/audio', async (req: Request, res: Response) => {
     const language = typeof lang === 'string' && lang === 'en' ? 'en' : 'de';
 
     // Fetch the post content
-    const postResult = await query('SELECT id, title, content FROM posts WHERE id = $1', [
+    const postResult = await query('SELECT id, title, content, excerpt FROM posts WHERE id = $1', [
       req.params.id,
     ]);
 
@@ -397,11 +967,12 @@ postsRouter.get('/:id/audio', async (req: Request, res: Response) => {
     const post = postResult.rows[0];
 
     // For English audio, use translated content if available
+    // (translatePost re-translates a post that changed since it was cached)
     let title = post.title;
     let content = post.content;
 
     if (language === 'en') {
-      const translation = await getCachedTranslation(post.id, 'en');
+      const translation = await translatePost(post.id, post.title, post.content, post.excerpt);
       if (translation) {
         title = translation.title;
         content = translation.content;
@@ -448,6 +1019,30 @@ postsRouter.post('/:id/like', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * POST /posts/:id/view - Count a page view
+ *
+ * Public endpoint, sent once per page load by the post page (sendBeacon).
+ * Counts one view per visitor and day; bots are ignored (see
+ * services/views.ts). Always answers 204, so the response does not tell
+ * whether the view was counted.
+ */
+postsRouter.post('/:id/view', async (req: Request, res: Response) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      res.status(400).json({ error: 'Invalid post id' });
+      return;
+    }
+
+    await recordView(id, req.ip, req.get('user-agent'));
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error counting view:', err);
+    res.status(500).json({ error: 'Failed to count view' });
+  }
+});
+
 /**
  * DELETE /posts/:id - Delete a post
  *
@@ -0,0 +1,40 @@
+/**
+ * previews.ts - Public endpoint behind the preview links
+ *
+ *   GET /api/previews/:token - Unpublished post for a preview link
+ *
+ * Query parameters:
+ *   ?lang=en - English version (translated on demand like the API)
+ *
+ * Links are created and revoked in the editor (admin.ts, preview.ts).
+ * Previews do not count as page views and are neither cached nor indexed.
+ */
+
+import { Router, Request, Response } from 'express';
+import { findPreviewPost } from '../services/preview';
+
+export const previewsRouter = Router();
+
+/**
+ * GET /api/previews/:token - Get the post of a preview link
+ *
+ * Same response as GET /api/posts/:slug plus preview: true and
+ * preview_expires_at. 404 for an invalid, expired or revoked link.
+ */
+previewsRouter.get('/:token', async (req: Request, res: Response) => {
+  try {
+    const language = req.query.lang === 'en' ? 'en' : 'de';
+    const post = await findPreviewPost(String(req.params.token), language);
+
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    if (!post) {
+      res.status(404).json({ error: 'Preview link is invalid or has expired' });
+      return;
+    }
+
+    res.json(post);
+  } catch (err) {
+    console.error('Error fetching preview:', err);
+    res.status(500).json({ error: 'Failed to fetch preview' });
+  }
+});
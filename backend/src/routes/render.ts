@@ -0,0 +1,89 @@
+/**
+ * render.ts - Server-rendered parts of the post page
+ *
+ * post.html is a static page served by nginx. With SSI enabled for it
+ * (see frontend/nginx/default.conf) nginx includes two HTML fragments from
+ * these routes before the page leaves the server:
+ *   GET /render/posts/:slug/head - <title>, canonical, hreflang, Open Graph,
+ *                                  Twitter card and JSON-LD tags (seo.ts)
+ *   GET /render/posts/:slug/body - The rendered article, plus the post as
+ *                                  JSON (#post-data) for post.js to hydrate
+ *
+ * Query parameters:
+ *   ?lang=en - English version (translated on demand like the API)
+ *
+ * An unknown slug answers 404 with an empty body; nginx then keeps the
+ * static fallback and post.js loads the page client-side as before.
+ * The old slug of a renamed post renders the post under its current slug.
+ */
+
+import { Router, Request, Response } from 'express';
+import { findPublishedPost, PublishedPost } from '../services/posts';
+import { getCachedTranslation } from '../services/translate';
+import { buildPostHead, inlineJson } from '../services/seo';
+import { siteUrl } from '../services/site';
+import { issueCommentToken } from '../services/spam';
+
+export const renderRouter = Router();
+
+/**
+ * Load the post for a render request, following a renamed slug once.
+ * Returns null when there is no published post.
+ */
+async function loadPost(req: Request): Promise<PublishedPost | null> {
+  const language = req.query.lang === 'en' ? 'en' : 'de';
+  let lookup = await findPublishedPost(String(req.params.slug), language);
+  if (lookup.status === 'moved') {
+    lookup = await findPublishedPost(lookup.slug, language);
+  }
+  return lookup.status === 'found' ? lookup.post : null;
+}
+
+/**
+ * GET /render/posts/:slug/head - Metadata tags for the page <head>
+ */
+renderRouter.get('/posts/:slug/head', async (req: Request, res: Response) => {
+  try {
+    const post = await loadPost(req);
+    if (!post) {
+      res.status(404).end();
+      return;
+    }
+
+    // hreflang alternates only when the English version is up to date
+    const hasTranslation =
+      post.language === 'en' || (await getCachedTranslation(post.id, 'en')) !== null;
+
+    res.type('text/html; charset=utf-8').send(buildPostHead(post, siteUrl(req), hasTranslation));
+  } catch (err) {
+    console.error('Error rendering post head:', err);
+    res.status(500).end();
+  }
+});
+
+/**
+ * GET /render/posts/:slug/body - Article HTML and the embedded post data
+ *
+ * Views are counted by the page's beacon, like for client-side loads.
+ * The embedded post carries a comment_token like the API's.
+ */
+renderRouter.get('/posts/:slug/body', async (req: Request, res: Response) => {
+  try {
+    const post = await loadPost(req);
+    if (!post) {
+      res.status(404).end();
+      return;
+    }
+
+    const data = { ...post, comment_token: issueCommentToken(post.id) };
+    res
+      .type('text/html; charset=utf-8')
+      .send(
+        `<script type="application/json" id="post-data">${inlineJson(data)}</script>\n` +
+          post.content_html
+      );
+  } catch (err) {
+    console.error('Error rendering post body:', err);
+    res.status(500).end();
+  }
+});
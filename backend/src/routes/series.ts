@@ -0,0 +1,40 @@
+/**
+ * series.ts - Public series API routes
+ *
+ *   GET /api/series/:slug - A series with its published parts
+ *
+ * Query parameters:
+ *   ?lang=en - English titles and excerpts (cached translations only)
+ *
+ * Series are created and ordered in the editor (admin.ts, services/series.ts).
+ */
+
+import { Router, Request, Response } from 'express';
+import { findPublishedSeries } from '../services/series';
+
+export const seriesRouter = Router();
+
+/**
+ * GET /api/series/:slug - Get a series with its published parts
+ *
+ * Returns { id, title, slug, description, posts } with the posts in
+ * reading order, each with its part number ({ id, slug, title, excerpt,
+ * published_at, part }). 404 when the series is unknown or nothing of
+ * it is published yet.
+ */
+seriesRouter.get('/:slug', async (req: Request, res: Response) => {
+  try {
+    const language = req.query.lang === 'en' ? 'en' : 'de';
+    const series = await findPublishedSeries(String(req.params.slug), language);
+
+    if (!series) {
+      res.status(404).json({ error: 'Series not found' });
+      return;
+    }
+
+    res.json(series);
+  } catch (err) {
+    console.error('Error fetching series:', err);
+    res.status(500).json({ error: 'Failed to fetch series' });
+  }
+});
@@ -0,0 +1,165 @@
+/**
+ * sitemap.ts - sitemap.xml and robots.txt for search engines
+ *
+ * Mounted at the site root (nginx proxies these paths to the backend):
+ *   GET /robots.txt     - Crawler rules, points to the sitemap
+ *   GET /sitemap.xml    - All public URLs, or a sitemap index once there
+ *                         are more than SITEMAP_MAX_URLS of them
+ *   GET /sitemap-N.xml  - Page N of the URLs (only when indexed)
+ *
+ * Lists the static pages, one blog page per category with published posts
+ * and every published post. A post with a current English translation is
+ * listed twice (?lang=en) and both variants name each other as hreflang
+ * alternates. lastmod comes from the posts' updated_at.
+ *
+ * Links are absolute, based on SITE_URL (see site.ts).
+ */
+
+import { Router, Request, Response } from 'express';
+import { query } from '../models/database';
+import { siteUrl } from '../services/site';
+import {
+  SitemapUrl,
+  buildSitemapIndex,
+  buildUrlset,
+  latestLastmod,
+  paginateSitemap,
+} from '../services/sitemap';
+
+export const sitemapRouter = Router();
+
+// Static pages worth indexing (legal pages are left out)
+const STATIC_PAGES = ['/', '/blog.html', '/about.html', '/skills.html'];
+
+// Pages that change whenever a post is published or edited
+const POST_LIST_PAGES = ['/', '/blog.html'];
+
+/**
+ * Collect all sitemap URLs from the database
+ */
+async function collectSitemapUrls(base: string): Promise<SitemapUrl[]> {
+  const [posts, categories] = await Promise.all([
+    query(
+      `SELECT
+        p.slug, GREATEST(p.updated_at, p.published_at) AS updated_at,
+        EXISTS (
+          SELECT 1 FROM post_translations t
+          WHERE t.post_id = p.id AND t.language = 'en'
+            AND t.source_hash = content_hash(p.title, p.content, p.excerpt)
+        ) AS translated
+      FROM posts p
+      WHERE p.status = 'published'
+      ORDER BY p.published_at DESC, p.id DESC`
+    ),
+    query(
+      `SELECT c.slug, MAX(GREATEST(p.updated_at, p.published_at)) AS updated_at
+      FROM categories c
+      JOIN posts p ON p.category_id = c.id AND p.status = 'published'
+      GROUP BY c.slug
+      ORDER BY c.slug`
+    ),
+  ]);
+
+  const postUrls: SitemapUrl[] = [];
+  for (const post of posts.rows) {
+    const lastmod = new Date(post.updated_at);
+    const german = `${base}/post.html?slug=${encodeURIComponent(post.slug)}`;
+    if (!post.translated) {
+      postUrls.push({ loc: german, lastmod, alternates: [] });
+      continue;
+    }
+
+    const english = `${german}&lang=en`;
+    const alternates = [
+      { hreflang: 'de', href: german },
+      { hreflang: 'en', href: english },
+      { hreflang: 'x-default', href: german },
+    ];
+    postUrls.push({ loc: german, lastmod, alternates }, { loc: english, lastmod, alternates });
+  }
+
+  const newestPost = latestLastmod(postUrls);
+  const staticUrls: SitemapUrl[] = STATIC_PAGES.map((path) => ({
+    loc: `${base}${path}`,
+    lastmod: POST_LIST_PAGES.includes(path) ? newestPost : null,
+    alternates: [],
+  }));
+
+  const categoryUrls: SitemapUrl[] = categories.rows.map((category) => ({
+    loc: `${base}/blog.html?category=${encodeURIComponent(category.slug)}`,
+    lastmod: new Date(category.updated_at),
+    alternates: [],
+  }));
+
+  return [...staticUrls, ...categoryUrls, ...postUrls];
+}
+
+/**
+ * Send an XML document, cached for an hour
+ */
+function sendXml(res: Response, xml: string): void {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.type('application/xml; charset=utf-8').send(xml);
+}
+
+/**
+ * GET /robots.txt - Allow everything except the admin area
+ *
+ * /api/ stays crawlable: the pages load their content from it.
+ */
+sitemapRouter.get('/robots.txt', (req: Request, res: Response) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res
+    .type('text/plain; charset=utf-8')
+    .send(`User-agent: *\nDisallow: /admin/\n\nSitemap: ${siteUrl(req)}/sitemap.xml\n`);
+});
+
+/**
+ * GET /sitemap.xml - The sitemap, or the sitemap index when it is split
+ */
+sitemapRouter.get('/sitemap.xml', async (req: Request, res: Response) => {
+  try {
+    const base = siteUrl(req);
+    const pages = paginateSitemap(await collectSitemapUrls(base));
+
+    if (pages.length === 1) {
+      sendXml(res, buildUrlset(pages[0]));
+      return;
+    }
+
+    sendXml(
+      res,
+      buildSitemapIndex(
+        pages.map((urls, index) => ({
+          loc: `${base}/sitemap-${index + 1}.xml`,
+          lastmod: latestLastmod(urls),
+        }))
+      )
+    );
+  } catch (err) {
+    console.error('Error building sitemap:', err);
+    res.status(500).json({ error: 'Failed to build sitemap' });
+  }
+});
+
+/**
+ * GET /sitemap-:page.xml - One page of a split sitemap (1-based)
+ */
+sitemapRouter.get('/sitemap-:page.xml', async (req: Request, res: Response) => {
+  try {
+    const { page: pageParam } = req.params;
+    const page = typeof pageParam === 'string' && /^\d+$/.test(pageParam) ? Number(pageParam) : 0;
+    const pages = paginateSitemap(await collectSitemapUrls(siteUrl(req)));
+
+    // Not split: everything is in /sitemap.xml
+    if (pages.length === 1 || page < 1 || page > pages.length) {
+      res.status(404).json({ error: 'Sitemap not found' });
+      return;
+    }
+
+    sendXml(res, buildUrlset(pages[page - 1]));
+  } catch (err) {
+    console.error('Error building sitemap:', err);
+    res.status(500).json({ error: 'Failed to build sitemap' });
+  }
+});
@@ -8,6 +8,8 @@
 
 import dotenv from 'dotenv';
 import app from './app';
+import { startPublishScheduler } from './services/publish';
+import { startNotificationScheduler } from './services/notifications';
 
 // Load environment variables from .env file (only used in local development)
 dotenv.config();
@@ -19,4 +21,10 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.info(`Server running on port ${PORT}`);
   console.info(`Health check: http://localhost:${PORT}/health`);
+
+  // Promote scheduled posts once their publish_at has passed
+  startPublishScheduler();
+
+  // Send the comment approval emails once their undo window has passed
+  startNotificationScheduler();
 });
@@ -0,0 +1,164 @@
+/**
+ * autotag.ts - Tag suggestions from Amazon Comprehend key phrases
+ *
+ * When a post is created or its text changes, title, excerpt and content
+ * are sent to Comprehend (chunked, see detectAllKeyPhrases). The key phrases
+ * are normalized into tag names ("die Terraform-Module" -> "Terraform-Module"),
+ * filtered by confidence and stored in post_tag_suggestions.
+ *
+ * Nothing becomes public on its own: the author accepts or rejects each
+ * suggestion in the editor. An accepted suggestion becomes a post_tags link
+ * with its confidence; a rejected one is remembered and never suggested
+ * again for that post.
+ *
+ * Runs in the background after the response is sent. Without AWS
+ * credentials (local dev) Comprehend returns null and nothing happens.
+ *
+ * Optional env vars:
+ *   COMPREHEND_TAG_MIN_CONFIDENCE - Minimum Comprehend score (default: 0.9)
+ *   COMPREHEND_TAG_LIMIT          - Max suggestions per post (default: 5)
+ */
+
+import { withTransaction } from '../models/database';
+import { detectAllKeyPhrases, KeyPhraseResult } from './comprehend';
+import { stripMarkdown } from './polly';
+import { slugifyTag, upsertComprehendTag } from './tags';
+
+// The post fields key phrases are detected in
+export interface TaggablePost {
+  id: number;
+  title: string;
+  excerpt: string | null;
+  content: string;
+}
+
+// A normalized key phrase, ready to become a tag
+export interface TagCandidate {
+  name: string;
+  confidence: number; // highest score of all occurrences
+  occurrences: number;
+}
+
+const DEFAULT_MIN_CONFIDENCE = 0.9;
+const DEFAULT_LIMIT = 5;
+
+// Tag names outside these bounds are rarely useful tags
+const MIN_TAG_LENGTH = 3;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAG_WORDS = 3;
+
+// Articles, determiners and possessives Comprehend keeps at the start of a
+// phrase ("die Pipeline", "meinem Homelab", "the cluster")
+const LEADING_WORDS = new Set(
+  `der die das den dem des ein eine einen einem einer eines
+  kein keine keinen keinem keiner mein meine meinen meinem meiner meines
+  unser unsere unseren unserem unserer unseres
+  dieser diese dieses diesen diesem jeder jede jedes jeden jedem
+  the a an my our this these that`.split(/\s+/)
+);
+
+/**
+ * Read a numeric env var, falling back to the default when unset or invalid
+ */
+function envNumber(name: string, fallback: number): number {
+  const value = parseFloat(process.env[name] || '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Turn a Comprehend key phrase into a tag name, or null if it is no good tag
+ *
+ * Strips punctuation around words and leading articles/possessives,
+ * then drops phrases that are too long, too short or purely numeric.
+ */
+export function normalizeKeyPhrase(phrase: string): string | null {
+  const words = phrase
+    .split(/\s+/)
+    .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+#]+$/gu, ''))
+    .filter(Boolean);
+
+  while (words.length > 0 && LEADING_WORDS.has(words[0].toLowerCase())) {
+    words.shift();
+  }
+
+  const name = words.join(' ');
+  if (words.length === 0 || words.length > MAX_TAG_WORDS) return null;
+  if (name.length < MIN_TAG_LENGTH || name.length > MAX_TAG_LENGTH) return null;
+  if (!/\p{L}/u.test(name)) return null;
+  return name;
+}
+
+/**
+ * Merge all key phrase occurrences into ranked tag candidates
+ *
+ * Occurrences are grouped by tag slug ("Docker-Container" and
+ * "Docker Container" are the same tag). Candidates below minConfidence are
+ * dropped; the rest are ranked by how often they appear, then by score.
+ */
+export function rankKeyPhrases(
+  phrases: KeyPhraseResult[],
+  minConfidence: number,
+  limit: number
+): TagCandidate[] {
+  const bySlug = new Map<string, TagCandidate>();
+
+  for (const phrase of phrases) {
+    const name = normalizeKeyPhrase(phrase.text);
+    if (!name) continue;
+
+    const slug = slugifyTag(name);
+    const existing = bySlug.get(slug);
+    if (existing) {
+      existing.occurrences++;
+      existing.confidence = Math.max(existing.confidence, phrase.confidence);
+    } else {
+      bySlug.set(slug, { name, confidence: phrase.confidence, occurrences: 1 });
+    }
+  }
+
+  return [...bySlug.values()]
+    .filter((candidate) => candidate.confidence >= minConfidence)
+    .sort((a, b) => b.occurrences - a.occurrences || b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+/**
+ * Detect key phrases in a post and store them as pending tag suggestions
+ *
+ * Pending suggestions from an earlier version of the text are replaced.
+ * Accepted and rejected suggestions are kept, and tags the post already
+ * has are not suggested. Returns the number of new suggestions, or null
+ * if Comprehend is not available.
+ */
+export async function suggestTagsForPost(post: TaggablePost): Promise<number | null> {
+  const text = stripMarkdown([post.title, post.excerpt, post.content].filter(Boolean).join('\n\n'));
+  const phrases = await detectAllKeyPhrases(text);
+  if (!phrases) return null;
+
+  const candidates = rankKeyPhrases(
+    phrases,
+    envNumber('COMPREHEND_TAG_MIN_CONFIDENCE', DEFAULT_MIN_CONFIDENCE),
+    envNumber('COMPREHEND_TAG_LIMIT', DEFAULT_LIMIT)
+  );
+
+  return withTransaction(async (client) => {
+    await client.query(
+      "DELETE FROM post_tag_suggestions WHERE post_id = $1 AND status = 'pending'",
+      [post.id]
+    );
+
+    let created = 0;
+    for (const candidate of candidates) {
+      const tagId = await upsertComprehendTag(client, candidate.name);
+      const result = await client.query(
+        `INSERT INTO post_tag_suggestions (post_id, tag_id, confidence)
+        SELECT $1, $2, $3
+        WHERE NOT EXISTS (SELECT 1 FROM post_tags WHERE post_id = $1 AND tag_id = $2)
+        ON CONFLICT (post_id, tag_id) DO NOTHING`,
+        [post.id, tagId, candidate.confidence]
+      );
+      created += result.rowCount ?? 0;
+    }
+    return created;
+  });
+}
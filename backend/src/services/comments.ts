@@ -0,0 +1,193 @@
+/**
+ * comments.ts - Comment threads
+ *
+ * A comment can answer another comment of the same post (parent_id).
+ * Threads are at most MAX_COMMENT_DEPTH replies deep: a reply to a comment
+ * at that depth is attached to that comment's parent instead, so it shows
+ * up right after it on the same level.
+ *
+ * Readers only see approved comments. A reply whose parent is not visible
+ * (pending, flagged, spam or deleted) is shown at the top level.
+ *
+ * Replies the blog author writes from the admin dashboard are approved
+ * right away and marked with is_author (the badge on the post page).
+ *
+ * Moderation in bulk: setCommentStatuses changes the status of many
+ * comments at once, removeComments and purgeDeletedComments delete
+ * soft-deleted comments for good. A comment whose replies are still
+ * around (any other status) is kept, since deleting it would take the
+ * replies with it (ON DELETE CASCADE).
+ */
+
+import { PoolClient } from 'pg';
+import { query, withTransaction } from '../models/database';
+import { CommentStatus } from '../models/types';
+
+// Deepest reply level (0 = comment on the post)
+export const MAX_COMMENT_DEPTH = 2;
+
+// A comment as shown on the post page, with its replies (oldest first)
+export interface CommentNode {
+  id: number;
+  parent_id: number | null;
+  author_name: string;
+  content: string;
+  is_author: boolean;
+  created_at: Date;
+  replies: CommentNode[];
+}
+
+// Most comments one bulk request may change
+export const MAX_BULK_COMMENTS = 500;
+
+// What happened to one comment of a bulk request
+export interface BulkOutcome {
+  id: number;
+  ok: boolean;
+  previous?: CommentStatus; // Status before the change
+  status?: CommentStatus; // Status after the change
+  removed?: boolean; // Deleted for good
+  error?: string;
+}
+
+// Where a reply to a comment goes
+export interface ReplyTarget {
+  postId: number;
+  parentId: number; // The comment replied to, or its parent at the deepest level
+  depth: number; // Depth of the new reply
+  status: CommentStatus; // Status of the comment replied to
+}
+
+/**
+ * Find where a reply to a comment goes. Returns null for an unknown comment.
+ */
+export async function findReplyTarget(commentId: number): Promise<ReplyTarget | null> {
+  const result = await query(
+    'SELECT id, post_id, parent_id, depth, status FROM comments WHERE id = $1',
+    [commentId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const comment = result.rows[0];
+  if (comment.depth >= MAX_COMMENT_DEPTH && comment.parent_id !== null) {
+    return {
+      postId: comment.post_id,
+      parentId: comment.parent_id,
+      depth: comment.depth,
+      status: comment.status,
+    };
+  }
+  return {
+    postId: comment.post_id,
+    parentId: comment.id,
+    depth: comment.depth + 1,
+    status: comment.status,
+  };
+}
+
+/**
+ * Arrange approved comments (oldest first) as threads
+ */
+export function buildCommentTree(rows: Omit<CommentNode, 'replies'>[]): CommentNode[] {
+  const nodes = new Map<number, CommentNode>();
+  for (const row of rows) nodes.set(row.id, { ...row, replies: [] });
+
+  const roots: CommentNode[] = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id === null ? undefined : nodes.get(node.parent_id);
+    if (parent) parent.replies.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+/**
+ * Set the status of several comments. Returns one outcome per ID (in the
+ * given order), with the previous status for undoing the change.
+ */
+export async function setCommentStatuses(
+  ids: number[],
+  status: CommentStatus
+): Promise<BulkOutcome[]> {
+  const result = await query(
+    `
+    UPDATE comments c SET status = $1
+    FROM (SELECT id, status FROM comments WHERE id = ANY($2::int[]) FOR UPDATE) old
+    WHERE c.id = old.id
+    RETURNING c.id, old.status AS previous
+  `,
+    [status, ids]
+  );
+  const previous = new Map<number, CommentStatus>(result.rows.map((row) => [row.id, row.previous]));
+
+  return ids.map((id) => {
+    const before = previous.get(id);
+    return before
+      ? { id, ok: true, previous: before, status }
+      : { id, ok: false, error: 'Comment not found' };
+  });
+}
+
+/**
+ * Delete comments with one of the statuses for good, all of them or only
+ * those in ids, unless replies that are still around depend on them
+ */
+async function deleteForGood(
+  client: PoolClient,
+  statuses: CommentStatus[],
+  ids: number[] | null
+): Promise<{ id: number; previous: CommentStatus }[]> {
+  const result = await client.query(
+    `
+    WITH RECURSIVE kept AS (
+      SELECT id, parent_id FROM comments WHERE status <> ALL($1::varchar[])
+      UNION
+      SELECT c.id, c.parent_id FROM comments c JOIN kept k ON c.id = k.parent_id
+    )
+    DELETE FROM comments
+    WHERE status = ANY($1::varchar[])
+      AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+      AND id NOT IN (SELECT id FROM kept)
+    RETURNING id, status AS previous
+  `,
+    [statuses, ids]
+  );
+  return result.rows;
+}
+
+/**
+ * Delete deleted and spam comments for good. Other comments are left
+ * alone; one outcome per ID (in the given order).
+ */
+export async function removeComments(ids: number[]): Promise<BulkOutcome[]> {
+  return withTransaction(async (client) => {
+    const existing = await client.query(
+      'SELECT id, status FROM comments WHERE id = ANY($1::int[]) FOR UPDATE',
+      [ids]
+    );
+    const statuses = new Map<number, CommentStatus>(
+      existing.rows.map((row) => [row.id, row.status])
+    );
+    const removed = new Set(
+      (await deleteForGood(client, ['deleted', 'spam'], ids)).map((row) => row.id)
+    );
+
+    return ids.map((id): BulkOutcome => {
+      const previous = statuses.get(id);
+      if (!previous) return { id, ok: false, error: 'Comment not found' };
+      if (removed.has(id)) return { id, ok: true, previous, removed: true };
+      if (previous !== 'deleted' && previous !== 'spam') {
+        return { id, ok: false, previous, error: 'Only deleted or spam comments can be removed' };
+      }
+      return { id, ok: false, previous, error: 'Replies to the comment are not deleted' };
+    });
+  });
+}
+
+/**
+ * Delete all soft-deleted comments for good. Spam stays: the spam filter
+ * compares new comments with it. Returns the number of removed comments.
+ */
+export async function purgeDeletedComments(): Promise<number> {
+  return withTransaction(async (client) => (await deleteForGood(client, ['deleted'], null)).length);
+}
@@ -2,7 +2,8 @@
  * comprehend.ts - Amazon Comprehend integration for sentiment analysis
  *
  * Analyzes comment text using AWS Comprehend to detect sentiment
- * (POSITIVE, NEGATIVE, NEUTRAL, MIXED) and extract key phrases.
+ * (POSITIVE, NEGATIVE, NEUTRAL, MIXED) and extract key phrases
+ * (used for automatic post tagging, see autotag.ts).
  *
  * Uses the same graceful-degradation pattern as telegram.ts:
  * - If AWS credentials are not available (local dev), silently returns null
@@ -30,6 +31,10 @@ export interface KeyPhraseResult {
   confidence: number;
 }
 
+// Comprehend's synchronous APIs take at most 5000 bytes per document.
+// Longer text is split into paragraph chunks below this size.
+const MAX_CHUNK_BYTES = 4500;
+
 // Create the Comprehend client once (reused across requests)
 // Region comes from env var or defaults to eu-central-1 (same as EKS cluster)
 const client = new ComprehendClient({
@@ -103,17 +108,41 @@ export async function analyzeSentiment(text: string): Promise<SentimentResult |
 }
 
 /**
- * Detect key phrases in a text using Amazon Comprehend
+ * Split long text into chunks that fit the Comprehend size limit
  *
- * Calls DetectKeyPhrases with German language code ('de').
- * Returns the top 5 key phrases sorted by confidence (highest first).
- * Returns null if Comprehend is not available or the call fails.
+ * Same approach as translateLongText in translate.ts: split by paragraphs
+ * (double newlines) and group them until the byte limit is reached.
+ * A single paragraph above the limit is cut at a character boundary.
  */
-export async function detectKeyPhrases(text: string): Promise<KeyPhraseResult[] | null> {
-  if (!isConfigured()) {
-    return null;
+function chunkText(text: string): string[] {
+  const chunks: string[] = [];
+  let chunk = '';
+
+  for (const para of text.split(/\n\n/)) {
+    if (Buffer.byteLength(chunk + '\n\n' + para, 'utf-8') > MAX_CHUNK_BYTES && chunk) {
+      chunks.push(chunk);
+      chunk = para;
+    } else {
+      chunk = chunk ? chunk + '\n\n' + para : para;
+    }
+
+    // Oversized paragraph: cut it down (Buffer.toString drops a split character)
+    while (Buffer.byteLength(chunk, 'utf-8') > MAX_CHUNK_BYTES) {
+      const head = Buffer.from(chunk, 'utf-8').subarray(0, MAX_CHUNK_BYTES).toString('utf-8');
+      const cut = head.replace(/\uFFFD$/, '');
+      chunks.push(cut);
+      chunk = chunk.slice(cut.length);
+    }
   }
 
+  if (chunk.trim()) chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * Detect key phrases in a single chunk (must be under the size limit)
+ */
+async function detectKeyPhrasesChunk(text: string): Promise<KeyPhraseResult[] | null> {
   try {
     const command = new DetectKeyPhrasesCommand({
       Text: text,
@@ -122,22 +151,51 @@ export async function detectKeyPhrases(text: string): Promise<KeyPhraseResult[]
 
     const response = await client.send(command);
 
-    if (!response.KeyPhrases || response.KeyPhrases.length === 0) {
-      return [];
-    }
-
-    // Sort by confidence (highest first), take top 5
-    const phrases = response.KeyPhrases.filter((kp) => kp.Text && kp.Score !== undefined)
-      .sort((a, b) => (b.Score ?? 0) - (a.Score ?? 0))
-      .slice(0, 5)
+    return (response.KeyPhrases || [])
+      .filter((kp) => kp.Text && kp.Score !== undefined)
       .map((kp) => ({
         text: kp.Text!,
         confidence: Math.round((kp.Score ?? 0) * 1000) / 1000,
       }));
-
-    return phrases;
   } catch (err) {
     console.warn('Comprehend key phrase detection failed:', (err as Error).message);
     return null;
   }
 }
+
+/**
+ * Detect all key phrases in a text of any length
+ *
+ * Long text is chunked (see chunkText) and analyzed chunk by chunk.
+ * Returns every occurrence in text order, so callers can count how often
+ * a phrase appears. Returns null if Comprehend is not available or any
+ * chunk fails.
+ */
+export async function detectAllKeyPhrases(text: string): Promise<KeyPhraseResult[] | null> {
+  if (!isConfigured()) {
+    return null;
+  }
+
+  const phrases: KeyPhraseResult[] = [];
+  for (const chunk of chunkText(text)) {
+    const result = await detectKeyPhrasesChunk(chunk);
+    if (!result) return null;
+    phrases.push(...result);
+  }
+  return phrases;
+}
+
+/**
+ * Detect key phrases in a text using Amazon Comprehend
+ *
+ * Calls DetectKeyPhrases with German language code ('de').
+ * Returns the top 5 key phrases sorted by confidence (highest first).
+ * Returns null if Comprehend is not available or the call fails.
+ */
+export async function detectKeyPhrases(text: string): Promise<KeyPhraseResult[] | null> {
+  const phrases = await detectAllKeyPhrases(text);
+  if (!phrases) return null;
+
+  // Sort by confidence (highest first), take top 5
+  return phrases.sort((a, b) => b.confidence - a.confidence).slice(0, 5);
+}
@@ -0,0 +1,183 @@
+/**
+ * feed.ts - RSS 2.0, Atom and JSON Feed documents
+ *
+ * Builds the three feed formats from the same list of entries (see
+ * routes/feeds.ts for the query). The builders only format: links are
+ * expected to be absolute, content to be rendered HTML.
+ *
+ * Entry IDs are tag: URIs built from the post id, not from the slug, so a
+ * renamed post (see slug.ts) does not show up as a new entry in readers.
+ *
+ * Specs:
+ *   RSS 2.0   - https://www.rssboard.org/rss-specification
+ *   Atom      - RFC 4287
+ *   JSON Feed - https://www.jsonfeed.org/version/1.1/
+ */
+
+// Feed level data, shared by all formats
+export interface FeedInfo {
+  title: string;
+  description: string;
+  language: string;
+  homeUrl: string; // the blog page the feed belongs to
+  feedUrl: string; // the feed itself, including its query string
+  idPrefix: string; // tag: URI prefix, e.g. "tag:blog.example.com,2026:"
+  updated: Date;
+}
+
+// One post in a feed
+export interface FeedEntry {
+  id: string; // unique within the feed, appended to FeedInfo.idPrefix
+  title: string;
+  url: string;
+  summary: string | null;
+  contentHtml: string;
+  imageUrl: string | null;
+  author: string;
+  categories: string[];
+  language: string;
+  published: Date;
+  updated: Date;
+}
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+// Content-Type of each format
+export const FEED_CONTENT_TYPES: Record<FeedFormat, string> = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+export function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap HTML in a CDATA section. "]]>" inside the HTML would end the
+ * section early, so it is split across two sections.
+ */
+function cdata(html: string): string {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Build an RSS 2.0 document
+ *
+ * The full HTML goes into content:encoded, the excerpt into description.
+ * The cover image is added as a Media RSS element, since <enclosure>
+ * requires a byte length we don't know.
+ */
+export function buildRss(feed: FeedInfo, entries: FeedEntry[]): string {
+  const items = entries.map((entry) => {
+    const lines = [
+      `<title>${escapeXml(entry.title)}</title>`,
+      `<link>${escapeXml(entry.url)}</link>`,
+      `<guid isPermaLink="false">${escapeXml(feed.idPrefix + entry.id)}</guid>`,
+      `<pubDate>${entry.published.toUTCString()}</pubDate>`,
+      `<dc:creator>${escapeXml(entry.author)}</dc:creator>`,
+      ...entry.categories.map((name) => `<category>${escapeXml(name)}</category>`),
+    ];
+    if (entry.summary) lines.push(`<description>${escapeXml(entry.summary)}</description>`);
+    lines.push(`<content:encoded>${cdata(entry.contentHtml)}</content:encoded>`);
+    if (entry.imageUrl) {
+      lines.push(`<media:content url="${escapeXml(entry.imageUrl)}" medium="image" />`);
+    }
+    return `    <item>\n      ${lines.join('\n      ')}\n    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${feed.language}</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Build an Atom document
+ *
+ * Entries in a different language than the feed (untranslated posts in
+ * the English feed) carry their own xml:lang.
+ */
+export function buildAtom(feed: FeedInfo, entries: FeedEntry[]): string {
+  const items = entries.map((entry) => {
+    const lang = entry.language !== feed.language ? ` xml:lang="${entry.language}"` : '';
+    const lines = [
+      `<id>${escapeXml(feed.idPrefix + entry.id)}</id>`,
+      `<title>${escapeXml(entry.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(entry.url)}" />`,
+      `<published>${entry.published.toISOString()}</published>`,
+      `<updated>${entry.updated.toISOString()}</updated>`,
+      `<author><name>${escapeXml(entry.author)}</name></author>`,
+      ...entry.categories.map((name) => `<category term="${escapeXml(name)}" />`),
+    ];
+    if (entry.summary) lines.push(`<summary>${escapeXml(entry.summary)}</summary>`);
+    lines.push(`<content type="html">${escapeXml(entry.contentHtml)}</content>`);
+    if (entry.imageUrl) {
+      lines.push(`<media:thumbnail url="${escapeXml(entry.imageUrl)}" />`);
+    }
+    return `  <entry${lang}>\n    ${lines.join('\n    ')}\n  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="${feed.language}">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />
+  <updated>${feed.updated.toISOString()}</updated>
+${items.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Build a JSON Feed 1.1 document
+ */
+export function buildJsonFeed(feed: FeedInfo, entries: FeedEntry[]): string {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: feed.language,
+    items: entries.map((entry) => ({
+      id: feed.idPrefix + entry.id,
+      url: entry.url,
+      title: entry.title,
+      content_html: entry.contentHtml,
+      ...(entry.summary ? { summary: entry.summary } : {}),
+      ...(entry.imageUrl ? { image: entry.imageUrl } : {}),
+      date_published: entry.published.toISOString(),
+      date_modified: entry.updated.toISOString(),
+      authors: [{ name: entry.author }],
+      tags: entry.categories,
+      language: entry.language,
+    })),
+  });
+}
+
+// Builder for each format
+export const FEED_BUILDERS: Record<FeedFormat, (feed: FeedInfo, entries: FeedEntry[]) => string> = {
+  rss: buildRss,
+  atom: buildAtom,
+  json: buildJsonFeed,
+};
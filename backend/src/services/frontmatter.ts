@@ -0,0 +1,213 @@
+/**
+ * frontmatter.ts - Posts as Markdown files with YAML front matter
+ *
+ * The file format of the export and import (see transfer.ts), so posts
+ * can be written in an editor, kept in git and synced into the blog:
+ *
+ *   ---
+ *   title: "Tailscale VPN + Traefik"
+ *   slug: tailscale-traefik-setup
+ *   status: published
+ *   category: homelab
+ *   tags: [Tailscale, Traefik]
+ *   excerpt: Sichere Verbindung ohne Port Forwarding
+ *   cover_image_url: /images/2026/03/tailscale.webp
+ *   published_at: 2026-03-01T10:00:00.000Z
+ *   translations:
+ *     en:
+ *       title: "Tailscale VPN + Traefik"
+ *       excerpt: Secure connection without port forwarding
+ *       content: |
+ *         ...
+ *   ---
+ *   The German post as Markdown
+ *
+ * category is the category slug. Empty fields are left out of exported
+ * files; a missing field means empty (and for published_at: unchanged).
+ */
+
+import { parseDocument, stringify } from 'yaml';
+import { PostStatus } from '../models/types';
+import { parseCoverImageUrl } from './images';
+
+// Statuses a post file may have
+const STATUSES: PostStatus[] = ['draft', 'scheduled', 'published', 'archived'];
+
+// A translation in the front matter
+export interface PostFileTranslation {
+  title: string;
+  excerpt: string | null;
+  content: string;
+}
+
+// A post as read from / written to a Markdown file
+export interface PostFile {
+  title: string;
+  slug: string;
+  status: PostStatus;
+  category: string | null;
+  tags: string[];
+  excerpt: string | null;
+  featured: boolean;
+  cover_image_url: string | null;
+  published_at: Date | null;
+  publish_at: Date | null; // go-live time of a 'scheduled' post
+  translations: { en?: PostFileTranslation };
+  content: string;
+}
+
+// Result of parsing a file: the post, or what is wrong with the file
+export type ParsedPostFile = { post: PostFile } | { error: string };
+
+// "---" line, front matter, "---" line, then the Markdown
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Write a post as Markdown with front matter
+ */
+export function serializePostFile(post: PostFile): string {
+  const data: Record<string, unknown> = {
+    title: post.title,
+    slug: post.slug,
+    status: post.status,
+  };
+  if (post.category) data.category = post.category;
+  if (post.tags.length > 0) data.tags = post.tags;
+  if (post.excerpt) data.excerpt = post.excerpt;
+  if (post.featured) data.featured = true;
+  if (post.cover_image_url) data.cover_image_url = post.cover_image_url;
+  if (post.published_at) data.published_at = post.published_at.toISOString();
+  if (post.publish_at) data.publish_at = post.publish_at.toISOString();
+  if (post.translations.en) {
+    const { title, excerpt, content } = post.translations.en;
+    data.translations = { en: excerpt ? { title, excerpt, content } : { title, content } };
+  }
+
+  // parsePostFile() removes the blank line and the final line break again
+  return `---\n${stringify(data, { lineWidth: 0 })}---\n\n${post.content}\n`;
+}
+
+/**
+ * Read an optional text field ("" and null are empty)
+ */
+function optionalText(value: unknown, field: string): string | null {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new Error(`${field} must be text`);
+  return value;
+}
+
+/**
+ * Read an optional date (ISO 8601 text)
+ */
+function optionalDate(value: unknown, field: string): Date | null {
+  if (value === undefined || value === null || value === '') return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw new Error(`${field} is not a valid date`);
+  return date;
+}
+
+/**
+ * Read the English translation from the front matter
+ */
+function parseTranslations(value: unknown): PostFile['translations'] {
+  if (value === undefined || value === null) return {};
+  const en = (value as { en?: unknown }).en;
+  if (typeof value !== 'object' || en === undefined || en === null) return {};
+
+  const { title, excerpt, content } = en as Record<string, unknown>;
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new Error('translations.en needs a title');
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('translations.en needs a content');
+  }
+  return {
+    en: { title, excerpt: optionalText(excerpt, 'translations.en.excerpt'), content },
+  };
+}
+
+/**
+ * Parse a Markdown file with front matter
+ *
+ * Checks the format only (required fields, types, dates); whether the
+ * category exists is checked on import.
+ */
+export function parsePostFile(text: string): ParsedPostFile {
+  const match = FRONT_MATTER.exec(text);
+  if (!match) return { error: 'The file does not start with a --- front matter block' };
+
+  const document = parseDocument(match[1]);
+  if (document.errors.length > 0) {
+    return { error: `Invalid front matter: ${document.errors[0].message.split('\n')[0]}` };
+  }
+  const data = document.toJS();
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'The front matter must be a list of fields' };
+  }
+
+  try {
+    const title = optionalText(data.title, 'title');
+    if (!title?.trim()) throw new Error('title is required');
+    if (title.length > 500) throw new Error('title must be 500 characters or less');
+
+    const slug = optionalText(data.slug, 'slug');
+    if (!slug || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+      throw new Error('slug is required (lowercase letters, numbers and dashes)');
+    }
+
+    const status = data.status ?? 'draft';
+    if (!STATUSES.includes(status)) {
+      throw new Error(`status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    const tags = data.tags ?? [];
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      throw new Error('tags must be a list of names');
+    }
+
+    const excerpt = optionalText(data.excerpt, 'excerpt');
+    if (excerpt && excerpt.length > 1000) {
+      throw new Error('excerpt must be 1000 characters or less');
+    }
+
+    const coverImageUrl = parseCoverImageUrl(data.cover_image_url ?? null);
+    if (coverImageUrl === false) {
+      throw new Error('cover_image_url must be a path or an http(s) URL');
+    }
+
+    if (data.featured !== undefined && typeof data.featured !== 'boolean') {
+      throw new Error('featured must be true or false');
+    }
+
+    const publishAt = optionalDate(data.publish_at, 'publish_at');
+    if (status === 'scheduled' && !publishAt) {
+      throw new Error('Scheduled posts need a publish_at date');
+    }
+
+    const content = text
+      .slice(match[0].length)
+      .replace(/^\r?\n/, '')
+      .replace(/\r?\n$/, '');
+    if (!content.trim()) throw new Error('The post has no content');
+    if (content.length > 100000) throw new Error('Content must be 100000 characters or less');
+
+    return {
+      post: {
+        title,
+        slug,
+        status,
+        category: optionalText(data.category, 'category'),
+        tags,
+        excerpt,
+        featured: data.featured ?? false,
+        cover_image_url: coverImageUrl,
+        published_at: optionalDate(data.published_at, 'published_at'),
+        publish_at: status === 'scheduled' ? publishAt : null,
+        translations: parseTranslations(data.translations),
+        content,
+      },
+    };
+  } catch (err) {
+    return { error: (err as Error).message };
+  }
+}
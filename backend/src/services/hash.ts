@@ -0,0 +1,24 @@
+/**
+ * hash.ts - Content hashes for the translation and audio caches
+ *
+ * A cache row stores the hash of the text it was generated from. When the
+ * post is edited, the hash of the current text no longer matches and the
+ * cache entry is regenerated (see translate.ts and polly.ts).
+ *
+ * The same hash is computed in SQL by content_hash() (schema.sql), which the
+ * admin post list uses to show stale entries. Both must stay identical.
+ */
+
+import { createHash } from 'crypto';
+
+// Joins the parts; cannot appear in post text (ASCII unit separator)
+const SEPARATOR = '\u001f';
+
+/**
+ * SHA-256 (hex) of the given parts, null counts as an empty string
+ */
+export function contentHash(...parts: (string | null | undefined)[]): string {
+  return createHash('sha256')
+    .update(parts.map((part) => part ?? '').join(SEPARATOR), 'utf-8')
+    .digest('hex');
+}
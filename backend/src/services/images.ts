@@ -0,0 +1,229 @@
+/**
+ * images.ts - Uploaded cover images and inline post images
+ *
+ * The editor uploads an image file; it is checked, cleaned up and stored
+ * together with smaller WebP copies for responsive images:
+ *   images/{name}-{hash}.jpg        - Full size (at most 2400 px)
+ *   images/{name}-{hash}-480w.webp  - WebP variants (480, 960, 1600 px)
+ *
+ * Every file is encoded again, which drops all metadata (EXIF with camera
+ * details and GPS position, XMP, ICC profiles). The EXIF orientation is
+ * applied to the pixels first, so photos keep their rotation.
+ *
+ * The hash of the uploaded bytes is part of the name: uploading the same
+ * file again gives the same URLs, and a file never changes under its URL
+ * (cached for a year).
+ *
+ * Storage:
+ *   - S3_BUCKET_NAME set:   S3 bucket, served by CloudFront under /images/*
+ *                           (same bucket and client setup as polly.ts)
+ *   - S3_BUCKET_NAME unset: local directory (UPLOAD_DIR, default ./uploads),
+ *                           served by the backend under /images/* (app.ts)
+ *
+ * Environment variables:
+ *   UPLOAD_DIR       - Directory for local storage (default: ./uploads)
+ *   UPLOAD_MAX_BYTES - Largest accepted upload in bytes (default: 10 MB)
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { slugify } from './slug';
+
+// Accepted upload types and the format sharp must detect in the file
+export const IMAGE_TYPES: Record<string, 'jpeg' | 'png' | 'webp' | 'gif'> = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+// File extension per format
+const EXTENSIONS: Record<string, string> = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' };
+
+// Widths of the WebP variants (smaller images get one at their own width)
+export const IMAGE_WIDTHS = [480, 960, 1600];
+
+// Larger images are scaled down to this width/height for the full size file
+const MAX_DIMENSION = 2400;
+
+// Files are immutable under their URL (the hash is part of the name)
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION || 'eu-central-1',
+});
+
+/**
+ * Validate a cover image URL: an uploaded image (/images/...), another
+ * root-relative path or an http(s) URL. Returns null to remove the cover,
+ * false when the value is not usable.
+ */
+export function parseCoverImageUrl(value: unknown): string | null | false {
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > 500) return false;
+  return /^(\/(?!\/)|https?:\/\/)\S+$/.test(value) ? value : false;
+}
+
+/**
+ * Largest accepted upload in bytes (UPLOAD_MAX_BYTES, default 10 MB)
+ */
+export function maxUploadBytes(): number {
+  return parseInt(process.env.UPLOAD_MAX_BYTES || '', 10) || 10 * 1024 * 1024;
+}
+
+/**
+ * Directory for local storage when S3 is not configured
+ */
+export function uploadDir(): string {
+  return path.resolve(process.env.UPLOAD_DIR || 'uploads');
+}
+
+// A file ready to be stored
+interface ImageFile {
+  suffix: string; // Appended to the base name, e.g. "-480w.webp"
+  contentType: string;
+  body: Buffer;
+}
+
+// The cleaned-up image and its variants, before storing
+export interface ProcessedImage {
+  width: number;
+  height: number;
+  contentType: string;
+  hash: string;
+  files: ImageFile[];
+  variantWidths: number[];
+}
+
+// Result of an upload (URLs are root-relative paths)
+export interface StoredImage {
+  url: string;
+  width: number;
+  height: number;
+  type: string;
+  bytes: number; // All stored files together (full size and variants)
+  variants: { width: number; url: string }[];
+}
+
+/**
+ * Check and re-encode an uploaded image
+ *
+ * Returns null when the bytes are not an image of the declared type
+ * (a renamed PDF, a PNG sent as image/jpeg, a broken file).
+ * Animated GIF and WebP stay animated.
+ */
+export async function processImage(
+  input: Buffer,
+  mimeType: string
+): Promise<ProcessedImage | null> {
+  const format = IMAGE_TYPES[mimeType];
+  if (!format) return null;
+
+  const metadata = await sharp(input)
+    .metadata()
+    .catch(() => null);
+  if (!metadata || metadata.format !== format) return null;
+
+  const animated = (metadata.pages ?? 1) > 1;
+  // autoOrient() turns the pixels by the EXIF orientation before it is dropped
+  const source = () => sharp(input, { animated }).autoOrient();
+
+  try {
+    const full = await source()
+      .resize({
+        width: MAX_DIMENSION,
+        height: MAX_DIMENSION,
+        fit: 'inside',
+        withoutEnlargement: true,
+      })
+      .toFormat(format)
+      .toBuffer({ resolveWithObject: true });
+
+    const width = full.info.width;
+    const height = animated ? (full.info.pageHeight ?? full.info.height) : full.info.height;
+    const variantWidths = [...new Set(IMAGE_WIDTHS.map((w) => Math.min(w, width)))];
+
+    const files: ImageFile[] = [
+      { suffix: `.${EXTENSIONS[format]}`, contentType: mimeType, body: full.data },
+    ];
+    for (const variantWidth of variantWidths) {
+      files.push({
+        suffix: `-${variantWidth}w.webp`,
+        contentType: 'image/webp',
+        body: await source().resize({ width: variantWidth }).webp({ quality: 80 }).toBuffer(),
+      });
+    }
+
+    return {
+      width,
+      height,
+      contentType: mimeType,
+      hash: createHash('sha256').update(input).digest('hex').slice(0, 12),
+      files,
+      variantWidths,
+    };
+  } catch (err) {
+    console.warn('Image processing failed:', (err as Error).message);
+    return null;
+  }
+}
+
+/**
+ * Write one file to S3, or to the upload directory without S3
+ */
+async function storeFile(key: string, file: ImageFile): Promise<boolean> {
+  const bucket = process.env.S3_BUCKET_NAME;
+
+  try {
+    if (bucket) {
+      await s3Client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: file.body,
+          ContentType: file.contentType,
+          CacheControl: CACHE_CONTROL,
+        })
+      );
+    } else {
+      const target = path.join(uploadDir(), key);
+      await mkdir(path.dirname(target), { recursive: true });
+      await writeFile(target, file.body);
+    }
+    return true;
+  } catch (err) {
+    console.warn(`Image upload failed (${key}):`, (err as Error).message);
+    return false;
+  }
+}
+
+/**
+ * Store a processed image and its variants
+ *
+ * name (usually the original file name) becomes the readable part of the
+ * file name. Returns null when a file could not be stored.
+ */
+export async function storeImage(image: ProcessedImage, name: string): Promise<StoredImage | null> {
+  const baseName =
+    slugify(name.replace(/\.[a-z0-9]+$/i, ''))
+      .slice(0, 60)
+      .replace(/-+$/, '') || 'image';
+  const prefix = `images/${baseName}-${image.hash}`;
+
+  const results = await Promise.all(
+    image.files.map((file) => storeFile(`${prefix}${file.suffix}`, file))
+  );
+  if (results.includes(false)) return null;
+
+  return {
+    url: `/${prefix}${image.files[0].suffix}`,
+    width: image.width,
+    height: image.height,
+    type: image.contentType,
+    bytes: image.files.reduce((sum, file) => sum + file.body.length, 0),
+    variants: image.variantWidths.map((width) => ({ width, url: `/${prefix}-${width}w.webp` })),
+  };
+}
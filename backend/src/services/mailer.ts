@@ -0,0 +1,109 @@
+/**
+ * mailer.ts - Outgoing email
+ *
+ * Mails go through a transport. The default one sends via SMTP
+ * (nodemailer) and is set up from the environment on first use. Another
+ * transport (an email API, a test double) plugs in with setMailTransport().
+ *
+ * Environment variables:
+ *   SMTP_HOST   - SMTP server; without it no mails are sent
+ *   SMTP_PORT   - Port (default 587 with STARTTLS; 465 uses TLS directly)
+ *   SMTP_USER   - Login, if the server needs one
+ *   SMTP_PASS   - Password for SMTP_USER
+ *   MAIL_FROM   - Sender, e.g. "Tech Blog <blog@example.com>"
+ *
+ * Locally an SMTP catcher such as Mailpit receives everything
+ * (SMTP_HOST=localhost SMTP_PORT=1025, web UI on port 8025).
+ */
+
+import nodemailer from 'nodemailer';
+
+// Sender when MAIL_FROM is not set
+const DEFAULT_FROM = 'Tech Blog <noreply@localhost>';
+
+export interface MailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  headers?: Record<string, string>;
+}
+
+export interface MailTransport {
+  send(message: MailMessage & { from: string }): Promise<void>;
+}
+
+export interface SmtpOptions {
+  host: string;
+  port: number;
+  user?: string;
+  pass?: string;
+}
+
+// undefined = not read from the environment yet, null = mail is off
+let transport: MailTransport | null | undefined;
+
+/**
+ * Transport that delivers through an SMTP server
+ */
+export function createSmtpTransport(options: SmtpOptions): MailTransport {
+  const smtp = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.port === 465,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+  });
+
+  return {
+    async send(message) {
+      await smtp.sendMail(message);
+    },
+  };
+}
+
+/**
+ * SMTP transport from the environment, or null without SMTP_HOST
+ */
+function transportFromEnv(): MailTransport | null {
+  const host = process.env.SMTP_HOST;
+  if (!host) return null;
+  return createSmtpTransport({
+    host,
+    port: parseInt(process.env.SMTP_PORT || '', 10) || 587,
+    user: process.env.SMTP_USER || undefined,
+    pass: process.env.SMTP_PASS || undefined,
+  });
+}
+
+function getTransport(): MailTransport | null {
+  if (transport === undefined) transport = transportFromEnv();
+  return transport;
+}
+
+/**
+ * Replace the transport (null turns mail off, undefined goes back to the
+ * environment)
+ */
+export function setMailTransport(next: MailTransport | null | undefined): void {
+  transport = next;
+}
+
+/**
+ * Whether mails can be sent
+ */
+export function isMailConfigured(): boolean {
+  return getTransport() !== null;
+}
+
+/**
+ * Send a mail from MAIL_FROM
+ *
+ * Returns false when mail is off. Delivery errors are thrown, callers
+ * decide whether they matter.
+ */
+export async function sendMail(message: MailMessage): Promise<boolean> {
+  const current = getTransport();
+  if (!current) return false;
+
+  await current.send({ ...message, from: process.env.MAIL_FROM || DEFAULT_FROM });
+  return true;
+}
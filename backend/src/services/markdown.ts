@@ -0,0 +1,153 @@
+/**
+ * markdown.ts - Server-side Markdown rendering
+ *
+ * Posts are stored as Markdown. The HTML is rendered here when a post or
+ * translation is saved and stored next to it (content_html, see
+ * schema.sql), so the post page, the admin preview, the feeds and the
+ * server-rendered page all show the same, already sanitized HTML.
+ *
+ * Rendering (GitHub Flavored Markdown, no automatic line breaks):
+ *   - Headings get an id from their text ("Setup in 6 Schritten" ->
+ *     "setup-in-6-schritten", "-2", "-3" for repeats) and a "#" link
+ *   - Code blocks are highlighted with highlight.js (the page loads the
+ *     github-dark theme for the hljs-* classes)
+ *   - Links to other sites open in a new tab with rel="noopener noreferrer"
+ *
+ * Markdown may contain raw HTML. sanitize-html removes scripts, event
+ * handlers and javascript: URLs and keeps the formatting Markdown produces.
+ *
+ * tableOfContents() reads the H2/H3 headings back from the rendered HTML
+ * for the table of contents of the post page.
+ */
+
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js';
+import sanitizeHtml from 'sanitize-html';
+import { slugify } from './slug';
+
+// An entry of the table of contents: heading id, text and level
+export interface TocEntry {
+  id: string;
+  text: string;
+  level: 2 | 3;
+}
+
+// Heading ids used in the document being rendered (reset per document)
+const headingIds = new Map<string, number>();
+
+// One parser instance, configured like the old frontend one
+const markdown = new Marked(
+  { gfm: true, breaks: false },
+  markedHighlight({
+    emptyLangClass: 'hljs',
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      return lang && hljs.getLanguage(lang)
+        ? hljs.highlight(code, { language: lang }).value
+        : hljs.highlightAuto(code).value;
+    },
+  }),
+  {
+    renderer: {
+      heading({ tokens, depth }) {
+        const html = this.parser.parseInline(tokens);
+        const id = uniqueHeadingId(html);
+        return (
+          `<h${depth} id="${id}">${html}` +
+          ` <a class="heading-anchor" href="#${id}" aria-hidden="true">#</a></h${depth}>\n`
+        );
+      },
+    },
+  }
+);
+
+/**
+ * Id for a heading from its rendered text, unique within the document
+ */
+function uniqueHeadingId(html: string): string {
+  const text = html.replace(/<[^>]*>/g, '').replace(/&[a-z0-9#]+;/gi, ' ');
+  const base = slugify(text) || 'section';
+  const count = (headingIds.get(base) ?? 0) + 1;
+  headingIds.set(base, count);
+  return count === 1 ? base : `${base}-${count}`;
+}
+
+/**
+ * Links leaving the site open in a new tab without access to this page
+ * (window.opener) and without sending it as referrer
+ */
+const safeLink: sanitizeHtml.Transformer = (tagName, attribs) => {
+  const external = /^https?:\/\//i.test(attribs.href ?? '');
+  if (external || attribs.target === '_blank') {
+    return {
+      tagName,
+      attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' },
+    };
+  }
+  const rest = { ...attribs };
+  delete rest.target;
+  delete rest.rel;
+  return { tagName, attribs: rest };
+};
+
+// Everything Markdown (and GFM) produces, nothing that runs code
+const SANITIZE_OPTIONS: sanitizeHtml.IOptions = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del', 'input'],
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    '*': ['id', 'title'],
+    a: ['href', 'name', 'target', 'rel', 'class', 'aria-hidden'],
+    code: ['class'],
+    span: ['class'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'], // task list checkboxes
+    th: ['align'],
+    td: ['align'],
+  },
+  allowedClasses: {
+    a: ['heading-anchor'],
+    code: ['hljs', 'language-*'],
+    span: ['hljs-*', 'language-*'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: { a: safeLink },
+};
+
+/**
+ * Render Markdown to sanitized HTML
+ */
+export function renderMarkdown(text: string): string {
+  headingIds.clear();
+  return sanitizeHtml(markdown.parse(text, { async: false }), SANITIZE_OPTIONS);
+}
+
+// H2/H3 with an id in rendered HTML (after sanitize-html: lowercase tags, double quotes)
+const TOC_HEADING = /<h([23]) id="([^"]+)">([\s\S]*?)<\/h\1>/g;
+
+// Entities sanitize-html writes into text
+const ENTITIES: Record<string, string> = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+};
+
+/**
+ * Table of contents of rendered HTML: its H2 and H3 headings in order
+ *
+ * Uses the ids renderMarkdown() gave the headings, so the entries link to
+ * the "#" anchors of the page. The text is plain (no tags, no entities).
+ */
+export function tableOfContents(html: string): TocEntry[] {
+  return Array.from(html.matchAll(TOC_HEADING), ([, level, id, inner]) => ({
+    id: id.replace(/&[a-z0-9#]+;/gi, (entity) => ENTITIES[entity] ?? entity),
+    text: inner
+      .replace(/<a class="heading-anchor"[\s\S]*?<\/a>/g, '')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&[a-z0-9#]+;/gi, (entity) => ENTITIES[entity] ?? entity)
+      .trim(),
+    level: Number(level) as 2 | 3,
+  })).filter((entry) => entry.text !== '');
+}
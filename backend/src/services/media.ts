@@ -0,0 +1,259 @@
+/**
+ * media.ts - Media library: uploaded images and Polly audio files
+ *
+ * Every file the blog stores in the bucket gets a row in the media table:
+ *   - Images, when uploaded in the editor (images.ts, POST /api/admin/images)
+ *   - Audio, when Polly generates an MP3 for a post (polly.ts)
+ *
+ * Usage is not stored but looked up from the posts: an image is used when
+ * the cover or the Markdown of a post links to it (or to one of its WebP
+ * variants), an MP3 while post_audio points to it. Only the current text
+ * counts; older revisions are not searched.
+ *
+ * Deleted posts take their post_audio rows with them (ON DELETE CASCADE),
+ * but not the MP3s in S3. findOrphanAudio() lists those files by comparing
+ * the bucket with post_audio.
+ *
+ * Storage is the same as in images.ts: S3 when S3_BUCKET_NAME is set,
+ * otherwise the local upload directory (audio only exists with S3).
+ */
+
+import { rm } from 'fs/promises';
+import path from 'path';
+import { S3Client, DeleteObjectsCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { query } from '../models/database';
+import { uploadDir } from './images';
+
+export type MediaKind = 'image' | 'audio';
+
+// Prefix of the Polly files (polly.ts: audio/post-{id}-{lang}-{hash}.mp3)
+const AUDIO_PREFIX = 'audio/post-';
+
+// Newer files are never orphans: Polly uploads before it writes post_audio
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+const s3Client = new S3Client({
+  region: process.env.AWS_REGION || 'eu-central-1',
+});
+
+// A stored file to add to the library
+export interface MediaEntry {
+  key: string; // Storage key, e.g. "images/photo-3f2a9c0d1b7e.jpg"
+  kind: MediaKind;
+  contentType: string;
+  originalName?: string | null;
+  width?: number | null;
+  height?: number | null;
+  sizeBytes?: number | null;
+  variants?: { width: number; url: string }[];
+  createdBy?: string | null;
+}
+
+// Filters of GET /api/admin/media
+export interface MediaFilters {
+  search?: string;
+  kind?: MediaKind;
+  usage?: 'used' | 'unused';
+}
+
+/**
+ * Posts using a media row m (subquery returning a JSON array)
+ *
+ * Images match on the key without extension, which also covers the
+ * WebP variants ("images/photo-3f2a9c0d1b7e-960w.webp").
+ */
+const USED_BY_SQL = `
+  SELECT COALESCE(
+    json_agg(json_build_object('id', p.id, 'title', p.title, 'slug', p.slug, 'status', p.status)
+      ORDER BY p.id),
+    '[]'
+  )
+  FROM posts p
+  WHERE (m.kind = 'image' AND (
+      strpos(COALESCE(p.cover_image_url, ''), '/' || regexp_replace(m.s3_key, '\\.[a-z0-9]+$', '')) > 0
+      OR strpos(p.content, '/' || regexp_replace(m.s3_key, '\\.[a-z0-9]+$', '')) > 0))
+    OR (m.kind = 'audio' AND EXISTS (
+      SELECT 1 FROM post_audio pa WHERE pa.post_id = p.id AND pa.s3_key = m.s3_key))
+`;
+
+const MEDIA_COLUMNS = `
+  m.id, m.kind, '/' || m.s3_key AS url, m.content_type, m.original_name,
+  m.width, m.height, m.size_bytes, m.variants, m.created_by, m.created_at
+`;
+
+/**
+ * Add a stored file to the library (or refresh it when the key exists)
+ *
+ * Uploading the same image twice gives the same key (see images.ts), so
+ * it stays one entry. Returns the media id, or null when saving failed.
+ */
+export async function recordMedia(entry: MediaEntry): Promise<number | null> {
+  try {
+    const result = await query(
+      `INSERT INTO media
+        (s3_key, kind, content_type, original_name, width, height, size_bytes, variants, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (s3_key) DO UPDATE SET
+        content_type = EXCLUDED.content_type,
+        original_name = COALESCE(EXCLUDED.original_name, media.original_name),
+        width = EXCLUDED.width,
+        height = EXCLUDED.height,
+        size_bytes = EXCLUDED.size_bytes,
+        variants = EXCLUDED.variants
+      RETURNING id`,
+      [
+        entry.key,
+        entry.kind,
+        entry.contentType,
+        entry.originalName ?? null,
+        entry.width ?? null,
+        entry.height ?? null,
+        entry.sizeBytes ?? null,
+        JSON.stringify(entry.variants ?? []),
+        entry.createdBy ?? null,
+      ]
+    );
+    return result.rows[0].id;
+  } catch (err) {
+    console.warn(`Failed to record media (${entry.key}):`, (err as Error).message);
+    return null;
+  }
+}
+
+/**
+ * Remove files from the library after they were deleted from storage
+ */
+export async function forgetMedia(keys: string[]): Promise<void> {
+  if (keys.length === 0) return;
+  try {
+    await query('DELETE FROM media WHERE s3_key = ANY($1::text[])', [keys]);
+  } catch (err) {
+    console.warn('Failed to remove media entries:', (err as Error).message);
+  }
+}
+
+/**
+ * List the library, newest first, each file with the posts using it
+ *
+ * search matches the original file name and the key (case-insensitive).
+ */
+export async function listMedia(filters: MediaFilters = {}) {
+  const conditions: string[] = [];
+  const values: unknown[] = [];
+
+  if (filters.search) {
+    values.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(
+      `(m.original_name ILIKE $${values.length} OR m.s3_key ILIKE $${values.length})`
+    );
+  }
+  if (filters.kind) {
+    values.push(filters.kind);
+    conditions.push(`m.kind = $${values.length}`);
+  }
+  if (filters.usage) {
+    conditions.push(`json_array_length(u.used_by) ${filters.usage === 'used' ? '>' : '='} 0`);
+  }
+
+  const result = await query(
+    `
+    SELECT ${MEDIA_COLUMNS}, u.used_by
+    FROM media m
+    CROSS JOIN LATERAL (${USED_BY_SQL}) AS u(used_by)
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY m.created_at DESC, m.id DESC
+  `,
+    values
+  );
+  return result.rows;
+}
+
+/**
+ * Get one library entry with its storage key and the posts using it
+ */
+export async function findMedia(id: number) {
+  const result = await query(
+    `
+    SELECT ${MEDIA_COLUMNS}, m.s3_key, u.used_by
+    FROM media m
+    CROSS JOIN LATERAL (${USED_BY_SQL}) AS u(used_by)
+    WHERE m.id = $1
+  `,
+    [id]
+  );
+  return result.rows[0] ?? null;
+}
+
+/**
+ * Delete files from storage (S3, or the upload directory without S3)
+ *
+ * Returns false when a file could not be deleted. Files that do not
+ * exist (anymore) count as deleted.
+ */
+export async function deleteStoredFiles(keys: string[]): Promise<boolean> {
+  const bucket = process.env.S3_BUCKET_NAME;
+
+  try {
+    if (bucket) {
+      // DeleteObjects takes at most 1000 keys per request
+      for (let i = 0; i < keys.length; i += 1000) {
+        const response = await s3Client.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })), Quiet: true },
+          })
+        );
+        if (response.Errors && response.Errors.length > 0) {
+          throw new Error(`${response.Errors[0].Key}: ${response.Errors[0].Message}`);
+        }
+      }
+    } else {
+      for (const key of keys) {
+        await rm(path.join(uploadDir(), key), { force: true });
+      }
+    }
+    return true;
+  } catch (err) {
+    console.warn('Media delete failed:', (err as Error).message);
+    return false;
+  }
+}
+
+/**
+ * Find Polly MP3s in S3 that no post_audio row points to
+ *
+ * These are left behind by deleted posts (and by regenerated audio whose
+ * old file could not be deleted). Files younger than an hour are skipped,
+ * they may belong to a synthesis that is still running.
+ * Without S3 there is no audio, so the list is empty.
+ */
+export async function findOrphanAudio(): Promise<string[]> {
+  const bucket = process.env.S3_BUCKET_NAME;
+  if (!bucket) return [];
+
+  const stored: string[] = [];
+  const cutoff = Date.now() - ORPHAN_MIN_AGE_MS;
+  let continuationToken: string | undefined;
+  do {
+    const response = await s3Client.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: AUDIO_PREFIX,
+        ContinuationToken: continuationToken,
+      })
+    );
+    for (const object of response.Contents ?? []) {
+      if (object.Key && (!object.LastModified || object.LastModified.getTime() < cutoff)) {
+        stored.push(object.Key);
+      }
+    }
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  if (stored.length === 0) return [];
+  const referenced = await query('SELECT s3_key FROM post_audio WHERE s3_key = ANY($1::text[])', [
+    stored,
+  ]);
+  const inUse = new Set(referenced.rows.map((row) => row.s3_key));
+  return stored.filter((key) => !inUse.has(key));
+}
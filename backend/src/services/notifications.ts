@@ -0,0 +1,512 @@
+/**
+ * notifications.ts - Email notifications for commenters
+ *
+ * A commenter who leaves an email address can ask to be told when the
+ * comment is approved and when someone replies to it:
+ *   1. The comment is linked to the address (comment_subscribers, one row
+ *      per address) and a confirmation email goes to it (double opt-in),
+ *      also when the address was confirmed before: anyone can type any
+ *      address into the form. At most CONFIRM_EMAILS_PER_DAY per address,
+ *      so the form cannot be used to flood someone else's inbox. The
+ *      answer is the same either way, so it does not tell whether an
+ *      address is subscribed.
+ *   2. The link in it confirms the notifications for this one comment
+ *      (comments.subscription_confirmed_at).
+ *   3. When a comment is approved, its commenter and the commenter it
+ *      replies to get an email. Only confirmed comments, and only once per
+ *      comment (comments.notified_at).
+ *      After a moderator approval the emails wait APPROVAL_NOTIFY_DELAY_MINUTES
+ *      (comments.notify_after), the undo window of the admin comments page;
+ *      the notification scheduler sends them (notifyDueComments). An
+ *      approval taken back before then sends nothing.
+ *
+ * Every email has a one-click unsubscribe link, also as List-Unsubscribe
+ * header (RFC 8058) for the unsubscribe button of mail clients.
+ * Unsubscribing stops all emails to the address and unlinks its comments.
+ *
+ * The links carry a token signed like preview links (HMAC-SHA256):
+ *   <subscriberId>.<commentId>.<signature>
+ * The comment is the one the email was about; the link pages go back to
+ * its post.
+ *
+ * The links in the emails are built from SITE_URL only, never from the
+ * Host header of a request. Without SITE_URL no emails are sent.
+ *
+ * Environment variables:
+ *   SITE_URL           - Public blog URL for the links (see site.ts)
+ *   EMAIL_TOKEN_SECRET - Signing key, the same in every pod. Keep it: it
+ *                        also signs the unsubscribe links of sent emails.
+ *                        Without it a random key is used, so links only
+ *                        work on this process until it restarts.
+ *   NOTIFICATION_SCHEDULER_INTERVAL_MS - Check interval for the delayed
+ *                        approval emails (default: 60000)
+ *   NOTIFICATION_SCHEDULER_DISABLED    - "true" turns that scheduler off in
+ *                        this pod (another pod must run it, or the
+ *                        approval emails of moderators are never sent)
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { query } from '../models/database';
+import { isMailConfigured, sendMail } from './mailer';
+import { configuredSiteUrl } from './site';
+
+// How long a confirmation link works
+export const CONFIRM_LINK_DAYS = 7;
+
+// Most confirmation emails to an address per day
+const CONFIRM_EMAILS_PER_DAY = 3;
+
+// Longest comment excerpt in a reply email
+const EXCERPT_LENGTH = 300;
+
+// How long the emails of a moderator approval wait (undo window)
+export const APPROVAL_NOTIFY_DELAY_MINUTES = 10;
+
+// Most delayed comments notified per scheduler run
+const DUE_BATCH_SIZE = 100;
+
+// Default check interval of the notification scheduler
+const DEFAULT_SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+type Language = 'de' | 'en';
+type TokenPurpose = 'confirm' | 'unsubscribe';
+
+// Outcome of an opt-in: confirmation pending, or no mail set up
+export type SubscribeResult = 'confirm' | 'unavailable';
+
+// Outcome of a link from an email, with the post to go back to
+export interface EmailLinkResult {
+  ok: boolean;
+  slug: string | null;
+}
+
+interface Recipient {
+  subscriber_id: number;
+  email: string;
+  language: Language;
+  author_name: string;
+}
+
+const TEXTS = {
+  de: {
+    greeting: (name: string) => `Hallo ${name},`,
+    confirmSubject: 'Bitte bestätige deine E-Mail-Adresse',
+    confirm: (title: string, link: string) =>
+      `du möchtest eine E-Mail bekommen, wenn dein Kommentar zu "${title}" freigegeben ` +
+      `wird oder jemand darauf antwortet. Bitte bestätige das mit diesem Link:\n\n${link}\n\n` +
+      `Der Link ist ${CONFIRM_LINK_DAYS} Tage gültig. Warst du das nicht, ignoriere diese ` +
+      'E-Mail einfach: ohne Bestätigung bekommst du keine weiteren E-Mails.',
+    approvedSubject: 'Dein Kommentar ist online',
+    approved: (title: string, link: string) =>
+      `dein Kommentar zu "${title}" wurde freigegeben:\n\n${link}`,
+    replySubject: 'Neue Antwort auf deinen Kommentar',
+    reply: (replier: string, title: string, excerpt: string, link: string) =>
+      `${replier} hat auf deinen Kommentar zu "${title}" geantwortet:\n\n${excerpt}\n\n${link}`,
+    footer: (link: string) => `Keine E-Mails mehr zu deinen Kommentaren: ${link}`,
+  },
+  en: {
+    greeting: (name: string) => `Hi ${name},`,
+    confirmSubject: 'Please confirm your email address',
+    confirm: (title: string, link: string) =>
+      `you asked to get an email when your comment on "${title}" is approved or ` +
+      `someone replies to it. Please confirm with this link:\n\n${link}\n\n` +
+      `The link works for ${CONFIRM_LINK_DAYS} days. If this was not you, just ignore ` +
+      'this email: without confirmation you will not get any more emails.',
+    approvedSubject: 'Your comment is online',
+    approved: (title: string, link: string) =>
+      `your comment on "${title}" has been approved:\n\n${link}`,
+    replySubject: 'New reply to your comment',
+    reply: (replier: string, title: string, excerpt: string, link: string) =>
+      `${replier} replied to your comment on "${title}":\n\n${excerpt}\n\n${link}`,
+    footer: (link: string) => `No more emails about your comments: ${link}`,
+  },
+};
+
+let fallbackSecret: Buffer | null = null;
+let siteUrlWarningLogged = false;
+
+/**
+ * Signing key from EMAIL_TOKEN_SECRET, or a random per-process key
+ */
+function getSecret(): Buffer | string {
+  if (process.env.EMAIL_TOKEN_SECRET) return process.env.EMAIL_TOKEN_SECRET;
+  if (!fallbackSecret) {
+    console.warn('EMAIL_TOKEN_SECRET not set, email links only work until restart');
+    fallbackSecret = randomBytes(32);
+  }
+  return fallbackSecret;
+}
+
+function sign(purpose: TokenPurpose, subscriberId: number, commentId: number): Buffer {
+  return createHmac('sha256', getSecret())
+    .update(`${purpose}.${subscriberId}.${commentId}`)
+    .digest();
+}
+
+/**
+ * Build the token of a confirmation or unsubscribe link
+ */
+export function signEmailToken(
+  purpose: TokenPurpose,
+  subscriberId: number,
+  commentId: number
+): string {
+  const signature = sign(purpose, subscriberId, commentId).toString('base64url');
+  return `${subscriberId}.${commentId}.${signature}`;
+}
+
+/**
+ * Check the signature of a token (a confirm token is no unsubscribe token)
+ *
+ * Returns subscriber and comment, or null for a malformed or forged token.
+ */
+export function verifyEmailToken(
+  purpose: TokenPurpose,
+  token: string
+): { subscriberId: number; commentId: number } | null {
+  const match = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(token);
+  if (!match) return null;
+
+  const subscriberId = parseInt(match[1], 10);
+  const commentId = parseInt(match[2], 10);
+  const expected = sign(purpose, subscriberId, commentId);
+  const signature = Buffer.from(match[3], 'base64url');
+  if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+    return null;
+  }
+  return { subscriberId, commentId };
+}
+
+/**
+ * Whether an address looks like an email address (the confirmation does the rest)
+ */
+export function isValidEmail(email: string): boolean {
+  return email.length <= 255 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/**
+ * Base URL of the links in emails (SITE_URL), null without it
+ */
+function emailBase(): string | null {
+  const base = configuredSiteUrl();
+  if (!base && !siteUrlWarningLogged) {
+    console.warn('SITE_URL not set, comment notification emails are disabled');
+    siteUrlWarningLogged = true;
+  }
+  return base;
+}
+
+/**
+ * URL of a confirmation or unsubscribe link
+ */
+function emailLink(base: string, purpose: TokenPurpose, subscriberId: number, commentId: number) {
+  const token = signEmailToken(purpose, subscriberId, commentId);
+  return `${base}/api/comments/notifications/${purpose}?token=${token}`;
+}
+
+/**
+ * URL of the comments of a post
+ */
+function commentsUrl(base: string, slug: string): string {
+  return `${base}/post.html?slug=${encodeURIComponent(slug)}#post-comments-section`;
+}
+
+/**
+ * Where a link from an email leads: the post with ?email=<status> (the post
+ * page shows a notice), or the home page when the post is gone. A path on
+ * the site the link was opened on.
+ */
+export function emailLinkPage(slug: string | null, status: string): string {
+  if (!slug) return '/';
+  return `/post.html?slug=${encodeURIComponent(slug)}&email=${status}#post-comments-section`;
+}
+
+/**
+ * Send one notification with greeting and unsubscribe footer
+ */
+async function deliver(
+  recipient: Recipient,
+  commentId: number,
+  base: string,
+  subject: string,
+  body: string
+): Promise<void> {
+  const texts = TEXTS[recipient.language];
+  const unsubscribe = emailLink(base, 'unsubscribe', recipient.subscriber_id, commentId);
+
+  await sendMail({
+    to: recipient.email,
+    subject,
+    text: `${texts.greeting(recipient.author_name)}\n\n${body}\n\n-- \n${texts.footer(unsubscribe)}\n`,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribe}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  });
+}
+
+/**
+ * Opt a new comment in to notifications
+ *
+ * Links the comment to the address and sends the confirmation email for
+ * it (unless the address got too many today). The language of a confirmed
+ * address stays as it is. A failed confirmation email is logged, the
+ * comment stays linked.
+ */
+export async function subscribeToComment(data: {
+  commentId: number;
+  email: string;
+  language: Language;
+  authorName: string;
+  postTitle: string;
+}): Promise<SubscribeResult> {
+  if (!isMailConfigured()) return 'unavailable';
+  const base = emailBase();
+  if (!base) return 'unavailable';
+
+  const subscriber = await query(
+    `INSERT INTO comment_subscribers (email, language) VALUES ($1, $2)
+    ON CONFLICT (email) DO UPDATE SET language = CASE
+      WHEN comment_subscribers.confirmed_at IS NULL THEN EXCLUDED.language
+      ELSE comment_subscribers.language END
+    RETURNING id`,
+    [data.email.trim().toLowerCase(), data.language]
+  );
+  const { id } = subscriber.rows[0];
+
+  await query('UPDATE comments SET subscriber_id = $1 WHERE id = $2', [id, data.commentId]);
+
+  // Claim the confirmation email (the comments linked today, this one included)
+  const due = await query(
+    `UPDATE comment_subscribers SET confirmation_sent_at = NOW()
+    WHERE id = $1
+      AND (SELECT COUNT(*) FROM comments
+        WHERE subscriber_id = $1 AND created_at > NOW() - INTERVAL '1 day') <= $2
+    RETURNING id`,
+    [id, CONFIRM_EMAILS_PER_DAY]
+  );
+  if (due.rows.length > 0) {
+    const texts = TEXTS[data.language];
+    const recipient = {
+      subscriber_id: id,
+      email: data.email.trim(),
+      language: data.language,
+      author_name: data.authorName,
+    };
+    const confirm = emailLink(base, 'confirm', id, data.commentId);
+    await deliver(
+      recipient,
+      data.commentId,
+      base,
+      texts.confirmSubject,
+      texts.confirm(data.postTitle, confirm)
+    ).catch((err) => console.warn('Confirmation email failed:', (err as Error).message));
+  }
+  return 'confirm';
+}
+
+/**
+ * Slug of the post a comment belongs to
+ */
+async function commentPostSlug(commentId: number): Promise<string | null> {
+  const result = await query(
+    'SELECT p.slug FROM comments c JOIN posts p ON p.id = c.post_id WHERE c.id = $1',
+    [commentId]
+  );
+  return result.rows[0]?.slug ?? null;
+}
+
+/**
+ * Confirm the notifications for a comment with the link of its confirmation email
+ *
+ * Also marks the address as confirmed (again, after unsubscribing).
+ * Confirming twice is fine. Fails for forged or expired links and for
+ * comments from before an unsubscribe.
+ */
+export async function confirmSubscription(token: string): Promise<EmailLinkResult> {
+  const parsed = verifyEmailToken('confirm', token);
+  if (!parsed) return { ok: false, slug: null };
+
+  const result = await query(
+    `WITH confirmed AS (
+      UPDATE comments
+      SET subscription_confirmed_at = COALESCE(subscription_confirmed_at, NOW())
+      WHERE id = $2 AND subscriber_id = $1
+        AND (subscription_confirmed_at IS NOT NULL
+          OR created_at > NOW() - make_interval(days => $3))
+      RETURNING subscriber_id
+    )
+    UPDATE comment_subscribers
+    SET confirmed_at = COALESCE(confirmed_at, NOW()), unsubscribed_at = NULL
+    WHERE id IN (SELECT subscriber_id FROM confirmed)
+    RETURNING id`,
+    [parsed.subscriberId, parsed.commentId, CONFIRM_LINK_DAYS]
+  );
+  return { ok: result.rows.length > 0, slug: await commentPostSlug(parsed.commentId) };
+}
+
+/**
+ * Stop all emails to an address (one-click unsubscribe)
+ *
+ * Also works for unconfirmed addresses; unsubscribing twice is fine.
+ */
+export async function unsubscribe(token: string): Promise<EmailLinkResult> {
+  const parsed = verifyEmailToken('unsubscribe', token);
+  if (!parsed) return { ok: false, slug: null };
+
+  const result = await query(
+    `UPDATE comment_subscribers
+    SET unsubscribed_at = COALESCE(unsubscribed_at, NOW()), confirmed_at = NULL
+    WHERE id = $1
+    RETURNING id`,
+    [parsed.subscriberId]
+  );
+  if (result.rows.length > 0) {
+    await query('UPDATE comments SET subscriber_id = NULL WHERE subscriber_id = $1', [
+      parsed.subscriberId,
+    ]);
+  }
+  return { ok: result.rows.length > 0, slug: await commentPostSlug(parsed.commentId) };
+}
+
+/**
+ * Emails for newly approved comments
+ *
+ * For each comment: "your comment is online" to its commenter and "new
+ * reply" to the commenter of its parent (not when both are the same
+ * address). Each comment is only handled once, approving it again sends
+ * nothing. Failed emails are logged.
+ */
+export async function notifyCommentsApproved(commentIds: number[]): Promise<void> {
+  if (!isMailConfigured()) return;
+  const base = emailBase();
+  if (!base) return;
+
+  for (const commentId of commentIds) {
+    const claimed = await query(
+      `UPDATE comments SET notified_at = NOW()
+      WHERE id = $1 AND status = 'approved' AND notified_at IS NULL
+      RETURNING id, parent_id, author_name, content`,
+      [commentId]
+    );
+    if (claimed.rows.length === 0) continue;
+    const comment = claimed.rows[0];
+
+    const recipients = await query(
+      `SELECT c.id AS comment_id, c.author_name, s.id AS subscriber_id, s.email, s.language,
+        p.title, p.slug
+      FROM comments c
+      JOIN comment_subscribers s ON s.id = c.subscriber_id
+      JOIN posts p ON p.id = c.post_id
+      WHERE c.id IN ($1, $2) AND c.subscription_confirmed_at IS NOT NULL
+        AND s.unsubscribed_at IS NULL`,
+      [comment.id, comment.parent_id]
+    );
+    const own = recipients.rows.find((row) => row.comment_id === comment.id);
+    const parent = recipients.rows.find((row) => row.comment_id === comment.parent_id);
+
+    try {
+      if (own) {
+        const texts = TEXTS[own.language as Language];
+        await deliver(
+          own,
+          comment.id,
+          base,
+          texts.approvedSubject,
+          texts.approved(own.title, commentsUrl(base, own.slug))
+        );
+      }
+      if (parent && parent.subscriber_id !== own?.subscriber_id) {
+        const texts = TEXTS[parent.language as Language];
+        const excerpt =
+          comment.content.length > EXCERPT_LENGTH
+            ? comment.content.substring(0, EXCERPT_LENGTH) + '...'
+            : comment.content;
+        await deliver(
+          parent,
+          parent.comment_id,
+          base,
+          texts.replySubject,
+          texts.reply(comment.author_name, parent.title, excerpt, commentsUrl(base, parent.slug))
+        );
+      }
+    } catch (err) {
+      console.warn('Comment notification failed:', (err as Error).message);
+    }
+  }
+}
+
+/**
+ * Send the emails of moderator approvals once the undo window has passed
+ *
+ * Only marks the comments (notify_after); notifyDueComments() sends them.
+ * Returns the minutes until then, or null when no emails are sent (mail or
+ * SITE_URL not set up, no comments).
+ */
+export async function queueApprovalNotifications(commentIds: number[]): Promise<number | null> {
+  if (!isMailConfigured() || !emailBase() || commentIds.length === 0) return null;
+
+  await query(
+    `UPDATE comments SET notify_after = NOW() + make_interval(mins => $2)
+    WHERE id = ANY($1::int[]) AND status = 'approved' AND notified_at IS NULL`,
+    [commentIds, APPROVAL_NOTIFY_DELAY_MINUTES]
+  );
+  return APPROVAL_NOTIFY_DELAY_MINUTES;
+}
+
+/**
+ * Send the emails of the approvals whose undo window has passed
+ *
+ * Called by the notification scheduler in every pod; notifyCommentsApproved
+ * claims each comment, so every email goes out once. Comments that are
+ * no longer approved are skipped there.
+ */
+export async function notifyDueComments(): Promise<void> {
+  if (!isMailConfigured() || !emailBase()) return;
+
+  const due = await query(
+    `SELECT id FROM comments
+    WHERE status = 'approved' AND notified_at IS NULL AND notify_after <= NOW()
+    ORDER BY notify_after
+    LIMIT $1`,
+    [DUE_BATCH_SIZE]
+  );
+  if (due.rows.length === 0) return;
+  await notifyCommentsApproved(due.rows.map((row) => row.id));
+}
+
+/**
+ * Start the in-process notification scheduler (called from server.ts, not in tests)
+ *
+ * Sends the delayed approval emails once right away, then every interval.
+ * A run is skipped while the previous one is still sending.
+ */
+export function startNotificationScheduler(): NodeJS.Timeout | null {
+  if (process.env.NOTIFICATION_SCHEDULER_DISABLED === 'true') {
+    console.info('Notification scheduler disabled');
+    return null;
+  }
+
+  const intervalMs =
+    parseInt(process.env.NOTIFICATION_SCHEDULER_INTERVAL_MS || '', 10) ||
+    DEFAULT_SCHEDULER_INTERVAL_MS;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await notifyDueComments();
+    } catch (err) {
+      console.error('Notification scheduler run failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+}
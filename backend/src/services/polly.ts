@@ -7,14 +7,22 @@
  *
  * Flow:
  *   1. Check DB for cached S3 key
- *   2. If cached, return static path /audio/post-{id}-{lang}.mp3 (served by CloudFront)
+ *   2. If cached, return static path /audio/post-{id}-{lang}-{hash}.mp3 (served by CloudFront)
  *   3. If not cached, strip Markdown, chunk text, call Polly, upload to S3
  *   4. Save S3 key in DB for future requests
  *
  * Audio delivery: CloudFront has an S3 origin with OAC for /audio/* paths.
- * The frontend requests /audio/post-{id}-{lang}.mp3, CloudFront fetches
+ * The frontend requests /audio/post-{id}-{lang}-{hash}.mp3, CloudFront fetches
  * from S3 and caches at edge (7 day TTL). No pre-signed URLs needed.
  *
+ * Stale audio: the cache stores a hash of the text that was read out
+ * (see hash.ts). When the post is edited the hash changes, the audio is
+ * synthesized again and the old file is deleted. The hash is part of the
+ * file name, so CloudFront never serves the old MP3 under the new path.
+ *
+ * Media library: every MP3 is recorded in the media table (media.ts) and
+ * removed from it together with the file.
+ *
  * Uses the same graceful-degradation pattern as comprehend.ts / translate.ts:
  * - If AWS credentials are not available (local dev), silently returns null
  * - Errors are logged but never break the calling code
@@ -24,8 +32,10 @@
  */
 
 import { PollyClient, SynthesizeSpeechCommand, VoiceId } from '@aws-sdk/client-polly';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import { query } from '../models/database';
+import { contentHash } from './hash';
+import { forgetMedia, recordMedia } from './media';
 
 // Voice configuration per language
 // Vicki = German neural voice, Joanna = English neural voice
@@ -64,7 +74,7 @@ function isConfigured(): boolean {
  * Removes: headers, code blocks, inline code, links, images, bold,
  * italic, horizontal rules, list markers. Preserves paragraph structure.
  */
-function stripMarkdown(text: string): string {
+export function stripMarkdown(text: string): string {
   return (
     text
       // Remove code blocks (```...```) entirely - code doesn't sound good spoken
@@ -199,12 +209,27 @@ async function uploadToS3(buffer: Buffer, s3Key: string): Promise<string | null>
   }
 }
 
+/**
+ * Delete an outdated MP3 from S3 (best effort, a leftover file only costs storage)
+ */
+async function deleteFromS3(s3Key: string): Promise<void> {
+  const bucket = process.env.S3_BUCKET_NAME;
+  if (!bucket) return;
+
+  try {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: s3Key }));
+    await forgetMedia([s3Key]);
+  } catch (err) {
+    console.warn('S3 delete failed:', (err as Error).message);
+  }
+}
+
 /**
  * Convert S3 key to a static URL path served by CloudFront
  *
  * CloudFront has an ordered cache behavior for /audio/* that routes
  * to the S3 origin with OAC. No pre-signed URLs needed.
- * Example: "audio/post-1-de.mp3" -> "/audio/post-1-de.mp3"
+ * Example: "audio/post-1-de-3f2a9c0d1b7e.mp3" -> "/audio/post-1-de-3f2a9c0d1b7e.mp3"
  */
 function getStaticAudioPath(s3Key: string): string {
   return `/${s3Key}`;
@@ -213,16 +238,20 @@ function getStaticAudioPath(s3Key: string): string {
 /**
  * Get cached audio info from the database
  *
- * Returns the S3 key if audio was previously generated, or null.
+ * Returns the S3 key and the hash of the text it was generated from
+ * if audio was previously generated, or null.
  */
-async function getCachedAudio(postId: number, language: string): Promise<string | null> {
+async function getCachedAudio(
+  postId: number,
+  language: string
+): Promise<{ s3Key: string; sourceHash: string | null } | null> {
   try {
     const result = await query(
-      'SELECT s3_key FROM post_audio WHERE post_id = $1 AND language = $2',
+      'SELECT s3_key, source_hash FROM post_audio WHERE post_id = $1 AND language = $2',
       [postId, language]
     );
     if (result.rows.length === 0) return null;
-    return result.rows[0].s3_key;
+    return { s3Key: result.rows[0].s3_key, sourceHash: result.rows[0].source_hash };
   } catch (err) {
     console.warn('Failed to read audio cache:', (err as Error).message);
     return null;
@@ -232,14 +261,19 @@ async function getCachedAudio(postId: number, language: string): Promise<string
 /**
  * Save audio cache entry to the database
  */
-async function saveAudioCache(postId: number, language: string, s3Key: string): Promise<void> {
+async function saveAudioCache(
+  postId: number,
+  language: string,
+  s3Key: string,
+  sourceHash: string
+): Promise<void> {
   try {
     await query(
-      `INSERT INTO post_audio (post_id, language, s3_key)
-       VALUES ($1, $2, $3)
+      `INSERT INTO post_audio (post_id, language, s3_key, source_hash)
+       VALUES ($1, $2, $3, $4)
        ON CONFLICT (post_id, language)
-       DO UPDATE SET s3_key = $3, created_at = NOW()`,
-      [postId, language, s3Key]
+       DO UPDATE SET s3_key = $3, source_hash = $4, created_at = NOW()`,
+      [postId, language, s3Key, sourceHash]
     );
   } catch (err) {
     console.warn('Failed to save audio cache:', (err as Error).message);
@@ -254,8 +288,9 @@ async function saveAudioCache(postId: number, language: string, s3Key: string):
  *
  * Flow:
  *   1. Check DB cache for existing S3 key
- *   2. If cached, return static path /audio/post-{id}-{lang}.mp3 (instant)
- *   3. If not cached, generate audio via Polly, upload to S3, cache, return path
+ *   2. If cached for the same title + content, return its static path (instant)
+ *   3. If not cached or stale, generate audio via Polly, upload to S3, cache,
+ *      delete the outdated file, return path
  *
  * First request for a post takes ~5-15 seconds (Polly synthesis + S3 upload).
  * Subsequent requests return instantly (just DB lookup + path construction).
@@ -272,10 +307,11 @@ export async function getPostAudioUrl(
   // Check if Polly + S3 are available
   if (!isConfigured()) return null;
 
-  // Step 1: Check cache
-  const cachedKey = await getCachedAudio(postId, language);
-  if (cachedKey) {
-    return getStaticAudioPath(cachedKey);
+  // Step 1: Check cache (only valid if generated from this exact text)
+  const sourceHash = contentHash(title, content);
+  const cached = await getCachedAudio(postId, language);
+  if (cached && cached.sourceHash === sourceHash) {
+    return getStaticAudioPath(cached.s3Key);
   }
 
   // Step 2: Prepare text for synthesis
@@ -299,13 +335,22 @@ export async function getPostAudioUrl(
   // MP3 is frame-based, so simple concatenation works for playback
   const fullAudio = Buffer.concat(audioBuffers);
 
-  // Step 5: Upload to S3
-  const s3Key = `audio/post-${postId}-${language}.mp3`;
+  // Step 5: Upload to S3 (a new file name per text version, see header)
+  const s3Key = `audio/post-${postId}-${language}-${sourceHash.slice(0, 12)}.mp3`;
   const uploadedKey = await uploadToS3(fullAudio, s3Key);
   if (!uploadedKey) return null;
 
-  // Step 6: Cache the S3 key in DB
-  await saveAudioCache(postId, language, s3Key);
+  // Step 6: Cache the S3 key in DB (and the media library), remove the outdated file
+  await saveAudioCache(postId, language, s3Key, sourceHash);
+  await recordMedia({
+    key: s3Key,
+    kind: 'audio',
+    contentType: 'audio/mpeg',
+    sizeBytes: fullAudio.length,
+  });
+  if (cached && cached.s3Key !== s3Key) {
+    await deleteFromS3(cached.s3Key);
+  }
 
   // Step 7: Return static path (served by CloudFront via S3 OAC)
   return getStaticAudioPath(s3Key);
@@ -0,0 +1,196 @@
+/**
+ * posts.ts - Loading a published post for the public post page
+ *
+ * Shared by the JSON API (GET /api/posts/:slug) and the server-rendered
+ * post page (routes/render.ts). The page embeds the same JSON the API
+ * returns, so post.js can render it without fetching the post again.
+ */
+
+import { query } from '../models/database';
+import { translatePost } from './translate';
+import { renderMarkdown, tableOfContents, TocEntry } from './markdown';
+
+// The columns of posts the API returns: all but the internal search_vector
+const POST_COLUMNS = [
+  'id',
+  'title',
+  'slug',
+  'content',
+  'content_html',
+  'excerpt',
+  'cover_image_url',
+  'status',
+  'featured',
+  'reading_time_minutes',
+  'view_count',
+  'like_count',
+  'author_id',
+  'category_id',
+  'published_at',
+  'publish_at',
+  'series_id',
+  'series_position',
+  'created_at',
+  'updated_at',
+];
+
+/**
+ * Column list of posts for SELECT / RETURNING: "p.id, p.title, ..."
+ *
+ * omit leaves out columns the caller does not want to return.
+ */
+export function postColumns(alias?: string, omit: string[] = []): string {
+  return POST_COLUMNS.filter((column) => !omit.includes(column))
+    .map((column) => (alias ? `${alias}.${column}` : column))
+    .join(', ');
+}
+
+// A tag as shown on the post page
+export interface PostTag {
+  name: string;
+  slug: string;
+  source: string;
+  confidence: number | null;
+}
+
+// A published post with category, author and tags, in the requested language
+export interface PublishedPost {
+  id: number;
+  title: string;
+  slug: string;
+  content: string;
+  content_html: string;
+  excerpt: string | null;
+  cover_image_url: string | null;
+  published_at: Date;
+  updated_at: Date;
+  category_name: string | null;
+  category_slug: string | null;
+  author_name: string | null;
+  series_slug?: string | null;
+  series_title?: string | null;
+  language: 'de' | 'en';
+  original_language?: 'de';
+  tags: PostTag[];
+  toc: TocEntry[]; // H2/H3 headings of content_html
+  [column: string]: unknown;
+}
+
+// Result of a lookup: the post, the current slug of a renamed post, or nothing
+export type PublishedPostLookup =
+  | { status: 'found'; post: PublishedPost }
+  | { status: 'moved'; slug: string }
+  | { status: 'missing' };
+
+/**
+ * Look up a published post by slug
+ *
+ * Old slugs of renamed posts (see slug.ts) return the current slug, so the
+ * caller can redirect. With language 'en' the post is translated on demand
+ * (cached after the first call); untranslated posts stay German.
+ * series_slug / series_title are set for parts of a series (the parts
+ * themselves come from GET /api/series/:slug).
+ */
+export async function findPublishedPost(
+  slug: string,
+  language: 'de' | 'en'
+): Promise<PublishedPostLookup> {
+  const postResult = await query(
+    `SELECT
+      ${postColumns('p')},
+      c.name AS category_name, c.slug AS category_slug,
+      u.display_name AS author_name,
+      s.slug AS series_slug, s.title AS series_title
+    FROM posts p
+    LEFT JOIN categories c ON p.category_id = c.id
+    LEFT JOIN users u ON p.author_id = u.id
+    LEFT JOIN series s ON p.series_id = s.id
+    WHERE p.slug = $1 AND p.status = 'published'`,
+    [slug]
+  );
+
+  if (postResult.rows.length === 0) {
+    const moved = await query(
+      `SELECT p.slug
+      FROM post_slug_history h
+      JOIN posts p ON p.id = h.post_id
+      WHERE h.slug = $1 AND p.status = 'published'`,
+      [slug]
+    );
+    return moved.rows.length > 0
+      ? { status: 'moved', slug: moved.rows[0].slug }
+      : { status: 'missing' };
+  }
+
+  return { status: 'found', post: await localizePost(postResult.rows[0], language) };
+}
+
+/**
+ * Get the rendered HTML of a post (content_html)
+ *
+ * Posts saved before the column existed, or edited directly in the
+ * database, have none yet: it is rendered and stored on the first read.
+ */
+export async function postContentHtml(post: {
+  id: number;
+  content: string;
+  content_html?: string | null;
+}): Promise<string> {
+  if (post.content_html) return post.content_html;
+
+  const html = renderMarkdown(post.content);
+  await query('UPDATE posts SET content_html = $2 WHERE id = $1 AND content_html IS NULL', [
+    post.id,
+    html,
+  ]);
+  return html;
+}
+
+/**
+ * Add the tags and the table of contents to a post row, translated when
+ * language is 'en'
+ *
+ * Also used for draft previews (preview.ts), which skip the status filter.
+ */
+export async function localizePost(
+  post: {
+    id: number;
+    title: string;
+    content: string;
+    content_html?: string | null;
+    excerpt: string | null;
+  },
+  language: 'de' | 'en'
+): Promise<PublishedPost> {
+  // Fetch tags for this post
+  const tagsResult = await query(
+    `SELECT t.name, t.slug, t.source, pt.confidence
+    FROM tags t
+    JOIN post_tags pt ON t.id = pt.tag_id
+    WHERE pt.post_id = $1`,
+    [post.id]
+  );
+
+  // If English requested, translate on-demand (cached after first call)
+  const translated =
+    language === 'en' ? await translatePost(post.id, post.title, post.content, post.excerpt) : null;
+
+  // Merge translation into the post (original fields stay as fallback)
+  const localized = translated
+    ? {
+        ...post,
+        title: translated.title,
+        content: translated.content,
+        content_html: translated.content_html,
+        excerpt: translated.excerpt,
+        original_language: 'de',
+        language: 'en',
+      }
+    : { ...post, content_html: await postContentHtml(post), language: 'de' };
+
+  return {
+    ...localized,
+    tags: tagsResult.rows,
+    toc: tableOfContents(localized.content_html),
+  } as PublishedPost;
+}
@@ -0,0 +1,113 @@
+/**
+ * preview.ts - Shareable preview links for unpublished posts
+ *
+ * The editor creates a link for a draft or scheduled post and sends it to
+ * a reviewer. The link opens the normal post page with a signed token:
+ *   post.html?preview=<previewId>.<expires>.<signature>
+ *
+ * The signature (HMAC-SHA256 of id and expiry) makes tokens unguessable and
+ * tamper-proof; the post_previews row makes them revocable. A token is only
+ * accepted while its row exists, is not revoked and has not expired.
+ *
+ * Environment variables:
+ *   PREVIEW_TOKEN_SECRET - Signing key, must be the same in every pod.
+ *                          Without it a random key is used, so links only
+ *                          work on this process until it restarts.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { query } from '../models/database';
+import { localizePost, postColumns, PublishedPost } from './posts';
+
+// Lifetime of a preview link when the editor does not choose one
+export const PREVIEW_DEFAULT_HOURS = 72;
+
+// Longest allowed lifetime (30 days)
+export const PREVIEW_MAX_HOURS = 720;
+
+let fallbackSecret: Buffer | null = null;
+
+/**
+ * Signing key from PREVIEW_TOKEN_SECRET, or a random per-process key
+ */
+function getSecret(): Buffer | string {
+  if (process.env.PREVIEW_TOKEN_SECRET) return process.env.PREVIEW_TOKEN_SECRET;
+  if (!fallbackSecret) {
+    console.warn('PREVIEW_TOKEN_SECRET not set, preview links only work until restart');
+    fallbackSecret = randomBytes(32);
+  }
+  return fallbackSecret;
+}
+
+function sign(payload: string): Buffer {
+  return createHmac('sha256', getSecret()).update(payload).digest();
+}
+
+/**
+ * Build the token for a post_previews row
+ */
+export function signPreviewToken(previewId: number, expiresAt: Date): string {
+  const payload = `${previewId}.${Math.floor(expiresAt.getTime() / 1000)}`;
+  return `${payload}.${sign(payload).toString('base64url')}`;
+}
+
+/**
+ * Check signature and expiry of a token
+ *
+ * Returns the preview id, or null for a malformed, forged or expired token.
+ * Whether the link was revoked is checked against the database afterwards.
+ */
+export function verifyPreviewToken(token: string): number | null {
+  const match = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]+)$/.exec(token);
+  if (!match) return null;
+
+  const expected = sign(`${match[1]}.${match[2]}`);
+  const signature = Buffer.from(match[3], 'base64url');
+  if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+    return null;
+  }
+
+  if (parseInt(match[2], 10) * 1000 <= Date.now()) return null;
+  return parseInt(match[1], 10);
+}
+
+/**
+ * Public URL of a preview link
+ */
+export function previewUrl(base: string, token: string): string {
+  return `${base}/post.html?preview=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Load the post behind a preview token, in the requested language
+ *
+ * Returns null when the token is invalid, expired or revoked. The post is
+ * returned in the same shape as GET /api/posts/:slug, whatever its status,
+ * with preview: true and the expiry of the link (but without view count:
+ * previews neither show nor count views).
+ */
+export async function findPreviewPost(
+  token: string,
+  language: 'de' | 'en'
+): Promise<PublishedPost | null> {
+  const previewId = verifyPreviewToken(token);
+  if (previewId === null) return null;
+
+  const result = await query(
+    `SELECT
+      ${postColumns('p', ['view_count'])},
+      c.name AS category_name, c.slug AS category_slug,
+      u.display_name AS author_name,
+      pv.expires_at AS preview_expires_at
+    FROM post_previews pv
+    JOIN posts p ON p.id = pv.post_id
+    LEFT JOIN categories c ON p.category_id = c.id
+    LEFT JOIN users u ON p.author_id = u.id
+    WHERE pv.id = $1 AND pv.revoked_at IS NULL AND pv.expires_at > NOW()`,
+    [previewId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const post = await localizePost(result.rows[0], language);
+  return { ...post, preview: true };
+}
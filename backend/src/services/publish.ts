@@ -0,0 +1,139 @@
+/**
+ * publish.ts - Publish hooks and the scheduled-post publisher
+ *
+ * Everything that should happen when a post goes live lives in
+ * runPublishHooks(), so an immediate publish from the editor and a
+ * scheduled publish behave the same:
+ *   - Telegram notification
+ *   - Pre-warm the English translation and the DE/EN audio, so the first
+ *     reader does not wait for Amazon Translate / Polly
+ *
+ * The scheduler promotes 'scheduled' posts whose publish_at has passed.
+ * It runs in every backend pod (the HPA scales to several replicas), so
+ * the promotion is a single UPDATE that claims rows with
+ * FOR UPDATE SKIP LOCKED: each post is promoted -- and its hooks run --
+ * by exactly one pod, without any extra coordination.
+ *
+ * Optional env vars:
+ *   PUBLISH_SCHEDULER_INTERVAL_MS - Check interval (default: 60000)
+ *   PUBLISH_SCHEDULER_DISABLED    - "true" turns the scheduler off in this pod
+ */
+
+import { query } from '../models/database';
+import { notifyPostPublished } from './telegram';
+import { translatePost } from './translate';
+import { getPostAudioUrl } from './polly';
+
+// The post fields the hooks need
+export interface PublishedPost {
+  id: number;
+  title: string;
+  slug: string;
+  content: string;
+  excerpt: string | null;
+}
+
+// Default check interval: once a minute is precise enough for blog posts
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Pre-warm translation + audio caches for a freshly published post
+ *
+ * Also used after a published post is edited: caches made from the old
+ * text no longer match its hash and are regenerated here.
+ * Runs sequentially on purpose: the English audio needs the translation,
+ * and Polly requests are expensive enough not to fire them all at once.
+ * The services degrade gracefully (null when AWS is not available).
+ */
+export async function prewarmCaches(post: PublishedPost): Promise<void> {
+  const translation = await translatePost(post.id, post.title, post.content, post.excerpt);
+  await getPostAudioUrl(post.id, post.title, post.content, 'de');
+  if (translation) {
+    await getPostAudioUrl(post.id, translation.title, translation.content, 'en');
+  }
+}
+
+/**
+ * Run all publish hooks for a post that just went live
+ *
+ * Never throws: a failing hook is logged and must not affect the others
+ * (or the request/scheduler run that triggered it).
+ */
+export async function runPublishHooks(
+  post: PublishedPost,
+  options: { scheduled?: boolean } = {}
+): Promise<void> {
+  const results = await Promise.allSettled([
+    notifyPostPublished({ title: post.title, slug: post.slug, scheduled: !!options.scheduled }),
+    prewarmCaches(post),
+  ]);
+
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.warn(`Publish hook failed for post ${post.id}:`, (result.reason as Error).message);
+    }
+  }
+}
+
+/**
+ * Promote all scheduled posts whose publish_at has passed
+ *
+ * published_at is set to publish_at (not NOW()), so a post keeps its
+ * planned date even if the scheduler was down at that moment.
+ * Returns the promoted posts.
+ */
+export async function publishDuePosts(): Promise<PublishedPost[]> {
+  const result = await query(
+    `UPDATE posts
+    SET status = 'published', published_at = publish_at, updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM posts
+      WHERE status = 'scheduled' AND publish_at <= NOW()
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, title, slug, content, excerpt`
+  );
+
+  const posts: PublishedPost[] = result.rows;
+  for (const post of posts) {
+    console.info(`Scheduled post published: ${post.slug}`);
+    await runPublishHooks(post, { scheduled: true });
+  }
+  return posts;
+}
+
+/**
+ * Start the in-process scheduler (called from server.ts, not in tests)
+ *
+ * Runs once right away (catches up on posts that became due while no pod
+ * was running), then every interval. A run is skipped while the previous
+ * one is still busy with slow hooks.
+ */
+export function startPublishScheduler(): NodeJS.Timeout | null {
+  if (process.env.PUBLISH_SCHEDULER_DISABLED === 'true') {
+    console.info('Publish scheduler disabled');
+    return null;
+  }
+
+  const intervalMs =
+    parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS || '', 10) || DEFAULT_INTERVAL_MS;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await publishDuePosts();
+    } catch (err) {
+      console.error('Publish scheduler run failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+}
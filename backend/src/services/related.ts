@@ -0,0 +1,131 @@
+/**
+ * related.ts - "Related posts" under an article
+ *
+ * Ranks the other published posts by three signals:
+ *   - Shared tags, each counted with the confidence on both posts
+ *     (manual tags count 1.0, Comprehend tags their confidence)
+ *   - Same category
+ *   - Text similarity: the title, tag and excerpt words of the post
+ *     (weights A and B of its search vector) ranked against the search
+ *     vectors of the others with ts_rank
+ *
+ * The ranked ids are cached in related_posts_cache. Triggers empty the
+ * cache when posts or tags change (see schema.sql), so only the first
+ * request after a change ranks again. Ranking locks the cache table against
+ * those triggers, so a ranking of the old posts cannot be stored after the
+ * cache was emptied. Card data (title, views, tags) is always read fresh.
+ */
+
+import { query, withTransaction } from '../models/database';
+import { getCachedTranslation } from './translate';
+
+// Score per shared tag (at full confidence), same category, text rank (0..1)
+const TAG_WEIGHT = 3;
+const CATEGORY_WEIGHT = 1;
+const TEXT_WEIGHT = 2;
+
+// Number of ranked ids kept per post (also the largest ?limit)
+export const MAX_RELATED = 10;
+
+/**
+ * Rank the related posts of a post and store them in the cache
+ *
+ * Posts without any shared tag, category or word are left out.
+ * Runs as one statement, so the ranking and the cache row match. The table
+ * lock conflicts with the DELETE of clear_related_posts_cache(): a post
+ * change still in progress is waited for (and then ranked), a later one
+ * waits until the row is stored and then deletes it.
+ */
+async function rankRelatedPosts(postId: number): Promise<number[]> {
+  return withTransaction(async (client) => {
+    await client.query('LOCK TABLE related_posts_cache IN SHARE ROW EXCLUSIVE MODE');
+    const result = await client.query(
+      `
+    WITH source AS (
+      SELECT id, category_id,
+        (SELECT string_agg('''' || replace(replace(lexeme, '\\', '\\\\'), '''', '''''') || '''', ' | ')
+          FROM unnest(search_vector)
+          WHERE weights && ARRAY['A', 'B'])::tsquery AS words
+      FROM posts
+      WHERE id = $1
+    ),
+    source_tags AS (
+      SELECT tag_id, COALESCE(confidence, 1) AS weight
+      FROM post_tags
+      WHERE post_id = $1
+    ),
+    scored AS (
+      SELECT p.id, p.published_at,
+        ${TAG_WEIGHT} * COALESCE((
+          SELECT SUM(st.weight * COALESCE(pt.confidence, 1))
+          FROM post_tags pt
+          JOIN source_tags st ON st.tag_id = pt.tag_id
+          WHERE pt.post_id = p.id
+        ), 0)
+        + CASE WHEN p.category_id = s.category_id THEN ${CATEGORY_WEIGHT} ELSE 0 END
+        + ${TEXT_WEIGHT} * COALESCE(ts_rank(p.search_vector, s.words, 32), 0) AS score
+      FROM posts p
+      CROSS JOIN source s
+      WHERE p.status = 'published' AND p.id <> s.id
+    )
+    INSERT INTO related_posts_cache (post_id, related_ids)
+    SELECT $1, ARRAY(
+      SELECT id FROM scored
+      WHERE score > 0
+      ORDER BY score DESC, published_at DESC, id DESC
+      LIMIT ${MAX_RELATED}
+    )
+    ON CONFLICT (post_id) DO UPDATE SET
+      related_ids = EXCLUDED.related_ids,
+      created_at = NOW()
+    RETURNING related_ids
+  `,
+      [postId]
+    );
+    return result.rows[0]?.related_ids ?? [];
+  });
+}
+
+/**
+ * Get the related posts of a published post as post cards, best first
+ *
+ * The cards have the fields of GET /api/posts (category, tags, views).
+ * With language 'en' titles and excerpts come from cached translations
+ * (Translate is never called, untranslated posts stay German).
+ */
+export async function findRelatedPosts(postId: number, limit: number, language: 'de' | 'en') {
+  const cached = await query('SELECT related_ids FROM related_posts_cache WHERE post_id = $1', [
+    postId,
+  ]);
+  const ids: number[] =
+    cached.rows.length > 0 ? cached.rows[0].related_ids : await rankRelatedPosts(postId);
+  if (ids.length === 0) return [];
+
+  const result = await query(
+    `
+    SELECT
+      p.id, p.title, p.slug, p.excerpt, p.cover_image_url,
+      p.featured, p.reading_time_minutes, p.view_count, p.like_count, p.published_at,
+      c.name AS category_name, c.slug AS category_slug,
+      (SELECT COALESCE(json_agg(json_build_object('name', t.name, 'slug', t.slug)), '[]')
+        FROM post_tags pt JOIN tags t ON pt.tag_id = t.id
+        WHERE pt.post_id = p.id) AS tags
+    FROM posts p
+    LEFT JOIN categories c ON p.category_id = c.id
+    WHERE p.id = ANY($1::int[]) AND p.status = 'published'
+    ORDER BY array_position($1::int[], p.id)
+    LIMIT $2
+  `,
+    [ids, limit]
+  );
+
+  if (language !== 'en') return result.rows;
+  return Promise.all(
+    result.rows.map(async (post) => {
+      const translation = await getCachedTranslation(post.id, 'en');
+      return translation
+        ? { ...post, title: translation.title, excerpt: translation.excerpt }
+        : post;
+    })
+  );
+}
@@ -0,0 +1,188 @@
+/**
+ * revisions.ts - Post revision history (snapshots + diffs)
+ *
+ * Every edit of a post's title, excerpt or content is stored as a snapshot
+ * in post_revisions, so an accidental save in the editor can be undone.
+ * The newest revision always matches the current post.
+ *
+ * Posts that existed before revisions were introduced have no history yet.
+ * Their first edit stores the old text as revision 1 (author unknown) before
+ * the new one, so nothing is lost.
+ *
+ * Snapshots are written with the caller's transaction client, so the post
+ * update and its revision are committed together (see withTransaction).
+ */
+
+import { PoolClient } from 'pg';
+
+// The versioned fields of a post
+export interface RevisionText {
+  title: string;
+  excerpt: string | null;
+  content: string;
+}
+
+// One block of a line diff: unchanged, added or removed lines
+export interface DiffBlock {
+  type: 'equal' | 'add' | 'remove';
+  lines: string[];
+}
+
+// Diff between two versions of a post
+export interface RevisionDiff {
+  title: { from: string; to: string } | null; // null = unchanged
+  excerpt: { from: string | null; to: string | null } | null;
+  content: DiffBlock[];
+}
+
+// Above this many line comparisons the diff falls back to "all removed,
+// all added" instead of computing an LCS table (keeps memory bounded)
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Check whether two versions differ in any versioned field
+ */
+function hasChanges(a: RevisionText, b: RevisionText): boolean {
+  return (
+    a.title !== b.title || (a.excerpt ?? null) !== (b.excerpt ?? null) || a.content !== b.content
+  );
+}
+
+/**
+ * Store a snapshot after a post has been updated
+ *
+ * `before` is the post as it was read (FOR UPDATE) before the change,
+ * `after` the updated row. Does nothing when the text did not change
+ * (e.g. only the status or featured flag was toggled).
+ *
+ * Returns the new revision number, or null if no revision was written.
+ */
+export async function recordRevision(
+  client: PoolClient,
+  postId: number,
+  before: RevisionText,
+  after: RevisionText,
+  authorSub: string | null,
+  restoredFrom: number | null = null
+): Promise<number | null> {
+  if (!hasChanges(before, after)) {
+    return null;
+  }
+
+  const latest = await client.query(
+    'SELECT MAX(revision_number)::int AS latest FROM post_revisions WHERE post_id = $1',
+    [postId]
+  );
+  let revisionNumber: number = latest.rows[0]?.latest ?? 0;
+
+  // First edit of a post without history: keep the original text as revision 1
+  if (revisionNumber === 0) {
+    revisionNumber = 1;
+    await client.query(
+      `INSERT INTO post_revisions (post_id, revision_number, title, excerpt, content, author_sub)
+      VALUES ($1, $2, $3, $4, $5, NULL)`,
+      [postId, revisionNumber, before.title, before.excerpt, before.content]
+    );
+  }
+
+  revisionNumber++;
+  await client.query(
+    `INSERT INTO post_revisions (post_id, revision_number, title, excerpt, content, author_sub, restored_from)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [postId, revisionNumber, after.title, after.excerpt, after.content, authorSub, restoredFrom]
+  );
+
+  return revisionNumber;
+}
+
+/**
+ * Line-based diff (longest common subsequence)
+ *
+ * Common leading/trailing lines are trimmed first, so a typical edit only
+ * compares the few lines around the change.
+ */
+export function diffLines(from: string, to: string): DiffBlock[] {
+  const a = from.split('\n');
+  const b = to.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const blocks: DiffBlock[] = [];
+  const push = (type: DiffBlock['type'], line: string) => {
+    const last = blocks[blocks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      blocks.push({ type, lines: [line] });
+    }
+  };
+
+  a.slice(0, start).forEach((line) => push('equal', line));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length;
+  const cols = midB.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    midA.forEach((line) => push('remove', line));
+    midB.forEach((line) => push('add', line));
+  } else {
+    // lcs[i * (cols + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((rows + 1) * (cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i * (cols + 1) + j] =
+          midA[i] === midB[j]
+            ? lcs[(i + 1) * (cols + 1) + j + 1] + 1
+            : Math.max(lcs[(i + 1) * (cols + 1) + j], lcs[i * (cols + 1) + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (midA[i] === midB[j]) {
+        push('equal', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (cols + 1) + j] >= lcs[i * (cols + 1) + j + 1]) {
+        push('remove', midA[i++]);
+      } else {
+        push('add', midB[j++]);
+      }
+    }
+    midA.slice(i).forEach((line) => push('remove', line));
+    midB.slice(j).forEach((line) => push('add', line));
+  }
+
+  a.slice(endA).forEach((line) => push('equal', line));
+  return blocks;
+}
+
+/**
+ * Diff two versions of a post (title, excerpt and content)
+ *
+ * `from` may be null (diffing the first revision): everything counts as added.
+ */
+export function diffRevisions(from: RevisionText | null, to: RevisionText): RevisionDiff {
+  const base: RevisionText = from ?? { title: '', excerpt: null, content: '' };
+
+  return {
+    title: base.title !== to.title ? { from: base.title, to: to.title } : null,
+    excerpt:
+      (base.excerpt ?? null) !== (to.excerpt ?? null)
+        ? { from: base.excerpt ?? null, to: to.excerpt ?? null }
+        : null,
+    content: from
+      ? diffLines(base.content, to.content)
+      : [{ type: 'add', lines: to.content.split('\n') }],
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * rules.ts - Block and allow rules for commenters
+ *
+ * The admin dashboard keeps rules against repeat trolls (block) and for
+ * known commenters (allow). A rule matches on one of:
+ *   email   - The commenter's email address (stored as a hash)
+ *   ip      - The IP range the comment came from: the /24 of an IPv4
+ *             address, the /64 of an IPv6 address (stored as a hash)
+ *   name    - The author name (case-insensitive, exact)
+ *   keyword - A word or phrase in the comment text (case-insensitive)
+ *   regex   - A regular expression on the comment text (case-insensitive);
+ *             patterns that could backtrack for long are refused
+ *
+ * Every rule expires (RULE_DEFAULT_DAYS unless chosen) and counts its hits.
+ * Blocking wins over allowing. A blocked comment is saved as deleted, so it
+ * can still be looked at, but the answer looks like any other comment.
+ *
+ * Commenters with TRUSTED_AFTER_APPROVED approved comments under the same
+ * email skip the pending queue, like those with an allow rule. Neither
+ * overrides the spam filter (anybody can type an email address).
+ *
+ * Email and IP hashes are HMAC-SHA256 with a key, so the stored values
+ * cannot be turned back into addresses by trying them all.
+ *
+ * Environment variables:
+ *   COMMENTER_HASH_SECRET - Key of the email and IP hashes, must be the same
+ *                           in every pod and stay the same. Without it a
+ *                           random key is used: email and IP rules and the
+ *                           trust only work until restart.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { isIPv4, isIPv6 } from 'net';
+import { query } from '../models/database';
+
+export type RuleAction = 'block' | 'allow';
+export type RuleKind = 'email' | 'ip' | 'name' | 'keyword' | 'regex';
+
+export const RULE_ACTIONS: RuleAction[] = ['block', 'allow'];
+export const RULE_KINDS: RuleKind[] = ['email', 'ip', 'name', 'keyword', 'regex'];
+
+// Lifetime of a rule when the admin does not choose one
+export const RULE_DEFAULT_DAYS = 90;
+
+// Longest allowed lifetime (10 years)
+export const RULE_MAX_DAYS = 3650;
+
+// Approved comments after which a commenter's comments skip the queue
+export const TRUSTED_AFTER_APPROVED = 3;
+
+// Longest name, keyword or pattern of a rule
+export const MAX_RULE_VALUE_LENGTH = 200;
+
+// Most *, + and {n,} in a regex rule (each one multiplies the backtracking)
+const MAX_UNBOUNDED_QUANTIFIERS = 2;
+
+// Compiled regex rules by pattern (null = invalid or unsafe)
+const MAX_COMPILED_PATTERNS = 500;
+const compiledPatterns = new Map<string, RegExp | null>();
+
+export interface CommenterInput {
+  emailHash: string | null;
+  ipHash: string | null;
+  authorName: string;
+  content: string;
+}
+
+export interface CommenterVerdict {
+  action: RuleAction | null; // What a rule or the trust decided, null = normal queue
+  ruleId: number | null; // The deciding rule
+  trusted: boolean; // Approved because of earlier approved comments
+}
+
+interface RuleRow {
+  id: number;
+  action: RuleAction;
+  kind: RuleKind;
+  value: string;
+}
+
+let fallbackSecret: Buffer | null = null;
+
+/**
+ * Hash key from COMMENTER_HASH_SECRET, or a random per-process key
+ */
+function getSecret(): Buffer | string {
+  if (process.env.COMMENTER_HASH_SECRET) return process.env.COMMENTER_HASH_SECRET;
+  if (!fallbackSecret) {
+    console.warn('COMMENTER_HASH_SECRET not set, email and IP rules only work until restart');
+    fallbackSecret = randomBytes(32);
+  }
+  return fallbackSecret;
+}
+
+function hash(payload: string): string {
+  return createHmac('sha256', getSecret()).update(payload).digest('hex');
+}
+
+/**
+ * Hash of an email address (trimmed, lower case), null without one
+ */
+export function hashEmail(email: string | null | undefined): string | null {
+  const normalized = (email ?? '').trim().toLowerCase();
+  return normalized ? hash(`email:${normalized}`) : null;
+}
+
+/**
+ * The range an IP address belongs to: "203.0.113.0/24" or
+ * "2001:db8:0:1::/64". IPv4-mapped IPv6 addresses count as IPv4.
+ * Returns null for anything that is not an IP address.
+ */
+export function ipRange(ip: string | undefined): string | null {
+  if (!ip) return null;
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  const v4 = mapped ? mapped[1] : ip;
+  if (isIPv4(v4)) return `${v4.split('.').slice(0, 3).join('.')}.0/24`;
+  if (!isIPv6(ip)) return null;
+
+  const [head, tail] = ip.toLowerCase().split('%')[0].split('::');
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const groups = [...left, ...Array(Math.max(8 - left.length - right.length, 0)).fill('0')];
+  return `${groups
+    .slice(0, 4)
+    .map((group) => parseInt(group, 16).toString(16))
+    .join(':')}::/64`;
+}
+
+/**
+ * Hash of the IP range of an address, null for no address
+ */
+export function hashIpRange(ip: string | undefined): string | null {
+  const range = ipRange(ip);
+  return range ? hash(`ip:${range}`) : null;
+}
+
+/**
+ * Whether a regex rule compiles
+ */
+export function isValidPattern(pattern: string): boolean {
+  try {
+    new RegExp(pattern, 'iu');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a regex rule runs in reasonable time on any comment
+ *
+ * The patterns run synchronously on anonymous input, so a pattern with
+ * catastrophic backtracking would stall every comment POST. Rejected:
+ *   - a repeated group that contains a quantifier or alternatives:
+ *     (a+)+, (a*b)*, (a|ab)+, ...
+ *   - backreferences (\1, \k<name>)
+ *   - more than MAX_UNBOUNDED_QUANTIFIERS of *, + and {n,}
+ * This is stricter than needed ((foo|bar)+ is harmless), but it does not
+ * have to tell the harmless cases apart.
+ */
+export function isSafePattern(pattern: string): boolean {
+  // Per open group: does it contain a quantifier / alternatives
+  const groups = [{ quantified: false, alternatives: false }];
+  let closed: { quantified: boolean; alternatives: boolean } | null = null;
+  let unbounded = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const quantifier = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/.exec(pattern.slice(i));
+
+    if (quantifier) {
+      const [text, , comma, max] = quantifier;
+      const repeats = char === '*' || char === '+' || (comma !== undefined && max !== '1');
+      if (char === '*' || char === '+' || (comma !== undefined && max === '')) unbounded++;
+      if (repeats && closed && (closed.quantified || closed.alternatives)) return false;
+      groups[groups.length - 1].quantified = true;
+      i += text.length - 1;
+      if (pattern[i + 1] === '?') i++; // lazy
+      closed = null;
+      continue;
+    }
+
+    closed = null;
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] ?? '')) return false;
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternatives: false });
+      // (?:, (?=, (?!, (?<=, (?<!, (?<name>
+      const prefix = /^\?(?:<[^>=!]+>|<?[=!]|:)?/.exec(pattern.slice(i + 1));
+      i += prefix ? prefix[0].length : 0;
+    } else if (char === ')' && groups.length > 1) {
+      closed = groups.pop() as { quantified: boolean; alternatives: boolean };
+      const parent = groups[groups.length - 1];
+      parent.quantified ||= closed.quantified;
+      parent.alternatives ||= closed.alternatives;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternatives = true;
+    }
+  }
+  return unbounded <= MAX_UNBOUNDED_QUANTIFIERS;
+}
+
+/**
+ * The compiled pattern of a regex rule, null when it is invalid or unsafe
+ *
+ * Compiled once per pattern (the rules are read for every comment).
+ */
+function compilePattern(pattern: string): RegExp | null {
+  if (!compiledPatterns.has(pattern)) {
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+    compiledPatterns.set(
+      pattern,
+      isValidPattern(pattern) && isSafePattern(pattern) ? new RegExp(pattern, 'iu') : null
+    );
+  }
+  return compiledPatterns.get(pattern) ?? null;
+}
+
+/**
+ * Whether a rule matches a comment
+ */
+function matches(rule: RuleRow, input: CommenterInput): boolean {
+  switch (rule.kind) {
+    case 'email':
+      return input.emailHash !== null && rule.value === input.emailHash;
+    case 'ip':
+      return input.ipHash !== null && rule.value === input.ipHash;
+    case 'name':
+      return input.authorName.trim().toLowerCase() === rule.value;
+    case 'keyword':
+      return input.content.toLowerCase().includes(rule.value);
+    case 'regex':
+      return compilePattern(rule.value)?.test(input.content) ?? false;
+  }
+}
+
+/**
+ * Decide what happens to a new comment: blocked, approved (allow rule or
+ * trusted commenter) or the normal queue
+ *
+ * Counts the hit of the deciding rule.
+ */
+export async function judgeCommenter(input: CommenterInput): Promise<CommenterVerdict> {
+  const rules = await query(
+    `SELECT id, action, kind, value FROM comment_rules
+    WHERE expires_at > NOW()
+    ORDER BY id`
+  );
+  const matching = (rules.rows as RuleRow[]).filter((rule) => matches(rule, input));
+  const rule =
+    matching.find((candidate) => candidate.action === 'block') ??
+    matching.find((candidate) => candidate.action === 'allow');
+
+  if (rule) {
+    await query(
+      'UPDATE comment_rules SET hit_count = hit_count + 1, last_hit_at = NOW() WHERE id = $1',
+      [rule.id]
+    );
+    return { action: rule.action, ruleId: rule.id, trusted: false };
+  }
+
+  if (input.emailHash) {
+    const approved = await query(
+      `SELECT COUNT(*)::int AS count FROM comments
+      WHERE email_hash = $1 AND status = 'approved' AND NOT is_author`,
+      [input.emailHash]
+    );
+    if (approved.rows[0].count >= TRUSTED_AFTER_APPROVED) {
+      return { action: 'allow', ruleId: null, trusted: true };
+    }
+  }
+
+  return { action: null, ruleId: null, trusted: false };
+}
@@ -0,0 +1,104 @@
+/**
+ * search.ts - PostgreSQL full-text search helpers
+ *
+ * Turns the reader's search box input into a tsquery and formats the
+ * highlighted snippets that ts_headline returns.
+ *
+ * The search vectors themselves live in the database (posts.search_vector
+ * with the 'german' config, post_translations.search_vector with 'english')
+ * and are maintained by triggers -- see the FULL-TEXT SEARCH section in
+ * schema.sql.
+ *
+ * Supported query syntax:
+ *   terraform modules    - all words must match (stemmed: "Modul" finds "Modulen")
+ *   "remote state"       - phrase: words must appear next to each other
+ *   kube*                - prefix: matches "kubernetes", "kubectl", ...
+ */
+
+// Markers ts_headline wraps around matches. Control characters never appear
+// in post content, so they survive HTML escaping and are swapped for <mark>.
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// ts_headline options: up to two short fragments from the document
+export const HEADLINE_OPTIONS =
+  `StartSel=${MATCH_START}, StopSel=${MATCH_END}, ` +
+  'MaxFragments=2, MaxWords=18, MinWords=6, FragmentDelimiter=" … "';
+
+// Longest search input we accept (longer input is cut, not rejected)
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Split a word into tsquery-safe lexemes (letters + digits only).
+ * "CI/CD" -> ["ci", "cd"], "Über" -> ["über"]
+ */
+function toLexemes(word: string): string[] {
+  return word.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Build a to_tsquery() source string from free-text search input.
+ *
+ * Only letters and digits reach the tsquery, so user input can never inject
+ * tsquery operators. Returns null when nothing searchable is left.
+ */
+export function buildSearchQuery(input: string): string | null {
+  const text = input.slice(0, MAX_QUERY_LENGTH);
+  const parts: string[] = [];
+
+  // Quoted phrases: "remote state" -> 'remote' <-> 'state'
+  const remainder = text.replace(/"([^"]*)"/g, (_match, phrase: string) => {
+    const lexemes = toLexemes(phrase);
+    if (lexemes.length > 0) {
+      parts.push(lexemes.map((l) => `'${l}'`).join(' <-> '));
+    }
+    return ' ';
+  });
+
+  // Remaining words; a trailing * makes the last lexeme a prefix match
+  for (const word of remainder.split(/\s+/)) {
+    const lexemes = toLexemes(word);
+    if (lexemes.length === 0) continue;
+
+    const isPrefix = word.endsWith('*');
+    const terms = lexemes.map(
+      (l, i) => `'${l}'` + (isPrefix && i === lexemes.length - 1 ? ':*' : '')
+    );
+    // "CI/CD" must match as a unit, so multi-lexeme words become a phrase
+    parts.push(terms.length > 1 ? `(${terms.join(' <-> ')})` : terms[0]);
+  }
+
+  return parts.length > 0 ? parts.join(' & ') : null;
+}
+
+/**
+ * Escape special HTML characters
+ */
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turn a raw ts_headline result into a safe HTML snippet
+ *
+ * Strips the most visible Markdown syntax (the headline is cut from raw
+ * Markdown), escapes HTML and wraps matches in <mark>.
+ */
+export function formatSnippet(headline: string | null): string | null {
+  if (!headline) return null;
+
+  const plain = headline
+    // Links [text](url) -> text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    // Headings, blockquotes, emphasis, inline code
+    .replace(/^\s*(#{1,6}|>+)\s+/gm, '')
+    .replace(/[*_`]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return escapeHtml(plain).split(MATCH_START).join('<mark>').split(MATCH_END).join('</mark>');
+}
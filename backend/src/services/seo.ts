@@ -0,0 +1,157 @@
+/**
+ * seo.ts - Metadata for the server-rendered post page
+ *
+ * Builds the <head> tags that link previews (LinkedIn, Telegram, Mastodon)
+ * and search engines read without running JavaScript:
+ *   - <title>, description, canonical URL
+ *   - hreflang alternates when a current English translation exists
+ *   - Open Graph (og:*, article:*) and Twitter card tags
+ *   - BlogPosting JSON-LD (https://schema.org/BlogPosting)
+ *
+ * The head and the article are inserted into post.html by nginx SSI,
+ * see routes/render.ts.
+ */
+
+import { PublishedPost } from './posts';
+import { stripMarkdown } from './polly';
+import { escapeXml } from './feed';
+
+// Shown after the post title and as og:site_name
+export const SITE_NAME = 'Andy Schlegel Tech Blog';
+
+// Used when a post (or an author reply) has no author with a display name
+export const DEFAULT_AUTHOR = 'Andy Schlegel';
+
+// Length of the generated description when a post has no excerpt
+const DESCRIPTION_LENGTH = 160;
+
+// Open Graph locale per post language
+const OG_LOCALES: Record<string, string> = { de: 'de_DE', en: 'en_US' };
+
+/**
+ * Serialize JSON for an inline <script>. "<" is escaped so the content
+ * cannot close the script element ("</script>").
+ */
+export function inlineJson(value: unknown): string {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * URL of a post page in the given language
+ */
+export function postPageUrl(base: string, slug: string, language: string): string {
+  const url = `${base}/post.html?slug=${encodeURIComponent(slug)}`;
+  return language === 'en' ? `${url}&lang=en` : url;
+}
+
+/**
+ * Description for previews: the excerpt, or the start of the text
+ */
+export function postDescription(post: PublishedPost): string {
+  if (post.excerpt && post.excerpt.trim()) return post.excerpt.trim();
+  const text = stripMarkdown(post.content).replace(/\s+/g, ' ').trim();
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  return `${text.slice(0, DESCRIPTION_LENGTH - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * BlogPosting structured data for search engines
+ */
+export function buildBlogPostingJsonLd(
+  post: PublishedPost,
+  base: string,
+  imageUrl: string | null
+): Record<string, unknown> {
+  const url = postPageUrl(base, post.slug, post.language);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description: postDescription(post),
+    url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    ...(imageUrl ? { image: [imageUrl] } : {}),
+    datePublished: new Date(post.published_at).toISOString(),
+    dateModified: new Date(post.updated_at).toISOString(),
+    inLanguage: post.language,
+    author: {
+      '@type': 'Person',
+      name: post.author_name || DEFAULT_AUTHOR,
+      url: `${base}/about.html`,
+    },
+    ...(post.category_name ? { articleSection: post.category_name } : {}),
+    ...(post.tags.length > 0 ? { keywords: post.tags.map((tag) => tag.name).join(', ') } : {}),
+  };
+}
+
+/**
+ * Build the <head> tags of a post page
+ *
+ * hasTranslation adds the hreflang alternates (de, en, x-default = de).
+ * Each language variant is its own canonical URL.
+ */
+export function buildPostHead(post: PublishedPost, base: string, hasTranslation: boolean): string {
+  const url = postPageUrl(base, post.slug, post.language);
+  const title = escapeXml(post.title);
+  const description = escapeXml(postDescription(post));
+  const imageUrl = post.cover_image_url
+    ? new URL(post.cover_image_url, `${base}/`).toString()
+    : null;
+
+  const tags = [
+    `<title>${title} - ${SITE_NAME}</title>`,
+    `<meta name="description" content="${description}" />`,
+    `<link rel="canonical" href="${escapeXml(url)}" />`,
+  ];
+
+  if (hasTranslation) {
+    const german = escapeXml(postPageUrl(base, post.slug, 'de'));
+    tags.push(
+      `<link rel="alternate" hreflang="de" href="${german}" />`,
+      `<link rel="alternate" hreflang="en" href="${escapeXml(postPageUrl(base, post.slug, 'en'))}" />`,
+      `<link rel="alternate" hreflang="x-default" href="${german}" />`
+    );
+  }
+
+  tags.push(
+    `<meta property="og:type" content="article" />`,
+    `<meta property="og:site_name" content="${SITE_NAME}" />`,
+    `<meta property="og:title" content="${title}" />`,
+    `<meta property="og:description" content="${description}" />`,
+    `<meta property="og:url" content="${escapeXml(url)}" />`,
+    `<meta property="og:locale" content="${OG_LOCALES[post.language]}" />`
+  );
+  if (hasTranslation) {
+    const other = post.language === 'en' ? 'de' : 'en';
+    tags.push(`<meta property="og:locale:alternate" content="${OG_LOCALES[other]}" />`);
+  }
+  if (imageUrl) {
+    tags.push(`<meta property="og:image" content="${escapeXml(imageUrl)}" />`);
+  }
+
+  tags.push(
+    `<meta property="article:published_time" content="${new Date(post.published_at).toISOString()}" />`,
+    `<meta property="article:modified_time" content="${new Date(post.updated_at).toISOString()}" />`
+  );
+  if (post.category_name) {
+    tags.push(`<meta property="article:section" content="${escapeXml(post.category_name)}" />`);
+  }
+  for (const tag of post.tags) {
+    tags.push(`<meta property="article:tag" content="${escapeXml(tag.name)}" />`);
+  }
+
+  tags.push(
+    `<meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}" />`,
+    `<meta name="twitter:title" content="${title}" />`,
+    `<meta name="twitter:description" content="${description}" />`
+  );
+  if (imageUrl) {
+    tags.push(`<meta name="twitter:image" content="${escapeXml(imageUrl)}" />`);
+  }
+
+  tags.push(
+    `<script type="application/ld+json">${inlineJson(buildBlogPostingJsonLd(post, base, imageUrl))}</script>`
+  );
+
+  return tags.map((tag) => `    ${tag}`).join('\n') + '\n';
+}
@@ -0,0 +1,100 @@
+/**
+ * series.ts - Post series (multi-part posts)
+ *
+ * A series groups posts that belong together ("EKS to Lightsail, part 2").
+ * A post is part of at most one series (posts.series_id); series_position
+ * orders the parts. New parts are appended at the end, the editor changes
+ * the order with PUT /api/admin/series/:id.
+ *
+ * Positions may have gaps (a part was moved to another series or deleted).
+ * The public part numbers count only the published parts in that order,
+ * so readers see "Part 2 of 5" without drafts in between.
+ */
+
+import { query } from '../models/database';
+import { getCachedTranslation } from './translate';
+
+// A published part as shown in the series box of the post page
+export interface SeriesPart {
+  id: number;
+  slug: string;
+  title: string;
+  excerpt: string | null;
+  published_at: Date;
+  part: number;
+}
+
+// A series with its published parts (GET /api/series/:slug)
+export interface PublishedSeries {
+  id: number;
+  title: string;
+  slug: string;
+  description: string | null;
+  posts: SeriesPart[];
+}
+
+/**
+ * Validate series_id from the editor. Returns null to remove the post
+ * from its series, false when the value is not an id.
+ */
+export function parseSeriesId(value: unknown): number | null | false {
+  if (value === null || value === '') return null;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : false;
+}
+
+/**
+ * SQL for the position of a new last part of the series in parameter param
+ */
+export function nextSeriesPositionSql(param: string): string {
+  return `(SELECT COALESCE(MAX(series_position), 0) + 1 FROM posts WHERE series_id = ${param})`;
+}
+
+/**
+ * Check for a foreign key violation on posts.series_id (unknown series)
+ */
+export function isUnknownSeries(err: unknown): boolean {
+  return (err as { constraint?: string }).constraint === 'posts_series_id_fkey';
+}
+
+/**
+ * Load a series with its published parts, in reading order
+ *
+ * Returns null when the series does not exist or has no published part
+ * yet (a series of drafts stays private). With language 'en' the titles
+ * and excerpts come from cached translations (Translate is never called,
+ * untranslated parts stay German).
+ */
+export async function findPublishedSeries(
+  slug: string,
+  language: 'de' | 'en'
+): Promise<PublishedSeries | null> {
+  const seriesResult = await query(
+    'SELECT id, title, slug, description FROM series WHERE slug = $1',
+    [slug]
+  );
+  if (seriesResult.rows.length === 0) return null;
+
+  const partsResult = await query(
+    `SELECT
+      id, slug, title, excerpt, published_at,
+      ROW_NUMBER() OVER (ORDER BY series_position NULLS LAST, published_at, id)::int AS part
+    FROM posts
+    WHERE series_id = $1 AND status = 'published'
+    ORDER BY part`,
+    [seriesResult.rows[0].id]
+  );
+  if (partsResult.rows.length === 0) return null;
+
+  let posts: SeriesPart[] = partsResult.rows;
+  if (language === 'en') {
+    posts = await Promise.all(
+      posts.map(async (post) => {
+        const cached = await getCachedTranslation(post.id, 'en');
+        return cached ? { ...post, title: cached.title, excerpt: cached.excerpt } : post;
+      })
+    );
+  }
+
+  return { ...seriesResult.rows[0], posts };
+}
@@ -0,0 +1,41 @@
+/**
+ * site.ts - Public URL of the blog
+ *
+ * Feeds, the sitemap and robots.txt are read outside the site and need
+ * absolute links. The base URL comes from SITE_URL. Only in local
+ * development (NODE_ENV=development) may it fall back to the host of the
+ * current request: the Host header is sent by the client, so anywhere else
+ * it would let anybody choose the links of feeds, the sitemap, canonical
+ * tags and preview links. Without SITE_URL those requests fail instead.
+ *
+ * Links in emails only use SITE_URL (configuredSiteUrl): anybody can send
+ * a request with a made-up Host header.
+ *
+ * Env vars:
+ *   SITE_URL - Public blog URL, e.g. https://blog.example.com (required
+ *              outside NODE_ENV=development)
+ */
+
+import { Request } from 'express';
+
+/**
+ * SITE_URL without trailing slash, null when it is not set
+ */
+export function configuredSiteUrl(): string | null {
+  const configured = process.env.SITE_URL;
+  return configured ? configured.replace(/\/$/, '') : null;
+}
+
+/**
+ * Public base URL of the blog, without trailing slash
+ *
+ * Throws when SITE_URL is not set outside development.
+ */
+export function siteUrl(req: Request): string {
+  const configured = configuredSiteUrl();
+  if (configured) return configured;
+  if (process.env.NODE_ENV !== 'development') {
+    throw new Error('SITE_URL is not set, refusing to build links from the Host header');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+}
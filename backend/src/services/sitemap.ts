@@ -0,0 +1,95 @@
+/**
+ * sitemap.ts - sitemap.xml and sitemap index documents
+ *
+ * Builds the XML for the sitemap routes (see routes/sitemap.ts).
+ * A single sitemap may list at most 50,000 URLs; above that the URLs are
+ * split into numbered sitemaps and /sitemap.xml becomes a sitemap index.
+ *
+ * Language variants are listed as xhtml:link hreflang alternates. Every
+ * variant repeats the full set of alternates (including itself), as
+ * required by the search engines.
+ *
+ * Spec: https://www.sitemaps.org/protocol.html
+ */
+
+import { escapeXml } from './feed';
+
+// Maximum number of URLs per sitemap (sitemaps.org limit)
+export const SITEMAP_MAX_URLS = 50000;
+
+// A language variant of a URL
+export interface SitemapAlternate {
+  hreflang: string; // "de", "en" or "x-default"
+  href: string;
+}
+
+// One <url> entry
+export interface SitemapUrl {
+  loc: string;
+  lastmod: Date | null;
+  alternates: SitemapAlternate[];
+}
+
+/**
+ * Split the URLs into sitemaps of at most maxUrls entries
+ */
+export function paginateSitemap(
+  urls: SitemapUrl[],
+  maxUrls: number = SITEMAP_MAX_URLS
+): SitemapUrl[][] {
+  const pages: SitemapUrl[][] = [];
+  for (let start = 0; start < urls.length; start += maxUrls) {
+    pages.push(urls.slice(start, start + maxUrls));
+  }
+  return pages.length > 0 ? pages : [[]];
+}
+
+/**
+ * Latest lastmod of the given URLs, or null if none has one
+ */
+export function latestLastmod(urls: SitemapUrl[]): Date | null {
+  return urls.reduce<Date | null>(
+    (latest, url) => (url.lastmod && (!latest || url.lastmod > latest) ? url.lastmod : latest),
+    null
+  );
+}
+
+/**
+ * Build a <urlset> sitemap
+ */
+export function buildUrlset(urls: SitemapUrl[]): string {
+  const entries = urls.map((url) => {
+    const lines = [`<loc>${escapeXml(url.loc)}</loc>`];
+    if (url.lastmod) lines.push(`<lastmod>${url.lastmod.toISOString()}</lastmod>`);
+    for (const alternate of url.alternates) {
+      lines.push(
+        `<xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeXml(alternate.href)}" />`
+      );
+    }
+    return `  <url>\n    ${lines.join('\n    ')}\n  </url>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Build a <sitemapindex> pointing to the numbered sitemaps
+ */
+export function buildSitemapIndex(sitemaps: { loc: string; lastmod: Date | null }[]): string {
+  const entries = sitemaps.map((sitemap) => {
+    const lastmod = sitemap.lastmod
+      ? `\n    <lastmod>${sitemap.lastmod.toISOString()}</lastmod>`
+      : '';
+    return `  <sitemap>\n    <loc>${escapeXml(sitemap.loc)}</loc>${lastmod}\n  </sitemap>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</sitemapindex>
+`;
+}
@@ -0,0 +1,95 @@
+/**
+ * slug.ts - URL slugs for posts
+ *
+ * Slugs are derived from the title, or set explicitly in the editor:
+ *   "Über Terraform & AWS" -> "ueber-terraform-aws"
+ * German umlauts and ß are transliterated, other accents are dropped.
+ *
+ * Generated slugs stay unique: a taken slug gets a numeric suffix
+ * ("-2", "-3", ...). When a post's slug changes, the old one is kept in
+ * post_slug_history, so GET /api/posts/:slug can answer old links with
+ * a 301 to the current slug.
+ */
+
+import { PoolClient } from 'pg';
+
+// posts.slug is VARCHAR(255); leaves room for a "-NN" suffix
+const MAX_SLUG_LENGTH = 200;
+
+/**
+ * Lowercase a text and replace non-ASCII letters: "Größe" -> "groesse"
+ */
+export function transliterate(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Generate a post slug: "Mein Weg in Cloud & DevOps" -> "mein-weg-in-cloud-devops"
+ *
+ * Returns an empty string when nothing usable is left (e.g. "!!!").
+ */
+export function slugify(text: string): string {
+  return transliterate(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-$/, '');
+}
+
+/**
+ * Find a free slug for a post, appending "-2", "-3", ... when needed
+ *
+ * Slugs of other posts -- current ones and those in their slug history --
+ * count as taken, so a new post never captures an old link of another one.
+ * postId is the post being renamed (null for a new post).
+ */
+export async function uniquePostSlug(
+  client: PoolClient,
+  base: string,
+  postId: number | null
+): Promise<string> {
+  const result = await client.query(
+    `SELECT slug FROM posts
+    WHERE (slug = $1 OR slug LIKE $1 || '-%') AND id IS DISTINCT FROM $2::int
+    UNION
+    SELECT slug FROM post_slug_history
+    WHERE (slug = $1 OR slug LIKE $1 || '-%') AND post_id IS DISTINCT FROM $2::int`,
+    [base, postId]
+  );
+  const taken = new Set(result.rows.map((row) => row.slug));
+
+  if (!taken.has(base)) return base;
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+}
+
+/**
+ * Remember the old slug of a renamed post (for redirects)
+ *
+ * The new slug is removed from the history: whoever uses a slug now
+ * owns it, including a post that gets one of its own old slugs back.
+ */
+export async function recordSlugChange(
+  client: PoolClient,
+  postId: number,
+  oldSlug: string,
+  newSlug: string
+): Promise<void> {
+  if (oldSlug === newSlug) return;
+
+  await client.query('DELETE FROM post_slug_history WHERE slug = $1', [newSlug]);
+  await client.query(
+    `INSERT INTO post_slug_history (slug, post_id)
+    VALUES ($1, $2)
+    ON CONFLICT (slug) DO UPDATE SET post_id = EXCLUDED.post_id, created_at = NOW()`,
+    [oldSlug, postId]
+  );
+}
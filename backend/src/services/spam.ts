@@ -0,0 +1,356 @@
+/**
+ * spam.ts - Spam filter for reader comments
+ *
+ * Every new comment gets a score from several signals. At SPAM_THRESHOLD
+ * points or more it is saved with status 'spam' instead of 'pending': no
+ * Telegram message, no emails, it waits in its own tab of the dashboard.
+ * The score and the reasons behind it are stored on the comment
+ * (spam_score, spam_reasons).
+ *
+ * Signals (points):
+ *   Honeypot     - The hidden "website" field of the form is filled in (+10)
+ *   Form token   - Missing or forged (+3), or the comment was sent less than
+ *                  MIN_SUBMIT_SECONDS after the page was loaded (+5)
+ *   Links        - +1.5 per link in the text (at most +6), a link in the name (+4)
+ *   Domains      - A link to a blocked domain (+5): URL shorteners and
+ *                  SPAM_BLOCKED_DOMAINS
+ *   Duplicates   - The same text on another post within DUPLICATE_DAYS (+5),
+ *                  the same text as a comment already marked as spam (+5)
+ *   Classifier   - Naive Bayes over words, link domains and the name,
+ *                  -6 (clearly fine) to +6 (clearly spam). Trained by the
+ *                  moderation: approved comments are ham, spam and deleted
+ *                  ones spam. Silent until it has seen CLASSIFIER_MIN_MESSAGES
+ *                  of each.
+ *
+ * The form token comes with the post (comment_token, see routes/posts.ts
+ * and routes/render.ts): <issued at (ms)>.<HMAC-SHA256 of post id and issued at>.
+ *
+ * Environment variables:
+ *   COMMENT_TOKEN_SECRET - Signing key of the form tokens, must be the same
+ *                          in every pod. Without it a random key is used, so
+ *                          tokens from before a restart count as missing.
+ *   SPAM_BLOCKED_DOMAINS - More blocked domains, comma-separated
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { PoolClient } from 'pg';
+import { query, withTransaction } from '../models/database';
+
+// Score from which a comment is treated as spam
+export const SPAM_THRESHOLD = 8;
+
+// Nobody reads a post and writes a comment faster than this
+export const MIN_SUBMIT_SECONDS = 3;
+
+// How far back a comment on another post counts as a duplicate
+export const DUPLICATE_DAYS = 30;
+
+// Spam and ham messages the classifier needs before it has a say
+export const CLASSIFIER_MIN_MESSAGES = 5;
+
+// Link shorteners hide where a link goes -- no reader needs them here
+const DEFAULT_BLOCKED_DOMAINS = [
+  'bit.ly',
+  'tinyurl.com',
+  'goo.gl',
+  'cutt.ly',
+  'rb.gy',
+  'is.gd',
+  'shorturl.at',
+  'ow.ly',
+  'tiny.cc',
+  'rebrand.ly',
+];
+
+// Shorter texts ("Danke!") are not fingerprinted, they repeat legitimately
+const MIN_FINGERPRINT_LENGTH = 20;
+
+// Tokens with the clearest spam/ham probability the classifier combines
+const CLASSIFIER_TOKENS = 15;
+
+// spam_tokens row with the number of trained messages
+const MESSAGES_TOKEN = '#messages';
+
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>"'()[\]]+|\bwww\.[^\s<>"'()[\]]+/gi;
+
+// A name with a link or a domain in it ("Cheap Pills shop.example")
+const NAME_LINK_PATTERN = /https?:\/\/|www\.|\w\.[a-z]{2,}\b/i;
+
+export interface SpamInput {
+  postId: number;
+  authorName: string;
+  content: string;
+  website?: unknown; // Honeypot field
+  formToken?: unknown; // comment_token of the post
+}
+
+export interface SpamResult {
+  score: number;
+  reasons: string[]; // e.g. "3 links (+4.5)"
+  isSpam: boolean;
+  fingerprint: string | null; // For the duplicate check of later comments
+}
+
+let fallbackSecret: Buffer | null = null;
+
+/**
+ * Signing key from COMMENT_TOKEN_SECRET, or a random per-process key
+ */
+function getSecret(): Buffer | string {
+  if (process.env.COMMENT_TOKEN_SECRET) return process.env.COMMENT_TOKEN_SECRET;
+  if (!fallbackSecret) {
+    console.warn('COMMENT_TOKEN_SECRET not set, comment form tokens only work until restart');
+    fallbackSecret = randomBytes(32);
+  }
+  return fallbackSecret;
+}
+
+function sign(payload: string): Buffer {
+  return createHmac('sha256', getSecret()).update(payload).digest();
+}
+
+/**
+ * Form token for commenting on a post, issued now
+ */
+export function issueCommentToken(postId: number, now = Date.now()): string {
+  return `${now}.${sign(`${postId}.${now}`).toString('base64url')}`;
+}
+
+/**
+ * Seconds since the token was issued for this post, or null for a
+ * missing, malformed or forged token (or one of another post)
+ */
+export function commentTokenAge(postId: number, token: unknown, now = Date.now()): number | null {
+  if (typeof token !== 'string') return null;
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(token);
+  if (!match) return null;
+
+  const expected = sign(`${postId}.${match[1]}`);
+  const signature = Buffer.from(match[2], 'base64url');
+  if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+    return null;
+  }
+  return (now - parseInt(match[1], 10)) / 1000;
+}
+
+/**
+ * Blocked domains: the link shorteners plus SPAM_BLOCKED_DOMAINS
+ */
+function blockedDomains(): string[] {
+  const extra = (process.env.SPAM_BLOCKED_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DEFAULT_BLOCKED_DOMAINS, ...extra];
+}
+
+/**
+ * Host names of the links in a text (lower case, without "www.")
+ */
+export function linkDomains(text: string): string[] {
+  const domains: string[] = [];
+  for (const link of text.match(LINK_PATTERN) ?? []) {
+    try {
+      const url = new URL(/^www\./i.test(link) ? `http://${link}` : link);
+      domains.push(url.hostname.toLowerCase().replace(/^www\./, ''));
+    } catch {
+      // Not a parseable URL, still counted as a link
+      domains.push('');
+    }
+  }
+  return domains;
+}
+
+/**
+ * Fingerprint of a comment text: the same words in the same order give the
+ * same fingerprint, whatever the case, punctuation or spacing. null for
+ * texts too short to tell anything.
+ */
+export function contentFingerprint(content: string): string | null {
+  const normalized = content
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+  if (normalized.length < MIN_FINGERPRINT_LENGTH) return null;
+  return createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Classifier tokens of a comment: its words (3 to 30 characters), the
+ * domains it links to and the words of the name, each once
+ */
+export function tokenize(authorName: string, content: string): string[] {
+  const words = (text: string) =>
+    (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []).filter(
+      (word) => word.length >= 3 && word.length <= 30
+    );
+
+  const tokens = new Set(words(content));
+  for (const domain of linkDomains(content)) {
+    // Tokens are at most 64 characters (spam_tokens.token)
+    if (domain && domain.length <= 59) tokens.add(`link:${domain}`);
+  }
+  for (const word of words(authorName)) tokens.add(`name:${word}`);
+  return [...tokens];
+}
+
+/**
+ * Spam probability of the tokens (0 to 1), or null while the classifier
+ * has not seen enough spam and ham
+ *
+ * Robinson's token probabilities (rare tokens lean towards 0.5), combined
+ * naive Bayes style over the CLASSIFIER_TOKENS most telling ones.
+ */
+export async function classify(tokens: string[]): Promise<number | null> {
+  const result = await query(
+    'SELECT token, spam_count, ham_count FROM spam_tokens WHERE token = ANY($1)',
+    [[...tokens, MESSAGES_TOKEN]]
+  );
+  const counts = new Map<string, { spam: number; ham: number }>();
+  for (const row of result.rows) {
+    counts.set(row.token, { spam: row.spam_count, ham: row.ham_count });
+  }
+
+  const messages = counts.get(MESSAGES_TOKEN);
+  if (
+    !messages ||
+    messages.spam < CLASSIFIER_MIN_MESSAGES ||
+    messages.ham < CLASSIFIER_MIN_MESSAGES
+  ) {
+    return null;
+  }
+
+  const probabilities: number[] = [];
+  for (const token of tokens) {
+    const count = counts.get(token);
+    if (!count || count.spam + count.ham === 0) continue;
+    const spamRate = count.spam / messages.spam;
+    const hamRate = count.ham / messages.ham;
+    const seen = count.spam + count.ham;
+    const probability = spamRate / (spamRate + hamRate);
+    probabilities.push((0.5 + seen * probability) / (1 + seen));
+  }
+  if (probabilities.length === 0) return null;
+
+  const telling = probabilities
+    .sort((a, b) => Math.abs(b - 0.5) - Math.abs(a - 0.5))
+    .slice(0, CLASSIFIER_TOKENS);
+  const logOdds = telling.reduce((sum, p) => sum + Math.log(p) - Math.log(1 - p), 0);
+  return 1 / (1 + Math.exp(-logOdds));
+}
+
+/**
+ * Score a new comment (see the signals above)
+ */
+export async function scoreComment(input: SpamInput): Promise<SpamResult> {
+  const reasons: string[] = [];
+  let score = 0;
+  const add = (points: number, reason: string) => {
+    const rounded = Math.round(points * 10) / 10;
+    score += rounded;
+    reasons.push(`${reason} (${rounded > 0 ? '+' : ''}${rounded})`);
+  };
+
+  if (typeof input.website === 'string' && input.website.trim()) {
+    add(10, 'Honeypot field filled in');
+  }
+
+  const age = commentTokenAge(input.postId, input.formToken);
+  if (age === null) add(3, 'Missing or invalid form token');
+  else if (age < MIN_SUBMIT_SECONDS) add(5, `Sent ${Math.max(age, 0).toFixed(1)} s after loading`);
+
+  const domains = linkDomains(input.content);
+  if (domains.length > 0) {
+    add(
+      Math.min(domains.length * 1.5, 6),
+      `${domains.length} link${domains.length > 1 ? 's' : ''}`
+    );
+  }
+  if (NAME_LINK_PATTERN.test(input.authorName)) add(4, 'Link in the name');
+
+  const blocked = blockedDomains();
+  const hit = domains.find((domain) =>
+    blocked.some((entry) => domain === entry || domain.endsWith(`.${entry}`))
+  );
+  if (hit) add(5, `Blocked domain ${hit}`);
+
+  const fingerprint = contentFingerprint(input.content);
+  if (fingerprint) {
+    const duplicates = await query(
+      `SELECT
+        COUNT(*) FILTER (
+          WHERE post_id <> $2 AND created_at > NOW() - make_interval(days => $3)
+        )::int AS other_posts,
+        COUNT(*) FILTER (WHERE status = 'spam')::int AS spam
+      FROM comments
+      WHERE content_fingerprint = $1`,
+      [fingerprint, input.postId, DUPLICATE_DAYS]
+    );
+    const { other_posts: otherPosts, spam } = duplicates.rows[0];
+    if (otherPosts > 0) add(5, 'Same text on another post');
+    if (spam > 0) add(5, 'Same text as a spam comment');
+  }
+
+  const probability = await classify(tokenize(input.authorName, input.content));
+  if (probability !== null) {
+    const points = (probability - 0.5) * 12;
+    if (Math.abs(points) >= 0.5) add(points, `Classifier ${Math.round(probability * 100)}% spam`);
+  }
+
+  score = Math.round(score * 10) / 10;
+  return { score, reasons, isSpam: score >= SPAM_THRESHOLD, fingerprint };
+}
+
+/**
+ * What a moderation decision teaches the classifier
+ */
+function trainingLabel(status: string): 'spam' | 'ham' | null {
+  if (status === 'approved') return 'ham';
+  if (status === 'spam' || status === 'deleted') return 'spam';
+  return null;
+}
+
+/**
+ * Train the classifier with the new status of a comment
+ *
+ * Approved comments count as ham, spam and deleted ones as spam; going
+ * back to pending or flagged takes the comment out again. A comment only
+ * counts once (comments.trained_as), changing the decision moves it over.
+ * Replies of the blog author are left out. Runs in the given transaction,
+ * or in one of its own.
+ */
+export async function trainComment(
+  commentId: number,
+  status: string,
+  client?: PoolClient
+): Promise<void> {
+  if (!client) {
+    return withTransaction((tx) => trainComment(commentId, status, tx));
+  }
+
+  const label = trainingLabel(status);
+  const result = await client.query(
+    `WITH existing AS (
+      SELECT id, trained_as FROM comments WHERE id = $1 AND NOT is_author FOR UPDATE
+    )
+    UPDATE comments c SET trained_as = $2
+    FROM existing
+    WHERE c.id = existing.id AND existing.trained_as IS DISTINCT FROM $2
+    RETURNING existing.trained_as AS previous, c.author_name, c.content`,
+    [commentId, label]
+  );
+  if (result.rows.length === 0) return;
+
+  const { previous, author_name: authorName, content } = result.rows[0];
+  const spamDelta = (label === 'spam' ? 1 : 0) - (previous === 'spam' ? 1 : 0);
+  const hamDelta = (label === 'ham' ? 1 : 0) - (previous === 'ham' ? 1 : 0);
+
+  await client.query(
+    `INSERT INTO spam_tokens (token, spam_count, ham_count)
+    SELECT token, GREATEST($2::int, 0), GREATEST($3::int, 0) FROM unnest($1::text[]) AS token
+    ON CONFLICT (token) DO UPDATE SET
+      spam_count = GREATEST(spam_tokens.spam_count + $2::int, 0),
+      ham_count = GREATEST(spam_tokens.ham_count + $3::int, 0)`,
+    [[...tokenize(authorName, content), MESSAGES_TOKEN], spamDelta, hamDelta]
+  );
+}
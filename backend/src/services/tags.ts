@@ -0,0 +1,118 @@
+/**
+ * tags.ts - Tag assignment helpers shared by the post and admin routes
+ *
+ * Two kinds of tag links exist on a post (post_tags):
+ *   - manual:     set by the author in the editor, confidence NULL
+ *   - comprehend: suggested by Amazon Comprehend, confidence 0.0 - 1.0
+ *
+ * tags.source records where a tag came from: 'comprehend' for tags only
+ * Comprehend ever assigned, 'manual' as soon as an author uses the tag.
+ *
+ * Comprehend links are never written directly: detected key phrases wait in
+ * post_tag_suggestions until the author accepts them (see autotag.ts).
+ *
+ * All helpers take a transaction client (see withTransaction), so a post
+ * and its tags are always saved together.
+ */
+
+import { PoolClient } from 'pg';
+import { transliterate } from './slug';
+
+/**
+ * Generate a tag slug from its name: "GitHub Actions" -> "github-actions"
+ *
+ * German umlauts are transliterated ("Überwachung" -> "ueberwachung"),
+ * other accents are dropped ("Café" -> "cafe").
+ */
+export function slugifyTag(name: string): string {
+  return transliterate(name).replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Clean up tag names from the editor: trim, drop empties and duplicates
+ * (by slug, first spelling wins)
+ */
+export function normalizeTagNames(names: unknown[]): string[] {
+  const seen = new Set<string>();
+  const result: string[] = [];
+  for (const raw of names) {
+    if (typeof raw !== 'string') continue;
+    const name = raw.trim().slice(0, 100);
+    const slug = slugifyTag(name);
+    if (!name || !slug.replace(/-/g, '') || seen.has(slug)) continue;
+    seen.add(slug);
+    result.push(name);
+  }
+  return result;
+}
+
+/**
+ * Get the ID of a manual tag, creating it if needed
+ *
+ * An existing tag keeps its name (renames go through the admin tags API)
+ * and becomes 'manual', because an author now uses it.
+ */
+export async function upsertManualTag(client: PoolClient, name: string): Promise<number> {
+  const result = await client.query(
+    `INSERT INTO tags (name, slug, source)
+    VALUES ($1, $2, 'manual')
+    ON CONFLICT (slug) DO UPDATE SET source = 'manual'
+    RETURNING id`,
+    [name, slugifyTag(name)]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Get the ID of a tag suggested by Comprehend, creating it if needed
+ *
+ * An existing tag keeps its name and source: a manual tag stays manual
+ * even when Comprehend finds it too.
+ */
+export async function upsertComprehendTag(client: PoolClient, name: string): Promise<number> {
+  const result = await client.query(
+    `INSERT INTO tags (name, slug, source)
+    VALUES ($1, $2, 'comprehend')
+    ON CONFLICT (slug) DO UPDATE SET slug = EXCLUDED.slug
+    RETURNING id`,
+    [name, slugifyTag(name)]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Replace the manual tags of a post with the given list
+ *
+ * Comprehend tags stay untouched unless replaceComprehendTags is set.
+ * A Comprehend tag that appears in the list becomes a manual link
+ * (confidence NULL), because the author confirmed it.
+ */
+export async function replacePostTags(
+  client: PoolClient,
+  postId: number,
+  names: string[],
+  options: { replaceComprehendTags?: boolean } = {}
+): Promise<void> {
+  const tagIds: number[] = [];
+  for (const name of normalizeTagNames(names)) {
+    tagIds.push(await upsertManualTag(client, name));
+  }
+
+  // Remove links that are no longer in the list
+  await client.query(
+    `DELETE FROM post_tags
+    WHERE post_id = $1
+      AND NOT (tag_id = ANY($2::int[]))
+      ${options.replaceComprehendTags ? '' : 'AND confidence IS NULL'}`,
+    [postId, tagIds]
+  );
+
+  if (tagIds.length > 0) {
+    await client.query(
+      `INSERT INTO post_tags (post_id, tag_id, confidence)
+      SELECT $1, tag_id, NULL FROM UNNEST($2::int[]) AS tag_id
+      ON CONFLICT (post_id, tag_id) DO UPDATE SET confidence = NULL`,
+      [postId, tagIds]
+    );
+  }
+}
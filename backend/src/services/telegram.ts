@@ -1,13 +1,17 @@
 /**
  * telegram.ts - Telegram Bot notification service
  *
- * Sends notifications to a Telegram chat when new comments are posted.
+ * Sends notifications to a Telegram chat when new comments are posted
+ * and when a post goes live.
  * Uses the Telegram Bot API via native fetch (Node 18+).
  *
  * Required env vars:
  *   TELEGRAM_BOT_TOKEN  - Bot token from @BotFather
  *   TELEGRAM_CHAT_ID    - Chat/group ID to send notifications to
  *
+ * Optional:
+ *   SITE_URL            - Public blog URL, used for links to published posts
+ *
  * If either env var is missing, notifications are silently skipped.
  * Notification failures never block the comment creation response.
  */
@@ -89,3 +93,27 @@ export async function notifyNewComment(data: {
 
   await sendMessage(message);
 }
+
+/**
+ * Send a "post published" notification
+ *
+ * Called when a post goes live -- directly from the editor or through the
+ * scheduler. Links to the post when SITE_URL is set.
+ */
+export async function notifyPostPublished(data: {
+  title: string;
+  slug: string;
+  scheduled: boolean;
+}): Promise<void> {
+  if (!isConfigured()) return;
+
+  const siteUrl = process.env.SITE_URL;
+  const link = siteUrl ? `\n\n${siteUrl.replace(/\/$/, '')}/post.html?slug=${data.slug}` : '';
+
+  const message =
+    `<b>Neuer Post veroeffentlicht</b>${data.scheduled ? ' (geplant)' : ''}\n\n` +
+    `<b>${escapeHtml(data.title)}</b>` +
+    link;
+
+  await sendMessage(message);
+}
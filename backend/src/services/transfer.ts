@@ -0,0 +1,443 @@
+/**
+ * transfer.ts - Export and import of posts as Markdown files
+ *
+ * Export: one post as <slug>.md, or all posts as a zip of those files
+ * (format: frontmatter.ts). With translations the current English
+ * translation goes into the front matter as well.
+ *
+ * Import: upserts posts by slug. Every import is planned first: each file
+ * is compared with the post of the same slug and reported as
+ *   create    - no post with this slug yet
+ *   update    - with the changed fields (content as a line diff)
+ *   unchanged - file and post match
+ *   invalid   - with the reason; nothing is written while any file is invalid
+ * With apply the planned changes are written in one transaction.
+ *
+ * Imported changes are saved like editor saves: rendered HTML, reading
+ * time, a revision of the old text. The tags of a post become exactly the
+ * tags of its file (Comprehend tags not in the file are removed). A file
+ * without category keeps the category of the post. Translations in the
+ * file replace the cached translation; without them it is left alone.
+ * The publish hooks (notifications, cache pre-warming) do not run.
+ */
+
+import { PoolClient } from 'pg';
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { query, withTransaction } from '../models/database';
+import { contentHash } from './hash';
+import { renderMarkdown } from './markdown';
+import { DiffBlock, diffLines, recordRevision } from './revisions';
+import { replacePostTags, slugifyTag } from './tags';
+import { parsePostFile, PostFile, PostFileTranslation, serializePostFile } from './frontmatter';
+
+// Largest upload for POST /api/admin/import (zip or Markdown)
+export const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+
+// Most Markdown files read from one zip
+const MAX_IMPORT_FILES = 1000;
+
+// Most bytes the Markdown files of one zip may unpack to
+const MAX_IMPORT_UNZIPPED_BYTES = 50 * 1024 * 1024;
+
+// A Markdown file to import
+export interface ImportFile {
+  name: string;
+  text: string;
+}
+
+// A changed field of an updated post
+export interface ImportChange {
+  field: string;
+  from?: unknown;
+  to?: unknown;
+  diff?: DiffBlock[]; // content and translations.en
+}
+
+// The plan (or outcome) for one file
+export interface ImportResult {
+  file: string;
+  slug: string | null;
+  action: 'create' | 'update' | 'unchanged' | 'invalid';
+  error?: string;
+  changes: ImportChange[];
+}
+
+// Result of an import: applied is false for dry runs and invalid files
+export interface ImportReport {
+  applied: boolean;
+  summary: Record<ImportResult['action'], number>;
+  posts: ImportResult[];
+}
+
+// A post with everything its file contains
+const POST_FILE_SELECT = `
+  SELECT
+    p.id, p.title, p.slug, p.status, p.content, p.excerpt, p.featured,
+    p.cover_image_url, p.published_at, p.publish_at,
+    c.slug AS category,
+    (SELECT COALESCE(json_agg(t.name ORDER BY t.name), '[]')
+      FROM post_tags pt JOIN tags t ON pt.tag_id = t.id
+      WHERE pt.post_id = p.id) AS tags,
+    tr.title AS en_title, tr.excerpt AS en_excerpt, tr.content AS en_content
+  FROM posts p
+  LEFT JOIN categories c ON p.category_id = c.id
+  LEFT JOIN post_translations tr ON tr.post_id = p.id AND tr.language = 'en'
+    AND tr.source_hash = content_hash(p.title, p.content, p.excerpt)`;
+
+/**
+ * Turn a row of POST_FILE_SELECT into a post file
+ */
+function toPostFile(row: Record<string, unknown>, withTranslations: boolean): PostFile {
+  const translations: PostFile['translations'] = {};
+  if (withTranslations && row.en_title) {
+    translations.en = {
+      title: row.en_title as string,
+      excerpt: (row.en_excerpt as string | null) ?? null,
+      content: row.en_content as string,
+    };
+  }
+  return {
+    title: row.title as string,
+    slug: row.slug as string,
+    status: row.status as PostFile['status'],
+    category: (row.category as string | null) ?? null,
+    tags: row.tags as string[],
+    excerpt: (row.excerpt as string | null) ?? null,
+    featured: Boolean(row.featured),
+    cover_image_url: (row.cover_image_url as string | null) ?? null,
+    published_at: (row.published_at as Date | null) ?? null,
+    publish_at: (row.publish_at as Date | null) ?? null,
+    translations,
+    content: row.content as string,
+  };
+}
+
+/**
+ * Export one post as Markdown. Returns null for an unknown id.
+ */
+export async function exportPost(
+  id: number,
+  withTranslations: boolean
+): Promise<{ slug: string; text: string } | null> {
+  const result = await query(`${POST_FILE_SELECT} WHERE p.id = $1`, [id]);
+  if (result.rows.length === 0) return null;
+
+  const post = toPostFile(result.rows[0], withTranslations);
+  return { slug: post.slug, text: serializePostFile(post) };
+}
+
+/**
+ * Export all posts (any status) as a zip of <slug>.md files
+ */
+export async function exportAllPosts(withTranslations: boolean): Promise<Buffer> {
+  const result = await query(`${POST_FILE_SELECT} ORDER BY p.id`);
+
+  const files: Record<string, Uint8Array> = {};
+  for (const row of result.rows) {
+    const post = toPostFile(row, withTranslations);
+    files[`${post.slug}.md`] = strToU8(serializePostFile(post));
+  }
+  return Buffer.from(zipSync(files));
+}
+
+/**
+ * Read the Markdown files of an uploaded zip
+ *
+ * Other files and hidden folders (.git, __MACOSX) are skipped, as are
+ * files larger than MAX_IMPORT_BYTES. The checks run on the sizes in the
+ * zip directory before anything is inflated; each file is inflated into a
+ * buffer of its stated size, so a zip that understates its sizes gets
+ * truncated files instead of filling the memory.
+ * Throws when the data is not a zip, has too many files or unpacks to
+ * more than MAX_IMPORT_UNZIPPED_BYTES.
+ */
+export function readImportArchive(data: Uint8Array): ImportFile[] {
+  let count = 0;
+  let unzipped = 0;
+  const entries = unzipSync(data, {
+    filter: (entry) => {
+      if (
+        !/\.md$/i.test(entry.name) ||
+        entry.name.split('/').some((part) => part.startsWith('.') || part === '__MACOSX') ||
+        entry.originalSize > MAX_IMPORT_BYTES
+      ) {
+        return false;
+      }
+      count += 1;
+      unzipped += entry.originalSize;
+      if (count > MAX_IMPORT_FILES) {
+        throw new Error(`The zip contains more than ${MAX_IMPORT_FILES} Markdown files`);
+      }
+      if (unzipped > MAX_IMPORT_UNZIPPED_BYTES) {
+        throw new Error(
+          `The Markdown files are larger than ${MAX_IMPORT_UNZIPPED_BYTES / 1024 / 1024} MB together`
+        );
+      }
+      return true;
+    },
+  });
+
+  return Object.keys(entries)
+    .sort()
+    .map((name) => ({ name, text: strFromU8(entries[name]) }));
+}
+
+/**
+ * Compare two translations (null = none)
+ */
+function sameTranslation(a: PostFileTranslation | undefined, b: PostFileTranslation | undefined) {
+  return (
+    a?.title === b?.title &&
+    (a?.excerpt ?? null) === (b?.excerpt ?? null) &&
+    a?.content === b?.content
+  );
+}
+
+/**
+ * Compare a file with the current post: the changed fields
+ */
+function diffPostFile(current: PostFile, file: PostFile): ImportChange[] {
+  const changes: ImportChange[] = [];
+  const fields = ['title', 'status', 'excerpt', 'featured', 'cover_image_url'] as const;
+  for (const field of fields) {
+    if (current[field] !== file[field]) {
+      changes.push({ field, from: current[field], to: file[field] });
+    }
+  }
+  if (file.category !== null && current.category !== file.category) {
+    changes.push({ field: 'category', from: current.category, to: file.category });
+  }
+
+  const tagKey = (tags: string[]) => tags.map(slugifyTag).sort().join(',');
+  if (tagKey(current.tags) !== tagKey(file.tags)) {
+    changes.push({ field: 'tags', from: current.tags, to: file.tags });
+  }
+
+  // published_at only changes when the file sets one
+  const time = (date: Date | null) => date?.getTime() ?? null;
+  if (file.published_at && time(current.published_at) !== time(file.published_at)) {
+    changes.push({ field: 'published_at', from: current.published_at, to: file.published_at });
+  }
+  if (time(current.publish_at) !== time(file.publish_at)) {
+    changes.push({ field: 'publish_at', from: current.publish_at, to: file.publish_at });
+  }
+
+  if (current.content !== file.content) {
+    changes.push({ field: 'content', diff: diffLines(current.content, file.content) });
+  }
+
+  // A translation is stored for the German text: rewrite it when that changes
+  const textChanged = changes.some((c) => ['title', 'excerpt', 'content'].includes(c.field));
+  const en = file.translations.en;
+  if (en && (textChanged || !sameTranslation(current.translations.en, en))) {
+    changes.push({
+      field: 'translations.en',
+      diff: diffLines(current.translations.en?.content ?? '', en.content),
+    });
+  }
+  return changes;
+}
+
+/**
+ * Write one planned file (create or update)
+ */
+async function applyPostFile(
+  client: PoolClient,
+  file: PostFile,
+  current: { id: number; row: Record<string, unknown> } | null,
+  categoryId: number | null,
+  changes: ImportChange[],
+  authorSub: string | null
+): Promise<void> {
+  const changed = new Set(changes.map((change) => change.field));
+  const readingTime = Math.max(1, Math.ceil(file.content.split(/\s+/).length / 200));
+  let postId: number;
+
+  if (!current) {
+    const result = await client.query(
+      `INSERT INTO posts (title, slug, content, content_html, excerpt, category_id, status, featured,
+        reading_time_minutes, published_at, publish_at, cover_image_url)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id`,
+      [
+        file.title,
+        file.slug,
+        file.content,
+        renderMarkdown(file.content),
+        file.excerpt,
+        categoryId,
+        file.status,
+        file.featured,
+        readingTime,
+        file.published_at ?? (file.status === 'published' ? new Date() : null),
+        file.publish_at,
+        file.cover_image_url,
+      ]
+    );
+    postId = result.rows[0].id;
+  } else {
+    postId = current.id;
+    const postFields = [...changed].filter((f) => f !== 'tags' && f !== 'translations.en');
+    if (postFields.length > 0) {
+      const result = await client.query(
+        `UPDATE posts
+        SET title = $1, content = $2, content_html = $3, excerpt = $4,
+          category_id = COALESCE($5, category_id), status = $6, featured = $7,
+          reading_time_minutes = $8,
+          published_at = COALESCE($9, published_at, $10),
+          publish_at = $11, cover_image_url = $12, updated_at = NOW()
+        WHERE id = $13
+        RETURNING title, excerpt, content`,
+        [
+          file.title,
+          file.content,
+          changed.has('content') ? renderMarkdown(file.content) : current.row.content_html,
+          file.excerpt,
+          categoryId,
+          file.status,
+          file.featured,
+          readingTime,
+          file.published_at,
+          file.status === 'published' ? new Date() : null, // first publish
+          file.publish_at,
+          file.cover_image_url,
+          postId,
+        ]
+      );
+      await recordRevision(
+        client,
+        postId,
+        current.row as { title: string; excerpt: string | null; content: string },
+        result.rows[0],
+        authorSub
+      );
+    }
+  }
+
+  if (!current ? file.tags.length > 0 : changed.has('tags')) {
+    await replacePostTags(client, postId, file.tags, { replaceComprehendTags: true });
+  }
+
+  const en = file.translations.en;
+  if (en && (!current || changed.has('translations.en'))) {
+    await client.query(
+      `INSERT INTO post_translations
+        (post_id, language, title, content, content_html, excerpt, source_hash)
+      VALUES ($1, 'en', $2, $3, $4, $5, $6)
+      ON CONFLICT (post_id, language)
+      DO UPDATE SET title = $2, content = $3, content_html = $4, excerpt = $5,
+        source_hash = $6, created_at = NOW()`,
+      [
+        postId,
+        en.title,
+        en.content,
+        renderMarkdown(en.content),
+        en.excerpt,
+        contentHash(file.title, file.content, file.excerpt),
+      ]
+    );
+  }
+}
+
+/**
+ * Plan an import and, with apply, write it
+ *
+ * Runs in one transaction: a dry run reads the posts like the real import
+ * (FOR UPDATE only when applying) and writes nothing.
+ */
+export async function importPosts(
+  files: ImportFile[],
+  options: { apply: boolean; authorSub: string | null }
+): Promise<ImportReport> {
+  return withTransaction(async (client) => {
+    const categories = await client.query('SELECT id, slug FROM categories');
+    const categoryIds = new Map<string, number>(
+      categories.rows.map((row) => [row.slug as string, row.id as number])
+    );
+
+    const results: ImportResult[] = [];
+    const planned: Array<{
+      file: PostFile;
+      current: { id: number; row: Record<string, unknown> } | null;
+      categoryId: number | null;
+      changes: ImportChange[];
+    }> = [];
+    const seen = new Set<string>();
+
+    for (const { name, text } of files) {
+      const parsed = parsePostFile(text);
+      if ('error' in parsed) {
+        results.push({
+          file: name,
+          slug: null,
+          action: 'invalid',
+          error: parsed.error,
+          changes: [],
+        });
+        continue;
+      }
+      const file = parsed.post;
+      const invalid = (error: string) =>
+        results.push({ file: name, slug: file.slug, action: 'invalid', error, changes: [] });
+
+      if (seen.has(file.slug)) {
+        invalid(`Another file in this import has the slug "${file.slug}"`);
+        continue;
+      }
+      seen.add(file.slug);
+
+      const categoryId = file.category === null ? null : (categoryIds.get(file.category) ?? null);
+      if (file.category !== null && categoryId === null) {
+        invalid(`Unknown category "${file.category}"`);
+        continue;
+      }
+
+      const existing = await client.query(
+        `SELECT q.*, p.content_html FROM (${POST_FILE_SELECT} WHERE p.slug = $1) q
+        JOIN posts p ON p.id = q.id
+        ${options.apply ? 'FOR UPDATE OF p' : ''}`,
+        [file.slug]
+      );
+      if (existing.rows.length === 0) {
+        if (categoryId === null) {
+          invalid('category is required for a new post');
+          continue;
+        }
+        results.push({ file: name, slug: file.slug, action: 'create', changes: [] });
+        planned.push({ file, current: null, categoryId, changes: [] });
+        continue;
+      }
+
+      const row = existing.rows[0];
+      const changes = diffPostFile(toPostFile(row, true), file);
+      results.push({
+        file: name,
+        slug: file.slug,
+        action: changes.length > 0 ? 'update' : 'unchanged',
+        changes,
+      });
+      if (changes.length > 0) {
+        planned.push({ file, current: { id: row.id, row }, categoryId, changes });
+      }
+    }
+
+    const summary = { create: 0, update: 0, unchanged: 0, invalid: 0 };
+    for (const result of results) summary[result.action]++;
+
+    const applied = options.apply && summary.invalid === 0;
+    if (applied) {
+      for (const plan of planned) {
+        await applyPostFile(
+          client,
+          plan.file,
+          plan.current,
+          plan.categoryId,
+          plan.changes,
+          options.authorSub
+        );
+      }
+    }
+
+    return { applied, summary, posts: results };
+  });
+}
@@ -5,6 +5,10 @@
  * using AWS Translate. Results are cached in PostgreSQL so each post is only
  * translated once (subsequent requests read from cache).
  *
+ * Each cached translation stores a hash of the German source (see hash.ts).
+ * After the post is edited the hash no longer matches: the cache entry
+ * counts as missing and the post is translated again.
+ *
  * Uses the same graceful-degradation pattern as comprehend.ts:
  * - If AWS credentials are not available (local dev), silently returns null
  * - Errors are logged but never break the calling code
@@ -15,11 +19,14 @@
 
 import { TranslateClient, TranslateTextCommand } from '@aws-sdk/client-translate';
 import { query } from '../models/database';
+import { contentHash } from './hash';
+import { renderMarkdown } from './markdown';
 
 // Translation result returned to the caller
 export interface TranslationResult {
   title: string;
   content: string;
+  content_html: string;
   excerpt: string | null;
 }
 
@@ -126,7 +133,10 @@ async function translateSingleChunk(text: string): Promise<string | null> {
 /**
  * Get cached translation for a post from the database
  *
- * Returns the cached translation if it exists, or null if not cached yet.
+ * Returns the cached translation if it exists and was made from the post's
+ * current text, or null if not cached yet or stale (the hash is compared
+ * with content_hash() of the post in SQL, see schema.sql).
+ * Translations cached before content_html existed are rendered here once.
  */
 export async function getCachedTranslation(
   postId: number,
@@ -134,16 +144,32 @@ export async function getCachedTranslation(
 ): Promise<TranslationResult | null> {
   try {
     const result = await query(
-      'SELECT title, content, excerpt FROM post_translations WHERE post_id = $1 AND language = $2',
+      `SELECT t.title, t.content, t.content_html, t.excerpt
+      FROM post_translations t
+      JOIN posts p ON p.id = t.post_id
+      WHERE t.post_id = $1 AND t.language = $2
+        AND t.source_hash = content_hash(p.title, p.content, p.excerpt)`,
       [postId, language]
     );
 
     if (result.rows.length === 0) return null;
 
+    const cached = result.rows[0];
+    let contentHtml: string | null = cached.content_html;
+    if (contentHtml == null) {
+      contentHtml = renderMarkdown(cached.content);
+      await query(
+        `UPDATE post_translations SET content_html = $3
+        WHERE post_id = $1 AND language = $2 AND content_html IS NULL`,
+        [postId, language, contentHtml]
+      );
+    }
+
     return {
-      title: result.rows[0].title,
-      content: result.rows[0].content,
-      excerpt: result.rows[0].excerpt,
+      title: cached.title,
+      content: cached.content,
+      content_html: contentHtml,
+      excerpt: cached.excerpt,
     };
   } catch (err) {
     console.warn('Failed to read translation cache:', (err as Error).message);
@@ -155,19 +181,31 @@ export async function getCachedTranslation(
  * Save a translation to the database cache
  *
  * Uses UPSERT (ON CONFLICT) so re-translating a post updates the cache.
+ * sourceHash identifies the German text the translation was made from.
  */
 async function saveTranslationCache(
   postId: number,
   language: string,
-  translation: TranslationResult
+  translation: TranslationResult,
+  sourceHash: string
 ): Promise<void> {
   try {
     await query(
-      `INSERT INTO post_translations (post_id, language, title, content, excerpt)
-       VALUES ($1, $2, $3, $4, $5)
+      `INSERT INTO post_translations
+        (post_id, language, title, content, content_html, excerpt, source_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        ON CONFLICT (post_id, language)
-       DO UPDATE SET title = $3, content = $4, excerpt = $5, created_at = NOW()`,
-      [postId, language, translation.title, translation.content, translation.excerpt]
+       DO UPDATE SET title = $3, content = $4, content_html = $5, excerpt = $6,
+         source_hash = $7, created_at = NOW()`,
+      [
+        postId,
+        language,
+        translation.title,
+        translation.content,
+        translation.content_html,
+        translation.excerpt,
+        sourceHash,
+      ]
     );
   } catch (err) {
     console.warn('Failed to save translation cache:', (err as Error).message);
@@ -179,8 +217,9 @@ async function saveTranslationCache(
  *
  * Flow:
  * 1. Check PostgreSQL cache first (instant, no API call)
- * 2. If not cached, call Amazon Translate for title + content + excerpt
- * 3. Save result to cache for future requests
+ * 2. If not cached (or made from an older version of the post), call
+ *    Amazon Translate for title + content + excerpt
+ * 3. Save result to cache for future requests, with the source hash
  * 4. Return translated fields (or null if Translate is not available)
  *
  * The caller merges the translated fields into the post response.
@@ -216,11 +255,12 @@ export async function translatePost(
     const result: TranslationResult = {
       title: translatedTitle,
       content: translatedContent,
+      content_html: renderMarkdown(translatedContent),
       excerpt: translatedExcerpt,
     };
 
     // Step 3: Cache for future requests (fire and forget)
-    saveTranslationCache(postId, targetLanguage, result);
+    saveTranslationCache(postId, targetLanguage, result, contentHash(title, content, excerpt));
 
     return result;
   } catch (err) {
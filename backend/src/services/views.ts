@@ -0,0 +1,155 @@
+/**
+ * views.ts - Unique page views without cookies
+ *
+ * The post page sends one beacon per page load (POST /api/posts/:id/view).
+ * A view counts once per visitor, post and day:
+ *   - The visitor is a SHA-256 of IP and user agent with a random salt of
+ *     the day. The salt lives in view_salts (shared by all pods) and is
+ *     deleted with the visitor hashes the next day, so no hash can be
+ *     recomputed from an IP later or linked across days.
+ *   - Bots, crawlers, link previews and HTTP libraries are ignored by
+ *     their user agent.
+ *
+ * Counted views go into post_views_daily (the time series for the admin
+ * stats) and posts.view_count (the all-time total shown on the cards).
+ * Days are UTC dates.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { query } from '../models/database';
+
+// User agents of bots, crawlers, link previews, monitoring and HTTP libraries
+const BOT_USER_AGENT =
+  /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python|http-?client|java\/|go-http|node-fetch|undici|axios|okhttp|scrapy|phantomjs|selenium|puppeteer|playwright/i;
+
+// Largest ?days of the stats (about a year)
+export const MAX_VIEW_DAYS = 366;
+
+// Salt of the current day, cached per pod
+let currentSalt: { day: string; salt: string } | null = null;
+
+/**
+ * Whether a user agent belongs to a bot (or is missing)
+ */
+export function isBotUserAgent(userAgent: string | undefined): boolean {
+  return !userAgent || userAgent.length < 10 || BOT_USER_AGENT.test(userAgent);
+}
+
+/**
+ * Today as a UTC date (YYYY-MM-DD)
+ */
+function today(): string {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Salt of a day, created by the first view of the day
+ *
+ * Whoever creates it (any pod) also deletes the salts and visitor hashes
+ * of the past days.
+ */
+async function daySalt(day: string): Promise<string> {
+  if (currentSalt?.day === day) return currentSalt.salt;
+
+  const created = await query(
+    `INSERT INTO view_salts (day, salt) VALUES ($1, $2)
+    ON CONFLICT (day) DO NOTHING
+    RETURNING salt`,
+    [day, randomBytes(32).toString('hex')]
+  );
+  let salt: string;
+  if (created.rows.length > 0) {
+    salt = created.rows[0].salt;
+    await query('DELETE FROM post_view_visitors WHERE day < $1', [day]);
+    await query('DELETE FROM view_salts WHERE day < $1', [day]);
+  } else {
+    const existing = await query('SELECT salt FROM view_salts WHERE day = $1', [day]);
+    salt = existing.rows[0].salt;
+  }
+
+  currentSalt = { day, salt };
+  return salt;
+}
+
+/**
+ * Count a view of a published post, once per visitor and day
+ *
+ * Returns true when the view was counted (false for bots, repeated views
+ * and unknown or unpublished posts).
+ */
+export async function recordView(
+  postId: number,
+  ip: string | undefined,
+  userAgent: string | undefined
+): Promise<boolean> {
+  if (isBotUserAgent(userAgent)) return false;
+
+  const day = today();
+  const visitor = createHash('sha256')
+    .update(`${await daySalt(day)}\u001f${ip ?? ''}\u001f${userAgent}`)
+    .digest('hex');
+
+  // One statement: the visitor row decides whether the view counts
+  const result = await query(
+    `
+    WITH visitor AS (
+      INSERT INTO post_view_visitors (post_id, day, visitor_hash)
+      SELECT id, $2, $3 FROM posts WHERE id = $1 AND status = 'published'
+      ON CONFLICT DO NOTHING
+      RETURNING post_id
+    ),
+    daily AS (
+      INSERT INTO post_views_daily (post_id, day, views)
+      SELECT post_id, $2, 1 FROM visitor
+      ON CONFLICT (post_id, day) DO UPDATE SET views = post_views_daily.views + 1
+      RETURNING post_id
+    )
+    UPDATE posts SET view_count = view_count + 1
+    WHERE id IN (SELECT post_id FROM daily)
+    RETURNING id
+  `,
+    [postId, day, visitor]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Views per day of the last days (oldest first, days without views as 0),
+ * of all posts or of one post
+ */
+export async function getViewSeries(
+  days: number,
+  postId: number | null
+): Promise<Array<{ day: string; views: number }>> {
+  const result = await query(
+    `
+    SELECT to_char(d.day, 'YYYY-MM-DD') AS day, COALESCE(SUM(v.views), 0)::int AS views
+    FROM generate_series($1::date - ($2::int - 1), $1::date, interval '1 day') AS d(day)
+    LEFT JOIN post_views_daily v
+      ON v.day = d.day::date AND ($3::int IS NULL OR v.post_id = $3)
+    GROUP BY d.day
+    ORDER BY d.day
+  `,
+    [today(), days, postId]
+  );
+  return result.rows;
+}
+
+/**
+ * The most viewed posts of the last days
+ */
+export async function getTopViewedPosts(days: number, limit: number) {
+  const result = await query(
+    `
+    SELECT p.id, p.title, p.slug, SUM(v.views)::int AS views
+    FROM post_views_daily v
+    JOIN posts p ON p.id = v.post_id
+    WHERE v.day > $1::date - $2::int
+    GROUP BY p.id
+    ORDER BY views DESC, p.id
+    LIMIT $3
+  `,
+    [today(), days, limit]
+  );
+  return result.rows;
+}
@@ -0,0 +1,955 @@
+/**
+ * admin.test.ts - Tests for the admin API routes
+ *
+ * Tests the post revision endpoints (history, diff, restore), the
+ * Comprehend tag suggestion review, the tag management endpoints, the
+ * editor preview rendering, the Markdown export and import, the view
+ * statistics, replies to comments as the blog author, bulk moderation and
+ * the commenter block and allow rules.
+ * Database is mocked - no real PostgreSQL needed.
+ */
+
+import request from 'supertest';
+import { strToU8, zipSync } from 'fflate';
+import app from '../src/app';
+import { query, withTransaction } from '../src/models/database';
+import { setMailTransport } from '../src/services/mailer';
+import { hashEmail, hashIpRange } from '../src/services/rules';
+import { rows } from './helpers';
+
+// Mock the database module
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockWithTransaction = withTransaction as jest.MockedFunction<typeof withTransaction>;
+
+describe('GET /api/admin/posts/:id/revisions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return the revisions newest first', async () => {
+    mockQuery.mockResolvedValueOnce(
+      rows([
+        { revision_number: 2, title: 'Post', author_sub: 'dev-admin-000' },
+        { revision_number: 1, title: 'Post', author_sub: null },
+      ])
+    );
+
+    const response = await request(app).get('/api/admin/posts/1/revisions');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(2);
+    expect(mockQuery.mock.calls[0][0]).toContain('ORDER BY r.revision_number DESC');
+  });
+});
+
+describe('GET /api/admin/posts/:id/revisions/diff', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 400 without a target revision', async () => {
+    const response = await request(app).get('/api/admin/posts/1/revisions/diff');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should diff against the previous revision by default', async () => {
+    mockQuery.mockResolvedValueOnce(
+      rows([
+        { revision_number: 1, title: 'Post', excerpt: null, content: 'a\nb\nc' },
+        { revision_number: 2, title: 'Post', excerpt: 'Intro', content: 'a\nB\nc' },
+      ])
+    );
+
+    const response = await request(app).get('/api/admin/posts/1/revisions/diff?to=2');
+
+    expect(response.status).toBe(200);
+    expect(mockQuery.mock.calls[0][1]).toEqual(['1', [1, 2]]);
+    expect(response.body.diff.title).toBeNull();
+    expect(response.body.diff.excerpt).toEqual({ from: null, to: 'Intro' });
+    expect(response.body.diff.content).toEqual([
+      { type: 'equal', lines: ['a'] },
+      { type: 'remove', lines: ['b'] },
+      { type: 'add', lines: ['B'] },
+      { type: 'equal', lines: ['c'] },
+    ]);
+  });
+
+  it('should return 404 when a revision does not exist', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/admin/posts/1/revisions/diff?from=1&to=7');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('POST /api/admin/posts/:id/revisions/:number/restore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+  });
+
+  it('should restore the revision and record it as a new one', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ id: 1, title: 'Post', slug: 'post', excerpt: null, content: 'New text' }])
+      )
+      .mockResolvedValueOnce(rows([{ title: 'Post', excerpt: null, content: 'Old text' }]))
+      .mockResolvedValueOnce(
+        rows([{ id: 1, title: 'Post', slug: 'post', excerpt: null, content: 'Old text' }])
+      )
+      .mockResolvedValueOnce(rows([{ latest: 5 }]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).post('/api/admin/posts/1/revisions/2/restore');
+
+    expect(response.status).toBe(200);
+    expect(response.body.content).toBe('Old text');
+    expect(mockQuery.mock.calls[2][1]?.slice(0, 2)).toEqual(['Post', 'post']);
+    expect(mockQuery.mock.calls[2][1]?.[4]).toBe('<p>Old text</p>\n');
+    expect(mockQuery.mock.calls[4][1]).toEqual([
+      1,
+      6,
+      'Post',
+      null,
+      'Old text',
+      'dev-admin-000',
+      2,
+    ]);
+  });
+
+  it('should give a restored title its slug back', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ id: 1, title: 'New', slug: 'new', excerpt: null, content: 'New text' }])
+      )
+      .mockResolvedValueOnce(rows([{ title: 'Old', excerpt: null, content: 'Old text' }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(
+        rows([{ id: 1, title: 'Old', slug: 'old', excerpt: null, content: 'Old text' }])
+      )
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ latest: 5 }]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).post('/api/admin/posts/1/revisions/2/restore');
+
+    expect(response.status).toBe(200);
+    expect(response.body.slug).toBe('old');
+    expect(mockQuery.mock.calls[2][1]).toEqual(['old', 1]);
+    expect(mockQuery.mock.calls[3][1]?.slice(0, 2)).toEqual(['Old', 'old']);
+    expect(mockQuery.mock.calls[4]).toEqual([
+      'DELETE FROM post_slug_history WHERE slug = $1',
+      ['old'],
+    ]);
+    expect(mockQuery.mock.calls[5][1]).toEqual(['new', 1]);
+    expect(mockQuery.mock.calls[7][1]).toEqual([1, 6, 'Old', null, 'Old text', 'dev-admin-000', 2]);
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'New', excerpt: null, content: 'New text' }]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).post('/api/admin/posts/1/revisions/9/restore');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('POST /api/admin/render', () => {
+  it('should return the rendered and sanitized HTML', async () => {
+    const response = await request(app)
+      .post('/api/admin/render')
+      .send({ content: '## Vorschau\n\n<script>alert(1)</script>' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.html).toContain('<h2 id="vorschau">');
+    expect(response.body.html).not.toContain('script');
+  });
+
+  it('should return 400 without content', async () => {
+    const response = await request(app).post('/api/admin/render').send({});
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('PUT /api/admin/posts/:id/tag-suggestions/:tagId', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+  });
+
+  it('should return 400 for an invalid status', async () => {
+    const response = await request(app)
+      .put('/api/admin/posts/1/tag-suggestions/4')
+      .send({ status: 'maybe' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should link an accepted tag with its confidence', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ post_id: 1, tag_id: 4, confidence: 0.97, status: 'accepted' }])
+      )
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app)
+      .put('/api/admin/posts/1/tag-suggestions/4')
+      .send({ status: 'accepted' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('accepted');
+    expect(mockQuery.mock.calls[1][0]).toContain('INSERT INTO post_tags');
+    expect(mockQuery.mock.calls[1][1]).toEqual(['1', '4', 0.97]);
+  });
+
+  it('should not link a rejected tag', async () => {
+    mockQuery.mockResolvedValueOnce(
+      rows([{ post_id: 1, tag_id: 4, confidence: 0.97, status: 'rejected' }])
+    );
+
+    const response = await request(app)
+      .put('/api/admin/posts/1/tag-suggestions/4')
+      .send({ status: 'rejected' });
+
+    expect(response.status).toBe(200);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return 404 when no pending suggestion exists', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app)
+      .put('/api/admin/posts/1/tag-suggestions/4')
+      .send({ status: 'accepted' });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('GET /api/admin/tags', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return tags with usage counts', async () => {
+    mockQuery.mockResolvedValueOnce(
+      rows([{ id: 1, name: 'AWS', slug: 'aws', source: 'manual', post_count: 4 }])
+    );
+
+    const response = await request(app).get('/api/admin/tags');
+
+    expect(response.status).toBe(200);
+    expect(response.body[0].post_count).toBe(4);
+  });
+});
+
+describe('PUT /api/admin/tags/:id', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 400 when name is missing', async () => {
+    const response = await request(app).put('/api/admin/tags/1').send({ name: '  ' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 409 when another tag has the name', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 2 }]));
+
+    const response = await request(app).put('/api/admin/tags/1').send({ name: 'Docker' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.existing_id).toBe(2);
+  });
+
+  it('should rename the tag and regenerate the slug', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ id: 1, name: 'GitHub Actions', slug: 'github-actions' }]));
+
+    const response = await request(app).put('/api/admin/tags/1').send({ name: 'GitHub Actions' });
+
+    expect(response.status).toBe(200);
+    expect(mockQuery.mock.calls[1][1]).toEqual(['GitHub Actions', 'github-actions', '1']);
+  });
+});
+
+describe('POST /api/admin/tags/:id/merge', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+  });
+
+  it('should return 400 without source_ids', async () => {
+    const response = await request(app).post('/api/admin/tags/1/merge').send({});
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should move the links and delete the merged tags', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([
+          { id: 1, source: 'comprehend' },
+          { id: 2, source: 'manual' },
+        ])
+      )
+      .mockResolvedValueOnce(rows([])) // move links
+      .mockResolvedValueOnce(rows([])) // move suggestions
+      .mockResolvedValueOnce(rows([])) // delete source tags
+      .mockResolvedValueOnce(rows([{ id: 1, name: 'Kubernetes', source: 'manual' }]));
+
+    const response = await request(app)
+      .post('/api/admin/tags/1/merge')
+      .send({ source_ids: [2] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.merged_ids).toEqual([2]);
+    expect(mockQuery.mock.calls[3][1]).toEqual([[2]]);
+    // A manual source tag makes the target manual
+    expect(mockQuery.mock.calls[4][1]).toEqual([1, true]);
+  });
+});
+
+describe('DELETE /api/admin/tags/orphans', () => {
+  it('should report the deleted tags', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ name: 'Unused' }]));
+
+    const response = await request(app).delete('/api/admin/tags/orphans');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ deleted: 1, tags: ['Unused'] });
+  });
+});
+
+describe('GET /api/admin/posts/:id/export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should download the post as Markdown with front matter', async () => {
+    mockQuery.mockResolvedValueOnce(
+      rows([
+        {
+          id: 1,
+          title: 'Docker Basics',
+          slug: 'docker-basics',
+          status: 'published',
+          content: '## Start',
+          excerpt: null,
+          featured: false,
+          cover_image_url: null,
+          published_at: new Date('2026-03-01T10:00:00.000Z'),
+          publish_at: null,
+          category: 'devops',
+          tags: ['Docker'],
+          en_title: 'Docker Basics',
+          en_excerpt: null,
+          en_content: '## Start',
+        },
+      ])
+    );
+
+    const response = await request(app).get('/api/admin/posts/1/export');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/markdown');
+    expect(response.headers['content-disposition']).toContain('docker-basics.md');
+    expect(response.text).toBe(
+      '---\ntitle: Docker Basics\nslug: docker-basics\nstatus: published\ncategory: devops\n' +
+        'tags:\n  - Docker\npublished_at: 2026-03-01T10:00:00.000Z\n---\n\n## Start\n'
+    );
+  });
+
+  it('should return 404 for an unknown post', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/admin/posts/99/export');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('POST /api/admin/import', () => {
+  const file = (frontMatter: string) =>
+    `---\ntitle: Docker Basics\nslug: docker-basics\n${frontMatter}---\n\n## Start\n`;
+  const existing = {
+    id: 1,
+    title: 'Docker Basics',
+    slug: 'docker-basics',
+    status: 'draft',
+    content: '## Start',
+    content_html: '<h2 id="start">Start</h2>',
+    excerpt: null,
+    featured: false,
+    cover_image_url: null,
+    published_at: null,
+    publish_at: null,
+    category: 'devops',
+    tags: [],
+    en_title: null,
+    en_excerpt: null,
+    en_content: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+  });
+
+  it('should return 415 for other uploads', async () => {
+    const response = await request(app).post('/api/admin/import').send({ title: 'x' });
+
+    expect(response.status).toBe(415);
+  });
+
+  it('should plan an update without writing on a dry run', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 2, slug: 'devops' }]))
+      .mockResolvedValueOnce(rows([existing]));
+
+    const response = await request(app)
+      .post('/api/admin/import')
+      .set('Content-Type', 'text/markdown')
+      .send(file('status: published\ntags: [Docker]\n'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.applied).toBe(false);
+    expect(response.body.summary).toEqual({ create: 0, update: 1, unchanged: 0, invalid: 0 });
+    expect(response.body.posts[0].changes).toEqual([
+      { field: 'status', from: 'draft', to: 'published' },
+      { field: 'tags', from: [], to: ['Docker'] },
+    ]);
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+    expect(mockQuery.mock.calls[1][0]).not.toContain('FOR UPDATE');
+  });
+
+  it('should report a file matching its post as unchanged', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 2, slug: 'devops' }]))
+      .mockResolvedValueOnce(rows([existing]));
+
+    const response = await request(app)
+      .post('/api/admin/import?apply=1')
+      .set('Content-Type', 'text/markdown')
+      .send(file('status: draft\ncategory: devops\n'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.applied).toBe(true);
+    expect(response.body.posts[0].action).toBe('unchanged');
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('should create a new post on apply', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 2, slug: 'devops' }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ id: 7 }]));
+
+    const response = await request(app)
+      .post('/api/admin/import?apply=1')
+      .set('Content-Type', 'text/markdown')
+      .send(file('category: devops\n'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.summary.create).toBe(1);
+    const [sql, params] = mockQuery.mock.calls[2];
+    expect(sql).toContain('INSERT INTO posts');
+    expect(params?.slice(0, 4)).toEqual([
+      'Docker Basics',
+      'docker-basics',
+      '## Start',
+      expect.stringContaining('<h2 id="start">'),
+    ]);
+  });
+
+  it('should import nothing when a file is invalid', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 2, slug: 'devops' }]));
+
+    const response = await request(app)
+      .post('/api/admin/import?apply=1')
+      .set('Content-Type', 'text/markdown')
+      .send(file('category: unknown\n'));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Some files are invalid, nothing was imported');
+    expect(response.body.posts[0]).toMatchObject({
+      action: 'invalid',
+      error: 'Unknown category "unknown"',
+    });
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return 400 for a broken zip', async () => {
+    const response = await request(app)
+      .post('/api/admin/import')
+      .set('Content-Type', 'application/zip')
+      .send(Buffer.from('not a zip'));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^Invalid zip/);
+  });
+
+  // Overwrite the uncompressed sizes in the central directory of a zip
+  const withStatedSize = (zip: Uint8Array, size: number) => {
+    const data = Buffer.from(zip);
+    for (let i = 0; i + 46 <= data.length; i++) {
+      if (data.readUInt32LE(i) === 0x02014b50) data.writeUInt32LE(size, i + 24);
+    }
+    return data;
+  };
+
+  it('should read only the Markdown files of a zip', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 2, slug: 'devops' }]))
+      .mockResolvedValueOnce(rows([existing]));
+
+    const response = await request(app)
+      .post('/api/admin/import')
+      .set('Content-Type', 'application/zip')
+      .send(
+        Buffer.from(
+          zipSync({
+            'posts/docker-basics.md': strToU8(file('status: draft\ncategory: devops\n')),
+            '.git/notes.md': strToU8('# Notes'),
+            'cover.png': new Uint8Array([1, 2, 3]),
+          })
+        )
+      );
+
+    expect(response.status).toBe(200);
+    expect(response.body.posts).toEqual([
+      expect.objectContaining({ file: 'posts/docker-basics.md', action: 'unchanged' }),
+    ]);
+  });
+
+  it('should refuse a zip that unpacks to too much before inflating it', async () => {
+    const files: Record<string, Uint8Array> = {};
+    for (let i = 0; i < 3; i++) files[`post-${i}.md`] = strToU8(file(''));
+
+    const response = await request(app)
+      .post('/api/admin/import')
+      .set('Content-Type', 'application/zip')
+      .send(withStatedSize(zipSync(files), 19 * 1024 * 1024));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(
+      'Invalid zip: The Markdown files are larger than 50 MB together'
+    );
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should not inflate a file beyond its stated size', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 2, slug: 'devops' }]))
+      .mockResolvedValueOnce(rows([existing]));
+    const text = file('status: draft\ncategory: devops\n');
+    const zip = zipSync({ 'docker-basics.md': strToU8(text + 'x'.repeat(1024 * 1024)) });
+
+    const response = await request(app)
+      .post('/api/admin/import')
+      .set('Content-Type', 'application/zip')
+      .send(withStatedSize(zip, text.length));
+
+    expect(response.status).toBe(200);
+    expect(response.body.posts[0].action).toBe('unchanged');
+  });
+});
+
+describe('GET /api/admin/views', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 400 for an invalid period', async () => {
+    const response = await request(app).get('/api/admin/views?days=0');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return the views per day and the most viewed posts', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([
+          { day: '2026-10-18', views: 4 },
+          { day: '2026-10-19', views: 0 },
+        ])
+      )
+      .mockResolvedValueOnce(rows([{ id: 3, title: 'Docker', slug: 'docker', views: 4 }]));
+
+    const response = await request(app).get('/api/admin/views?days=2');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      days: 2,
+      total: 4,
+      series: [
+        { day: '2026-10-18', views: 4 },
+        { day: '2026-10-19', views: 0 },
+      ],
+      top_posts: [{ id: 3, title: 'Docker', slug: 'docker', views: 4 }],
+    });
+    expect(mockQuery.mock.calls[0][1]).toEqual([expect.any(String), 2, null]);
+  });
+
+  it('should filter by post', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ day: '2026-10-19', views: 2 }]));
+
+    const response = await request(app).get('/api/admin/views?days=1&post_id=3');
+
+    expect(response.body.total).toBe(2);
+    expect(response.body.top_posts).toEqual([]);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    expect(mockQuery.mock.calls[0][1]).toEqual([expect.any(String), 1, 3]);
+  });
+});
+
+describe('POST /api/admin/comments/:id/reply', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+  });
+
+  const comment = (fields: Record<string, unknown>) =>
+    rows([{ id: 7, post_id: 3, parent_id: null, depth: 0, status: 'approved', ...fields }]);
+
+  it('should return 400 without content', async () => {
+    const response = await request(app).post('/api/admin/comments/7/reply').send({ content: ' ' });
+
+    expect(response.status).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for an unknown comment', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app)
+      .post('/api/admin/comments/99/reply')
+      .send({ content: 'Hi' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it.each(['flagged', 'spam'])('should not reply to a %s comment', async (status) => {
+    mockQuery.mockResolvedValueOnce(comment({ status }));
+
+    const response = await request(app).post('/api/admin/comments/7/reply').send({ content: 'Hi' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(`Cannot reply to a ${status} comment`);
+    expect(mockWithTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should approve a pending comment and reply as the author', async () => {
+    mockQuery
+      .mockResolvedValueOnce(comment({ status: 'pending' }))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ previous: null, author_name: 'Reader', content: 'Hallo' }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ id: 8, parent_id: 7, is_author: true }]));
+
+    const response = await request(app)
+      .post('/api/admin/comments/7/reply')
+      .send({ content: ' Danke! ' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ id: 8, parent_id: 7, is_author: true });
+    expect(mockQuery.mock.calls[1][0]).toContain("SET status = 'approved'");
+    // The approval trains the spam filter (ham)
+    expect(mockQuery.mock.calls[2][1]).toEqual([7, 'ham']);
+    expect(mockQuery.mock.calls[3][1]).toEqual([['hallo', 'name:reader', '#messages'], 0, 1]);
+    expect(mockQuery.mock.calls[5][1]).toEqual([
+      3,
+      7,
+      1,
+      'Andy Schlegel',
+      'Danke!',
+      'dev-admin-000',
+    ]);
+  });
+
+  it('should answer at the deepest level next to the comment', async () => {
+    mockQuery
+      .mockResolvedValueOnce(comment({ id: 9, parent_id: 8, depth: 2 }))
+      .mockResolvedValueOnce(rows([{ display_name: 'Andy' }]))
+      .mockResolvedValueOnce(rows([{ id: 10 }]));
+
+    await request(app).post('/api/admin/comments/9/reply').send({ content: 'Genau' });
+
+    expect(mockQuery.mock.calls[2][1]).toEqual([3, 8, 2, 'Andy', 'Genau', 'dev-admin-000']);
+  });
+});
+
+describe('POST /api/admin/comments/bulk', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+  });
+
+  const bulk = (body: Record<string, unknown>) =>
+    request(app).post('/api/admin/comments/bulk').send(body);
+
+  it('should approve the comments and tell what happened to each', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([
+          { id: 7, previous: 'pending' },
+          { id: 8, previous: 'flagged' },
+        ])
+      )
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await bulk({ ids: [7, 8, 99, 7], action: 'approve' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      action: 'approve',
+      results: [
+        { id: 7, ok: true, previous: 'pending', status: 'approved' },
+        { id: 8, ok: true, previous: 'flagged', status: 'approved' },
+        { id: 99, ok: false, error: 'Comment not found' },
+      ],
+      email_delay_minutes: null,
+    });
+    expect(mockQuery.mock.calls[0][1]).toEqual(['approved', [7, 8, 99]]);
+    // Every approval trains the spam filter (ham)
+    expect(mockQuery.mock.calls[1][1]).toEqual([7, 'ham']);
+    expect(mockQuery.mock.calls[2][1]).toEqual([8, 'ham']);
+  });
+
+  it('should hold the approval emails back for the undo window', async () => {
+    const send = jest.fn();
+    setMailTransport({ send });
+    process.env.SITE_URL = 'https://blog.example.com';
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 7, previous: 'pending' }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await bulk({ ids: [7], action: 'approve' });
+    setMailTransport(undefined);
+    delete process.env.SITE_URL;
+
+    expect(response.status).toBe(200);
+    expect(response.body.email_delay_minutes).toBe(10);
+    expect(mockQuery).toHaveBeenCalledTimes(3);
+    expect(mockQuery.mock.calls[2][0]).toContain('SET notify_after');
+    expect(mockQuery.mock.calls[2][1]).toEqual([[7], 10]);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should not train the spam filter when nothing changed', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await bulk({ ids: [99], action: 'delete' });
+
+    expect(response.body.results).toEqual([{ id: 99, ok: false, error: 'Comment not found' }]);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only delete deleted and spam comments for good', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([
+          { id: 7, status: 'deleted' },
+          { id: 8, status: 'approved' },
+          { id: 9, status: 'deleted' },
+          { id: 10, status: 'spam' },
+        ])
+      )
+      .mockResolvedValueOnce(
+        rows([
+          { id: 7, previous: 'deleted' },
+          { id: 10, previous: 'spam' },
+        ])
+      );
+
+    const response = await bulk({ ids: [7, 8, 9, 10, 11], action: 'hard-delete' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toEqual([
+      { id: 7, ok: true, previous: 'deleted', removed: true },
+      {
+        id: 8,
+        ok: false,
+        previous: 'approved',
+        error: 'Only deleted or spam comments can be removed',
+      },
+      { id: 9, ok: false, previous: 'deleted', error: 'Replies to the comment are not deleted' },
+      { id: 10, ok: true, previous: 'spam', removed: true },
+      { id: 11, ok: false, error: 'Comment not found' },
+    ]);
+    expect(mockQuery.mock.calls[1][0]).toContain('WITH RECURSIVE kept');
+    expect(mockQuery.mock.calls[1][1]).toEqual([
+      ['deleted', 'spam'],
+      [7, 8, 9, 10, 11],
+    ]);
+  });
+
+  it.each([
+    [{ ids: [7], action: 'publish' }, 'action must be one of'],
+    [{ ids: [], action: 'approve' }, 'ids must be a list of comment IDs'],
+    [{ ids: [7, '8'], action: 'approve' }, 'ids must be a list of comment IDs'],
+    [{ ids: 7, action: 'approve' }, 'ids must be a list of comment IDs'],
+    [
+      { ids: Array.from({ length: 501 }, (_, i) => i + 1), action: 'flag' },
+      'At most 500 comments at once',
+    ],
+  ])('should reject invalid requests (%#)', async (body, error) => {
+    const response = await bulk(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain(error);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/admin/comments/deleted', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+  });
+
+  it('should delete the soft-deleted comments for good', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 3 }, { id: 4 }]));
+
+    const response = await request(app).delete('/api/admin/comments/deleted');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ deleted: 2 });
+    expect(mockQuery.mock.calls[0][1]).toEqual([['deleted'], null]);
+  });
+});
+
+describe('/api/admin/comment-rules', () => {
+  beforeAll(() => {
+    process.env.COMMENTER_HASH_SECRET = 'test-secret';
+  });
+
+  afterAll(() => {
+    delete process.env.COMMENTER_HASH_SECRET;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const created = rows([{ id: 4, action: 'block', kind: 'email', note: null, hit_count: 0 }]);
+
+  it('should list the rules without the hashes', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 4, kind: 'email', value: null, active: true }]));
+
+    const response = await request(app).get('/api/admin/comment-rules');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([{ id: 4, kind: 'email', value: null, active: true }]);
+    expect(mockQuery.mock.calls[0][0]).toContain("WHEN kind IN ('email', 'ip') THEN NULL");
+  });
+
+  it('should store the hash of an email address', async () => {
+    mockQuery.mockResolvedValueOnce(created);
+
+    const response = await request(app)
+      .post('/api/admin/comment-rules')
+      .send({ action: 'block', kind: 'email', value: ' Troll@Example.com ', expires_in_days: 7 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.value).toBeNull();
+    expect(response.body.active).toBe(true);
+    expect(mockQuery.mock.calls[0][1]).toEqual([
+      'block',
+      'email',
+      hashEmail('troll@example.com'),
+      null,
+      7,
+      'dev-admin-000',
+    ]);
+  });
+
+  it('should block the IP range of a comment', async () => {
+    const ipHash = hashIpRange('203.0.113.9');
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ id: 12, author_name: 'Troll', email_hash: null, ip_hash: ipHash }])
+      )
+      .mockResolvedValueOnce(created);
+
+    const response = await request(app)
+      .post('/api/admin/comment-rules')
+      .send({ action: 'block', kind: 'ip', comment_id: 12 });
+
+    expect(response.status).toBe(201);
+    expect(mockQuery.mock.calls[1][1]).toEqual([
+      'block',
+      'ip',
+      ipHash,
+      'Commenter of comment #12 (Troll)',
+      90,
+      'dev-admin-000',
+    ]);
+  });
+
+  it('should reject an email rule for a comment without email', async () => {
+    mockQuery.mockResolvedValueOnce(
+      rows([{ id: 12, author_name: 'Troll', email_hash: null, ip_hash: null }])
+    );
+
+    const response = await request(app)
+      .post('/api/admin/comment-rules')
+      .send({ action: 'block', kind: 'email', comment_id: 12 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('The comment has no email address');
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should store keywords in lower case', async () => {
+    mockQuery.mockResolvedValueOnce(created);
+
+    await request(app)
+      .post('/api/admin/comment-rules')
+      .send({ action: 'allow', kind: 'keyword', value: ' Terraform ', note: 'Topic' });
+
+    expect(mockQuery.mock.calls[0][1]).toEqual([
+      'allow',
+      'keyword',
+      'terraform',
+      'Topic',
+      90,
+      'dev-admin-000',
+    ]);
+  });
+
+  it.each([
+    [{ action: 'mute', kind: 'name', value: 'x' }, 'action must be one of: block, allow'],
+    [{ action: 'block', kind: 'url', value: 'x' }, 'kind must be one of'],
+    [{ action: 'block', kind: 'regex', value: '(casino' }, 'not a valid regular expression'],
+    [{ action: 'block', kind: 'regex', value: '(a+)+$' }, 'could take too long to match'],
+    [{ action: 'block', kind: 'ip', value: 'localhost' }, 'value must be an IP address'],
+    [{ action: 'block', kind: 'name', value: 'x', expires_in_days: 0 }, 'expires_in_days'],
+    [{ action: 'block', kind: 'name' }, 'value or comment_id is required'],
+  ])('should reject invalid rules (%j)', async (body, error) => {
+    const response = await request(app).post('/api/admin/comment-rules').send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain(error);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should delete a rule', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 4 }])).mockResolvedValueOnce(rows([]));
+
+    expect((await request(app).delete('/api/admin/comment-rules/4')).status).toBe(200);
+    expect((await request(app).delete('/api/admin/comment-rules/5')).status).toBe(404);
+  });
+});
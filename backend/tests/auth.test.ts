@@ -17,7 +17,11 @@ describe('Auth middleware - Dev mode', () => {
 
   it('should allow POST /api/posts without auth in dev mode', async () => {
     // The database mock needs to return something for the post creation
-    const { query } = require('../src/models/database');
+    // (the post is inserted inside a transaction)
+    const { query, withTransaction } = require('../src/models/database');
+    withTransaction.mockImplementation((fn: (client: unknown) => unknown) => fn({ query }));
+    // First query: slug lookup (slug is free)
+    query.mockResolvedValueOnce({ rows: [], command: 'SELECT', rowCount: 0, oid: 0, fields: [] });
     query.mockResolvedValueOnce({
       rows: [
         {
@@ -180,6 +184,14 @@ describe('Admin posts endpoint - Dev mode', () => {
       oid: 0,
       fields: [],
     });
+    // Third query: pending tag suggestions
+    query.mockResolvedValueOnce({
+      rows: [],
+      command: 'SELECT',
+      rowCount: 0,
+      oid: 0,
+      fields: [],
+    });
 
     const response = await request(app).get('/api/admin/posts/1');
 
@@ -267,6 +279,7 @@ describe('Auth middleware - Production mode', () => {
     // that without dev mode bypass, we'd need a token.
     // Since we're in dev mode, this passes through - confirming middleware is present.
     const { query } = require('../src/models/database');
+    query.mockResolvedValueOnce({ rows: [], command: 'SELECT', rowCount: 0, oid: 0, fields: [] });
     query.mockResolvedValueOnce({
       rows: [{ id: 1, title: 'Test', slug: 'test', status: 'draft', reading_time_minutes: 1 }],
       command: 'INSERT',
@@ -300,6 +313,14 @@ describe('Public routes remain accessible', () => {
       oid: 0,
       fields: [],
     });
+    // Second query: total count for pagination
+    query.mockResolvedValueOnce({
+      rows: [{ total: 0 }],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
 
     const response = await request(app).get('/api/posts');
 
@@ -332,7 +353,11 @@ describe('Public routes remain accessible', () => {
       oid: 0,
       fields: [],
     });
-    // Second query: insert comment
+    // Second query: block and allow rules (none)
+    query.mockResolvedValueOnce({ rows: [], command: 'SELECT', rowCount: 0, oid: 0, fields: [] });
+    // Third query: word counts of the spam filter (not trained yet)
+    query.mockResolvedValueOnce({ rows: [], command: 'SELECT', rowCount: 0, oid: 0, fields: [] });
+    // Fourth query: insert comment
     query.mockResolvedValueOnce({
       rows: [{ id: 1, author_name: 'Test', content: 'Comment', status: 'pending' }],
       command: 'INSERT',
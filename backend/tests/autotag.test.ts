@@ -0,0 +1,126 @@
+/**
+ * autotag.test.ts - Tests for the Comprehend tag suggestions
+ *
+ * Tests key phrase normalization and ranking, and that long posts are sent
+ * to Comprehend in chunks below its size limit.
+ * The Comprehend client and the database are mocked.
+ */
+
+import { DetectKeyPhrasesCommand } from '@aws-sdk/client-comprehend';
+import { query, withTransaction } from '../src/models/database';
+import { normalizeKeyPhrase, rankKeyPhrases, suggestTagsForPost } from '../src/services/autotag';
+
+const mockSend = jest.fn();
+jest.mock('@aws-sdk/client-comprehend', () => ({
+  ComprehendClient: jest.fn(() => ({ send: (command: unknown) => mockSend(command) })),
+  DetectSentimentCommand: jest.fn(),
+  DetectKeyPhrasesCommand: jest.fn((input) => ({ input })),
+}));
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockWithTransaction = withTransaction as jest.MockedFunction<typeof withTransaction>;
+
+describe('normalizeKeyPhrase', () => {
+  it('should strip leading articles and possessives', () => {
+    expect(normalizeKeyPhrase('die Terraform-Module')).toBe('Terraform-Module');
+    expect(normalizeKeyPhrase('meinem Homelab')).toBe('Homelab');
+    expect(normalizeKeyPhrase('the EKS cluster')).toBe('EKS cluster');
+  });
+
+  it('should strip punctuation around words', () => {
+    expect(normalizeKeyPhrase('"Kubernetes",')).toBe('Kubernetes');
+    expect(normalizeKeyPhrase('C++')).toBe('C++');
+  });
+
+  it('should reject phrases that make poor tags', () => {
+    expect(normalizeKeyPhrase('2024')).toBeNull();
+    expect(normalizeKeyPhrase('der')).toBeNull();
+    expect(normalizeKeyPhrase('KI')).toBeNull();
+    expect(normalizeKeyPhrase('eine sehr lange Liste von Dingen')).toBeNull();
+  });
+});
+
+describe('rankKeyPhrases', () => {
+  it('should merge spellings of the same tag and rank by occurrences', () => {
+    const candidates = rankKeyPhrases(
+      [
+        { text: 'Terraform', confidence: 0.95 },
+        { text: 'Docker Container', confidence: 0.92 },
+        { text: 'die Docker-Container', confidence: 0.99 },
+        { text: 'Grafana', confidence: 0.5 },
+      ],
+      0.9,
+      5
+    );
+
+    expect(candidates).toEqual([
+      { name: 'Docker Container', confidence: 0.99, occurrences: 2 },
+      { name: 'Terraform', confidence: 0.95, occurrences: 1 },
+    ]);
+  });
+
+  it('should respect the limit', () => {
+    const phrases = ['AWS', 'Docker', 'Linux'].map((text) => ({ text, confidence: 0.95 }));
+
+    expect(rankKeyPhrases(phrases, 0.9, 2)).toHaveLength(2);
+  });
+});
+
+describe('suggestTagsForPost', () => {
+  const originalRegion = process.env.AWS_REGION;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.AWS_REGION = 'eu-central-1';
+    mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+  });
+
+  afterAll(() => {
+    process.env.AWS_REGION = originalRegion;
+  });
+
+  it('should chunk long content and store the suggestions', async () => {
+    mockSend.mockResolvedValue({ KeyPhrases: [{ Text: 'Kubernetes', Score: 0.98 }] });
+    mockQuery
+      .mockResolvedValueOnce({ rows: [], command: 'DELETE', rowCount: 0, oid: 0, fields: [] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 3 }],
+        command: 'INSERT',
+        rowCount: 1,
+        oid: 0,
+        fields: [],
+      })
+      .mockResolvedValueOnce({ rows: [], command: 'INSERT', rowCount: 1, oid: 0, fields: [] });
+
+    const paragraph = 'Kubernetes läuft stabil. '.repeat(120);
+    const created = await suggestTagsForPost({
+      id: 1,
+      title: 'Cluster',
+      excerpt: null,
+      content: [paragraph, paragraph, paragraph].join('\n\n'),
+    });
+
+    expect(created).toBe(1);
+    expect(mockSend.mock.calls.length).toBeGreaterThan(1);
+    const mockCommand = DetectKeyPhrasesCommand as unknown as jest.Mock;
+    for (const [input] of mockCommand.mock.calls) {
+      expect(Buffer.byteLength(input.Text, 'utf-8')).toBeLessThanOrEqual(4500);
+    }
+    expect(mockQuery.mock.calls[2][1]).toEqual([1, 3, 0.98]);
+  });
+
+  it('should do nothing when Comprehend fails', async () => {
+    mockSend.mockRejectedValue(new Error('throttled'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const created = await suggestTagsForPost({
+      id: 1,
+      title: 'Post',
+      excerpt: null,
+      content: 'Text',
+    });
+
+    expect(created).toBeNull();
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * cache.test.ts - Tests for stale translation/audio cache detection
+ *
+ * Tests that cached audio is only reused for the exact text it was
+ * generated from, and that a changed post gets a new MP3 file.
+ * Polly, S3 and the database are mocked.
+ */
+
+import { query } from '../src/models/database';
+import { contentHash } from '../src/services/hash';
+import { getPostAudioUrl } from '../src/services/polly';
+import { rows } from './helpers';
+
+const mockPollySend = jest.fn();
+const mockS3Send = jest.fn();
+jest.mock('@aws-sdk/client-polly', () => ({
+  PollyClient: jest.fn(() => ({ send: (command: unknown) => mockPollySend(command) })),
+  SynthesizeSpeechCommand: jest.fn((input) => ({ input })),
+}));
+jest.mock('@aws-sdk/client-s3', () => ({
+  S3Client: jest.fn(() => ({ send: (command: unknown) => mockS3Send(command) })),
+  PutObjectCommand: jest.fn((input) => ({ type: 'put', input })),
+  DeleteObjectCommand: jest.fn((input) => ({ type: 'delete', input })),
+}));
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+
+describe('contentHash', () => {
+  it('should match content_hash() in schema.sql', () => {
+    // SELECT content_hash('Titel', 'Über', NULL)
+    expect(contentHash('Titel', 'Über', null)).toBe(
+      'be274f652d4c14de7f2ce011b9045e58bea439b8c912a24793964f6438ae0566'
+    );
+  });
+
+  it('should keep the parts apart', () => {
+    expect(contentHash('a', 'b')).not.toBe(contentHash('ab', ''));
+  });
+});
+
+describe('getPostAudioUrl', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.AWS_REGION = 'eu-central-1';
+    process.env.S3_BUCKET_NAME = 'blog-audio';
+    mockPollySend.mockResolvedValue({ AudioStream: [Buffer.from('mp3')] });
+    mockS3Send.mockResolvedValue({});
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should reuse audio generated from the same text', async () => {
+    const hash = contentHash('Titel', 'Text');
+    mockQuery.mockResolvedValueOnce(
+      rows([{ s3_key: 'audio/post-1-de-abc.mp3', source_hash: hash }])
+    );
+
+    const url = await getPostAudioUrl(1, 'Titel', 'Text', 'de');
+
+    expect(url).toBe('/audio/post-1-de-abc.mp3');
+    expect(mockPollySend).not.toHaveBeenCalled();
+  });
+
+  it('should regenerate stale audio under a new key and delete the old file', async () => {
+    const hash = contentHash('Titel', 'Neuer Text');
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ s3_key: 'audio/post-1-de-abc.mp3', source_hash: contentHash('Titel', 'Text') }])
+      )
+      .mockResolvedValueOnce(rows([]));
+
+    const url = await getPostAudioUrl(1, 'Titel', 'Neuer Text', 'de');
+
+    const newKey = `audio/post-1-de-${hash.slice(0, 12)}.mp3`;
+    expect(url).toBe('/' + newKey);
+    expect(mockPollySend).toHaveBeenCalledTimes(1);
+    expect(mockQuery.mock.calls[1][1]).toEqual([1, 'de', newKey, hash]);
+    expect(mockS3Send.mock.calls.map(([command]) => command.type)).toEqual(['put', 'delete']);
+    expect(mockS3Send.mock.calls[1][0].input.Key).toBe('audio/post-1-de-abc.mp3');
+  });
+
+  it('should treat audio without a hash as stale', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ s3_key: 'audio/post-1-de.mp3', source_hash: null }]))
+      .mockResolvedValueOnce(rows([]));
+
+    await getPostAudioUrl(1, 'Titel', 'Text', 'de');
+
+    expect(mockPollySend).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,18 +1,52 @@
 /**
  * comments.test.ts - Tests for the comments API routes
  *
- * Tests comment creation validation and moderation.
- * Database is mocked - no real PostgreSQL needed.
+ * Tests comment creation validation, replies and threads, moderation,
+ * the spam status, block and allow rules and the links of the notification
+ * emails. Database, spam filter (see spam.test.ts) and rule check (see
+ * rules.test.ts) are mocked - no real PostgreSQL needed.
  */
 
 import request from 'supertest';
 import app from '../src/app';
 import { query } from '../src/models/database';
+import { signEmailToken } from '../src/services/notifications';
+import { setMailTransport } from '../src/services/mailer';
+import { scoreComment, SpamResult, trainComment } from '../src/services/spam';
+import { CommenterVerdict, hashEmail, hashIpRange, judgeCommenter } from '../src/services/rules';
+import { rows } from './helpers';
 
 // Mock the database module
 jest.mock('../src/models/database');
 const mockQuery = query as jest.MockedFunction<typeof query>;
 
+// Mock the spam filter: comments are clean unless a test says otherwise
+jest.mock('../src/services/spam');
+const mockScoreComment = scoreComment as jest.MockedFunction<typeof scoreComment>;
+const mockTrainComment = trainComment as jest.MockedFunction<typeof trainComment>;
+
+const CLEAN: SpamResult = { score: 0, reasons: [], isSpam: false, fingerprint: null };
+mockScoreComment.mockResolvedValue(CLEAN);
+mockTrainComment.mockResolvedValue(undefined);
+
+// Mock the rule check (hashing stays real): no rule matches unless a test says otherwise
+jest.mock('../src/services/rules', () => ({
+  ...jest.requireActual('../src/services/rules'),
+  judgeCommenter: jest.fn(),
+}));
+const mockJudgeCommenter = judgeCommenter as jest.MockedFunction<typeof judgeCommenter>;
+
+const NO_RULE: CommenterVerdict = { action: null, ruleId: null, trusted: false };
+mockJudgeCommenter.mockResolvedValue(NO_RULE);
+
+beforeAll(() => {
+  process.env.COMMENTER_HASH_SECRET = 'test-secret';
+});
+
+afterAll(() => {
+  delete process.env.COMMENTER_HASH_SECRET;
+});
+
 describe('POST /api/posts/:postId/comments', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -114,3 +148,376 @@ describe('PUT /api/comments/:id/status', () => {
     expect(response.status).toBe(400);
   });
 });
+
+describe('GET /api/posts/:postId/comments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return the approved comments as threads', async () => {
+    const comment = (id: number, parentId: number | null, isAuthor = false) => ({
+      id,
+      parent_id: parentId,
+      author_name: `Reader ${id}`,
+      content: 'Text',
+      is_author: isAuthor,
+      created_at: '2026-02-21T10:00:00Z',
+    });
+    mockQuery.mockResolvedValueOnce(
+      rows([comment(1, null), comment(2, 1, true), comment(3, null), comment(4, 2), comment(5, 9)])
+    );
+
+    const response = await request(app).get('/api/posts/1/comments');
+
+    expect(response.status).toBe(200);
+    // Comment 5 replies to a comment that is not visible: top level
+    expect(response.body.map((c: { id: number }) => c.id)).toEqual([1, 3, 5]);
+    expect(response.body[0].replies).toHaveLength(1);
+    expect(response.body[0].replies[0]).toMatchObject({ id: 2, is_author: true });
+    expect(response.body[0].replies[0].replies[0]).toMatchObject({ id: 4, replies: [] });
+  });
+});
+
+describe('POST /api/posts/:postId/comments (replies)', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Every reply from another address: comment submissions are rate limited per IP
+  let address = 0;
+  const reply = (parentId: unknown) =>
+    request(app)
+      .post('/api/posts/1/comments')
+      .set('X-Forwarded-For', `203.0.113.${++address}`)
+      .send({ author_name: 'Reader', content: 'Danke!', parent_id: parentId });
+
+  it('should reply one level below the comment', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(
+        rows([{ id: 7, post_id: 1, parent_id: null, depth: 0, status: 'approved' }])
+      )
+      .mockResolvedValueOnce(rows([{ id: 8, parent_id: 7, status: 'pending' }]));
+
+    const response = await reply(7);
+
+    expect(response.status).toBe(201);
+    expect(mockQuery.mock.calls[2][1]).toEqual([
+      '1',
+      'Reader',
+      null,
+      'Danke!',
+      7,
+      1,
+      'pending',
+      0,
+      [],
+      null,
+      null,
+      hashIpRange('203.0.113.1'),
+      null,
+      false,
+    ]);
+  });
+
+  it('should keep replies at the deepest level next to the comment', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(
+        rows([{ id: 9, post_id: 1, parent_id: 7, depth: 2, status: 'approved' }])
+      )
+      .mockResolvedValueOnce(rows([{ id: 10, parent_id: 7, status: 'pending' }]));
+
+    await reply(9);
+
+    expect(mockQuery.mock.calls[2][1]).toEqual([
+      '1',
+      'Reader',
+      null,
+      'Danke!',
+      7,
+      2,
+      'pending',
+      0,
+      [],
+      null,
+      null,
+      hashIpRange('203.0.113.1'),
+      null,
+      false,
+    ]);
+  });
+
+  it.each([
+    ['a pending comment', { id: 7, post_id: 1, parent_id: null, depth: 0, status: 'pending' }],
+    [
+      'a comment on another post',
+      { id: 7, post_id: 2, parent_id: null, depth: 0, status: 'approved' },
+    ],
+  ])('should return 400 for a reply to %s', async (_label, parent) => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(rows([parent]));
+
+    const response = await reply(7);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('parent_id must be an approved comment on this post');
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return 400 for an invalid parent_id', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]));
+
+    const response = await reply('7');
+
+    expect(response.status).toBe(400);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Spam filter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should save spam with its score but answer like for any comment', async () => {
+    mockScoreComment.mockResolvedValueOnce({
+      score: 13,
+      reasons: ['Honeypot field filled in (+10)', 'Missing or invalid form token (+3)'],
+      isSpam: true,
+      fingerprint: 'f'.repeat(64),
+    });
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(rows([{ id: 9, status: 'spam' }]));
+
+    const response = await request(app)
+      .post('/api/posts/1/comments')
+      .set('X-Forwarded-For', '192.0.2.1')
+      .send({ author_name: 'Bot', content: 'Buy now', website: 'https://spam.example' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ id: 9, status: 'pending', notifications: null });
+    expect(mockScoreComment).toHaveBeenCalledWith({
+      postId: 1,
+      authorName: 'Bot',
+      content: 'Buy now',
+      website: 'https://spam.example',
+      formToken: undefined,
+    });
+    expect(mockQuery.mock.calls[1][1]).toEqual([
+      '1',
+      'Bot',
+      null,
+      'Buy now',
+      null,
+      0,
+      'spam',
+      13,
+      ['Honeypot field filled in (+10)', 'Missing or invalid form token (+3)'],
+      'f'.repeat(64),
+      null,
+      hashIpRange('192.0.2.1'),
+      null,
+      false,
+    ]);
+    // No sentiment analysis or anything else for spam
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('should accept the spam status and train the filter with decisions', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 9, status: 'spam' }]));
+
+    const response = await request(app).put('/api/comments/9/status').send({ status: 'spam' });
+
+    expect(response.status).toBe(200);
+    expect(mockTrainComment).toHaveBeenCalledWith(9, 'spam');
+  });
+
+  it('should not fail the decision when training fails', async () => {
+    mockTrainComment.mockRejectedValueOnce(new Error('deadlock'));
+    mockQuery.mockResolvedValueOnce(rows([{ id: 9, status: 'deleted' }]));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await request(app).put('/api/comments/9/status').send({ status: 'deleted' });
+
+    expect(response.status).toBe(200);
+    expect(warn).toHaveBeenCalledWith('Spam filter training failed:', 'deadlock');
+    warn.mockRestore();
+  });
+});
+
+describe('Commenter rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const submit = (address: string) =>
+    request(app)
+      .post('/api/posts/1/comments')
+      .set('X-Forwarded-For', address)
+      .send({ author_name: 'Reader', author_email: 'Reader@Example.com', content: 'Hallo' });
+
+  it('should check the rules with the hashed email and IP range', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(rows([{ id: 9, status: 'pending' }]));
+
+    await submit('192.0.2.10');
+
+    expect(mockJudgeCommenter).toHaveBeenCalledWith({
+      emailHash: hashEmail('reader@example.com'),
+      ipHash: hashIpRange('192.0.2.200'),
+      authorName: 'Reader',
+      content: 'Hallo',
+    });
+  });
+
+  it('should save blocked comments as deleted without telling', async () => {
+    mockJudgeCommenter.mockResolvedValueOnce({ action: 'block', ruleId: 3, trusted: false });
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(rows([{ id: 9, status: 'deleted' }]));
+
+    const response = await submit('192.0.2.11');
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ id: 9, status: 'pending', notifications: null });
+    expect(mockScoreComment).not.toHaveBeenCalled();
+    expect(mockQuery.mock.calls[1][1]?.slice(6)).toEqual([
+      'deleted',
+      null,
+      null,
+      null,
+      hashEmail('reader@example.com'),
+      hashIpRange('192.0.2.11'),
+      3,
+      false,
+    ]);
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('should approve comments of trusted commenters right away', async () => {
+    mockJudgeCommenter.mockResolvedValueOnce({ action: 'allow', ruleId: null, trusted: true });
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(rows([{ id: 9, status: 'approved' }]))
+      .mockResolvedValueOnce(rows([]));
+    setMailTransport({ send: async () => {} });
+    process.env.SITE_URL = 'https://blog.example.com';
+
+    const response = await submit('192.0.2.12');
+    setMailTransport(undefined);
+    delete process.env.SITE_URL;
+
+    expect(response.body.status).toBe('approved');
+    expect(mockQuery.mock.calls[1][1]?.[6]).toBe('approved');
+    expect(mockQuery.mock.calls[1][1]?.slice(12)).toEqual([null, true]);
+    // The approval emails go out like after moderation
+    expect(mockQuery.mock.calls[2][0]).toContain('notified_at');
+  });
+
+  it('should not let an allow rule override the spam filter', async () => {
+    mockJudgeCommenter.mockResolvedValueOnce({ action: 'allow', ruleId: 4, trusted: false });
+    mockScoreComment.mockResolvedValueOnce({
+      score: 10,
+      reasons: ['Honeypot field filled in (+10)'],
+      isSpam: true,
+      fingerprint: null,
+    });
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(rows([{ id: 9, status: 'spam' }]));
+
+    const response = await submit('192.0.2.13');
+
+    expect(response.body.status).toBe('pending');
+    expect(mockQuery.mock.calls[1][1]?.[6]).toBe('spam');
+    expect(mockQuery.mock.calls[1][1]?.slice(12)).toEqual([null, false]);
+  });
+});
+
+describe('Comment email notifications', () => {
+  beforeAll(() => {
+    process.env.SITE_URL = 'https://blog.example.com';
+    process.env.EMAIL_TOKEN_SECRET = 'test-secret';
+  });
+
+  afterAll(() => {
+    delete process.env.SITE_URL;
+    delete process.env.EMAIL_TOKEN_SECRET;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 400 for notifications without a valid email', async () => {
+    const response = await request(app)
+      .post('/api/posts/1/comments')
+      .set('X-Forwarded-For', '198.51.100.1')
+      .send({ author_name: 'Reader', content: 'Danke!', author_email: 'reader', notify: true });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('A valid email address is required for notifications');
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should tell when no mail is set up', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1, title: 'Post' }]))
+      .mockResolvedValueOnce(rows([{ id: 9, status: 'pending' }]));
+
+    const response = await request(app)
+      .post('/api/posts/1/comments')
+      .set('X-Forwarded-For', '198.51.100.2')
+      .send({
+        author_name: 'Reader',
+        content: 'Danke!',
+        author_email: 'reader@example.com',
+        notify: true,
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toEqual({ id: 9, status: 'pending', notifications: 'unavailable' });
+  });
+
+  it('should confirm and redirect to the post', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 4 }]))
+      .mockResolvedValueOnce(rows([{ slug: 'docker' }]));
+
+    const response = await request(app).get(
+      `/api/comments/notifications/confirm?token=${signEmailToken('confirm', 4, 17)}`
+    );
+
+    expect(response.status).toBe(303);
+    expect(response.headers.location).toBe(
+      '/post.html?slug=docker&email=confirmed#post-comments-section'
+    );
+  });
+
+  it('should redirect forged links to the home page', async () => {
+    const response = await request(app).get('/api/comments/notifications/unsubscribe?token=4.17.x');
+
+    expect(response.status).toBe(303);
+    expect(response.headers.location).toBe('/');
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should unsubscribe with one click', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 4 }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ slug: 'docker' }]));
+
+    const response = await request(app)
+      .post(`/api/comments/notifications/unsubscribe?token=${signEmailToken('unsubscribe', 4, 17)}`)
+      .type('form')
+      .send('List-Unsubscribe=One-Click');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ unsubscribed: true });
+  });
+});
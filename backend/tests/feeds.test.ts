@@ -0,0 +1,192 @@
+/**
+ * feeds.test.ts - Tests for the RSS, Atom and JSON feed routes
+ *
+ * Tests the three formats, the category/tag filters, the English feed
+ * and conditional GET (ETag / Last-Modified).
+ * Database and Amazon Translate are mocked.
+ */
+
+import request from 'supertest';
+import app from '../src/app';
+import { query } from '../src/models/database';
+import { translatePost } from '../src/services/translate';
+import { rows } from './helpers';
+
+jest.mock('../src/models/database');
+jest.mock('../src/services/translate');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockTranslatePost = translatePost as jest.MockedFunction<typeof translatePost>;
+
+const POST = {
+  id: 7,
+  title: 'Terraform & EKS',
+  slug: 'terraform-eks',
+  excerpt: 'Cluster mit <Terraform>',
+  content: '## Setup\n\n![Diagramm](/img/eks.png)\n\n`terraform apply`',
+  cover_image_url: 'https://cdn.example.com/eks.jpg',
+  published_at: new Date('2026-03-01T10:00:00Z'),
+  updated_at: new Date('2026-03-02T08:30:00Z'),
+  category_name: 'DevOps',
+  author_name: 'Andy',
+  tags: ['AWS', 'Terraform'],
+};
+
+describe('GET /api/feed.xml', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.SITE_URL = 'https://blog.example.com/';
+  });
+
+  afterAll(() => {
+    delete process.env.SITE_URL;
+  });
+
+  it('should return an RSS feed with rendered content', async () => {
+    mockQuery.mockResolvedValueOnce(rows([POST]));
+
+    const response = await request(app).get('/api/feed.xml');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/rss+xml');
+    expect(response.headers['last-modified']).toBe('Mon, 02 Mar 2026 08:30:00 GMT');
+    expect(response.headers.etag).toMatch(/^"[0-9a-f]{64}"$/);
+    expect(response.text).toContain('<title>Terraform &amp; EKS</title>');
+    expect(response.text).toContain(
+      '<link>https://blog.example.com/post.html?slug=terraform-eks</link>'
+    );
+    expect(response.text).toContain(
+      '<guid isPermaLink="false">tag:blog.example.com,2026:post-7</guid>'
+    );
+    expect(response.text).toContain('<pubDate>Sun, 01 Mar 2026 10:00:00 GMT</pubDate>');
+    expect(response.text).toContain('<description>Cluster mit &lt;Terraform&gt;</description>');
+    expect(response.text).toContain('<category>DevOps</category>');
+    expect(response.text).toContain('<h2 id="setup">Setup <a class="heading-anchor" href="#setup"');
+    // Root-relative images point to the blog
+    expect(response.text).toContain('src="https://blog.example.com/img/eks.png"');
+    expect(response.text).toContain('<media:content url="https://cdn.example.com/eks.jpg"');
+    expect(mockTranslatePost).not.toHaveBeenCalled();
+  });
+
+  it('should filter by category and name it in the title', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 3, name: 'Homelab' }]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/feed.xml?category=homelab');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('<title>Blog - Andy Schlegel - Homelab</title>');
+    expect(response.text).toContain(
+      'href="https://blog.example.com/api/feed.xml?category=homelab" rel="self"'
+    );
+    expect(mockQuery.mock.calls[1][0]).toContain('p.category_id = $1');
+    expect(mockQuery.mock.calls[1][1]).toEqual([3, 20]);
+    expect(response.headers['last-modified']).toBeUndefined();
+  });
+
+  it('should return 404 for an unknown tag', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/feed.xml?tag=nope');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should use translations for the English feed', async () => {
+    mockQuery.mockResolvedValueOnce(rows([POST, { ...POST, id: 8, slug: 'zweiter' }]));
+    mockTranslatePost
+      .mockResolvedValueOnce({
+        title: 'Terraform and EKS',
+        content: 'Hello',
+        content_html: '<p>Hello</p>\n',
+        excerpt: 'Intro',
+      })
+      .mockResolvedValueOnce(null);
+
+    const response = await request(app).get('/api/atom.xml?lang=en');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/atom+xml');
+    expect(response.text).toContain('xml:lang="en"');
+    expect(response.text).toContain('<title>Terraform and EKS</title>');
+    expect(response.text).toContain('&lt;p&gt;Hello&lt;/p&gt;');
+    expect(response.text).toContain('<id>tag:blog.example.com,2026:post-7/en</id>');
+    // The untranslated post stays German
+    expect(response.text).toContain('<entry xml:lang="de">');
+  });
+
+  it('should answer 304 when the ETag matches', async () => {
+    mockQuery.mockResolvedValueOnce(rows([POST]));
+    const first = await request(app).get('/api/feed.xml');
+
+    mockQuery.mockResolvedValueOnce(rows([POST]));
+    const second = await request(app).get('/api/feed.xml').set('If-None-Match', first.headers.etag);
+
+    expect(second.status).toBe(304);
+    expect(second.text).toBe('');
+  });
+
+  it('should answer 304 when nothing changed since If-Modified-Since', async () => {
+    mockQuery.mockResolvedValueOnce(rows([POST]));
+
+    const response = await request(app)
+      .get('/api/feed.xml')
+      .set('If-Modified-Since', 'Tue, 03 Mar 2026 00:00:00 GMT');
+
+    expect(response.status).toBe(304);
+  });
+});
+
+describe('GET /api/feed.json', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.SITE_URL = 'https://blog.example.com';
+  });
+
+  afterAll(() => {
+    delete process.env.SITE_URL;
+  });
+
+  it('should return a JSON Feed', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ ...POST, author_name: null }]));
+
+    const response = await request(app).get('/api/feed.json');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/feed+json');
+    const feed = JSON.parse(response.text);
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(feed.items[0]).toMatchObject({
+      title: 'Terraform & EKS',
+      image: 'https://cdn.example.com/eks.jpg',
+      date_published: '2026-03-01T10:00:00.000Z',
+      date_modified: '2026-03-02T08:30:00.000Z',
+      authors: [{ name: 'Andy Schlegel' }],
+      tags: ['DevOps', 'AWS', 'Terraform'],
+      language: 'de',
+    });
+    expect(feed.items[0].content_html).toContain('<code>terraform apply</code>');
+  });
+
+  it('should not take the links from the Host header without SITE_URL', async () => {
+    delete process.env.SITE_URL;
+    mockQuery.mockResolvedValueOnce(rows([POST]));
+
+    const response = await request(app).get('/api/feed.json').set('Host', 'evil.example');
+
+    expect(response.status).toBe(500);
+    expect(response.text).not.toContain('evil.example');
+  });
+
+  it('should use the Host header in local development', async () => {
+    delete process.env.SITE_URL;
+    process.env.NODE_ENV = 'development';
+    mockQuery.mockResolvedValueOnce(rows([POST]));
+
+    const response = await request(app).get('/api/feed.json').set('Host', 'localhost:8080');
+    process.env.NODE_ENV = 'test';
+
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.text).home_page_url).toBe('http://localhost:8080/blog.html');
+  });
+});
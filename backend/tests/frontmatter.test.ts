@@ -0,0 +1,111 @@
+/**
+ * frontmatter.test.ts - Tests for the Markdown file format of posts
+ *
+ * Tests that exported files read back to the same post, the defaults for
+ * missing fields, Windows line breaks and the validation errors.
+ */
+
+import { parsePostFile, PostFile, serializePostFile } from '../src/services/frontmatter';
+
+const post: PostFile = {
+  title: 'Tailscale VPN: Setup',
+  slug: 'tailscale-setup',
+  status: 'published',
+  category: 'homelab',
+  tags: ['Tailscale', 'VPN'],
+  excerpt: 'Ohne Port Forwarding',
+  featured: true,
+  cover_image_url: '/images/2026/03/tailscale.webp',
+  published_at: new Date('2026-03-01T10:00:00.000Z'),
+  publish_at: null,
+  translations: {
+    en: { title: 'Tailscale VPN: Setup', excerpt: null, content: '## Setup\n\nInstall it.' },
+  },
+  content: '## Setup\n\n---\n\nInstallieren.\n',
+};
+
+describe('serializePostFile / parsePostFile', () => {
+  it('should read an exported file back to the same post', () => {
+    const text = serializePostFile(post);
+
+    expect(text).toMatch(/^---\ntitle: "Tailscale VPN: Setup"\nslug: tailscale-setup\n/);
+    expect(text).toContain('published_at: 2026-03-01T10:00:00.000Z\n');
+    expect(parsePostFile(text)).toEqual({ post });
+  });
+
+  it('should leave empty fields out of the file', () => {
+    const text = serializePostFile({
+      ...post,
+      category: null,
+      tags: [],
+      excerpt: null,
+      featured: false,
+      cover_image_url: null,
+      published_at: null,
+      translations: {},
+    });
+
+    expect(text).toBe(
+      '---\ntitle: "Tailscale VPN: Setup"\nslug: tailscale-setup\nstatus: published\n---\n\n' +
+        '## Setup\n\n---\n\nInstallieren.\n\n'
+    );
+  });
+
+  it('should fill in defaults for missing fields', () => {
+    const parsed = parsePostFile('---\ntitle: Notiz\nslug: notiz\n---\nText');
+
+    expect(parsed).toEqual({
+      post: {
+        title: 'Notiz',
+        slug: 'notiz',
+        status: 'draft',
+        category: null,
+        tags: [],
+        excerpt: null,
+        featured: false,
+        cover_image_url: null,
+        published_at: null,
+        publish_at: null,
+        translations: {},
+        content: 'Text',
+      },
+    });
+  });
+
+  it('should read files with a BOM and Windows line breaks', () => {
+    const parsed = parsePostFile('\uFEFF---\r\ntitle: Notiz\r\nslug: notiz\r\n---\r\n\r\nText\r\n');
+
+    expect(parsed).toMatchObject({ post: { title: 'Notiz', content: 'Text' } });
+  });
+});
+
+describe('parsePostFile validation', () => {
+  const file = (frontMatter: string, content = 'Text') => `---\n${frontMatter}\n---\n${content}`;
+
+  it.each([
+    ['# Nur Markdown', 'The file does not start with a --- front matter block'],
+    [file('title: [kaputt'), expect.stringMatching(/^Invalid front matter: /)],
+    [file('- title'), 'The front matter must be a list of fields'],
+    [file('slug: notiz'), 'title is required'],
+    [file('title: Notiz\nslug: Meine Notiz'), expect.stringMatching(/^slug is required/)],
+    [file('title: Notiz\nslug: notiz\nstatus: live'), expect.stringMatching(/^status must be/)],
+    [file('title: Notiz\nslug: notiz\ntags: Docker'), 'tags must be a list of names'],
+    [file('title: Notiz\nslug: notiz\nfeatured: ja'), 'featured must be true or false'],
+    [
+      file('title: Notiz\nslug: notiz\ncover_image_url: "javascript:alert(1)"'),
+      'cover_image_url must be a path or an http(s) URL',
+    ],
+    [file('title: Notiz\nslug: notiz\npublished_at: gestern'), 'published_at is not a valid date'],
+    [
+      file('title: Notiz\nslug: notiz\nstatus: scheduled'),
+      'Scheduled posts need a publish_at date',
+    ],
+    [file('title: Notiz\nslug: notiz', '\n  \n'), 'The post has no content'],
+    [
+      file('title: Notiz\nslug: notiz\ntranslations:\n  en:\n    title: Note'),
+      'translations.en needs a content',
+    ],
+  ])('should reject %j', (text, error) => {
+    expect(parsePostFile(text)).toEqual({ error });
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * helpers.ts - Shared helpers for the tests
+ */
+
+// Wrap rows in the shape pg returns (for the mocked query function)
+export function rows(data: Record<string, unknown>[]) {
+  return { rows: data, command: 'SELECT', rowCount: data.length, oid: 0, fields: [] };
+}
@@ -0,0 +1,152 @@
+/**
+ * images.test.ts - Tests for image uploads
+ *
+ * Tests the checks and clean-up of uploaded images (type, metadata,
+ * orientation, WebP variants) and POST /api/admin/images with local
+ * storage in a temporary directory instead of S3.
+ */
+
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import request from 'supertest';
+import app from '../src/app';
+import { query } from '../src/models/database';
+import { processImage } from '../src/services/images';
+
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+
+let uploadDir: string;
+
+// Test image with camera details, a GPS position and "rotate 90°" in EXIF
+function photo(width: number, height: number): Promise<Buffer> {
+  return sharp({ create: { width, height, channels: 3, background: '#38bdf8' } })
+    .jpeg()
+    .withExif({
+      IFD0: { Make: 'TestCam' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 0/1' },
+    })
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+}
+
+beforeAll(() => {
+  uploadDir = mkdtempSync(path.join(tmpdir(), 'blog-uploads-'));
+  process.env.UPLOAD_DIR = uploadDir;
+  delete process.env.S3_BUCKET_NAME;
+});
+
+afterAll(() => {
+  rmSync(uploadDir, { recursive: true, force: true });
+  delete process.env.UPLOAD_DIR;
+  delete process.env.UPLOAD_MAX_BYTES;
+});
+
+describe('processImage', () => {
+  it('should strip metadata and apply the EXIF orientation', async () => {
+    const image = await processImage(await photo(1200, 800), 'image/jpeg');
+
+    expect(image).not.toBeNull();
+    // Orientation 6 = rotated by 90°: portrait after applying it
+    expect(image!.width).toBe(800);
+    expect(image!.height).toBe(1200);
+
+    const full = await sharp(image!.files[0].body).metadata();
+    expect(full.format).toBe('jpeg');
+    expect(full.exif).toBeUndefined();
+    expect(full.orientation).toBeUndefined();
+  });
+
+  it('should create WebP variants no wider than the image', async () => {
+    const image = await processImage(await photo(800, 1200), 'image/jpeg');
+
+    // 90° rotation: 1200 px wide, so no 1600 px variant
+    expect(image!.variantWidths).toEqual([480, 960, 1200]);
+    const variant = await sharp(image!.files[1].body).metadata();
+    expect(variant.format).toBe('webp');
+    expect(variant.width).toBe(480);
+  });
+
+  it('should reject content that does not match the declared type', async () => {
+    const png = await sharp({
+      create: { width: 10, height: 10, channels: 3, background: '#000' },
+    })
+      .png()
+      .toBuffer();
+
+    expect(await processImage(png, 'image/jpeg')).toBeNull();
+    expect(await processImage(Buffer.from('%PDF-1.7'), 'image/png')).toBeNull();
+    expect(await processImage(png, 'image/svg+xml')).toBeNull();
+  });
+});
+
+describe('POST /api/admin/images', () => {
+  it('should store the image and its variants locally', async () => {
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ id: 5 }],
+      command: 'INSERT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
+
+    const response = await request(app)
+      .post('/api/admin/images?filename=Mein%20Foto.JPG')
+      .set('Content-Type', 'image/jpeg')
+      .send(await photo(600, 400));
+
+    expect(response.status).toBe(201);
+    expect(response.body.id).toBe(5);
+    expect(response.body.url).toMatch(/^\/images\/mein-foto-[0-9a-f]{12}\.jpg$/);
+    expect(response.body.variants).toEqual([
+      { width: 400, url: response.body.url.replace('.jpg', '-400w.webp') },
+    ]);
+
+    // Added to the media library
+    expect(mockQuery.mock.calls[0][0]).toContain('INSERT INTO media');
+    expect(mockQuery.mock.calls[0][1]).toEqual(
+      expect.arrayContaining([response.body.url.slice(1), 'image', 'Mein Foto.JPG'])
+    );
+
+    const stored = readFileSync(path.join(uploadDir, response.body.url));
+    expect((await sharp(stored).metadata()).exif).toBeUndefined();
+
+    // Served by the backend while there is no S3 bucket
+    const served = await request(app).get(response.body.variants[0].url);
+    expect(served.status).toBe(200);
+    expect(served.headers['content-type']).toBe('image/webp');
+  });
+
+  it('should return 415 for other file types', async () => {
+    const response = await request(app)
+      .post('/api/admin/images')
+      .set('Content-Type', 'image/svg+xml')
+      .send('<svg onload="alert(1)"></svg>');
+
+    expect(response.status).toBe(415);
+  });
+
+  it('should return 400 for a file that is not an image', async () => {
+    const response = await request(app)
+      .post('/api/admin/images')
+      .set('Content-Type', 'image/png')
+      .send(Buffer.from('not a png'));
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 413 above the size limit', async () => {
+    process.env.UPLOAD_MAX_BYTES = '1024';
+
+    const response = await request(app)
+      .post('/api/admin/images')
+      .set('Content-Type', 'image/jpeg')
+      .send(Buffer.alloc(2048));
+
+    expect(response.status).toBe(413);
+    expect(response.body.error).toContain('MB or less');
+    delete process.env.UPLOAD_MAX_BYTES;
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * mailer.test.ts - Tests for outgoing email
+ *
+ * Sends through the SMTP transport to a small SMTP catcher on localhost
+ * (standing in for Mailpit of the local setup) and checks what arrived.
+ */
+
+import { AddressInfo, createServer, Server } from 'net';
+import { isMailConfigured, sendMail, setMailTransport } from '../src/services/mailer';
+
+// Minimal SMTP server: accepts every mail and keeps the raw messages
+function startSmtpCatcher(messages: string[]): Promise<Server> {
+  const server = createServer((socket) => {
+    let buffer = '';
+    let data: string[] | null = null;
+    socket.setEncoding('utf8');
+    socket.write('220 catcher ESMTP\r\n');
+
+    socket.on('data', (chunk: string) => {
+      buffer += chunk;
+      let end: number;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data) {
+          if (line === '.') {
+            messages.push(data.join('\n'));
+            data = null;
+            socket.write('250 Queued\r\n');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+        } else if (/^(EHLO|HELO) /i.test(line)) {
+          socket.write('250 catcher\r\n');
+        } else if (/^DATA$/i.test(line)) {
+          data = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT$/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('mailer', () => {
+  const messages: string[] = [];
+  let server: Server;
+
+  beforeAll(async () => {
+    server = await startSmtpCatcher(messages);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    messages.length = 0;
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    delete process.env.MAIL_FROM;
+    setMailTransport(undefined);
+  });
+
+  it('should skip mails without SMTP_HOST', async () => {
+    expect(isMailConfigured()).toBe(false);
+    expect(await sendMail({ to: 'reader@example.com', subject: 'Hi', text: 'Text' })).toBe(false);
+  });
+
+  it('should deliver through the SMTP server from the environment', async () => {
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String((server.address() as AddressInfo).port);
+    process.env.MAIL_FROM = 'Tech Blog <blog@example.com>';
+
+    const sent = await sendMail({
+      to: 'reader@example.com',
+      subject: 'Your comment is online',
+      text: 'Hi Reader,\n\n.\nyour comment has been approved.',
+      headers: { 'List-Unsubscribe': '<https://blog.example.com/unsubscribe>' },
+    });
+
+    expect(sent).toBe(true);
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatch(/^From: Tech Blog <blog@example\.com>$/m);
+    expect(messages[0]).toMatch(/^To: reader@example\.com$/m);
+    expect(messages[0]).toMatch(/^Subject: Your comment is online$/m);
+    expect(messages[0]).toMatch(/^List-Unsubscribe: <https:\/\/blog\.example\.com\/unsubscribe>$/m);
+    expect(messages[0]).toContain('Hi Reader,\n\n.\nyour comment has been approved.');
+  });
+
+  it('should use a plugged in transport', async () => {
+    const send = jest.fn().mockResolvedValue(undefined);
+    setMailTransport({ send });
+
+    await sendMail({ to: 'reader@example.com', subject: 'Hi', text: 'Text' });
+
+    expect(send).toHaveBeenCalledWith({
+      to: 'reader@example.com',
+      subject: 'Hi',
+      text: 'Text',
+      from: 'Tech Blog <noreply@localhost>',
+    });
+    expect(messages).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * markdown.test.ts - Tests for the server-side Markdown rendering
+ *
+ * Tests heading ids and anchors, code highlighting, the link attributes,
+ * that raw HTML in the Markdown cannot run code, and the table of
+ * contents read from the rendered HTML.
+ */
+
+import { renderMarkdown, tableOfContents } from '../src/services/markdown';
+
+describe('renderMarkdown', () => {
+  it('should give headings an id and an anchor link', () => {
+    expect(renderMarkdown('## Setup in 6 Schritten')).toBe(
+      '<h2 id="setup-in-6-schritten">Setup in 6 Schritten ' +
+        '<a class="heading-anchor" href="#setup-in-6-schritten" aria-hidden="true">#</a></h2>\n'
+    );
+  });
+
+  it('should transliterate umlauts and number repeated headings', () => {
+    const html = renderMarkdown('## Über Docker\n\n## Fazit\n\n### Fazit\n\n## `kubectl` & Co');
+
+    expect(html).toContain('<h2 id="ueber-docker">');
+    expect(html).toContain('<h2 id="fazit">');
+    expect(html).toContain('<h3 id="fazit-2">');
+    expect(html).toContain('<h2 id="kubectl-co">');
+  });
+
+  it('should start the ids over for every document', () => {
+    renderMarkdown('## Fazit');
+
+    expect(renderMarkdown('## Fazit')).toContain('id="fazit"');
+  });
+
+  it('should highlight code blocks', () => {
+    const html = renderMarkdown('```typescript\nconst x: number = 1;\n```');
+
+    expect(html).toContain('<code class="hljs language-typescript">');
+    expect(html).toContain('<span class="hljs-keyword">const</span>');
+  });
+
+  it('should open external links in a new tab without opener', () => {
+    const html = renderMarkdown('[AWS](https://aws.amazon.com) und [Blog](/blog.html)');
+
+    expect(html).toContain(
+      '<a href="https://aws.amazon.com" target="_blank" rel="noopener noreferrer">AWS</a>'
+    );
+    expect(html).toContain('<a href="/blog.html">Blog</a>');
+  });
+
+  it('should add rel to raw links with target _blank', () => {
+    expect(renderMarkdown('<a href="/x" target="_blank" rel="opener">x</a>')).toContain(
+      '<a href="/x" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+  });
+
+  it('should strip scripts, event handlers and javascript: URLs', () => {
+    const html = renderMarkdown(
+      'Hallo <script>alert(1)</script>\n\n' +
+        '<img src="/x.png" onerror="alert(2)">\n\n' +
+        '[klick](javascript:alert(3)) <span class="evil" onclick="alert(4)">x</span>'
+    );
+
+    expect(html).not.toMatch(/script|onerror|onclick|javascript:|evil/);
+    expect(html).toContain('<img src="/x.png" />');
+  });
+});
+
+describe('tableOfContents', () => {
+  it('should list the H2 and H3 headings with their ids', () => {
+    const html = renderMarkdown(
+      '# Titel\n\n## Über `Docker` & Co\n\n### Schritt 1\n\n#### Details\n\n## Fazit\n\n## Fazit'
+    );
+
+    expect(tableOfContents(html)).toEqual([
+      { id: 'ueber-docker-co', text: 'Über Docker & Co', level: 2 },
+      { id: 'schritt-1', text: 'Schritt 1', level: 3 },
+      { id: 'fazit', text: 'Fazit', level: 2 },
+      { id: 'fazit-2', text: 'Fazit', level: 2 },
+    ]);
+  });
+
+  it('should skip headings without an id', () => {
+    expect(tableOfContents(renderMarkdown('<h2>Roh</h2>\n\nText'))).toEqual([]);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * media.test.ts - Tests for the media library
+ *
+ * Tests the library list and its filters, the safe delete (refused while
+ * a post uses the file) and the clean-up of Polly MP3s left behind by
+ * deleted posts. Database and S3 are mocked.
+ */
+
+import request from 'supertest';
+import app from '../src/app';
+import { query } from '../src/models/database';
+import { rows } from './helpers';
+
+const mockS3Send = jest.fn();
+jest.mock('@aws-sdk/client-s3', () => ({
+  S3Client: jest.fn(() => ({ send: (command: unknown) => mockS3Send(command) })),
+  PutObjectCommand: jest.fn((input) => ({ type: 'put', input })),
+  DeleteObjectCommand: jest.fn((input) => ({ type: 'delete', input })),
+  DeleteObjectsCommand: jest.fn((input) => ({ type: 'deleteMany', input })),
+  ListObjectsV2Command: jest.fn((input) => ({ type: 'list', input })),
+}));
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+
+const HOURS_AGO = new Date(Date.now() - 5 * 60 * 60 * 1000);
+
+const PHOTO = {
+  id: 4,
+  kind: 'image',
+  url: '/images/photo-3f2a9c0d1b7e.jpg',
+  s3_key: 'images/photo-3f2a9c0d1b7e.jpg',
+  variants: [
+    { width: 480, url: '/images/photo-3f2a9c0d1b7e-480w.webp' },
+    { width: 960, url: '/images/photo-3f2a9c0d1b7e-960w.webp' },
+  ],
+  used_by: [],
+};
+
+const originalEnv = { ...process.env };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.S3_BUCKET_NAME = 'blog-assets';
+  mockS3Send.mockResolvedValue({});
+});
+
+afterAll(() => {
+  process.env = originalEnv;
+});
+
+describe('GET /api/admin/media', () => {
+  it('should list the files with the posts using them', async () => {
+    const usedBy = [{ id: 1, title: 'Hallo', slug: 'hallo', status: 'published' }];
+    mockQuery.mockResolvedValueOnce(rows([{ ...PHOTO, used_by: usedBy }]));
+
+    const response = await request(app).get('/api/admin/media');
+
+    expect(response.status).toBe(200);
+    expect(response.body[0].used_by).toEqual(usedBy);
+    expect(mockQuery.mock.calls[0][0]).not.toContain('WHERE m.');
+  });
+
+  it('should filter by search, kind and usage', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    await request(app).get('/api/admin/media?search=100%_sure&kind=image&usage=unused');
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('m.original_name ILIKE $1 OR m.s3_key ILIKE $1');
+    expect(sql).toContain('m.kind = $2');
+    expect(sql).toContain('json_array_length(u.used_by) = 0');
+    expect(params).toEqual(['%100\\%\\_sure%', 'image']);
+  });
+
+  it('should ignore unknown filter values', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    await request(app).get('/api/admin/media?kind=video&usage=maybe');
+
+    expect(mockQuery.mock.calls[0][1]).toEqual([]);
+    expect(mockQuery.mock.calls[0][0]).not.toContain('json_array_length');
+  });
+});
+
+describe('DELETE /api/admin/media/:id', () => {
+  it('should refuse to delete a file a post still uses', async () => {
+    const usedBy = [{ id: 1, title: 'Hallo', slug: 'hallo', status: 'draft' }];
+    mockQuery.mockResolvedValueOnce(rows([{ ...PHOTO, used_by: usedBy }]));
+
+    const response = await request(app).delete('/api/admin/media/4');
+
+    expect(response.status).toBe(409);
+    expect(response.body.used_by).toEqual(usedBy);
+    expect(mockS3Send).not.toHaveBeenCalled();
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should delete an unused image with its variants', async () => {
+    mockQuery.mockResolvedValueOnce(rows([PHOTO])).mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).delete('/api/admin/media/4');
+
+    expect(response.status).toBe(200);
+    expect(mockS3Send.mock.calls[0][0].input.Delete.Objects).toEqual([
+      { Key: 'images/photo-3f2a9c0d1b7e.jpg' },
+      { Key: 'images/photo-3f2a9c0d1b7e-480w.webp' },
+      { Key: 'images/photo-3f2a9c0d1b7e-960w.webp' },
+    ]);
+    expect(mockQuery.mock.calls[1]).toEqual(['DELETE FROM media WHERE id = $1', [4]]);
+  });
+
+  it('should keep the entry when the file could not be deleted', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    mockQuery.mockResolvedValueOnce(rows([PHOTO]));
+    mockS3Send.mockResolvedValueOnce({ Errors: [{ Key: PHOTO.s3_key, Message: 'Denied' }] });
+
+    const response = await request(app).delete('/api/admin/media/4');
+
+    expect(response.status).toBe(500);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return 404 for an unknown file', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).delete('/api/admin/media/99');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('orphaned audio', () => {
+  beforeEach(() => {
+    mockS3Send.mockResolvedValueOnce({
+      Contents: [
+        { Key: 'audio/post-1-de-aaaaaaaaaaaa.mp3', LastModified: HOURS_AGO },
+        { Key: 'audio/post-9-de-bbbbbbbbbbbb.mp3', LastModified: HOURS_AGO },
+        // Just uploaded, post_audio may not be written yet
+        { Key: 'audio/post-10-de-cccccccccccc.mp3', LastModified: new Date() },
+      ],
+      IsTruncated: false,
+    });
+    mockQuery.mockResolvedValueOnce(rows([{ s3_key: 'audio/post-1-de-aaaaaaaaaaaa.mp3' }]));
+  });
+
+  it('should list MP3s without a post_audio row', async () => {
+    const response = await request(app).get('/api/admin/media/orphan-audio');
+
+    expect(response.status).toBe(200);
+    expect(response.body.keys).toEqual(['audio/post-9-de-bbbbbbbbbbbb.mp3']);
+    expect(mockS3Send.mock.calls[0][0].input).toMatchObject({
+      Bucket: 'blog-assets',
+      Prefix: 'audio/post-',
+    });
+  });
+
+  it('should delete them from S3 and the library', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).delete('/api/admin/media/orphan-audio');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ deleted: 1, keys: ['audio/post-9-de-bbbbbbbbbbbb.mp3'] });
+    expect(mockS3Send.mock.calls[1][0].input.Delete.Objects).toEqual([
+      { Key: 'audio/post-9-de-bbbbbbbbbbbb.mp3' },
+    ]);
+    expect(mockQuery.mock.calls[1][1]).toEqual([['audio/post-9-de-bbbbbbbbbbbb.mp3']]);
+  });
+});
+
+describe('orphaned audio without S3', () => {
+  it('should find nothing', async () => {
+    delete process.env.S3_BUCKET_NAME;
+
+    const response = await request(app).delete('/api/admin/media/orphan-audio');
+
+    expect(response.body).toEqual({ deleted: 0, keys: [] });
+    expect(mockS3Send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * notifications.test.ts - Tests for the commenter email notifications
+ *
+ * Tests the signed links, the double opt-in, unsubscribing and the emails
+ * on approval and replies (right away or after the undo window). Database is mocked, mails go to a plugged in
+ * transport.
+ */
+
+import { query } from '../src/models/database';
+import { MailMessage, setMailTransport } from '../src/services/mailer';
+import {
+  confirmSubscription,
+  notifyCommentsApproved,
+  notifyDueComments,
+  queueApprovalNotifications,
+  signEmailToken,
+  startNotificationScheduler,
+  subscribeToComment,
+  unsubscribe,
+  verifyEmailToken,
+} from '../src/services/notifications';
+import { rows } from './helpers';
+
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+
+const BASE = 'https://blog.example.com';
+const sent: MailMessage[] = [];
+
+beforeAll(() => {
+  process.env.EMAIL_TOKEN_SECRET = 'test-secret';
+});
+
+afterAll(() => {
+  delete process.env.EMAIL_TOKEN_SECRET;
+  delete process.env.SITE_URL;
+  setMailTransport(undefined);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sent.length = 0;
+  process.env.SITE_URL = `${BASE}/`;
+  setMailTransport({
+    send: async (message) => {
+      sent.push(message);
+    },
+  });
+});
+
+describe('email tokens', () => {
+  it('should verify its own tokens only for the same purpose', () => {
+    const token = signEmailToken('unsubscribe', 4, 17);
+
+    expect(verifyEmailToken('unsubscribe', token)).toEqual({ subscriberId: 4, commentId: 17 });
+    expect(verifyEmailToken('confirm', token)).toBeNull();
+  });
+
+  it('should reject changed and malformed tokens', () => {
+    const token = signEmailToken('confirm', 4, 17);
+
+    expect(verifyEmailToken('confirm', token.replace(/^4\./, '5.'))).toBeNull();
+    expect(verifyEmailToken('confirm', 'kaputt')).toBeNull();
+  });
+});
+
+describe('subscribeToComment', () => {
+  const subscribe = () =>
+    subscribeToComment({
+      commentId: 17,
+      email: ' Reader@Example.com ',
+      language: 'en',
+      authorName: 'Reader',
+      postTitle: 'Docker',
+    });
+
+  it('should send the confirmation email to a new address', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 4 }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ id: 4 }]));
+
+    expect(await subscribe()).toBe('confirm');
+
+    expect(mockQuery.mock.calls[0][1]).toEqual(['reader@example.com', 'en']);
+    expect(mockQuery.mock.calls[1][1]).toEqual([4, 17]);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('Reader@Example.com');
+    expect(sent[0].subject).toBe('Please confirm your email address');
+    expect(sent[0].text).toContain(
+      `${BASE}/api/comments/notifications/confirm?token=${signEmailToken('confirm', 4, 17)}`
+    );
+    expect(sent[0].headers).toEqual({
+      'List-Unsubscribe': `<${BASE}/api/comments/notifications/unsubscribe?token=${signEmailToken('unsubscribe', 4, 17)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    });
+  });
+
+  it('should not send more confirmations than allowed per day', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 4 }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([]));
+
+    expect(await subscribe()).toBe('confirm');
+    expect(mockQuery.mock.calls[2][1]).toEqual([4, 3]);
+    expect(sent).toEqual([]);
+  });
+
+  it('should ask a confirmed address again for each comment', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 4 }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ id: 4 }]));
+
+    expect(await subscribe()).toBe('confirm');
+    expect(mockQuery.mock.calls[0][0]).toContain(
+      'WHEN comment_subscribers.confirmed_at IS NULL THEN EXCLUDED.language'
+    );
+    expect(mockQuery.mock.calls[2][0]).not.toContain('confirmed_at IS NULL');
+    expect(sent).toHaveLength(1);
+  });
+
+  it('should store nothing without a mail transport', async () => {
+    setMailTransport(null);
+
+    expect(await subscribe()).toBe('unavailable');
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should store nothing without SITE_URL for the links', async () => {
+    delete process.env.SITE_URL;
+
+    expect(await subscribe()).toBe('unavailable');
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('confirmSubscription / unsubscribe', () => {
+  it('should confirm with a valid link', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 4 }]))
+      .mockResolvedValueOnce(rows([{ slug: 'docker' }]));
+
+    const result = await confirmSubscription(signEmailToken('confirm', 4, 17));
+
+    expect(result).toEqual({ ok: true, slug: 'docker' });
+    expect(mockQuery.mock.calls[0][0]).toContain('SET subscription_confirmed_at');
+    expect(mockQuery.mock.calls[0][1]).toEqual([4, 17, 7]);
+  });
+
+  it('should not confirm with an unsubscribe token', async () => {
+    const result = await confirmSubscription(signEmailToken('unsubscribe', 4, 17));
+
+    expect(result).toEqual({ ok: false, slug: null });
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should unsubscribe the address and unlink its comments', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 4 }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ slug: 'docker' }]));
+
+    const result = await unsubscribe(signEmailToken('unsubscribe', 4, 17));
+
+    expect(result).toEqual({ ok: true, slug: 'docker' });
+    expect(mockQuery.mock.calls[1][0]).toContain('SET subscriber_id = NULL');
+    expect(mockQuery.mock.calls[1][1]).toEqual([4]);
+  });
+});
+
+describe('notifyCommentsApproved', () => {
+  const recipient = (fields: Record<string, unknown>) => ({
+    subscriber_id: 4,
+    email: 'reader@example.com',
+    language: 'de',
+    title: 'Docker',
+    slug: 'docker',
+    ...fields,
+  });
+
+  it('should tell the commenter and the commenter replied to', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ id: 18, parent_id: 17, author_name: 'Andy Schlegel', content: 'Gern!' }])
+      )
+      .mockResolvedValueOnce(
+        rows([
+          recipient({ comment_id: 18, author_name: 'Andy Schlegel', subscriber_id: 5 }),
+          recipient({ comment_id: 17, author_name: 'Reader', language: 'en' }),
+        ])
+      );
+
+    await notifyCommentsApproved([18]);
+
+    expect(sent.map((mail) => mail.subject)).toEqual([
+      'Dein Kommentar ist online',
+      'New reply to your comment',
+    ]);
+    expect(sent[1].text).toContain('Hi Reader,');
+    expect(sent[1].text).toContain('Andy Schlegel replied to your comment on "Docker":\n\nGern!');
+    expect(sent[1].text).toContain(`${BASE}/post.html?slug=docker#post-comments-section`);
+    expect(sent[1].headers!['List-Unsubscribe']).toContain(signEmailToken('unsubscribe', 4, 17));
+  });
+
+  it('should not tell commenters about their own replies', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ id: 18, parent_id: 17, author_name: 'Reader', content: 'PS' }])
+      )
+      .mockResolvedValueOnce(
+        rows([
+          recipient({ comment_id: 18, author_name: 'Reader' }),
+          recipient({ comment_id: 17, author_name: 'Reader' }),
+        ])
+      );
+
+    await notifyCommentsApproved([18]);
+
+    expect(sent.map((mail) => mail.subject)).toEqual(['Dein Kommentar ist online']);
+  });
+
+  it('should send nothing without SITE_URL for the links', async () => {
+    delete process.env.SITE_URL;
+
+    await notifyCommentsApproved([18]);
+
+    expect(mockQuery).not.toHaveBeenCalled();
+    expect(sent).toEqual([]);
+  });
+
+  it('should send nothing for comments already handled', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    await notifyCommentsApproved([18]);
+
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    expect(sent).toEqual([]);
+  });
+});
+
+describe('queueApprovalNotifications / notifyDueComments', () => {
+  it('should hold the emails of an approval back for the undo window', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    expect(await queueApprovalNotifications([18, 19])).toBe(10);
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('SET notify_after = NOW() + make_interval(mins => $2)');
+    expect(sql).toContain("status = 'approved' AND notified_at IS NULL");
+    expect(params).toEqual([[18, 19], 10]);
+    expect(sent).toEqual([]);
+  });
+
+  it('should not queue anything without a mail transport', async () => {
+    setMailTransport(null);
+
+    expect(await queueApprovalNotifications([18])).toBeNull();
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should send the emails whose undo window has passed', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 18 }]))
+      .mockResolvedValueOnce(
+        rows([{ id: 18, parent_id: null, author_name: 'Reader', content: 'Hi' }])
+      )
+      .mockResolvedValueOnce(
+        rows([
+          {
+            comment_id: 18,
+            author_name: 'Reader',
+            subscriber_id: 4,
+            email: 'reader@example.com',
+            language: 'en',
+            title: 'Docker',
+            slug: 'docker',
+          },
+        ])
+      );
+
+    await notifyDueComments();
+
+    expect(mockQuery.mock.calls[0][0]).toContain('notify_after <= NOW()');
+    expect(mockQuery.mock.calls[1][1]).toEqual([18]);
+    expect(sent.map((mail) => mail.subject)).toEqual(['Your comment is online']);
+  });
+
+  it('should send nothing when no approval is due', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    await notifyDueComments();
+
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    expect(sent).toEqual([]);
+  });
+});
+
+describe('startNotificationScheduler', () => {
+  afterEach(() => {
+    delete process.env.NOTIFICATION_SCHEDULER_DISABLED;
+  });
+
+  it('should look for due approval emails right away', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const timer = startNotificationScheduler();
+    clearInterval(timer!);
+
+    expect(mockQuery.mock.calls[0][0]).toContain('notify_after <= NOW()');
+  });
+
+  it('should not start when disabled in this pod', () => {
+    process.env.NOTIFICATION_SCHEDULER_DISABLED = 'true';
+
+    expect(startNotificationScheduler()).toBeNull();
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
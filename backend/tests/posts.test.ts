@@ -9,12 +9,17 @@
 
 import request from 'supertest';
 import app from '../src/app';
-import { query } from '../src/models/database';
+import { query, withTransaction } from '../src/models/database';
+import { rows } from './helpers';
 
 // Mock the entire database module
 // This replaces the real query() with a jest.fn() we can control
 jest.mock('../src/models/database');
 const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockWithTransaction = withTransaction as jest.MockedFunction<typeof withTransaction>;
+
+// Transactions run against the same mocked query function
+mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
 
 describe('GET /api/posts', () => {
   // Reset mocks before each test so they don't interfere
@@ -22,8 +27,8 @@ describe('GET /api/posts', () => {
     jest.clearAllMocks();
   });
 
-  it('should return an array of posts', async () => {
-    // Tell the mock to return some fake posts
+  it('should return a page of posts with total and cursor', async () => {
+    // Tell the mock to return some fake posts (first query: the page)
     mockQuery.mockResolvedValueOnce({
       rows: [
         {
@@ -33,6 +38,7 @@ describe('GET /api/posts', () => {
           excerpt: 'A test',
           reading_time_minutes: 3,
           category_name: 'DevOps',
+          cursor_published_at: '2026-02-15 10:00:00.123456',
         },
       ],
       command: 'SELECT',
@@ -40,15 +46,26 @@ describe('GET /api/posts', () => {
       oid: 0,
       fields: [],
     });
+    // Second query: total count
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ total: 1 }],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
 
     const response = await request(app).get('/api/posts');
 
     expect(response.status).toBe(200);
-    expect(Array.isArray(response.body)).toBe(true);
-    expect(response.body[0].title).toBe('Test Post');
+    expect(Array.isArray(response.body.posts)).toBe(true);
+    expect(response.body.posts[0].title).toBe('Test Post');
+    expect(response.body.posts[0].cursor_published_at).toBeUndefined();
+    expect(response.body.total).toBe(1);
+    expect(response.body.next_cursor).toBeNull();
   });
 
-  it('should return empty array when no posts exist', async () => {
+  it('should return empty page when no posts exist', async () => {
     mockQuery.mockResolvedValueOnce({
       rows: [],
       command: 'SELECT',
@@ -56,11 +73,353 @@ describe('GET /api/posts', () => {
       oid: 0,
       fields: [],
     });
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ total: 0 }],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
 
     const response = await request(app).get('/api/posts');
 
     expect(response.status).toBe(200);
-    expect(response.body).toEqual([]);
+    expect(response.body).toEqual({ posts: [], next_cursor: null, total: 0 });
+  });
+
+  it('should return a next_cursor when more posts exist', async () => {
+    // limit=1 -> the route asks for 2 rows to detect the next page
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        { id: 2, title: 'Newer', cursor_published_at: '2026-02-16 10:00:00' },
+        { id: 1, title: 'Older', cursor_published_at: '2026-02-15 10:00:00' },
+      ],
+      command: 'SELECT',
+      rowCount: 2,
+      oid: 0,
+      fields: [],
+    });
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ total: 2 }],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
+
+    const response = await request(app).get('/api/posts?limit=1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.posts).toHaveLength(1);
+    expect(response.body.posts[0].title).toBe('Newer');
+    expect(response.body.total).toBe(2);
+    expect(typeof response.body.next_cursor).toBe('string');
+
+    // Passing the cursor back adds a keyset condition on published_at/id
+    mockQuery.mockResolvedValueOnce({
+      rows: [],
+      command: 'SELECT',
+      rowCount: 0,
+      oid: 0,
+      fields: [],
+    });
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ total: 2 }],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
+
+    await request(app).get(
+      '/api/posts?limit=1&cursor=' + encodeURIComponent(response.body.next_cursor)
+    );
+
+    const [sql, params] = mockQuery.mock.calls[2];
+    expect(sql).toContain('(p.published_at, p.id) <');
+    expect(params).toEqual(['2026-02-16 10:00:00', 2, 2]);
+  });
+
+  it('should combine filters with the cursor in the same query', async () => {
+    mockQuery.mockResolvedValue({
+      rows: [],
+      command: 'SELECT',
+      rowCount: 0,
+      oid: 0,
+      fields: [],
+    });
+
+    const cursor = Buffer.from(JSON.stringify({ p: '2026-02-16 10:00:00', i: 5 })).toString(
+      'base64url'
+    );
+    await request(app).get(`/api/posts?category=aws-cloud&tag=docker&cursor=${cursor}`);
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('c.slug = $1');
+    expect(sql).toContain('t_filter.slug = $2');
+    expect(params).toEqual(['aws-cloud', 'docker', '2026-02-16 10:00:00', 5, 13]);
+
+    // The count query uses the filters but not the cursor
+    const [, countParams] = mockQuery.mock.calls[1];
+    expect(countParams).toEqual(['aws-cloud', 'docker']);
+
+    mockQuery.mockReset();
+  });
+
+  it('should return 400 for a malformed cursor', async () => {
+    const response = await request(app).get('/api/posts?cursor=not-a-cursor');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('cursor');
+  });
+
+  it('should run a full-text search and return highlighted snippets', async () => {
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        {
+          id: 4,
+          title: 'Terraform Remote State',
+          slug: 'terraform-remote-state',
+          cursor_published_at: '2026-02-20 10:00:00',
+          cursor_rank: '0.0759909',
+          search_headline: 'Der **\u0002Remote\u0003 \u0002State\u0003** <liegt> in S3',
+        },
+      ],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ total: 1 }],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
+
+    const response = await request(app).get(
+      '/api/posts?search=' + encodeURIComponent('"remote state" terra* <script>')
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body.posts[0].snippet).toBe(
+      'Der <mark>Remote</mark> <mark>State</mark> &lt;liegt&gt; in S3'
+    );
+    expect(response.body.posts[0]).not.toHaveProperty('search_headline');
+    expect(response.body.posts[0]).not.toHaveProperty('cursor_rank');
+
+    // Input is turned into a safe tsquery, results are ordered by relevance
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain("p.search_vector @@ to_tsquery('german', $1)");
+    expect(sql).toContain('ORDER BY ts_rank(');
+    expect(params?.[0]).toBe("'remote' <-> 'state' & 'terra':* & 'script'");
+  });
+
+  it('should page search results with a rank cursor', async () => {
+    mockQuery.mockResolvedValue({
+      rows: [],
+      command: 'SELECT',
+      rowCount: 0,
+      oid: 0,
+      fields: [],
+    });
+
+    const cursor = Buffer.from(
+      JSON.stringify({ p: '2026-02-16 10:00:00', i: 5, r: '0.0607927' })
+    ).toString('base64url');
+    await request(app).get(`/api/posts?search=docker&lang=en&cursor=${cursor}`);
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain("ptr.search_vector @@ to_tsquery('english', $1)");
+    expect(sql).toContain('p.published_at, p.id) < ($2::real, $3::timestamp, $4)');
+    expect(params?.slice(0, 4)).toEqual(["'docker'", '0.0607927', '2026-02-16 10:00:00', 5]);
+
+    // A plain list cursor is rejected for a search (different ordering)
+    const plainCursor = Buffer.from(JSON.stringify({ p: '2026-02-16 10:00:00', i: 5 })).toString(
+      'base64url'
+    );
+    const response = await request(app).get(`/api/posts?search=docker&cursor=${plainCursor}`);
+    expect(response.status).toBe(400);
+
+    mockQuery.mockReset();
+  });
+});
+
+describe('GET /api/posts/:slug/adjacent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 404 when the post does not exist', async () => {
+    mockQuery.mockResolvedValueOnce({
+      rows: [],
+      command: 'SELECT',
+      rowCount: 0,
+      oid: 0,
+      fields: [],
+    });
+
+    const response = await request(app).get('/api/posts/missing/adjacent');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return older post as prev and newer post as next', async () => {
+    // Current post lookup
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ id: 2, published_at: '2026-02-15 10:00:00' }],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
+    // Older neighbour
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ id: 1, slug: 'older-post', title: 'Older Post' }],
+      command: 'SELECT',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
+    // Newer neighbour (none)
+    mockQuery.mockResolvedValueOnce({
+      rows: [],
+      command: 'SELECT',
+      rowCount: 0,
+      oid: 0,
+      fields: [],
+    });
+
+    const response = await request(app).get('/api/posts/current-post/adjacent');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      prev: { slug: 'older-post', title: 'Older Post' },
+      next: null,
+    });
+  });
+
+  it('should follow the relevance order of a search', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 2, published_at: '2026-02-15 10:00:00' }]))
+      .mockResolvedValueOnce(rows([{ rank: '0.5' }]))
+      .mockResolvedValueOnce(rows([{ id: 1, slug: 'weaker-hit', title: 'Weaker Hit' }]))
+      .mockResolvedValueOnce(rows([{ id: 3, slug: 'better-hit', title: 'Better Hit' }]));
+
+    const response = await request(app).get(
+      '/api/posts/current-post/adjacent?search=terraform&order=asc'
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      prev: { slug: 'better-hit', title: 'Better Hit' },
+      next: { slug: 'weaker-hit', title: 'Weaker Hit' },
+    });
+    expect(mockQuery.mock.calls[1][1]).toEqual(["'terraform'", 2]);
+    const [sql, params] = mockQuery.mock.calls[2];
+    expect(sql).toContain(
+      "(ts_rank(p.search_vector, to_tsquery('german', $1)), p.published_at, p.id) < ($4::real, $2::timestamp, $3)"
+    );
+    expect(sql).toContain("ORDER BY ts_rank(p.search_vector, to_tsquery('german', $1)) DESC");
+    expect(params).toEqual(["'terraform'", '2026-02-15 10:00:00', 2, '0.5']);
+  });
+
+  it('should fall back to the date order when the post is no search hit', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 2, published_at: '2026-02-15 10:00:00' }]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ id: 1, slug: 'older-hit', title: 'Older Hit' }]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/posts/current-post/adjacent?search=terraform');
+
+    expect(response.body).toEqual({ prev: { slug: 'older-hit', title: 'Older Hit' }, next: null });
+    expect(mockQuery.mock.calls[2][0]).toContain('(p.published_at, p.id) < ($2::timestamp, $3)');
+  });
+});
+
+describe('GET /api/posts/:slug/related', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const card = (id: number, title: string) => ({ id, title, slug: `post-${id}`, excerpt: null });
+
+  it('should return 404 when the post is not published', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/posts/entwurf/related');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should use the cached ranking', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1 }]))
+      .mockResolvedValueOnce(rows([{ related_ids: [7, 3, 9, 4] }]))
+      .mockResolvedValueOnce(rows([card(7, 'Sieben'), card(3, 'Drei'), card(9, 'Neun')]));
+
+    const response = await request(app).get('/api/posts/hallo/related');
+
+    expect(response.status).toBe(200);
+    expect(response.body.posts.map((p: { id: number }) => p.id)).toEqual([7, 3, 9]);
+    expect(mockQuery).toHaveBeenCalledTimes(3);
+    const [sql, params] = mockQuery.mock.calls[2];
+    expect(sql).toContain('ORDER BY array_position($1::int[], p.id)');
+    expect(params).toEqual([[7, 3, 9, 4], 3]);
+  });
+
+  it('should rank and cache on a cache miss', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1 }]))
+      .mockResolvedValueOnce(rows([])) // not cached
+      .mockResolvedValueOnce(rows([])) // table lock
+      .mockResolvedValueOnce(rows([{ related_ids: [3] }]))
+      .mockResolvedValueOnce(rows([card(3, 'Drei')]));
+
+    const response = await request(app).get('/api/posts/hallo/related?limit=50');
+
+    expect(response.body.posts).toHaveLength(1);
+    // Ranked in a transaction that holds off the cache-clearing triggers
+    expect(mockWithTransaction).toHaveBeenCalledTimes(1);
+    expect(mockQuery.mock.calls[2][0]).toBe(
+      'LOCK TABLE related_posts_cache IN SHARE ROW EXCLUSIVE MODE'
+    );
+    const [sql, params] = mockQuery.mock.calls[3];
+    expect(sql).toContain('INSERT INTO related_posts_cache');
+    expect(sql).toContain('ts_rank(p.search_vector, s.words, 32)');
+    expect(params).toEqual([1]);
+    // ?limit is capped at 10
+    expect(mockQuery.mock.calls[4][1]?.[1]).toBe(10);
+  });
+
+  it('should return an empty list when nothing is related', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1 }]))
+      .mockResolvedValueOnce(rows([{ related_ids: [] }]));
+
+    const response = await request(app).get('/api/posts/hallo/related');
+
+    expect(response.body).toEqual({ posts: [] });
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('should use cached translations in English', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 1 }]))
+      .mockResolvedValueOnce(rows([{ related_ids: [7, 3] }]))
+      .mockResolvedValueOnce(rows([card(7, 'Sieben'), card(3, 'Drei')]))
+      .mockResolvedValueOnce(
+        rows([
+          { title: 'Seven', content: '...', content_html: '<p>...</p>', excerpt: 'Seven posts' },
+        ])
+      )
+      .mockResolvedValueOnce(rows([])); // not translated yet
+
+    const response = await request(app).get('/api/posts/hallo/related?lang=en');
+
+    expect(response.body.posts.map((p: { title: string }) => p.title)).toEqual(['Seven', 'Drei']);
   });
 });
 
@@ -96,8 +455,23 @@ describe('POST /api/posts', () => {
     expect(response.body.error).toContain('required');
   });
 
+  it('should return 400 when a scheduled post has no future publish_at', async () => {
+    const response = await request(app).post('/api/posts').send({
+      title: 'My Post',
+      content: 'Some content',
+      category_id: 1,
+      status: 'scheduled',
+      publish_at: '2020-01-01T10:00:00Z',
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('publish_at');
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
   it('should create a post with valid data', async () => {
-    // Mock: INSERT returns the new post
+    // Mock: slug is free, INSERT returns the new post
+    mockQuery.mockResolvedValueOnce(rows([]));
     mockQuery.mockResolvedValueOnce({
       rows: [
         {
@@ -124,6 +498,112 @@ describe('POST /api/posts', () => {
     expect(response.status).toBe(201);
     expect(response.body.title).toBe('My First Post');
     expect(response.body.slug).toBe('my-first-post');
+    // The rendered HTML is stored with the Markdown
+    expect(mockQuery.mock.calls[1][0]).toContain('content_html');
+    expect(mockQuery.mock.calls[1][1]?.[12]).toBe(
+      '<p>Hello World this is a test post with enough words.</p>\n'
+    );
+  });
+
+  it('should transliterate umlauts and suffix a taken slug', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ slug: 'ueber-docker' }, { slug: 'ueber-docker-2' }]))
+      .mockResolvedValueOnce(rows([{ id: 5, slug: 'ueber-docker-3' }]));
+
+    const response = await request(app)
+      .post('/api/posts')
+      .send({ title: 'Über Docker', content: 'Text', category_id: 1 });
+
+    expect(response.status).toBe(201);
+    expect(mockQuery.mock.calls[0][1]).toEqual(['ueber-docker', null]);
+    expect(mockQuery.mock.calls[1][1]?.[1]).toBe('ueber-docker-3');
+  });
+
+  it('should use an explicit slug as given', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 6, slug: 'mein-slug' }]));
+
+    const response = await request(app)
+      .post('/api/posts')
+      .send({ title: 'Titel', slug: 'Mein Slug', content: 'Text', category_id: 1 });
+
+    expect(response.status).toBe(201);
+    expect(mockQuery.mock.calls[0][1]?.[1]).toBe('mein-slug');
+  });
+
+  it('should return 409 when the explicit slug is taken', async () => {
+    mockQuery.mockRejectedValueOnce(
+      Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'posts_slug_key' })
+    );
+
+    const response = await request(app)
+      .post('/api/posts')
+      .send({ title: 'Titel', slug: 'taken', content: 'Text', category_id: 1 });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('should return 400 for a slug without letters or numbers', async () => {
+    const response = await request(app)
+      .post('/api/posts')
+      .send({ title: 'Titel', slug: '!!!', content: 'Text', category_id: 1 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should store an uploaded cover image', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 6, slug: 'titel' }]));
+
+    const response = await request(app).post('/api/posts').send({
+      title: 'Titel',
+      slug: 'titel',
+      content: 'Text',
+      category_id: 1,
+      cover_image_url: '/images/cover-3f2a9c0d1b7e.jpg',
+    });
+
+    expect(response.status).toBe(201);
+    expect(mockQuery.mock.calls[0][1]?.[10]).toBe('/images/cover-3f2a9c0d1b7e.jpg');
+  });
+
+  it('should append the post to a series', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 7, slug: 'teil-3', series_id: 3 }]));
+
+    const response = await request(app)
+      .post('/api/posts')
+      .send({ title: 'Teil 3', slug: 'teil-3', content: 'Text', category_id: 1, series_id: 3 });
+
+    expect(response.status).toBe(201);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('COALESCE(MAX(series_position), 0) + 1');
+    expect(params?.[11]).toBe(3);
+  });
+
+  it('should return 400 for an unknown series', async () => {
+    mockQuery.mockRejectedValueOnce(
+      Object.assign(new Error('foreign key'), {
+        code: '23503',
+        constraint: 'posts_series_id_fkey',
+      })
+    );
+
+    const response = await request(app)
+      .post('/api/posts')
+      .send({ title: 'Teil 3', slug: 'teil-3', content: 'Text', category_id: 1, series_id: 99 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Series not found');
+  });
+
+  it('should return 400 for a cover image that is not a path or http(s) URL', async () => {
+    const response = await request(app).post('/api/posts').send({
+      title: 'Titel',
+      content: 'Text',
+      category_id: 1,
+      cover_image_url: 'javascript:alert(1)',
+    });
+
+    expect(response.status).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
   });
 });
 
@@ -138,4 +618,409 @@ describe('PUT /api/posts/:id', () => {
     expect(response.status).toBe(400);
     expect(response.body.error).toContain('No fields');
   });
+
+  it('should store a revision when the content changes', async () => {
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Old text' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before])) // SELECT ... FOR UPDATE
+      .mockResolvedValueOnce(rows([{ ...before, content: 'New text' }])) // UPDATE
+      .mockResolvedValueOnce(rows([{ latest: 3 }])) // latest revision number
+      .mockResolvedValueOnce(rows([])); // INSERT revision
+
+    const response = await request(app).put('/api/posts/1').send({ content: 'New text' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.content).toBe('New text');
+    const [sql, params] = mockQuery.mock.calls[3];
+    expect(sql).toContain('INSERT INTO post_revisions');
+    expect(params).toEqual([1, 4, 'Post', null, 'New text', 'dev-admin-000', null]);
+  });
+
+  it('should render the new content into content_html', async () => {
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Old text' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, content: '## Neu' }]))
+      .mockResolvedValue(rows([]));
+
+    await request(app).put('/api/posts/1').send({ content: '## Neu' });
+
+    const [sql, params] = mockQuery.mock.calls[1];
+    expect(sql).toContain('content = $1, content_html = $2');
+    expect(params?.[1]).toContain('<h2 id="neu">Neu');
+  });
+
+  it('should keep the original text as revision 1 on the first edit', async () => {
+    const before = { id: 2, title: 'Post', excerpt: null, content: 'Original' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, content: 'Edited' }]))
+      .mockResolvedValueOnce(rows([{ latest: null }]))
+      .mockResolvedValue(rows([]));
+
+    await request(app).put('/api/posts/2').send({ content: 'Edited' });
+
+    expect(mockQuery.mock.calls[3][1]).toEqual([2, 1, 'Post', null, 'Original']);
+    expect(mockQuery.mock.calls[4][1]).toEqual([
+      2,
+      2,
+      'Post',
+      null,
+      'Edited',
+      'dev-admin-000',
+      null,
+    ]);
+    mockQuery.mockReset();
+  });
+
+  it('should not store a revision when only the status changes', async () => {
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Text' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, status: 'archived' }]));
+
+    const response = await request(app).put('/api/posts/1').send({ status: 'archived' });
+
+    expect(response.status).toBe(200);
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('should remove the cover image with null', async () => {
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Text' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, cover_image_url: null }]));
+
+    const response = await request(app).put('/api/posts/1').send({ cover_image_url: null });
+
+    expect(response.status).toBe(200);
+    const [sql, params] = mockQuery.mock.calls[1];
+    expect(sql).toContain('cover_image_url = $1');
+    expect(params).toEqual([null, '1']);
+  });
+
+  it('should move the post to the end of another series', async () => {
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Text' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, series_id: 4 }]));
+
+    const response = await request(app).put('/api/posts/1').send({ series_id: 4 });
+
+    expect(response.status).toBe(200);
+    const [sql, params] = mockQuery.mock.calls[1];
+    expect(sql).toContain('CASE WHEN series_id = $1::int THEN series_position');
+    expect(sql).toContain('series_id = $1::int');
+    expect(params).toEqual([4, '1']);
+  });
+
+  it('should remove the post from its series with null', async () => {
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Text' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, series_id: null }]));
+
+    const response = await request(app).put('/api/posts/1').send({ series_id: null });
+
+    expect(response.status).toBe(200);
+    expect(mockQuery.mock.calls[1][0]).toContain('series_id = NULL, series_position = NULL');
+  });
+
+  it('should return 400 for a series_id that is not an ID', async () => {
+    const response = await request(app).put('/api/posts/1').send({ series_id: 'abc' });
+
+    expect(response.status).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should store publish_at when scheduling a post', async () => {
+    const publishAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Text', status: 'draft' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, status: 'scheduled', publish_at: publishAt }]));
+
+    const response = await request(app)
+      .put('/api/posts/1')
+      .send({ status: 'scheduled', publish_at: publishAt.toISOString() });
+
+    expect(response.status).toBe(200);
+    expect(response.body).not.toHaveProperty('previous_status');
+    const [sql, params] = mockQuery.mock.calls[1];
+    expect(sql).toContain('status = $1, publish_at = $2');
+    expect(params).toEqual(['scheduled', publishAt, '1']);
+  });
+
+  it('should replace manual tags and keep Comprehend tags', async () => {
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Text', status: 'draft' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before])) // SELECT ... FOR UPDATE
+      .mockResolvedValueOnce(rows([before])) // UPDATE (only updated_at)
+      .mockResolvedValueOnce(rows([{ id: 5 }])) // upsert "AWS"
+      .mockResolvedValueOnce(rows([{ id: 9 }])) // upsert "Terraform"
+      .mockResolvedValue(rows([])); // DELETE old links + INSERT new links
+
+    const response = await request(app)
+      .put('/api/posts/1')
+      .send({ tags: ['AWS', ' Terraform ', 'aws'] });
+
+    expect(response.status).toBe(200);
+    expect(mockQuery.mock.calls[2][1]).toEqual(['AWS', 'aws']);
+    expect(mockQuery.mock.calls[3][1]).toEqual(['Terraform', 'terraform']);
+    const [deleteSql, deleteParams] = mockQuery.mock.calls[4];
+    expect(deleteSql).toContain('AND confidence IS NULL');
+    expect(deleteParams).toEqual([1, [5, 9]]);
+    expect(mockQuery.mock.calls[5][0]).toContain('DO UPDATE SET confidence = NULL');
+    mockQuery.mockReset();
+  });
+
+  it('should return 400 when tags is not an array', async () => {
+    const response = await request(app).put('/api/posts/1').send({ tags: 'aws, docker' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('tags');
+  });
+
+  it('should move the go-live time of a scheduled post', async () => {
+    const publishAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Text', status: 'scheduled' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, publish_at: publishAt }]));
+
+    const response = await request(app)
+      .put('/api/posts/1')
+      .send({ publish_at: publishAt.toISOString() });
+
+    expect(response.status).toBe(200);
+    expect(mockQuery.mock.calls[1][1]).toEqual([publishAt, '1']);
+  });
+
+  it('should return 400 for publish_at on a post that is not scheduled', async () => {
+    const before = { id: 1, title: 'Post', excerpt: null, content: 'Text', status: 'draft' };
+    mockQuery.mockResolvedValueOnce(rows([before]));
+
+    const response = await request(app)
+      .put('/api/posts/1')
+      .send({ publish_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('publish_at is only allowed for scheduled posts');
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return 400 for publish_at with another status', async () => {
+    const response = await request(app)
+      .put('/api/posts/1')
+      .send({
+        status: 'published',
+        publish_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('publish_at is only allowed for scheduled posts');
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 when scheduling without publish_at', async () => {
+    const response = await request(app).put('/api/posts/1').send({ status: 'scheduled' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('publish_at');
+  });
+
+  it('should return 404 when the post does not exist', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).put('/api/posts/999').send({ title: 'New' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should move the slug with the title and remember the old one', async () => {
+    const before = { id: 3, title: 'Alt', slug: 'alt', excerpt: null, content: 'Text' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before])) // SELECT ... FOR UPDATE
+      .mockResolvedValueOnce(rows([])) // slug lookup: free
+      .mockResolvedValueOnce(rows([])) // UPDATE slug
+      .mockResolvedValueOnce(rows([])) // DELETE new slug from history
+      .mockResolvedValueOnce(rows([])) // INSERT old slug into history
+      .mockResolvedValueOnce(rows([{ ...before, title: 'Neu', slug: 'neu' }]))
+      .mockResolvedValue(rows([{ latest: 1 }]));
+
+    const response = await request(app).put('/api/posts/3').send({ title: 'Neu' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.slug).toBe('neu');
+    expect(mockQuery.mock.calls[2][1]).toEqual(['neu', 3]);
+    expect(mockQuery.mock.calls[4][0]).toContain('INSERT INTO post_slug_history');
+    expect(mockQuery.mock.calls[4][1]).toEqual(['alt', 3]);
+    mockQuery.mockReset();
+  });
+
+  it('should keep the slug when the title is unchanged', async () => {
+    const before = { id: 3, title: 'Titel', slug: 'eigener-slug', excerpt: null, content: 'Text' };
+    mockQuery
+      .mockResolvedValueOnce(rows([before]))
+      .mockResolvedValueOnce(rows([{ ...before, featured: true }]));
+
+    const response = await request(app)
+      .put('/api/posts/3')
+      .send({ title: 'Titel', featured: true });
+
+    expect(response.status).toBe(200);
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('GET /api/posts/:slug', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should redirect an old slug to the current one', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([])) // no post with this slug
+      .mockResolvedValueOnce(rows([{ slug: 'neuer-slug' }]));
+
+    const response = await request(app).get('/api/posts/alter-slug?lang=en');
+
+    expect(response.status).toBe(301);
+    expect(response.headers.location).toBe('/api/posts/neuer-slug?lang=en');
+  });
+
+  it('should return 404 for an unknown slug', async () => {
+    mockQuery.mockResolvedValueOnce(rows([])).mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/posts/gibt-es-nicht');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should not select the internal search vector', async () => {
+    mockQuery.mockResolvedValueOnce(rows([])).mockResolvedValueOnce(rows([]));
+
+    await request(app).get('/api/posts/gibt-es-nicht');
+
+    const [sql] = mockQuery.mock.calls[0];
+    expect(sql).toContain('p.content_html');
+    expect(sql).not.toContain('p.*');
+    expect(sql).not.toContain('search_vector');
+  });
+
+  it('should return the table of contents of the article', async () => {
+    const post = {
+      id: 4,
+      slug: 'terraform',
+      title: 'Terraform',
+      content: '## Setup\n\n### Provider & Backend\n\n#### Details\n\n## Fazit',
+      content_html: null,
+      excerpt: null,
+    };
+    mockQuery
+      .mockResolvedValueOnce(rows([post]))
+      .mockResolvedValueOnce(rows([])) // tags
+      .mockResolvedValue(rows([]));
+
+    const response = await request(app).get('/api/posts/terraform');
+
+    expect(response.status).toBe(200);
+    expect(response.body.toc).toEqual([
+      { id: 'setup', text: 'Setup', level: 2 },
+      { id: 'provider-backend', text: 'Provider & Backend', level: 3 },
+      { id: 'fazit', text: 'Fazit', level: 2 },
+    ]);
+  });
+
+  it('should take the table of contents from the English translation', async () => {
+    const originalRegion = process.env.AWS_REGION;
+    process.env.AWS_REGION = 'eu-central-1';
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ id: 4, slug: 'terraform', title: 'Terraform', content: '## Fazit', excerpt: null }])
+      )
+      .mockResolvedValueOnce(rows([])) // tags
+      .mockResolvedValueOnce(
+        rows([
+          {
+            title: 'Terraform',
+            content: '## Conclusion',
+            content_html: '<h2 id="conclusion">Conclusion</h2>',
+            excerpt: null,
+          },
+        ])
+      )
+      .mockResolvedValue(rows([]));
+
+    const response = await request(app).get('/api/posts/terraform?lang=en');
+    process.env.AWS_REGION = originalRegion;
+
+    expect(response.body.language).toBe('en');
+    expect(response.body.toc).toEqual([{ id: 'conclusion', text: 'Conclusion', level: 2 }]);
+  });
+});
+
+describe('POST /api/posts/:id/view', () => {
+  const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64; rv:131.0) Gecko/20100101 Firefox/131.0';
+  const today = new Date().toISOString().slice(0, 10);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // The salt of the day is created once and then cached, so this runs first
+  it('should create the salt of the day and count the view', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ salt: 'a'.repeat(64) }])) // new salt
+      .mockResolvedValueOnce(rows([])) // old visitors
+      .mockResolvedValueOnce(rows([])) // old salts
+      .mockResolvedValueOnce(rows([{ id: 3 }]));
+
+    const response = await request(app).post('/api/posts/3/view').set('User-Agent', BROWSER);
+
+    expect(response.status).toBe(204);
+    expect(mockQuery.mock.calls[0][0]).toContain('INSERT INTO view_salts');
+    expect(mockQuery.mock.calls[1]).toEqual([
+      'DELETE FROM post_view_visitors WHERE day < $1',
+      [today],
+    ]);
+    const [sql, params] = mockQuery.mock.calls[3];
+    expect(sql).toContain('INSERT INTO post_view_visitors');
+    expect(sql).toContain('view_count = view_count + 1');
+    expect(params).toEqual([3, today, expect.stringMatching(/^[0-9a-f]{64}$/)]);
+  });
+
+  it('should hash the same visitor the same way and others differently', async () => {
+    mockQuery.mockResolvedValue(rows([]));
+
+    await request(app).post('/api/posts/3/view').set('User-Agent', BROWSER);
+    await request(app).post('/api/posts/3/view').set('User-Agent', BROWSER);
+    await request(app).post('/api/posts/3/view').set('User-Agent', `${BROWSER} Edg/131`);
+
+    expect(mockQuery).toHaveBeenCalledTimes(3);
+    const hashes = mockQuery.mock.calls.map((call) => call[1]?.[2]);
+    expect(hashes[0]).toBe(hashes[1]);
+    expect(hashes[2]).not.toBe(hashes[0]);
+    // The hash cannot be reversed to the IP
+    expect(hashes[0]).not.toContain('127.0.0.1');
+  });
+
+  it.each([
+    'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+    'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 HeadlessChrome/131.0 Safari/537.36',
+    'curl/8.5.0',
+  ])('should ignore the bot %s', async (userAgent) => {
+    const response = await request(app).post('/api/posts/3/view').set('User-Agent', userAgent);
+
+    expect(response.status).toBe(204);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 for an invalid id', async () => {
+    const response = await request(app).post('/api/posts/abc/view').set('User-Agent', BROWSER);
+
+    expect(response.status).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
 });
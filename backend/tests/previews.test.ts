@@ -0,0 +1,201 @@
+/**
+ * previews.test.ts - Tests for the preview links of unpublished posts
+ *
+ * Tests the signed tokens, the public preview endpoint (no view count,
+ * revoked and expired links) and the admin endpoints that create, list
+ * and revoke links. Database and Amazon Translate are mocked.
+ */
+
+import request from 'supertest';
+import app from '../src/app';
+import { query } from '../src/models/database';
+import { signPreviewToken, verifyPreviewToken } from '../src/services/preview';
+import { rows } from './helpers';
+
+jest.mock('../src/models/database');
+jest.mock('../src/services/translate');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+
+const IN_A_DAY = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+const DRAFT = {
+  id: 7,
+  title: 'Entwurf',
+  slug: 'entwurf',
+  content: 'Noch nicht fertig',
+  content_html: '<p>Noch nicht fertig</p>\n',
+  excerpt: null,
+  status: 'draft',
+  published_at: null,
+  view_count: 0,
+  preview_expires_at: IN_A_DAY,
+};
+
+beforeAll(() => {
+  process.env.SITE_URL = 'https://blog.example.com';
+  process.env.PREVIEW_TOKEN_SECRET = 'test-secret';
+});
+
+afterAll(() => {
+  delete process.env.SITE_URL;
+  delete process.env.PREVIEW_TOKEN_SECRET;
+});
+
+describe('preview tokens', () => {
+  it('should accept a token it signed', () => {
+    expect(verifyPreviewToken(signPreviewToken(12, IN_A_DAY))).toBe(12);
+  });
+
+  it('should reject a token for another preview', () => {
+    const [, expires, signature] = signPreviewToken(12, IN_A_DAY).split('.');
+
+    expect(verifyPreviewToken(`13.${expires}.${signature}`)).toBeNull();
+  });
+
+  it('should reject an expired token', () => {
+    expect(verifyPreviewToken(signPreviewToken(12, new Date(Date.now() - 1000)))).toBeNull();
+  });
+
+  it('should reject a token signed with another secret', () => {
+    const token = signPreviewToken(12, IN_A_DAY);
+    process.env.PREVIEW_TOKEN_SECRET = 'other-secret';
+
+    expect(verifyPreviewToken(token)).toBeNull();
+    process.env.PREVIEW_TOKEN_SECRET = 'test-secret';
+  });
+
+  it('should reject malformed tokens', () => {
+    expect(verifyPreviewToken('')).toBeNull();
+    expect(verifyPreviewToken('12.abc.def')).toBeNull();
+  });
+});
+
+describe('GET /api/previews/:token', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return the draft without counting a view', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([DRAFT]))
+      .mockResolvedValueOnce(rows([{ name: 'AWS', slug: 'aws' }]));
+
+    const response = await request(app).get(`/api/previews/${signPreviewToken(3, IN_A_DAY)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      id: 7,
+      status: 'draft',
+      language: 'de',
+      preview: true,
+      tags: [{ name: 'AWS', slug: 'aws' }],
+    });
+    expect(response.headers['cache-control']).toBe('no-store');
+    expect(response.headers['x-robots-tag']).toBe('noindex');
+    expect(mockQuery.mock.calls[0][1]).toEqual([3]);
+    expect(mockQuery.mock.calls[0][0]).toContain('pv.revoked_at IS NULL');
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+    for (const call of mockQuery.mock.calls) {
+      expect(call[0]).not.toContain('view_count');
+    }
+  });
+
+  it('should return 404 for a revoked or expired link', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get(`/api/previews/${signPreviewToken(3, IN_A_DAY)}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return 404 for a forged token without asking the database', async () => {
+    const response = await request(app).get('/api/previews/3.9999999999.Zm9yZ2Vk');
+
+    expect(response.status).toBe(404);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/admin/posts/:id/previews', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should create a link valid for 72 hours by default', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 7, status: 'scheduled' }]))
+      .mockResolvedValueOnce(rows([{ id: 3, expires_at: IN_A_DAY, created_at: new Date() }]));
+
+    const response = await request(app).post('/api/admin/posts/7/previews').send({});
+
+    expect(response.status).toBe(201);
+    expect(mockQuery.mock.calls[1][1]).toEqual([7, 72, 'dev-admin-000']);
+    expect(response.body.url).toBe(
+      `https://blog.example.com/post.html?preview=${encodeURIComponent(response.body.token)}`
+    );
+    expect(verifyPreviewToken(response.body.token)).toBe(3);
+  });
+
+  it('should only create links for unpublished posts', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 7, status: 'published' }]));
+
+    const response = await request(app)
+      .post('/api/admin/posts/7/previews')
+      .send({ expires_in_hours: 24 });
+
+    expect(response.status).toBe(409);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('should return 400 for an invalid lifetime', async () => {
+    const response = await request(app)
+      .post('/api/admin/posts/7/previews')
+      .send({ expires_in_hours: 721 });
+
+    expect(response.status).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/admin/posts/:id/previews', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should list the active links with their URLs', async () => {
+    mockQuery.mockResolvedValueOnce(
+      rows([{ id: 3, expires_at: IN_A_DAY, created_at: new Date() }])
+    );
+
+    const response = await request(app).get('/api/admin/posts/7/previews');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(1);
+    expect(verifyPreviewToken(response.body[0].token)).toBe(3);
+    expect(mockQuery.mock.calls[0][0]).toContain('revoked_at IS NULL AND expires_at > NOW()');
+  });
+});
+
+describe('DELETE /api/admin/posts/:id/previews/:previewId', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should revoke the link', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 3 }]));
+
+    const response = await request(app).delete('/api/admin/posts/7/previews/3');
+
+    expect(response.status).toBe(200);
+    expect(mockQuery.mock.calls[0][0]).toContain('SET revoked_at = NOW()');
+    expect(mockQuery.mock.calls[0][1]).toEqual(['3', '7']);
+  });
+
+  it('should return 404 for an unknown or already revoked link', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).delete('/api/admin/posts/7/previews/99');
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * publish.test.ts - Tests for the scheduled-post publisher
+ *
+ * Tests that due posts are claimed in a replica-safe way and that the
+ * publish hooks run for every promoted post.
+ * Database and hook services are mocked.
+ */
+
+import { query } from '../src/models/database';
+import { notifyPostPublished } from '../src/services/telegram';
+import { publishDuePosts } from '../src/services/publish';
+
+jest.mock('../src/models/database');
+jest.mock('../src/services/telegram');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockNotify = notifyPostPublished as jest.MockedFunction<typeof notifyPostPublished>;
+
+describe('publishDuePosts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  it('should promote due posts and run the publish hooks', async () => {
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        { id: 7, title: 'Geplanter Post', slug: 'geplanter-post', content: 'Text', excerpt: null },
+      ],
+      command: 'UPDATE',
+      rowCount: 1,
+      oid: 0,
+      fields: [],
+    });
+
+    const published = await publishDuePosts();
+
+    expect(published).toHaveLength(1);
+    // Claimed with SKIP LOCKED so two pods never promote the same post
+    const [sql] = mockQuery.mock.calls[0];
+    expect(sql).toContain("status = 'scheduled' AND publish_at <= NOW()");
+    expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+    expect(mockNotify).toHaveBeenCalledWith({
+      title: 'Geplanter Post',
+      slug: 'geplanter-post',
+      scheduled: true,
+    });
+  });
+
+  it('should do nothing when no post is due', async () => {
+    mockQuery.mockResolvedValueOnce({
+      rows: [],
+      command: 'UPDATE',
+      rowCount: 0,
+      oid: 0,
+      fields: [],
+    });
+
+    const published = await publishDuePosts();
+
+    expect(published).toEqual([]);
+    expect(mockNotify).not.toHaveBeenCalled();
+  });
+});
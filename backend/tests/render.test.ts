@@ -0,0 +1,193 @@
+/**
+ * render.test.ts - Tests for the server-rendered post page fragments
+ *
+ * Tests the head metadata (Open Graph, Twitter, canonical, hreflang,
+ * JSON-LD) and the article body with the embedded post data.
+ * Database and Amazon Translate are mocked.
+ */
+
+import request from 'supertest';
+import app from '../src/app';
+import { query } from '../src/models/database';
+import { getCachedTranslation, translatePost } from '../src/services/translate';
+import { rows } from './helpers';
+
+jest.mock('../src/models/database');
+jest.mock('../src/services/translate');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockGetCachedTranslation = getCachedTranslation as jest.MockedFunction<
+  typeof getCachedTranslation
+>;
+const mockTranslatePost = translatePost as jest.MockedFunction<typeof translatePost>;
+
+const POST = {
+  id: 7,
+  title: 'Terraform & "EKS"',
+  slug: 'terraform-eks',
+  content: '## Setup\n\nText mit </script> darin',
+  excerpt: null,
+  cover_image_url: '/img/blog/eks.png',
+  published_at: new Date('2026-03-01T10:00:00Z'),
+  updated_at: new Date('2026-03-02T08:30:00Z'),
+  category_name: 'DevOps',
+  category_slug: 'devops-ci-cd',
+  author_name: null,
+};
+
+beforeAll(() => {
+  process.env.SITE_URL = 'https://blog.example.com';
+});
+
+afterAll(() => {
+  delete process.env.SITE_URL;
+});
+
+describe('GET /api/render/posts/:slug/head', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render title, preview tags and JSON-LD', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([POST]))
+      .mockResolvedValueOnce(rows([{ name: 'AWS', slug: 'aws' }]));
+    mockGetCachedTranslation.mockResolvedValueOnce(null);
+
+    const response = await request(app).get('/api/render/posts/terraform-eks/head');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/html');
+    expect(response.text).toContain(
+      '<title>Terraform &amp; &quot;EKS&quot; - Andy Schlegel Tech Blog</title>'
+    );
+    expect(response.text).toContain(
+      '<link rel="canonical" href="https://blog.example.com/post.html?slug=terraform-eks" />'
+    );
+    // No excerpt: the description comes from the text
+    expect(response.text).toContain('<meta name="description" content="Setup Text mit');
+    expect(response.text).toContain(
+      '<meta property="og:image" content="https://blog.example.com/img/blog/eks.png" />'
+    );
+    expect(response.text).toContain('<meta name="twitter:card" content="summary_large_image" />');
+    expect(response.text).toContain('<meta property="article:tag" content="AWS" />');
+    expect(response.text).not.toContain('hreflang');
+
+    const jsonLd = JSON.parse(
+      response.text.match(/<script type="application\/ld\+json">(.*)<\/script>/)![1]
+    );
+    expect(jsonLd).toMatchObject({
+      '@type': 'BlogPosting',
+      headline: 'Terraform & "EKS"',
+      datePublished: '2026-03-01T10:00:00.000Z',
+      dateModified: '2026-03-02T08:30:00.000Z',
+      author: { '@type': 'Person', name: 'Andy Schlegel' },
+      keywords: 'AWS',
+    });
+  });
+
+  it('should add hreflang alternates for the English version', async () => {
+    mockQuery.mockResolvedValueOnce(rows([POST])).mockResolvedValueOnce(rows([]));
+    mockTranslatePost.mockResolvedValueOnce({
+      title: 'Terraform and EKS',
+      content: 'Hello',
+      content_html: '<p>Hello</p>\n',
+      excerpt: 'Intro',
+    });
+
+    const response = await request(app).get('/api/render/posts/terraform-eks/head?lang=en');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain(
+      '<link rel="canonical" href="https://blog.example.com/post.html?slug=terraform-eks&amp;lang=en" />'
+    );
+    expect(response.text).toContain('hreflang="de"');
+    expect(response.text).toContain('hreflang="x-default"');
+    expect(response.text).toContain('<meta property="og:locale" content="en_US" />');
+    expect(response.text).toContain('<meta name="description" content="Intro" />');
+    expect(mockGetCachedTranslation).not.toHaveBeenCalled();
+  });
+
+  it('should render a renamed post under its current slug', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([{ slug: 'terraform-eks' }]))
+      .mockResolvedValueOnce(rows([POST]))
+      .mockResolvedValueOnce(rows([]));
+    mockGetCachedTranslation.mockResolvedValueOnce(null);
+
+    const response = await request(app).get('/api/render/posts/alter-slug/head');
+
+    expect(response.status).toBe(200);
+    expect(mockQuery.mock.calls[2][1]).toEqual(['terraform-eks']);
+    expect(response.text).toContain('post.html?slug=terraform-eks" />');
+  });
+
+  it('should return an empty 404 for an unknown post', async () => {
+    mockQuery.mockResolvedValueOnce(rows([])).mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/render/posts/gibt-es-nicht/head');
+
+    expect(response.status).toBe(404);
+    expect(response.text).toBe('');
+  });
+});
+
+describe('GET /api/render/posts/:slug/body', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should render the article and embed the post for hydration', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([POST]))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/render/posts/terraform-eks/body');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('<h2 id="setup">Setup <a class="heading-anchor" href="#setup"');
+    // The embedded JSON cannot close its script element
+    const json = response.text.match(
+      /<script type="application\/json" id="post-data">(.*)<\/script>/
+    );
+    expect(json![1]).not.toContain('</script>');
+    expect(JSON.parse(json![1])).toMatchObject({ id: 7, language: 'de', tags: [] });
+    // Not rendered before: the HTML is stored for the next request
+    expect(mockQuery.mock.calls[2][0]).toContain('SET content_html = $2');
+    expect(mockQuery.mock.calls[2][1]?.[0]).toBe(7);
+    // Views are counted by the page's beacon, not here
+    expect(mockQuery).toHaveBeenCalledTimes(3);
+  });
+
+  it('should use the stored HTML of the post', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ ...POST, content_html: '<p>Gespeichert</p>' }]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/render/posts/terraform-eks/body');
+
+    expect(response.text).toMatch(/<\/script>\n<p>Gespeichert<\/p>$/);
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('should strip scripts and event handlers from the article', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([
+          {
+            ...POST,
+            content: 'Hallo <script>alert(1)</script>\n\n<img src="/x.png" onerror="alert(2)">',
+          },
+        ])
+      )
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/render/posts/terraform-eks/body');
+    const article = response.text.slice(response.text.indexOf('</script>\n') + 10);
+
+    expect(article).toContain('<img src="/x.png" />');
+    expect(article).not.toContain('alert');
+  });
+});
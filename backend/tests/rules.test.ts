@@ -0,0 +1,175 @@
+/**
+ * rules.test.ts - Tests for the commenter block and allow rules
+ *
+ * Tests the email and IP range hashes, matching the rules and the trust of
+ * commenters with approved comments. Database is mocked.
+ */
+
+import { query } from '../src/models/database';
+import {
+  hashEmail,
+  hashIpRange,
+  ipRange,
+  isSafePattern,
+  isValidPattern,
+  judgeCommenter,
+} from '../src/services/rules';
+import { rows } from './helpers';
+
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+
+beforeAll(() => {
+  process.env.COMMENTER_HASH_SECRET = 'test-secret';
+});
+
+afterAll(() => {
+  delete process.env.COMMENTER_HASH_SECRET;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('hashEmail / ipRange', () => {
+  it('should hash email addresses regardless of case and spacing', () => {
+    expect(hashEmail(' Reader@Example.com ')).toBe(hashEmail('reader@example.com'));
+    expect(hashEmail('reader@example.com')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashEmail('other@example.com')).not.toBe(hashEmail('reader@example.com'));
+    expect(hashEmail('  ')).toBeNull();
+  });
+
+  it('should put IPv4 addresses into their /24', () => {
+    expect(ipRange('203.0.113.77')).toBe('203.0.113.0/24');
+    expect(ipRange('::ffff:203.0.113.77')).toBe('203.0.113.0/24');
+    expect(hashIpRange('203.0.113.1')).toBe(hashIpRange('203.0.113.254'));
+    expect(hashIpRange('203.0.114.1')).not.toBe(hashIpRange('203.0.113.1'));
+  });
+
+  it('should put IPv6 addresses into their /64', () => {
+    expect(ipRange('2001:db8:0:1:aaaa::1')).toBe('2001:db8:0:1::/64');
+    expect(ipRange('2001:0DB8::1')).toBe('2001:db8:0:0::/64');
+    expect(ipRange('::1')).toBe('0:0:0:0::/64');
+    expect(ipRange('localhost')).toBeNull();
+    expect(hashIpRange(undefined)).toBeNull();
+  });
+
+  it('should only accept patterns that compile', () => {
+    expect(isValidPattern('casino|poker')).toBe(true);
+    expect(isValidPattern('(unclosed')).toBe(false);
+  });
+
+  it.each(['(a+)+$', '(a|aa)*', '(\\w+\\s?)*', '((a|b)c){2,}', '(a)\\1', '.*a.*b.*c'])(
+    'should refuse patterns that backtrack for long (%s)',
+    (pattern) => {
+      expect(isSafePattern(pattern)).toBe(false);
+    }
+  );
+
+  it.each([
+    'casino|poker',
+    '^great\\s',
+    '\\s*casino\\s*',
+    '(?:buy|cheap) pills',
+    '[(+]+x',
+    'a{2,5}',
+  ])('should accept patterns that match in linear time (%s)', (pattern) => {
+    expect(isSafePattern(pattern)).toBe(true);
+  });
+});
+
+describe('judgeCommenter', () => {
+  const emailHash = hashEmail('reader@example.com');
+  const ipHash = hashIpRange('203.0.113.1');
+  const judge = (fields: Record<string, unknown> = {}) =>
+    judgeCommenter({
+      emailHash,
+      ipHash,
+      authorName: 'Reader',
+      content: 'Great article, thanks!',
+      ...fields,
+    });
+
+  it('should leave unknown commenters in the queue', async () => {
+    mockQuery.mockResolvedValueOnce(rows([])).mockResolvedValueOnce(rows([{ count: 1 }]));
+
+    expect(await judge()).toEqual({ action: null, ruleId: null, trusted: false });
+    expect(mockQuery.mock.calls[0][0]).toContain('expires_at > NOW()');
+    expect(mockQuery.mock.calls[1][1]).toEqual([emailHash]);
+  });
+
+  it('should let blocking win over allowing and count the hit', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([
+          { id: 1, action: 'allow', kind: 'email', value: emailHash },
+          { id: 2, action: 'block', kind: 'ip', value: ipHash },
+        ])
+      )
+      .mockResolvedValueOnce(rows([]));
+
+    expect(await judge()).toEqual({ action: 'block', ruleId: 2, trusted: false });
+    expect(mockQuery.mock.calls[1][0]).toContain('hit_count = hit_count + 1');
+    expect(mockQuery.mock.calls[1][1]).toEqual([2]);
+  });
+
+  it('should match names, keywords and patterns without case', async () => {
+    const rule = (kind: string, value: string) => rows([{ id: 3, action: 'block', kind, value }]);
+    mockQuery
+      .mockResolvedValueOnce(rule('name', 'reader'))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rule('keyword', 'thanks'))
+      .mockResolvedValueOnce(rows([]))
+      .mockResolvedValueOnce(rule('regex', '^great\\s'))
+      .mockResolvedValueOnce(rows([]));
+
+    expect((await judge({ authorName: ' READER ' })).action).toBe('block');
+    expect((await judge()).action).toBe('block');
+    expect((await judge()).action).toBe('block');
+  });
+
+  it('should never run unsafe patterns saved before they were refused', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([{ id: 5, action: 'block', kind: 'regex', value: '(\\w+\\s?)*$' }])
+      )
+      .mockResolvedValueOnce(rows([{ count: 0 }]));
+
+    expect(await judge({ content: `${'a'.repeat(5000)}!` })).toEqual({
+      action: null,
+      ruleId: null,
+      trusted: false,
+    });
+  });
+
+  it('should not match other commenters', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([
+          { id: 1, action: 'block', kind: 'email', value: hashEmail('troll@example.com') },
+          { id: 2, action: 'block', kind: 'name', value: 'read' },
+          { id: 3, action: 'block', kind: 'keyword', value: 'casino' },
+        ])
+      )
+      .mockResolvedValueOnce(rows([{ count: 0 }]));
+
+    expect(await judge()).toEqual({ action: null, ruleId: null, trusted: false });
+  });
+
+  it('should trust commenters with enough approved comments', async () => {
+    mockQuery.mockResolvedValueOnce(rows([])).mockResolvedValueOnce(rows([{ count: 3 }]));
+
+    expect(await judge()).toEqual({ action: 'allow', ruleId: null, trusted: true });
+  });
+
+  it('should not look up the trust without an email', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    expect(await judge({ emailHash: null })).toEqual({
+      action: null,
+      ruleId: null,
+      trusted: false,
+    });
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * series.test.ts - Tests for post series
+ *
+ * Tests the public series endpoint (published parts only, part numbers,
+ * English titles) and the admin CRUD with reordering of the parts.
+ * The database is mocked.
+ */
+
+import request from 'supertest';
+import app from '../src/app';
+import { query, withTransaction } from '../src/models/database';
+import { rows } from './helpers';
+
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockWithTransaction = withTransaction as jest.MockedFunction<typeof withTransaction>;
+
+// Transactions run against the same mocked query function
+mockWithTransaction.mockImplementation((fn) => fn({ query: mockQuery } as never));
+
+const SERIES = {
+  id: 3,
+  title: 'Von EKS zu Lightsail',
+  slug: 'von-eks-zu-lightsail',
+  description: null,
+};
+
+const PARTS = [
+  { id: 10, slug: 'eks-kosten', title: 'EKS-Kosten', excerpt: 'Teuer', part: 1 },
+  { id: 12, slug: 'lightsail-setup', title: 'Lightsail-Setup', excerpt: null, part: 2 },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('GET /api/series/:slug', () => {
+  it('should return the published parts in reading order', async () => {
+    mockQuery.mockResolvedValueOnce(rows([SERIES])).mockResolvedValueOnce(rows(PARTS));
+
+    const response = await request(app).get('/api/series/von-eks-zu-lightsail');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ ...SERIES, posts: PARTS });
+    const [sql, params] = mockQuery.mock.calls[1];
+    expect(sql).toContain("status = 'published'");
+    expect(sql).toContain('ORDER BY series_position NULLS LAST');
+    expect(params).toEqual([3]);
+  });
+
+  it('should use cached translations in English', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([SERIES]))
+      .mockResolvedValueOnce(rows(PARTS))
+      .mockResolvedValueOnce(
+        rows([
+          { title: 'EKS costs', content: '...', content_html: '<p>...</p>', excerpt: 'Pricey' },
+        ])
+      )
+      .mockResolvedValueOnce(rows([])); // part 2 not translated yet
+
+    const response = await request(app).get('/api/series/von-eks-zu-lightsail?lang=en');
+
+    expect(response.body.posts.map((p: { title: string }) => p.title)).toEqual([
+      'EKS costs',
+      'Lightsail-Setup',
+    ]);
+    expect(response.body.posts[0].excerpt).toBe('Pricey');
+  });
+
+  it('should return 404 while no part is published', async () => {
+    mockQuery.mockResolvedValueOnce(rows([SERIES])).mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/series/von-eks-zu-lightsail');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return 404 for an unknown series', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/api/series/gibt-es-nicht');
+
+    expect(response.status).toBe(404);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('POST /api/admin/series', () => {
+  it('should create a series with a slug from the title', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ ...SERIES, id: 4 }]));
+
+    const response = await request(app)
+      .post('/api/admin/series')
+      .send({ title: '  Von EKS zu Lightsail ', description: 'Umzug in 5 Teilen' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.posts).toEqual([]);
+    expect(mockQuery.mock.calls[0][1]).toEqual([
+      'Von EKS zu Lightsail',
+      'von-eks-zu-lightsail',
+      'Umzug in 5 Teilen',
+    ]);
+  });
+
+  it('should return 400 without a title', async () => {
+    const response = await request(app).post('/api/admin/series').send({ slug: 'x' });
+
+    expect(response.status).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 when the slug is taken', async () => {
+    mockQuery.mockRejectedValueOnce(
+      Object.assign(new Error('duplicate key'), { code: '23505', constraint: 'series_slug_key' })
+    );
+
+    const response = await request(app).post('/api/admin/series').send({ title: 'Serie' });
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('PUT /api/admin/series/:id', () => {
+  it('should reorder the parts', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 3 }])) // SELECT ... FOR UPDATE
+      .mockResolvedValueOnce(rows([{ id: 10 }, { id: 12 }])) // current parts
+      .mockResolvedValueOnce(rows([])) // UPDATE posts
+      .mockResolvedValueOnce(rows([])) // UPDATE series
+      .mockResolvedValueOnce(rows([SERIES]))
+      .mockResolvedValueOnce(rows([{ id: 12 }, { id: 10 }]));
+
+    const response = await request(app)
+      .put('/api/admin/series/3')
+      .send({ title: 'EKS → Lightsail', post_ids: [12, 10] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.posts).toEqual([{ id: 12 }, { id: 10 }]);
+    const [reorderSql, reorderParams] = mockQuery.mock.calls[2];
+    expect(reorderSql).toContain('WITH ORDINALITY');
+    expect(reorderParams).toEqual([[12, 10]]);
+    const [updateSql, updateParams] = mockQuery.mock.calls[3];
+    expect(updateSql).toContain('title = $1, updated_at = NOW() WHERE id = $2');
+    expect(updateParams).toEqual(['EKS → Lightsail', '3']);
+  });
+
+  it('should return 400 when post_ids do not match the parts', async () => {
+    mockQuery
+      .mockResolvedValueOnce(rows([{ id: 3 }]))
+      .mockResolvedValueOnce(rows([{ id: 10 }, { id: 12 }]));
+
+    const response = await request(app)
+      .put('/api/admin/series/3')
+      .send({ post_ids: [10, 10] });
+
+    expect(response.status).toBe(400);
+    expect(mockQuery).toHaveBeenCalledTimes(2);
+  });
+
+  it('should return 400 when post_ids is not a list of IDs', async () => {
+    const response = await request(app)
+      .put('/api/admin/series/3')
+      .send({ post_ids: ['10'] });
+
+    expect(response.status).toBe(400);
+    expect(mockWithTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for an unknown series', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).put('/api/admin/series/99').send({ title: 'Neu' });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/admin/series/:id', () => {
+  it('should delete the series', async () => {
+    mockQuery.mockResolvedValueOnce(rows([{ id: 3 }]));
+
+    const response = await request(app).delete('/api/admin/series/3');
+
+    expect(response.status).toBe(200);
+    expect(mockQuery.mock.calls[0][0]).toContain('DELETE FROM series');
+  });
+
+  it('should return 404 for an unknown series', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).delete('/api/admin/series/99');
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * sitemap.test.ts - Tests for sitemap.xml and robots.txt
+ *
+ * Tests the URL list with hreflang alternates, the split into a sitemap
+ * index and robots.txt. Database is mocked.
+ */
+
+import request from 'supertest';
+import app from '../src/app';
+import { query } from '../src/models/database';
+import { SitemapUrl, paginateSitemap } from '../src/services/sitemap';
+import { rows } from './helpers';
+
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+
+beforeAll(() => {
+  process.env.SITE_URL = 'https://blog.example.com';
+});
+
+afterAll(() => {
+  delete process.env.SITE_URL;
+});
+
+describe('GET /robots.txt', () => {
+  it('should point to the sitemap', async () => {
+    const response = await request(app).get('/robots.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/plain');
+    expect(response.text).toContain('Disallow: /admin/');
+    expect(response.text).toContain('Sitemap: https://blog.example.com/sitemap.xml');
+  });
+});
+
+describe('GET /sitemap.xml', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should list pages, categories and posts with hreflang alternates', async () => {
+    mockQuery
+      .mockResolvedValueOnce(
+        rows([
+          { slug: 'eks', updated_at: new Date('2026-03-02T08:30:00Z'), translated: true },
+          { slug: 'homelab', updated_at: new Date('2026-02-01T00:00:00Z'), translated: false },
+        ])
+      )
+      .mockResolvedValueOnce(
+        rows([{ slug: 'devops', updated_at: new Date('2026-03-02T08:30:00Z') }])
+      );
+
+    const response = await request(app).get('/sitemap.xml');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/xml');
+    expect(response.text).toContain('<urlset');
+    expect(response.text).toContain('<loc>https://blog.example.com/about.html</loc>');
+    expect(response.text).toContain(
+      '<loc>https://blog.example.com/blog.html?category=devops</loc>'
+    );
+    expect(response.text).toContain(
+      '<loc>https://blog.example.com/post.html?slug=eks&amp;lang=en</loc>'
+    );
+    expect(response.text).toContain(
+      '<xhtml:link rel="alternate" hreflang="en" href="https://blog.example.com/post.html?slug=eks&amp;lang=en" />'
+    );
+    expect(response.text).toContain('<lastmod>2026-03-02T08:30:00.000Z</lastmod>');
+    // Both variants of the translated post, one entry for the German-only one
+    expect(response.text.match(/<url>/g)).toHaveLength(4 + 1 + 3);
+    expect(response.text.match(/hreflang="x-default"/g)).toHaveLength(2);
+  });
+
+  it('should return 404 for a page when the sitemap is not split', async () => {
+    mockQuery.mockResolvedValueOnce(rows([])).mockResolvedValueOnce(rows([]));
+
+    const response = await request(app).get('/sitemap-2.xml');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('paginateSitemap', () => {
+  const url = (n: number): SitemapUrl => ({
+    loc: `https://blog.example.com/${n}`,
+    lastmod: null,
+    alternates: [],
+  });
+
+  it('should split the URLs into pages of the maximum size', () => {
+    const pages = paginateSitemap([url(1), url(2), url(3), url(4), url(5)], 2);
+
+    expect(pages.map((page) => page.length)).toEqual([2, 2, 1]);
+  });
+
+  it('should return one empty page for no URLs', () => {
+    expect(paginateSitemap([], 2)).toEqual([[]]);
+  });
+});
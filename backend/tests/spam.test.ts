@@ -0,0 +1,251 @@
+/**
+ * spam.test.ts - Tests for the comment spam filter
+ *
+ * Tests the form tokens, the signals of the score, the classifier and its
+ * training. Database is mocked.
+ */
+
+import { query, withTransaction } from '../src/models/database';
+import {
+  classify,
+  commentTokenAge,
+  contentFingerprint,
+  issueCommentToken,
+  scoreComment,
+  tokenize,
+  trainComment,
+} from '../src/services/spam';
+import { rows } from './helpers';
+
+jest.mock('../src/models/database');
+const mockQuery = query as jest.MockedFunction<typeof query>;
+const mockWithTransaction = withTransaction as jest.MockedFunction<typeof withTransaction>;
+
+// Word counts of a trained classifier
+function counts(tokens: Record<string, [number, number]>) {
+  return rows(
+    Object.entries({ '#messages': [20, 20], ...tokens }).map(([token, [spam, ham]]) => ({
+      token,
+      spam_count: spam,
+      ham_count: ham,
+    }))
+  );
+}
+
+beforeAll(() => {
+  process.env.COMMENT_TOKEN_SECRET = 'test-secret';
+});
+
+afterAll(() => {
+  delete process.env.COMMENT_TOKEN_SECRET;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.SPAM_BLOCKED_DOMAINS;
+});
+
+describe('comment form tokens', () => {
+  it('should tell how old a token of the post is', () => {
+    const token = issueCommentToken(7, 1_000_000);
+
+    expect(commentTokenAge(7, token, 1_012_500)).toBe(12.5);
+  });
+
+  it('should reject tokens of other posts, forged and missing ones', () => {
+    const token = issueCommentToken(7, 1_000_000);
+
+    expect(commentTokenAge(8, token, 1_012_500)).toBeNull();
+    expect(commentTokenAge(7, token.replace(/^1/, '2'), 1_012_500)).toBeNull();
+    expect(commentTokenAge(7, undefined)).toBeNull();
+  });
+});
+
+describe('contentFingerprint / tokenize', () => {
+  it('should ignore case, punctuation and spacing', () => {
+    expect(contentFingerprint('Great article, thanks a lot!')).toBe(
+      contentFingerprint('great  article -- THANKS a lot')
+    );
+    expect(contentFingerprint('Danke!')).toBeNull();
+  });
+
+  it('should collect words, link domains and the name once each', () => {
+    expect(tokenize('Max Power', 'Cheap cheap pills at https://www.pills.example/buy ok')).toEqual([
+      'cheap',
+      'pills',
+      'https',
+      'www',
+      'example',
+      'buy',
+      'link:pills.example',
+      'name:max',
+      'name:power',
+    ]);
+  });
+});
+
+describe('scoreComment', () => {
+  const score = (fields: Record<string, unknown> = {}) =>
+    scoreComment({
+      postId: 7,
+      authorName: 'Reader',
+      content: 'Danke!',
+      formToken: issueCommentToken(7, Date.now() - 60_000),
+      ...fields,
+    });
+
+  it('should let a normal comment through', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const result = await score();
+
+    expect(result).toEqual({ score: 0, reasons: [], isSpam: false, fingerprint: null });
+  });
+
+  it('should catch bots filling in the honeypot', async () => {
+    mockQuery.mockResolvedValueOnce(rows([]));
+
+    const result = await score({ website: 'https://casino.example' });
+
+    expect(result.isSpam).toBe(true);
+    expect(result.reasons).toEqual(['Honeypot field filled in (+10)']);
+  });
+
+  it('should count missing tokens and comments sent too fast', async () => {
+    mockQuery.mockResolvedValueOnce(rows([])).mockResolvedValueOnce(rows([]));
+
+    expect((await score({ formToken: undefined })).reasons).toEqual([
+      'Missing or invalid form token (+3)',
+    ]);
+    const fast = await score({ formToken: issueCommentToken(7, Date.now() - 1000) });
+    expect(fast.score).toBe(5);
+    expect(fast.reasons[0]).toMatch(/^Sent 1\.\d s after loading \(\+5\)$/);
+  });
+
+  it('should score links, blocked domains and links in the name', async () => {
+    process.env.SPAM_BLOCKED_DOMAINS = 'casino.example';
+    mockQuery
+      .mockResolvedValueOnce(rows([{ other_posts: 0, spam: 0 }]))
+      .mockResolvedValueOnce(rows([]));
+
+    const result = await score({
+      authorName: 'Best casino.example',
+      content: 'See https://bit.ly/x and www.play.casino.example today',
+    });
+
+    expect(result.reasons).toEqual([
+      '2 links (+3)',
+      'Link in the name (+4)',
+      'Blocked domain bit.ly (+5)',
+    ]);
+    expect(result.score).toBe(12);
+    expect(result.isSpam).toBe(true);
+  });
+
+  it('should find the same text on other posts and in spam', async () => {
+    const content = 'Really helpful article, thank you so much!';
+    mockQuery
+      .mockResolvedValueOnce(rows([{ other_posts: 2, spam: 1 }]))
+      .mockResolvedValueOnce(rows([]));
+
+    const result = await score({ content });
+
+    expect(result.fingerprint).toBe(contentFingerprint(content));
+    expect(mockQuery.mock.calls[0][1]).toEqual([contentFingerprint(content), 7, 30]);
+    expect(result.reasons).toEqual([
+      'Same text on another post (+5)',
+      'Same text as a spam comment (+5)',
+    ]);
+    expect(result.isSpam).toBe(true);
+  });
+
+  it('should add what the classifier thinks', async () => {
+    mockQuery.mockResolvedValueOnce(counts({ danke: [0, 15], 'name:reader': [0, 10] }));
+
+    const result = await score();
+
+    expect(result.score).toBe(-6);
+    expect(result.reasons).toEqual(['Classifier 0% spam (-6)']);
+  });
+});
+
+describe('classify', () => {
+  it('should stay out of it until it has seen enough', async () => {
+    mockQuery.mockResolvedValueOnce(
+      rows([
+        { token: '#messages', spam_count: 4, ham_count: 50 },
+        { token: 'casino', spam_count: 4, ham_count: 0 },
+      ])
+    );
+
+    expect(await classify(['casino'])).toBeNull();
+  });
+
+  it('should weigh spam words against ham words', async () => {
+    mockQuery
+      .mockResolvedValueOnce(counts({ casino: [12, 0], bonus: [8, 1] }))
+      .mockResolvedValueOnce(counts({ terraform: [0, 9], danke: [1, 12] }))
+      .mockResolvedValueOnce(counts({}));
+
+    expect(await classify(['casino', 'bonus', 'unknown'])).toBeGreaterThan(0.99);
+    expect(await classify(['terraform', 'danke'])).toBeLessThan(0.01);
+    expect(await classify(['unknown'])).toBeNull();
+    expect(mockQuery.mock.calls[0][1]).toEqual([['casino', 'bonus', 'unknown', '#messages']]);
+  });
+});
+
+describe('trainComment', () => {
+  const client = { query: jest.fn() };
+
+  beforeEach(() => {
+    client.query.mockReset();
+    mockWithTransaction.mockImplementation((fn) => fn(client as never));
+  });
+
+  it('should learn approved comments as ham', async () => {
+    client.query
+      .mockResolvedValueOnce(
+        rows([{ previous: null, author_name: 'Reader', content: 'Danke dir' }])
+      )
+      .mockResolvedValueOnce(rows([]));
+
+    await trainComment(7, 'approved');
+
+    expect(client.query.mock.calls[0][1]).toEqual([7, 'ham']);
+    expect(client.query.mock.calls[1][1]).toEqual([
+      ['danke', 'dir', 'name:reader', '#messages'],
+      0,
+      1,
+    ]);
+  });
+
+  it('should move a comment over when the decision changes', async () => {
+    client.query
+      .mockResolvedValueOnce(rows([{ previous: 'ham', author_name: 'Bot', content: 'Casino' }]))
+      .mockResolvedValueOnce(rows([]));
+
+    await trainComment(7, 'deleted');
+
+    expect(client.query.mock.calls[0][1]).toEqual([7, 'spam']);
+    expect(client.query.mock.calls[1][1]).toEqual([['casino', 'name:bot', '#messages'], 1, -1]);
+  });
+
+  it('should take the comment out when it goes back to pending', async () => {
+    client.query
+      .mockResolvedValueOnce(rows([{ previous: 'spam', author_name: 'Bot', content: 'Casino' }]))
+      .mockResolvedValueOnce(rows([]));
+
+    await trainComment(7, 'pending');
+
+    expect(client.query.mock.calls[0][1]).toEqual([7, null]);
+    expect(client.query.mock.calls[1][1]).toEqual([['casino', 'name:bot', '#messages'], -1, 0]);
+  });
+
+  it('should not learn a comment twice', async () => {
+    client.query.mockResolvedValueOnce(rows([]));
+
+    await trainComment(7, 'approved');
+
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -2,9 +2,9 @@
 // Admin Dashboard Logic
 //
 // Fetches stats from /api/admin/stats and renders
-// the dashboard overview: stat cards, recent posts,
-// recent comments. Falls back to demo data if the
-// API is unreachable.
+// the dashboard overview: stat cards, views per day
+// (/api/admin/views), recent posts, recent comments.
+// Falls back to demo data if the API is unreachable.
 // ============================================
 
 (function () {
@@ -99,10 +99,13 @@
         "bg-green-500/10 text-green-600 dark:text-green-400 border-green-500/20",
       draft:
         "bg-amber-500/10 text-amber-600 dark:text-amber-400 border-amber-500/20",
+      scheduled:
+        "bg-violet-500/10 text-violet-600 dark:text-violet-400 border-violet-500/20",
       pending: "bg-sky-500/10 text-sky-600 dark:text-sky-400 border-sky-500/20",
       approved:
         "bg-green-500/10 text-green-600 dark:text-green-400 border-green-500/20",
       flagged: "bg-red-500/10 text-red-600 dark:text-red-400 border-red-500/20",
+      spam: "bg-orange-500/10 text-orange-600 dark:text-orange-400 border-orange-500/20",
       deleted: "bg-slate-500/10 text-slate-500 border-slate-500/20",
     };
     var cls = colors[status] || colors.draft;
@@ -332,6 +335,91 @@
     container.innerHTML = barHtml + legendHtml;
   }
 
+  // --- Render unique views per day (bar chart) + most viewed posts ---
+  function renderViewsOverview(views) {
+    var container = document.getElementById("views-overview");
+    if (!container) return;
+
+    if (!views || views.total === 0) {
+      container.innerHTML =
+        '<div class="text-center text-sm text-slate-400 dark:text-slate-500">' +
+        '<i class="ti ti-chart-bar-off text-3xl block mb-2"></i>' +
+        "No views in the last 30 days yet." +
+        "</div>";
+      return;
+    }
+
+    var max = Math.max.apply(
+      null,
+      views.series.map(function (entry) {
+        return entry.views;
+      }),
+    );
+
+    // One bar per day, height relative to the busiest day
+    var barsHtml =
+      '<div class="flex items-end gap-1 h-32 mb-2">' +
+      views.series
+        .map(function (entry) {
+          var pct = max > 0 ? (entry.views / max) * 100 : 0;
+          return (
+            '<div class="flex-1 h-full flex items-end" title="' +
+            formatDate(entry.day) +
+            ": " +
+            entry.views +
+            '">' +
+            '<div class="w-full rounded-t bg-violet-500/80" style="height:' +
+            Math.max(pct, entry.views > 0 ? 4 : 1) +
+            '%"></div>' +
+            "</div>"
+          );
+        })
+        .join("") +
+      "</div>";
+
+    var summaryHtml =
+      '<div class="flex justify-between text-xs text-slate-400 dark:text-slate-500 mb-4">' +
+      "<span>" +
+      formatDate(views.series[0].day) +
+      "</span>" +
+      '<span class="font-semibold text-slate-900 dark:text-white">' +
+      views.total +
+      " unique views</span>" +
+      "<span>" +
+      formatDate(views.series[views.series.length - 1].day) +
+      "</span>" +
+      "</div>";
+
+    var topHtml = (views.top_posts || [])
+      .slice(0, 5)
+      .map(function (post) {
+        return (
+          '<div class="flex justify-between gap-3 text-sm py-1">' +
+          '<span class="truncate text-slate-700 dark:text-slate-300">' +
+          escapeHtml(post.title) +
+          "</span>" +
+          '<span class="font-semibold text-slate-900 dark:text-white">' +
+          post.views +
+          "</span>" +
+          "</div>"
+        );
+      })
+      .join("");
+
+    container.innerHTML = barsHtml + summaryHtml + topHtml;
+  }
+
+  // --- Fetch the views of the last 30 days (null if unavailable) ---
+  async function fetchViews() {
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/views?days=30");
+      if (response.ok) return await response.json();
+    } catch (err) {
+      // No view stats (API unreachable) -- the section shows the empty state
+    }
+    return null;
+  }
+
   // --- Render recent posts ---
   function renderRecentPosts(posts) {
     var container = document.getElementById("recent-posts");
@@ -344,7 +432,9 @@
 
     container.innerHTML = posts
       .map(function (post, i) {
-        var date = formatDate(post.published_at || post.created_at);
+        var date = formatDate(
+          post.publish_at || post.published_at || post.created_at,
+        );
         return (
           '<div class="admin-list-item flex items-center justify-between gap-4 px-5 py-3.5 ' +
           (i < posts.length - 1
@@ -484,6 +574,7 @@
     renderSentimentOverview(stats.sentiment);
     renderRecentPosts(stats.recentPosts);
     renderRecentComments(stats.recentComments);
+    renderViewsOverview(await fetchViews());
   }
 
   // --- Silent refresh (updates values without loading skeleton) ---
@@ -496,6 +587,7 @@
         renderSentimentOverview(stats.sentiment);
         renderRecentPosts(stats.recentPosts);
         renderRecentComments(stats.recentComments);
+        renderViewsOverview(await fetchViews());
       }
     } catch (err) {
       // Silent fail -- keep last known data
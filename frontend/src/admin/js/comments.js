@@ -2,11 +2,25 @@
 // Comment Moderation Logic
 //
 // Handles the admin comment moderation page:
-//   - loadComments(status?) fetches all comments from /api/admin/comments
+//   - loadComments() fetches all comments from /api/admin/comments,
+//     render() shows those of the active filter
 //   - renderComments(comments) renders the list with action buttons
-//   - updateStatus(id, status) changes a comment's status via API
-//   - Filter buttons switch between all/pending/approved/flagged/deleted
+//   - moderate(ids, action) changes the status of comments right away on
+//     the page and sends them to /api/admin/comments/bulk in the
+//     background (reverted if that fails); undo() takes the last change back
+//     (approval emails wait a few minutes, an undo before then stops them)
+//   - Multi-select with select all (within the filter), bulk actions,
+//     deleting deleted/spam comments for good and emptying "Deleted"
+//   - Keyboard triage: j/k move, x select, a/f/s/d approve, flag, spam and
+//     delete the selected comments (or the current one), u undo
+//   - replyAsAuthor(id, content) answers a comment as the blog author
+//     (approved right away, shown with the author badge)
+//   - Filter buttons switch between all/pending/approved/flagged/spam/deleted
+//   - Spam badge with the spam filter's score (reasons on hover)
 //   - Filter buttons show counts: "All (19)", "Pending (5)", etc.
+//   - Commenter rules: list, add and delete block/allow rules
+//     (/api/admin/comment-rules), "Block commenter" button on the cards
+//   - Badges for comments decided by a rule or a trusted commenter
 // ============================================
 
 (function () {
@@ -21,9 +35,31 @@
 
   // --- State ---
   var currentFilter = "all";
+  var allComments = []; // Every comment, changed in place by moderate()
+  var selected = {}; // Selected comment IDs (id -> true)
+  var focusIndex = 0; // Current comment for the keyboard, in the filtered list
+  var undoStack = []; // Last changes: { label, pending: Promise<{ done, emailDelayMinutes }> }
+  var requests = Promise.resolve(); // Bulk requests run one after another
+
+  // Bulk action -> status it sets, and the other way round for undo
+  var ACTION_STATUS = {
+    approve: "approved",
+    pending: "pending",
+    flag: "flagged",
+    spam: "spam",
+    delete: "deleted",
+  };
+  var STATUS_ACTION = {
+    approved: "approve",
+    pending: "pending",
+    flagged: "flag",
+    spam: "spam",
+    deleted: "delete",
+  };
 
   // --- DOM references ---
-  var commentListEl, filtersEl;
+  var commentListEl, filtersEl, ruleListEl, ruleFormEl;
+  var selectAllEl, selectedCountEl, purgeBtn, undoBarEl, undoTextEl;
 
   // --- Status badge HTML ---
   function statusBadge(status) {
@@ -32,6 +68,7 @@
       approved:
         "bg-green-500/10 text-green-600 dark:text-green-400 border-green-500/20",
       flagged: "bg-red-500/10 text-red-600 dark:text-red-400 border-red-500/20",
+      spam: "bg-orange-500/10 text-orange-600 dark:text-orange-400 border-orange-500/20",
       deleted: "bg-slate-500/10 text-slate-500 border-slate-500/20",
     };
     var cls = colors[status] || colors.pending;
@@ -83,6 +120,43 @@
     );
   }
 
+  // --- Spam score badge (spam filter result, reasons as tooltip) ---
+  function spamBadge(score, reasons) {
+    if (!reasons || reasons.length === 0) return "";
+    var cls =
+      score >= 8
+        ? "bg-orange-500/10 text-orange-600 dark:text-orange-400 border-orange-500/20"
+        : "bg-slate-500/10 text-slate-500 dark:text-slate-400 border-slate-500/20";
+    return (
+      '<span class="inline-flex items-center gap-1 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wider border rounded-full ' +
+      cls +
+      '" title="' +
+      escapeHtml(reasons.join("\n")) +
+      '">' +
+      '<i class="ti ti-shield-x text-xs"></i>' +
+      "Spam " +
+      score +
+      "</span>"
+    );
+  }
+
+  // --- Badge of a comment a rule or the commenter's trust decided ---
+  function ruleBadge(comment) {
+    if (comment.trusted) {
+      return (
+        '<span class="inline-flex items-center gap-1 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wider border rounded-full bg-emerald-500/10 text-emerald-600 dark:text-emerald-400 border-emerald-500/20" title="Approved right away: 3 or more approved comments under this email">' +
+        '<i class="ti ti-heart-handshake text-xs"></i>Trusted</span>'
+      );
+    }
+    if (!comment.rule_id) return "";
+    return (
+      '<span class="inline-flex items-center gap-1 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wider border rounded-full bg-slate-500/10 text-slate-500 dark:text-slate-400 border-slate-500/20" title="Decided by a commenter rule">' +
+      '<i class="ti ti-filter text-xs"></i>Rule #' +
+      comment.rule_id +
+      "</span>"
+    );
+  }
+
   // --- Format date ---
   function formatDate(dateString) {
     if (!dateString) return "--";
@@ -109,6 +183,7 @@
       pending: 0,
       approved: 0,
       flagged: 0,
+      spam: 0,
       deleted: 0,
     };
 
@@ -131,11 +206,11 @@
   // --- Load comments from API ---
   // Always fetches ALL comments to compute counts for every filter button,
   // then filters client-side based on the active status filter.
-  async function loadComments(status) {
+  async function loadComments() {
     commentListEl.innerHTML =
       '<div class="p-6 text-center text-sm text-slate-400 dark:text-slate-500 bg-white dark:bg-slate-800/50 rounded-xl border border-slate-200 dark:border-slate-700/50">Loading...</div>';
 
-    var allComments = [];
+    allComments = [];
     try {
       var response = await AdminAuth.authFetch("/api/admin/comments");
       if (response.ok) {
@@ -145,18 +220,51 @@
       console.warn("Failed to load comments:", err.message);
     }
 
-    // Update filter button counts with the full dataset
+    render();
+  }
+
+  // --- Comments of the active filter ---
+  function filteredComments() {
+    if (currentFilter === "all") return allComments;
+    return allComments.filter(function (c) {
+      return c.status === currentFilter;
+    });
+  }
+
+  // --- Render counts, list and bulk bar from the local state ---
+  // Selected comments that left the filter are unselected.
+  function render() {
     updateFilterCounts(allComments);
 
-    // Filter client-side based on active filter
-    var filtered = allComments;
-    if (status && status !== "all") {
-      filtered = allComments.filter(function (c) {
-        return c.status === status;
-      });
-    }
+    var comments = filteredComments();
+    var visible = {};
+    comments.forEach(function (c) {
+      visible[c.id] = true;
+    });
+    Object.keys(selected).forEach(function (id) {
+      if (!visible[id]) delete selected[id];
+    });
+    focusIndex = Math.max(0, Math.min(focusIndex, comments.length - 1));
+
+    renderComments(comments);
+    updateBulkBar(comments);
+  }
 
-    renderComments(filtered);
+  // --- Selection count, select-all box and bulk buttons ---
+  function updateBulkBar(comments) {
+    var count = Object.keys(selected).length;
+    selectAllEl.checked = count > 0 && count === comments.length;
+    selectAllEl.indeterminate = count > 0 && count < comments.length;
+    selectAllEl.disabled = comments.length === 0;
+    selectedCountEl.textContent =
+      count > 0 ? count + " selected" : "Select all";
+    document.querySelectorAll(".bulk-action").forEach(function (btn) {
+      btn.disabled = count === 0;
+    });
+    purgeBtn.classList.toggle(
+      "hidden",
+      currentFilter !== "deleted" || comments.length === 0,
+    );
   }
 
   // --- Render comment list ---
@@ -175,7 +283,7 @@
     }
 
     var html = "";
-    comments.forEach(function (comment) {
+    comments.forEach(function (comment, index) {
       // Determine which action buttons to show based on current status
       var actions = "";
 
@@ -197,6 +305,39 @@
           "</button>";
       }
 
+      if (comment.status !== "spam") {
+        actions +=
+          '<button class="admin-action-btn admin-action-spam" data-id="' +
+          comment.id +
+          '" title="Mark as spam">' +
+          '<i class="ti ti-ban"></i>' +
+          "</button>";
+      }
+
+      // Flagged, spam and deleted comments cannot be answered
+      if (comment.status === "pending" || comment.status === "approved") {
+        actions +=
+          '<button class="admin-action-btn admin-action-reply" data-id="' +
+          comment.id +
+          '" title="Reply as author">' +
+          '<i class="ti ti-message-reply"></i>' +
+          "</button>";
+      }
+
+      // Block rule from the comment's email (or IP range if it has none)
+      if (!comment.is_author && (comment.has_email || comment.has_ip)) {
+        actions +=
+          '<button class="admin-action-btn admin-action-block" data-id="' +
+          comment.id +
+          '" data-kind="' +
+          (comment.has_email ? "email" : "ip") +
+          '" title="Block commenter (' +
+          (comment.has_email ? "email" : "IP range") +
+          ')">' +
+          '<i class="ti ti-user-x"></i>' +
+          "</button>";
+      }
+
       actions +=
         '<button class="admin-action-btn admin-action-delete" data-id="' +
         comment.id +
@@ -205,16 +346,32 @@
         "</button>";
 
       html +=
-        '<div class="bg-white dark:bg-slate-800/50 rounded-xl border border-slate-200 dark:border-slate-700/50 p-4 admin-comment-card">' +
+        '<div class="bg-white dark:bg-slate-800/50 rounded-xl border border-slate-200 dark:border-slate-700/50 p-4 admin-comment-card' +
+        (index === focusIndex ? " admin-comment-focused" : "") +
+        '" data-index="' +
+        index +
+        '">' +
         '<div class="flex items-start justify-between gap-3">' +
+        // Selection
+        '<input type="checkbox" class="admin-select mt-1 accent-sky-500 flex-shrink-0" aria-label="Select comment" data-id="' +
+        comment.id +
+        '"' +
+        (selected[comment.id] ? " checked" : "") +
+        " />" +
         '<div class="min-w-0 flex-1">' +
         // Author + status badge + sentiment badge
         '<div class="flex items-center gap-2 mb-2 flex-wrap">' +
         '<span class="text-sm font-semibold text-slate-900 dark:text-white">' +
         escapeHtml(comment.author_name) +
         "</span>" +
+        (comment.is_author
+          ? '<span class="inline-flex items-center gap-1 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wider border rounded-full bg-sky-500/10 text-sky-600 dark:text-sky-400 border-sky-500/20">' +
+            '<i class="ti ti-rosette-discount-check"></i>Author</span>'
+          : "") +
         statusBadge(comment.status) +
         sentimentBadge(comment.sentiment, comment.sentiment_score) +
+        spamBadge(comment.spam_score, comment.spam_reasons) +
+        ruleBadge(comment) +
         "</div>" +
         // Content
         '<p class="text-sm text-slate-600 dark:text-slate-300 leading-relaxed mb-2">' +
@@ -228,9 +385,27 @@
           ? escapeHtml(truncate(comment.post_title, 50))
           : "Unknown post") +
         "</span>" +
+        (comment.parent_id
+          ? " &middot; reply to " +
+            '<span class="text-slate-500 dark:text-slate-400 font-medium">' +
+            escapeHtml(comment.parent_author_name || "a comment") +
+            "</span>"
+          : "") +
         " &middot; " +
         formatDate(comment.created_at) +
         "</p>" +
+        // Reply form (opened by the reply button)
+        '<form class="admin-reply-form hidden mt-3" data-id="' +
+        comment.id +
+        '">' +
+        '<textarea name="content" rows="3" maxlength="5000" required placeholder="Reply as author..." class="w-full px-3 py-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 text-sm text-slate-900 dark:text-slate-100 focus:outline-none focus:ring-2 focus:ring-sky-500/30 focus:border-sky-500 resize-none"></textarea>' +
+        '<div class="flex justify-end gap-2 mt-2">' +
+        '<button type="button" class="admin-reply-cancel px-3 py-1.5 text-xs font-semibold rounded-lg text-slate-500 hover:text-slate-700 dark:hover:text-slate-300">Cancel</button>' +
+        '<button type="submit" class="px-3 py-1.5 text-xs font-semibold rounded-lg bg-sky-500 hover:bg-sky-400 text-white">' +
+        (comment.status === "pending" ? "Approve &amp; reply" : "Reply") +
+        "</button>" +
+        "</div>" +
+        "</form>" +
         "</div>" +
         // Actions
         '<div class="flex items-center gap-1 flex-shrink-0">' +
@@ -247,7 +422,7 @@
       .querySelectorAll(".admin-action-approve")
       .forEach(function (btn) {
         btn.addEventListener("click", function () {
-          updateStatus(parseInt(btn.getAttribute("data-id"), 10), "approved");
+          moderate([parseInt(btn.getAttribute("data-id"), 10)], "approve");
         });
       });
 
@@ -255,48 +430,537 @@
       .querySelectorAll(".admin-action-flag")
       .forEach(function (btn) {
         btn.addEventListener("click", function () {
-          updateStatus(parseInt(btn.getAttribute("data-id"), 10), "flagged");
+          moderate([parseInt(btn.getAttribute("data-id"), 10)], "flag");
         });
       });
 
     commentListEl
-      .querySelectorAll(".admin-action-delete")
+      .querySelectorAll(".admin-action-spam")
+      .forEach(function (btn) {
+        btn.addEventListener("click", function () {
+          moderate([parseInt(btn.getAttribute("data-id"), 10)], "spam");
+        });
+      });
+
+    commentListEl
+      .querySelectorAll(".admin-action-reply")
       .forEach(function (btn) {
         btn.addEventListener("click", function () {
-          var id = parseInt(btn.getAttribute("data-id"), 10);
-          if (confirm("Delete this comment permanently?")) {
-            updateStatus(id, "deleted");
+          var form = commentListEl.querySelector(
+            '.admin-reply-form[data-id="' + btn.getAttribute("data-id") + '"]',
+          );
+          form.classList.toggle("hidden");
+          if (!form.classList.contains("hidden")) {
+            form.querySelector("textarea").focus();
           }
         });
       });
+
+    commentListEl
+      .querySelectorAll(".admin-reply-form")
+      .forEach(function (form) {
+        form
+          .querySelector(".admin-reply-cancel")
+          .addEventListener("click", function () {
+            form.reset();
+            form.classList.add("hidden");
+          });
+        form.addEventListener("submit", function (e) {
+          e.preventDefault();
+          var content = form.querySelector("textarea").value.trim();
+          if (!content) return;
+          replyAsAuthor(
+            parseInt(form.getAttribute("data-id"), 10),
+            content,
+            form,
+          );
+        });
+      });
+
+    commentListEl
+      .querySelectorAll(".admin-action-block")
+      .forEach(function (btn) {
+        btn.addEventListener("click", function () {
+          var kind = btn.getAttribute("data-kind");
+          var message =
+            kind === "email"
+              ? "Block all comments from this email address for 90 days?"
+              : "Block all comments from this IP range for 90 days?";
+          if (confirm(message)) {
+            createRule({
+              action: "block",
+              kind: kind,
+              comment_id: parseInt(btn.getAttribute("data-id"), 10),
+            });
+          }
+        });
+      });
+
+    commentListEl
+      .querySelectorAll(".admin-action-delete")
+      .forEach(function (btn) {
+        btn.addEventListener("click", function () {
+          moderate([parseInt(btn.getAttribute("data-id"), 10)], "delete");
+        });
+      });
+
+    commentListEl.querySelectorAll(".admin-select").forEach(function (box) {
+      box.addEventListener("change", function () {
+        var id = box.getAttribute("data-id");
+        if (box.checked) selected[id] = true;
+        else delete selected[id];
+        updateBulkBar(filteredComments());
+      });
+    });
+
+    // Clicking a card makes it the current one for the keyboard
+    commentListEl
+      .querySelectorAll(".admin-comment-card")
+      .forEach(function (card) {
+        card.addEventListener("click", function () {
+          setFocus(parseInt(card.getAttribute("data-index"), 10), false);
+        });
+      });
+  }
+
+  // --- Find a comment of the local list ---
+  function findComment(id) {
+    for (var i = 0; i < allComments.length; i++) {
+      if (allComments[i].id === id) return allComments[i];
+    }
+    return null;
+  }
+
+  // --- Send a bulk action, one request at a time ---
+  // Resolves with the per-ID results, or null after an error (alerted).
+  function sendBulk(ids, action) {
+    var sent = requests.then(async function () {
+      try {
+        var response = await AdminAuth.authFetch("/api/admin/comments/bulk", {
+          method: "POST",
+          body: JSON.stringify({ ids: ids, action: action }),
+        });
+        if (response.ok) {
+          return await response.json();
+        }
+        var err = await response.json();
+        alert("Failed to update: " + (err.error || response.statusText));
+      } catch (err) {
+        alert("Network error: " + err.message);
+      }
+      return null;
+    });
+    requests = sent;
+    return sent;
+  }
+
+  // --- Set comment statuses on the page, then on the server ---
+  // changes: [{ id, status }]. Comments the server did not change go back
+  // to their old status. Returns the changes that stuck ({ id, previous })
+  // and the minutes until the approval emails go out (null: no emails).
+  async function applyStatuses(changes, action) {
+    var previous = {};
+    changes.forEach(function (change) {
+      var comment = findComment(change.id);
+      previous[change.id] = comment.status;
+      comment.status = change.status;
+    });
+    render();
+
+    var ids = changes.map(function (change) {
+      return change.id;
+    });
+    var body = await sendBulk(ids, action);
+    var results = body && body.results;
+    var done = [];
+    var failed = [];
+    ids.forEach(function (id, i) {
+      var result = results && results[i];
+      if (result && result.ok) {
+        done.push({ id: id, previous: result.previous });
+      } else {
+        var comment = findComment(id);
+        if (comment) comment.status = previous[id];
+        if (result) failed.push("#" + id + ": " + result.error);
+      }
+    });
+    if (done.length < ids.length) render();
+    if (failed.length > 0) alert("Not updated:\n" + failed.join("\n"));
+    return {
+      done: done,
+      emailDelayMinutes: body ? body.email_delay_minutes : null,
+    };
+  }
+
+  // --- Moderate comments (optimistic, can be undone) ---
+  async function moderate(ids, action) {
+    var status = ACTION_STATUS[action];
+    var changes = ids
+      .filter(function (id) {
+        var comment = findComment(id);
+        return comment && comment.status !== status;
+      })
+      .map(function (id) {
+        return { id: id, status: status };
+      });
+    if (changes.length === 0) return;
+
+    var label =
+      (changes.length === 1 ? "1 comment " : changes.length + " comments ") +
+      status;
+    var entry = { label: label, pending: applyStatuses(changes, action) };
+    undoStack.push(entry);
+    if (undoStack.length > 20) undoStack.shift();
+    showUndo();
+
+    var outcome = await entry.pending;
+    // Nothing to undo when the server changed none of them
+    if (outcome.done.length === 0 && undoStack.indexOf(entry) !== -1) {
+      undoStack.splice(undoStack.indexOf(entry), 1);
+      showUndo();
+      return;
+    }
+    // The server holds the approval emails back for the undo window
+    if (outcome.emailDelayMinutes !== null) {
+      entry.label +=
+        " (emails go out in " + outcome.emailDelayMinutes + " min)";
+      showUndo();
+    }
+  }
+
+  // --- Take the last moderation back ---
+  // Comments go back to their own previous status, one request per status.
+  async function undo() {
+    var entry = undoStack.pop();
+    showUndo();
+    if (!entry) return;
+
+    // Waits for the change itself when it is still on its way
+    var changes = (await entry.pending).done;
+    var byStatus = {};
+    changes.forEach(function (change) {
+      if (!findComment(change.id)) return;
+      (byStatus[change.previous] = byStatus[change.previous] || []).push({
+        id: change.id,
+        status: change.previous,
+      });
+    });
+    for (var status in byStatus) {
+      await applyStatuses(byStatus[status], STATUS_ACTION[status]);
+    }
+  }
+
+  // --- Show the last change with its undo button ---
+  function showUndo() {
+    var entry = undoStack[undoStack.length - 1];
+    undoBarEl.classList.toggle("hidden", !entry);
+    if (entry) undoTextEl.textContent = entry.label;
+  }
+
+  // --- Delete deleted/spam comments for good (no undo) ---
+  async function removeForGood(ids) {
+    if (!confirm("Delete " + ids.length + " comment(s) for good?")) return;
+
+    var body = await sendBulk(ids, "hard-delete");
+    if (!body) return;
+    var results = body.results;
+
+    var removed = {};
+    var failed = [];
+    results.forEach(function (result) {
+      if (result.ok) removed[result.id] = true;
+      else failed.push("#" + result.id + ": " + result.error);
+    });
+    allComments = allComments.filter(function (c) {
+      return !removed[c.id];
+    });
+    render();
+    if (failed.length > 0) alert("Not deleted:\n" + failed.join("\n"));
+  }
+
+  // --- Delete all soft-deleted comments for good ---
+  async function purgeDeleted() {
+    if (!confirm("Delete all deleted comments for good?")) return;
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/comments/deleted", {
+        method: "DELETE",
+      });
+      if (response.ok) {
+        var data = await response.json();
+        undoStack = [];
+        showUndo();
+        await loadComments();
+        alert(
+          data.deleted +
+            " comment(s) deleted. Comments with replies that are still around were kept.",
+        );
+      } else {
+        var err = await response.json();
+        alert("Failed to delete: " + (err.error || response.statusText));
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+  }
+
+  // --- Selected comment IDs, or the current comment ---
+  function targetIds() {
+    var ids = Object.keys(selected).map(function (id) {
+      return parseInt(id, 10);
+    });
+    if (ids.length > 0) return ids;
+    var current = filteredComments()[focusIndex];
+    return current ? [current.id] : [];
+  }
+
+  // --- Move the keyboard focus to a comment of the filtered list ---
+  function setFocus(index, scroll) {
+    var cards = commentListEl.querySelectorAll(".admin-comment-card");
+    if (cards.length === 0) return;
+    focusIndex = Math.max(0, Math.min(index, cards.length - 1));
+    cards.forEach(function (card, i) {
+      card.classList.toggle("admin-comment-focused", i === focusIndex);
+    });
+    if (scroll) cards[focusIndex].scrollIntoView({ block: "nearest" });
+  }
+
+  // --- Bulk bar: select all, bulk buttons, empty "Deleted" ---
+  function setupBulkBar() {
+    selectAllEl.addEventListener("change", function () {
+      selected = {};
+      if (selectAllEl.checked) {
+        filteredComments().forEach(function (c) {
+          selected[c.id] = true;
+        });
+      }
+      renderComments(filteredComments());
+      updateBulkBar(filteredComments());
+    });
+
+    document.querySelectorAll(".bulk-action").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        var action = btn.getAttribute("data-action");
+        var ids = targetIds();
+        if (action === "hard-delete") removeForGood(ids);
+        else moderate(ids, action);
+      });
+    });
+
+    purgeBtn.addEventListener("click", purgeDeleted);
+    document.getElementById("undo-btn").addEventListener("click", undo);
   }
 
-  // --- Update comment status ---
-  async function updateStatus(id, status) {
+  // --- Keyboard shortcuts (not while typing) ---
+  function setupKeyboard() {
+    var keyActions = { a: "approve", f: "flag", s: "spam", d: "delete" };
+
+    document.addEventListener("keydown", function (e) {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      if (e.target.isContentEditable) return;
+
+      if (e.key === "j") {
+        setFocus(focusIndex + 1, true);
+      } else if (e.key === "k") {
+        setFocus(focusIndex - 1, true);
+      } else if (e.key === "x") {
+        var current = filteredComments()[focusIndex];
+        if (!current) return;
+        if (selected[current.id]) delete selected[current.id];
+        else selected[current.id] = true;
+        renderComments(filteredComments());
+        updateBulkBar(filteredComments());
+      } else if (keyActions[e.key]) {
+        moderate(targetIds(), keyActions[e.key]);
+      } else if (e.key === "u") {
+        undo();
+      } else if (e.key === "Escape") {
+        selected = {};
+        render();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    });
+  }
+
+  // --- Reply to a comment as the blog author ---
+  async function replyAsAuthor(id, content, form) {
+    var submitBtn = form.querySelector('[type="submit"]');
+    submitBtn.disabled = true;
     try {
       var response = await AdminAuth.authFetch(
-        "/api/comments/" + id + "/status",
+        "/api/admin/comments/" + id + "/reply",
         {
-          method: "PUT",
-          body: JSON.stringify({ status: status }),
+          method: "POST",
+          body: JSON.stringify({ content: content }),
         },
       );
 
       if (response.ok) {
-        // Save scroll position before reloading list
         var scrollY = window.scrollY;
-        await loadComments(currentFilter);
-        // Restore scroll position so page doesn't jump to top
+        await loadComments();
         window.scrollTo(0, scrollY);
       } else {
         var err = await response.json();
-        alert("Failed to update: " + (err.error || response.statusText));
+        alert("Failed to reply: " + (err.error || response.statusText));
+        submitBtn.disabled = false;
       }
     } catch (err) {
       alert("Network error: " + err.message);
+      submitBtn.disabled = false;
     }
   }
 
+  // --- Load commenter rules ---
+  async function loadRules() {
+    var rules = [];
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/comment-rules");
+      if (response.ok) {
+        rules = await response.json();
+      }
+    } catch (err) {
+      console.warn("Failed to load comment rules:", err.message);
+    }
+    renderRules(rules);
+  }
+
+  // --- Render rule list ---
+  // Email and IP rules only have a hash, so their note says whom they match
+  function renderRules(rules) {
+    if (rules.length === 0) {
+      ruleListEl.innerHTML =
+        '<div class="p-6 text-center text-sm text-slate-400 dark:text-slate-500 bg-white/80 dark:bg-slate-800/60 backdrop-blur-sm rounded-xl border border-slate-200/50 dark:border-slate-700/50">No rules</div>';
+      return;
+    }
+
+    var kinds = {
+      email: "Email",
+      ip: "IP range",
+      name: "Name",
+      keyword: "Keyword",
+      regex: "Regex",
+    };
+    var html = "";
+    rules.forEach(function (rule) {
+      var actionCls =
+        rule.action === "block"
+          ? "bg-red-500/10 text-red-600 dark:text-red-400 border-red-500/20"
+          : "bg-green-500/10 text-green-600 dark:text-green-400 border-green-500/20";
+      html +=
+        '<div class="flex items-center justify-between gap-3 bg-white dark:bg-slate-800/50 rounded-xl border border-slate-200 dark:border-slate-700/50 px-4 py-3' +
+        (rule.active ? "" : " opacity-50") +
+        '">' +
+        '<div class="min-w-0 flex-1">' +
+        '<div class="flex items-center gap-2 flex-wrap">' +
+        '<span class="inline-flex px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wider border rounded-full ' +
+        actionCls +
+        '">' +
+        rule.action +
+        "</span>" +
+        '<span class="text-xs font-semibold text-slate-500 dark:text-slate-400">' +
+        kinds[rule.kind] +
+        "</span>" +
+        (rule.value !== null
+          ? '<code class="text-sm text-slate-900 dark:text-white break-all">' +
+            escapeHtml(rule.value) +
+            "</code>"
+          : "") +
+        (rule.note
+          ? '<span class="text-sm text-slate-600 dark:text-slate-300">' +
+            escapeHtml(rule.note) +
+            "</span>"
+          : "") +
+        "</div>" +
+        '<p class="text-xs text-slate-400 dark:text-slate-500 mt-1">' +
+        rule.hit_count +
+        (rule.hit_count === 1 ? " hit" : " hits") +
+        (rule.last_hit_at ? ", last " + formatDate(rule.last_hit_at) : "") +
+        " &middot; " +
+        (rule.active ? "expires " : "expired ") +
+        formatDate(rule.expires_at) +
+        "</p>" +
+        "</div>" +
+        '<button class="admin-action-btn admin-action-delete admin-rule-delete flex-shrink-0" data-id="' +
+        rule.id +
+        '" title="Delete rule">' +
+        '<i class="ti ti-trash"></i>' +
+        "</button>" +
+        "</div>";
+    });
+
+    ruleListEl.innerHTML = html;
+
+    ruleListEl.querySelectorAll(".admin-rule-delete").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        if (confirm("Delete this rule?")) {
+          deleteRule(parseInt(btn.getAttribute("data-id"), 10));
+        }
+      });
+    });
+  }
+
+  // --- Create a rule (from the form or a comment card) ---
+  async function createRule(body) {
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/comment-rules", {
+        method: "POST",
+        body: JSON.stringify(body),
+      });
+
+      if (response.ok) {
+        await loadRules();
+        return true;
+      }
+      var err = await response.json();
+      alert("Failed to add rule: " + (err.error || response.statusText));
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+    return false;
+  }
+
+  // --- Delete a rule ---
+  async function deleteRule(id) {
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/comment-rules/" + id,
+        { method: "DELETE" },
+      );
+
+      if (response.ok) {
+        await loadRules();
+      } else {
+        var err = await response.json();
+        alert("Failed to delete rule: " + (err.error || response.statusText));
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+  }
+
+  // --- Set up the rule form ---
+  function setupRuleForm() {
+    ruleFormEl.addEventListener("submit", async function (e) {
+      e.preventDefault();
+      var submitBtn = ruleFormEl.querySelector('[type="submit"]');
+      submitBtn.disabled = true;
+      var created = await createRule({
+        action: ruleFormEl.elements.action.value,
+        kind: ruleFormEl.elements.kind.value,
+        value: ruleFormEl.elements.value.value,
+        expires_in_days: parseInt(ruleFormEl.elements.days.value, 10),
+        note: ruleFormEl.elements.note.value,
+      });
+      submitBtn.disabled = false;
+      if (created) {
+        ruleFormEl.elements.value.value = "";
+        ruleFormEl.elements.note.value = "";
+      }
+    });
+  }
+
   // --- Set up filter buttons ---
   function setupFilters() {
     var buttons = filtersEl.querySelectorAll(".filter-btn");
@@ -309,9 +973,11 @@
         });
         btn.classList.add("filter-btn-active");
 
-        // Load filtered comments
+        // Show the filtered comments (selection is per filter)
         currentFilter = btn.getAttribute("data-status");
-        loadComments(currentFilter);
+        selected = {};
+        focusIndex = 0;
+        render();
       });
     });
   }
@@ -339,6 +1005,13 @@
     // Cache DOM references
     commentListEl = document.getElementById("comment-list");
     filtersEl = document.getElementById("comment-filters");
+    ruleListEl = document.getElementById("rule-list");
+    ruleFormEl = document.getElementById("rule-form");
+    selectAllEl = document.getElementById("select-all");
+    selectedCountEl = document.getElementById("selected-count");
+    purgeBtn = document.getElementById("purge-deleted");
+    undoBarEl = document.getElementById("undo-bar");
+    undoTextEl = document.getElementById("undo-text");
 
     // Set up logout button
     var logoutBtn = document.getElementById("logout-btn");
@@ -356,11 +1029,17 @@
       attributeFilter: ["class"],
     });
 
-    // Set up filter buttons
+    // Set up filter buttons, bulk actions and shortcuts
     setupFilters();
+    setupBulkBar();
+    setupKeyboard();
+
+    // Set up the rule form
+    setupRuleForm();
 
-    // Load all comments
-    await loadComments("all");
+    // Load all comments and the rules
+    loadRules();
+    await loadComments();
   }
 
   document.addEventListener("DOMContentLoaded", function () {
@@ -0,0 +1,361 @@
+// ============================================
+// Media Library Logic
+//
+// Handles the admin media page:
+//   - loadMedia() fetches the library from /api/admin/media
+//     (search box + filter buttons: all/images/audio/unused)
+//   - renderMedia(items) renders the grid with thumbnails and the
+//     posts using each file
+//   - deleteMedia(id) deletes an unused file (the API refuses with 409
+//     while a post uses it)
+//   - cleanUpOrphanAudio() deletes the Polly MP3s of deleted posts
+// ============================================
+
+(function () {
+  "use strict";
+
+  // --- Escape HTML to prevent XSS when inserting API data ---
+  function escapeHtml(text) {
+    var div = document.createElement("div");
+    div.appendChild(document.createTextNode(text));
+    return div.innerHTML;
+  }
+
+  // Same, for attribute values in double quotes
+  function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, "&quot;");
+  }
+
+  // --- State ---
+  var currentFilter = "all";
+  var searchTimer = null;
+
+  // --- DOM references ---
+  var mediaListEl, filtersEl, searchEl, orphanBtn;
+
+  // --- Format date ---
+  function formatDate(dateString) {
+    if (!dateString) return "--";
+    var d = new Date(dateString);
+    return d.toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+    });
+  }
+
+  // --- Format a file size ---
+  function formatSize(bytes) {
+    if (!bytes) return "";
+    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + " KB";
+    return (bytes / 1024 / 1024).toFixed(1) + " MB";
+  }
+
+  // --- Message box spanning the whole grid ---
+  function gridMessage(html) {
+    mediaListEl.innerHTML =
+      '<div class="sm:col-span-2 lg:col-span-3 p-8 text-center bg-white dark:bg-slate-800/50 rounded-xl border border-slate-200 dark:border-slate-700/50">' +
+      html +
+      "</div>";
+  }
+
+  // --- Load the library from the API ---
+  async function loadMedia() {
+    var params = new URLSearchParams();
+    var search = searchEl.value.trim();
+    if (search) params.set("search", search);
+    if (currentFilter === "image" || currentFilter === "audio") {
+      params.set("kind", currentFilter);
+    } else if (currentFilter === "unused") {
+      params.set("usage", "unused");
+    }
+
+    var items = [];
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/media?" + params.toString(),
+      );
+      if (response.ok) {
+        items = await response.json();
+      }
+    } catch (err) {
+      console.warn("Failed to load media:", err.message);
+    }
+
+    renderMedia(items);
+  }
+
+  // --- Thumbnail: smallest WebP variant of an image, an icon for audio ---
+  function thumbnail(item) {
+    if (item.kind === "audio") {
+      return (
+        '<div class="h-36 flex flex-col items-center justify-center gap-3 bg-slate-100 dark:bg-slate-900/60 px-4">' +
+        '<i class="ti ti-headphones text-3xl text-purple-500"></i>' +
+        '<audio controls preload="none" class="w-full h-8" src="' +
+        escapeAttr(item.url) +
+        '"></audio>' +
+        "</div>"
+      );
+    }
+    var src = item.variants.length > 0 ? item.variants[0].url : item.url;
+    return (
+      '<a href="' +
+      escapeAttr(item.url) +
+      '" target="_blank" rel="noopener" class="block h-36 bg-slate-100 dark:bg-slate-900/60">' +
+      '<img src="' +
+      escapeAttr(src) +
+      '" alt="" loading="lazy" class="w-full h-full object-cover" />' +
+      "</a>"
+    );
+  }
+
+  // --- "Used by" list, or an "Unused" badge ---
+  function usage(item) {
+    if (item.used_by.length === 0) {
+      return '<span class="inline-flex px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wider border rounded-full bg-amber-500/10 text-amber-600 dark:text-amber-400 border-amber-500/20">Unused</span>';
+    }
+    return (
+      '<p class="text-xs text-slate-400 dark:text-slate-500">Used by ' +
+      item.used_by
+        .map(function (post) {
+          return (
+            '<a href="/admin/posts.html?edit=' +
+            post.id +
+            '" class="text-sky-600 dark:text-sky-400 hover:underline">' +
+            escapeHtml(post.title) +
+            "</a>" +
+            (post.status === "published" ? "" : " (" + post.status + ")")
+          );
+        })
+        .join(", ") +
+      "</p>"
+    );
+  }
+
+  // --- Render the media grid ---
+  function renderMedia(items) {
+    if (items.length === 0) {
+      gridMessage(
+        '<i class="ti ti-photo-off text-4xl text-slate-300 dark:text-slate-600 mb-3 block"></i>' +
+          '<p class="text-sm text-slate-400 dark:text-slate-500">No files found</p>',
+      );
+      return;
+    }
+
+    var html = "";
+    items.forEach(function (item) {
+      var name = item.original_name || item.url.split("/").pop();
+      var details = [];
+      if (item.width && item.height) {
+        details.push(item.width + " &times; " + item.height);
+      }
+      if (item.size_bytes) details.push(formatSize(item.size_bytes));
+      details.push(formatDate(item.created_at));
+
+      var inUse = item.used_by.length > 0;
+
+      html +=
+        '<div class="bg-white dark:bg-slate-800/50 rounded-xl border border-slate-200 dark:border-slate-700/50 admin-media-card">' +
+        thumbnail(item) +
+        '<div class="p-3">' +
+        '<div class="flex items-start justify-between gap-2 mb-1">' +
+        '<p class="text-sm font-semibold text-slate-900 dark:text-white truncate" title="' +
+        escapeAttr(item.url) +
+        '">' +
+        escapeHtml(name) +
+        "</p>" +
+        '<div class="flex items-center gap-1 flex-shrink-0">' +
+        '<button class="admin-action-btn admin-action-copy" data-url="' +
+        escapeAttr(item.url) +
+        '" title="Copy URL">' +
+        '<i class="ti ti-copy"></i>' +
+        "</button>" +
+        '<button class="admin-action-btn admin-action-delete" data-id="' +
+        item.id +
+        '" title="' +
+        (inUse ? "Used by a post, remove it there first" : "Delete") +
+        '"' +
+        (inUse ? " disabled" : "") +
+        ">" +
+        '<i class="ti ti-trash"></i>' +
+        "</button>" +
+        "</div>" +
+        "</div>" +
+        '<p class="text-xs text-slate-400 dark:text-slate-500 mb-2">' +
+        details.join(" &middot; ") +
+        "</p>" +
+        usage(item) +
+        "</div>" +
+        "</div>";
+    });
+
+    mediaListEl.innerHTML = html;
+
+    mediaListEl.querySelectorAll(".admin-action-copy").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        var url = window.location.origin + btn.getAttribute("data-url");
+        navigator.clipboard.writeText(url).then(function () {
+          btn.innerHTML = '<i class="ti ti-check"></i>';
+          setTimeout(function () {
+            btn.innerHTML = '<i class="ti ti-copy"></i>';
+          }, 1500);
+        });
+      });
+    });
+
+    mediaListEl
+      .querySelectorAll(".admin-action-delete")
+      .forEach(function (btn) {
+        btn.addEventListener("click", function () {
+          if (confirm("Delete this file permanently?")) {
+            deleteMedia(parseInt(btn.getAttribute("data-id"), 10));
+          }
+        });
+      });
+  }
+
+  // --- Delete an unused file ---
+  async function deleteMedia(id) {
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/media/" + id, {
+        method: "DELETE",
+      });
+
+      if (response.ok) {
+        var scrollY = window.scrollY;
+        await loadMedia();
+        window.scrollTo(0, scrollY);
+      } else {
+        var err = await response.json();
+        var posts = (err.used_by || [])
+          .map(function (post) {
+            return "\n- " + post.title;
+          })
+          .join("");
+        alert(
+          "Failed to delete: " + (err.error || response.statusText) + posts,
+        );
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+  }
+
+  // --- Delete the MP3s of deleted posts (asks first, showing the count) ---
+  async function cleanUpOrphanAudio() {
+    orphanBtn.disabled = true;
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/media/orphan-audio");
+      var data = await response.json();
+      if (!response.ok) {
+        alert("Failed to check audio: " + (data.error || response.statusText));
+        return;
+      }
+      if (data.keys.length === 0) {
+        alert("No orphaned audio files found.");
+        return;
+      }
+      if (
+        !confirm(
+          "Delete " +
+            data.keys.length +
+            " audio file(s) of deleted posts from S3?\n\n" +
+            data.keys.slice(0, 10).join("\n") +
+            (data.keys.length > 10 ? "\n..." : ""),
+        )
+      ) {
+        return;
+      }
+
+      response = await AdminAuth.authFetch("/api/admin/media/orphan-audio", {
+        method: "DELETE",
+      });
+      data = await response.json();
+      if (response.ok) {
+        alert("Deleted " + data.deleted + " audio file(s).");
+        await loadMedia();
+      } else {
+        alert("Failed to delete: " + (data.error || response.statusText));
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    } finally {
+      orphanBtn.disabled = false;
+    }
+  }
+
+  // --- Set up search box and filter buttons ---
+  function setupFilters() {
+    var buttons = filtersEl.querySelectorAll(".filter-btn");
+
+    buttons.forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        buttons.forEach(function (b) {
+          b.classList.remove("filter-btn-active");
+        });
+        btn.classList.add("filter-btn-active");
+
+        currentFilter = btn.getAttribute("data-filter");
+        loadMedia();
+      });
+    });
+
+    // Search as you type, once typing pauses
+    searchEl.addEventListener("input", function () {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(loadMedia, 300);
+    });
+  }
+
+  // --- Theme label update ---
+  function updateThemeLabel() {
+    var label = document.getElementById("theme-label");
+    if (label) {
+      var isDark = document.documentElement.classList.contains("dark");
+      label.textContent = isDark ? "Light Mode" : "Dark Mode";
+    }
+  }
+
+  // --- Initialize ---
+  async function init() {
+    // Require authentication
+    AdminAuth.requireLogin();
+
+    // Show dev mode badge
+    if (AdminAuth.isDevMode()) {
+      var badge = document.getElementById("sidebar-dev-badge");
+      if (badge) badge.classList.remove("hidden");
+    }
+
+    // Cache DOM references
+    mediaListEl = document.getElementById("media-list");
+    filtersEl = document.getElementById("media-filters");
+    searchEl = document.getElementById("media-search");
+    orphanBtn = document.getElementById("orphan-audio-btn");
+
+    // Set up logout button
+    var logoutBtn = document.getElementById("logout-btn");
+    if (logoutBtn) {
+      logoutBtn.addEventListener("click", function () {
+        AdminAuth.logout();
+      });
+    }
+
+    // Theme label
+    updateThemeLabel();
+    var observer = new MutationObserver(updateThemeLabel);
+    observer.observe(document.documentElement, {
+      attributes: true,
+      attributeFilter: ["class"],
+    });
+
+    setupFilters();
+    orphanBtn.addEventListener("click", cleanUpOrphanAudio);
+
+    await loadMedia();
+  }
+
+  document.addEventListener("DOMContentLoaded", function () {
+    init();
+  });
+})();
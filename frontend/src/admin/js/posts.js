@@ -5,9 +5,18 @@
 //   - loadPostList() fetches all posts from /api/admin/posts
 //   - showEditor(id?) opens the editor for new or existing post
 //   - hideEditor() returns to the list view
-//   - setupPreview() enables live Markdown preview
+//   - setupPreview() enables live Markdown preview (POST /api/admin/render)
+//   - setupImageUploads() uploads dropped/pasted images into the
+//     Markdown and the cover image field (POST /api/admin/images)
 //   - savePost() creates or updates a post via API
+//     (status "scheduled" + publish_at = publish later)
 //   - deletePost(id) deletes a post after confirmation
+//   - loadHistory() lists the revisions of the edited post,
+//     showRevisionDiff(n) / restoreRevision() diff and restore them
+//   - loadPreviewLinks() lists the preview links of a draft or
+//     scheduled post, createPreviewLink() / revokePreviewLink(id)
+//   - loadSeries() fills the series dropdown, createSeries() adds one;
+//     loadSeriesParts(id) / moveSeriesPart() reorder the parts
 // ============================================
 
 (function () {
@@ -17,6 +26,21 @@
   var editingPostId = null; // null = new post, number = editing existing
   var categories = [];
   var previewTimer = null;
+  var previewRequest = 0; // numbers preview renders, only the latest is shown
+  var selectedRevision = null; // revision number shown in the history diff
+  var autoTags = []; // accepted Comprehend tags of the edited post
+  var tagSuggestions = []; // pending Comprehend suggestions
+  var uploadCounter = 0; // numbers the upload placeholders in the Markdown
+  var seriesList = []; // all series, for the dropdown
+  var seriesParts = []; // parts of the edited post's series, in order
+  var partsSeriesId = null; // series shown in the parts panel
+
+  // Unchanged diff blocks longer than this are collapsed (context lines kept)
+  var DIFF_CONTEXT_LINES = 3;
+
+  // Image types the upload endpoint accepts
+  var IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+  var UPLOAD_HINT = "Drop or paste images to upload";
 
   // --- DOM references (cached on DOMContentLoaded) ---
   var listView, editorView;
@@ -27,13 +51,37 @@
     editorSaveBtn,
     editorCancelBtn;
   var fieldTitle,
+    fieldSlug,
     fieldCategory,
     fieldStatus,
+    fieldPublishAt,
+    publishAtWrap,
     fieldFeatured,
     fieldExcerpt,
     fieldTags,
+    fieldCover,
+    coverThumbEl,
+    coverFileInput,
+    coverUploadBtn,
+    coverDropEl,
+    uploadStatusEl,
+    autoTagsEl,
+    tagSuggestionsEl,
+    tagSuggestionsListEl,
+    fieldSeries,
+    seriesNewBtn,
     fieldContent;
   var previewEl;
+  var historyPanel, historyListEl, historyDiffEl, historyRestoreBtn;
+  var previewsPanel, previewListEl, previewExpiryEl, previewCreateBtn;
+  var seriesPanel, seriesTitleEl, seriesPartsEl;
+
+  // --- Escape HTML to prevent XSS when inserting API data ---
+  function escapeHtml(text) {
+    var div = document.createElement("div");
+    div.appendChild(document.createTextNode(text));
+    return div.innerHTML;
+  }
 
   // --- Status badge HTML (matches admin.js pattern) ---
   function statusBadge(status) {
@@ -42,6 +90,8 @@
         "bg-green-500/10 text-green-600 dark:text-green-400 border-green-500/20",
       draft:
         "bg-amber-500/10 text-amber-600 dark:text-amber-400 border-amber-500/20",
+      scheduled:
+        "bg-violet-500/10 text-violet-600 dark:text-violet-400 border-violet-500/20",
       archived: "bg-slate-500/10 text-slate-500 border-slate-500/20",
     };
     var cls = colors[status] || colors.draft;
@@ -54,6 +104,35 @@
     );
   }
 
+  // --- Translation/audio cache indicator (current, stale or missing) ---
+  function cacheIndicator(icon, label, status) {
+    var styles = {
+      current: { cls: "text-green-500", text: "up to date" },
+      stale: {
+        cls: "text-amber-500",
+        text: "out of date, regenerated on next request",
+      },
+      missing: {
+        cls: "text-slate-300 dark:text-slate-600",
+        text: "not generated yet",
+      },
+    };
+    var style = styles[status] || styles.missing;
+    return (
+      '<span class="inline-flex items-center gap-0.5 text-[11px] ' +
+      style.cls +
+      '" title="' +
+      label +
+      ": " +
+      style.text +
+      '"><i class="ti ' +
+      icon +
+      '"></i>' +
+      (status === "stale" ? '<i class="ti ti-alert-triangle"></i>' : "") +
+      "</span>"
+    );
+  }
+
   // --- Format date to readable string ---
   function formatDate(dateString) {
     if (!dateString) return "--";
@@ -71,6 +150,109 @@
     return text.length > maxLen ? text.substring(0, maxLen) + "..." : text;
   }
 
+  // --- Date -> value for a datetime-local input (local time, minutes) ---
+  function toDateTimeLocal(dateString) {
+    if (!dateString) return "";
+    var d = new Date(dateString);
+    var pad = function (n) {
+      return (n < 10 ? "0" : "") + n;
+    };
+    return (
+      d.getFullYear() +
+      "-" +
+      pad(d.getMonth() + 1) +
+      "-" +
+      pad(d.getDate()) +
+      "T" +
+      pad(d.getHours()) +
+      ":" +
+      pad(d.getMinutes())
+    );
+  }
+
+  // --- Show the publish date picker only for scheduled posts ---
+  function updatePublishAtVisibility() {
+    publishAtWrap.classList.toggle("hidden", fieldStatus.value !== "scheduled");
+  }
+
+  // --- List Comprehend tags below the tag field ---
+  function renderAutoTags(tags) {
+    autoTagsEl.classList.toggle("hidden", tags.length === 0);
+    autoTagsEl.textContent = tags.length
+      ? "Auto-tagged: " +
+        tags
+          .map(function (t) {
+            return t.name + " (" + Math.round(t.confidence * 100) + "%)";
+          })
+          .join(", ")
+      : "";
+  }
+
+  // --- Pending Comprehend suggestions as accept/reject chips ---
+  function renderTagSuggestions() {
+    tagSuggestionsEl.classList.toggle("hidden", tagSuggestions.length === 0);
+    tagSuggestionsListEl.innerHTML = tagSuggestions
+      .map(function (s) {
+        return (
+          '<span class="inline-flex items-center gap-1 pl-2.5 pr-1 py-0.5 text-xs rounded-full border border-sky-500/20 bg-sky-500/10 text-sky-700 dark:text-sky-300">' +
+          escapeHtml(s.name) +
+          '<span class="text-[10px] text-slate-400">' +
+          Math.round(s.confidence * 100) +
+          "%</span>" +
+          '<button type="button" class="tag-suggestion-btn p-0.5 rounded-full hover:bg-green-500/20 hover:text-green-600" data-tag-id="' +
+          s.tag_id +
+          '" data-status="accepted" title="Accept: show this tag on the post"><i class="ti ti-check"></i></button>' +
+          '<button type="button" class="tag-suggestion-btn p-0.5 rounded-full hover:bg-red-500/20 hover:text-red-500" data-tag-id="' +
+          s.tag_id +
+          '" data-status="rejected" title="Reject: never suggest it again"><i class="ti ti-x"></i></button>' +
+          "</span>"
+        );
+      })
+      .join("");
+
+    tagSuggestionsListEl
+      .querySelectorAll(".tag-suggestion-btn")
+      .forEach(function (btn) {
+        btn.addEventListener("click", function () {
+          decideTagSuggestion(
+            parseInt(btn.getAttribute("data-tag-id"), 10),
+            btn.getAttribute("data-status"),
+          );
+        });
+      });
+  }
+
+  // --- Accept or reject a suggestion (takes effect immediately) ---
+  async function decideTagSuggestion(tagId, status) {
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/posts/" + editingPostId + "/tag-suggestions/" + tagId,
+        { method: "PUT", body: JSON.stringify({ status: status }) },
+      );
+
+      if (response.ok) {
+        var suggestion = tagSuggestions.filter(function (s) {
+          return s.tag_id === tagId;
+        })[0];
+        tagSuggestions = tagSuggestions.filter(function (s) {
+          return s.tag_id !== tagId;
+        });
+        if (status === "accepted" && suggestion) {
+          autoTags.push(suggestion);
+          renderAutoTags(autoTags);
+        }
+        renderTagSuggestions();
+      } else {
+        var err = await response.json();
+        alert(
+          "Failed to update suggestion: " + (err.error || response.statusText),
+        );
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+  }
+
   // --- Load categories for the dropdown ---
   async function loadCategories() {
     try {
@@ -92,6 +274,139 @@
     });
   }
 
+  // --- Load series for the dropdown (keeps the current selection) ---
+  async function loadSeries() {
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/series");
+      if (response.ok) {
+        seriesList = await response.json();
+      }
+    } catch (err) {
+      console.warn("Failed to load series:", err.message);
+    }
+
+    var selected = fieldSeries.value;
+    fieldSeries.innerHTML = '<option value="">Not part of a series</option>';
+    seriesList.forEach(function (series) {
+      var option = document.createElement("option");
+      option.value = series.id;
+      option.textContent = series.title + " (" + series.post_count + ")";
+      fieldSeries.appendChild(option);
+    });
+    fieldSeries.value = selected;
+  }
+
+  // --- Create a series and select it for the edited post ---
+  async function createSeries() {
+    var title = prompt("Title of the new series:");
+    if (!title || !title.trim()) return;
+
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/series", {
+        method: "POST",
+        body: JSON.stringify({ title: title.trim() }),
+      });
+      var data = await response.json();
+      if (response.ok) {
+        await loadSeries();
+        fieldSeries.value = data.id;
+      } else {
+        alert(
+          "Failed to create series: " + (data.error || response.statusText),
+        );
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+  }
+
+  // --- Parts panel: the series of the saved post with reorder buttons ---
+  async function loadSeriesParts(seriesId) {
+    partsSeriesId = seriesId;
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/series/" + seriesId);
+      if (response.ok) {
+        renderSeriesParts(await response.json());
+      }
+    } catch (err) {
+      console.warn("Failed to load series parts:", err.message);
+    }
+  }
+
+  function renderSeriesParts(series) {
+    seriesParts = series.posts;
+    seriesTitleEl.textContent = "Series: " + series.title;
+
+    seriesPartsEl.innerHTML = seriesParts
+      .map(function (part, index) {
+        var current = part.id === editingPostId;
+        return (
+          '<li class="flex items-center gap-2 py-2 border-t border-slate-100 dark:border-slate-700/30">' +
+          '<span class="w-6 text-xs text-slate-400 dark:text-slate-500">' +
+          (index + 1) +
+          ".</span>" +
+          '<span class="flex-1 text-sm ' +
+          (current
+            ? "font-semibold text-slate-900 dark:text-white"
+            : "text-slate-600 dark:text-slate-300") +
+          '">' +
+          escapeHtml(part.title) +
+          "</span>" +
+          statusBadge(part.status) +
+          '<button class="admin-action-btn series-move" data-index="' +
+          index +
+          '" data-delta="-1" title="Move up"' +
+          (index === 0 ? " disabled" : "") +
+          ">" +
+          '<i class="ti ti-arrow-up"></i>' +
+          "</button>" +
+          '<button class="admin-action-btn series-move" data-index="' +
+          index +
+          '" data-delta="1" title="Move down"' +
+          (index === seriesParts.length - 1 ? " disabled" : "") +
+          ">" +
+          '<i class="ti ti-arrow-down"></i>' +
+          "</button>" +
+          "</li>"
+        );
+      })
+      .join("");
+
+    seriesPartsEl.querySelectorAll(".series-move").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        moveSeriesPart(
+          parseInt(btn.getAttribute("data-index"), 10),
+          parseInt(btn.getAttribute("data-delta"), 10),
+        );
+      });
+    });
+    seriesPanel.classList.remove("hidden");
+  }
+
+  // --- Swap a part with its neighbour (saved right away) ---
+  async function moveSeriesPart(index, delta) {
+    var ids = seriesParts.map(function (part) {
+      return part.id;
+    });
+    var moved = ids.splice(index, 1)[0];
+    ids.splice(index + delta, 0, moved);
+
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/series/" + partsSeriesId,
+        { method: "PUT", body: JSON.stringify({ post_ids: ids }) },
+      );
+      var data = await response.json();
+      if (response.ok) {
+        renderSeriesParts(data);
+      } else {
+        alert("Failed to reorder: " + (data.error || response.statusText));
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+  }
+
   // --- Load and render post list ---
   async function loadPostList() {
     postListEl.innerHTML =
@@ -127,13 +442,16 @@
       '<th class="text-left px-5 py-3 text-[11px] font-semibold uppercase tracking-wider text-slate-400 dark:text-slate-500 hidden md:table-cell">Category</th>' +
       '<th class="text-left px-5 py-3 text-[11px] font-semibold uppercase tracking-wider text-slate-400 dark:text-slate-500 hidden lg:table-cell">Date</th>' +
       '<th class="text-left px-5 py-3 text-[11px] font-semibold uppercase tracking-wider text-slate-400 dark:text-slate-500 hidden lg:table-cell">Views</th>' +
+      '<th class="text-left px-5 py-3 text-[11px] font-semibold uppercase tracking-wider text-slate-400 dark:text-slate-500 hidden xl:table-cell">EN / Audio</th>' +
       '<th class="text-right px-5 py-3 text-[11px] font-semibold uppercase tracking-wider text-slate-400 dark:text-slate-500">Actions</th>' +
       "</tr>" +
       "</thead>" +
       "<tbody>";
 
     posts.forEach(function (post) {
-      var date = formatDate(post.published_at || post.created_at);
+      var date = formatDate(
+        post.publish_at || post.published_at || post.created_at,
+      );
       var featuredIcon = post.featured
         ? ' <i class="ti ti-star-filled text-amber-400 text-xs" title="Featured"></i>'
         : "";
@@ -166,6 +484,17 @@
         (post.view_count || 0) +
         "</span>" +
         "</td>" +
+        '<td class="px-5 py-3 hidden xl:table-cell">' +
+        '<div class="flex items-center gap-2">' +
+        cacheIndicator(
+          "ti-language",
+          "English translation",
+          post.translation_status,
+        ) +
+        cacheIndicator("ti-volume", "German audio", post.audio_de_status) +
+        cacheIndicator("ti-volume-2", "English audio", post.audio_en_status) +
+        "</div>" +
+        "</td>" +
         '<td class="px-5 py-3 text-right">' +
         '<div class="flex items-center justify-end gap-1">' +
         '<button class="admin-action-btn admin-action-edit" data-id="' +
@@ -210,14 +539,26 @@
 
     // Reset form
     fieldTitle.value = "";
+    fieldSlug.value = "";
+    fieldCover.value = "";
+    updateCoverThumb();
     fieldCategory.value = "";
     fieldStatus.value = "draft";
+    fieldPublishAt.value = "";
     fieldFeatured.checked = false;
     fieldExcerpt.value = "";
     fieldTags.value = "";
+    autoTags = [];
+    tagSuggestions = [];
+    renderAutoTags(autoTags);
+    renderTagSuggestions();
+    fieldSeries.value = "";
+    seriesPanel.classList.add("hidden");
     fieldContent.value = "";
     previewEl.innerHTML =
       '<p class="text-slate-400 dark:text-slate-500 text-sm italic">Preview will appear here...</p>';
+    updatePublishAtVisibility();
+    previewsPanel.classList.add("hidden");
 
     if (editingPostId) {
       // Load existing post data
@@ -231,30 +572,61 @@
         if (response.ok) {
           var post = await response.json();
           fieldTitle.value = post.title || "";
+          fieldSlug.value = post.slug || "";
+          fieldCover.value = post.cover_image_url || "";
+          updateCoverThumb();
           fieldCategory.value = post.category_id || "";
           fieldStatus.value = post.status || "draft";
+          fieldPublishAt.value = toDateTimeLocal(post.publish_at);
           fieldFeatured.checked = post.featured || false;
           fieldExcerpt.value = post.excerpt || "";
+          fieldSeries.value = post.series_id || "";
           fieldContent.value = post.content || "";
 
-          // Set tags
-          if (post.tags && post.tags.length > 0) {
-            fieldTags.value = post.tags
-              .map(function (t) {
-                return t.name;
-              })
-              .join(", ");
-          }
+          // Set tags: manual tags are editable, Comprehend tags (with a
+          // confidence) are listed below the field and kept on save
+          var tags = post.tags || [];
+          fieldTags.value = tags
+            .filter(function (t) {
+              return t.confidence === null;
+            })
+            .map(function (t) {
+              return t.name;
+            })
+            .join(", ");
+          autoTags = tags.filter(function (t) {
+            return t.confidence !== null;
+          });
+          renderAutoTags(autoTags);
+
+          // Comprehend suggestions wait for accept/reject before going public
+          tagSuggestions = post.tag_suggestions || [];
+          renderTagSuggestions();
 
           // Trigger preview update
           updatePreview();
+          updatePublishAtVisibility();
+
+          if (post.series_id) {
+            loadSeriesParts(post.series_id);
+          }
+
+          // Published posts are shared with their normal URL
+          if (post.status === "draft" || post.status === "scheduled") {
+            previewsPanel.classList.remove("hidden");
+            loadPreviewLinks();
+          }
         }
       } catch (err) {
         console.warn("Failed to load post for editing:", err.message);
       }
+
+      historyPanel.classList.remove("hidden");
+      loadHistory();
     } else {
       editorTitle.textContent = "New Post";
       editorSubtitle.textContent = "Create a new blog post";
+      historyPanel.classList.add("hidden");
     }
 
     // Update URL params
@@ -288,30 +660,31 @@
   }
 
   // --- Live Markdown preview ---
-  function updatePreview() {
+  // Rendered by the backend, so the preview shows the same sanitized
+  // HTML (heading anchors, highlighting) as the published post
+  async function updatePreview() {
     var markdown = fieldContent.value;
     if (!markdown.trim()) {
+      previewRequest++;
       previewEl.innerHTML =
         '<p class="text-slate-400 dark:text-slate-500 text-sm italic">Preview will appear here...</p>';
       return;
     }
 
-    // Configure marked with highlight.js for code blocks
-    marked.setOptions({
-      highlight: function (code, lang) {
-        if (lang && hljs.getLanguage(lang)) {
-          return hljs.highlight(code, { language: lang }).value;
-        }
-        return hljs.highlightAuto(code).value;
-      },
-      breaks: true,
-    });
+    var request = ++previewRequest;
+    try {
+      var response = await AdminAuth.authFetch("/api/admin/render", {
+        method: "POST",
+        body: JSON.stringify({ content: markdown }),
+      });
+      if (!response.ok) throw new Error("HTTP " + response.status);
+      var data = await response.json();
 
-    // Sanitize Markdown HTML to prevent XSS in admin preview
-    previewEl.innerHTML =
-      typeof DOMPurify !== "undefined"
-        ? DOMPurify.sanitize(marked.parse(markdown))
-        : marked.parse(markdown);
+      // Skip answers that arrive after a newer request
+      if (request === previewRequest) previewEl.innerHTML = data.html;
+    } catch (err) {
+      console.warn("Failed to render preview:", err.message);
+    }
   }
 
   function setupPreview() {
@@ -322,6 +695,148 @@
     });
   }
 
+  // --- Image uploads ---
+
+  // Upload one image file; resolves to { url, width, height, variants }
+  async function uploadImage(file) {
+    var response = await AdminAuth.authFetch(
+      "/api/admin/images?filename=" + encodeURIComponent(file.name || "image"),
+      { method: "POST", headers: { "Content-Type": file.type }, body: file },
+    );
+    var data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || response.statusText);
+    }
+    return data;
+  }
+
+  // --- Image files of a drop or paste event ---
+  function imageFiles(dataTransfer) {
+    if (!dataTransfer || !dataTransfer.files) return [];
+    return Array.prototype.filter.call(dataTransfer.files, function (file) {
+      return IMAGE_TYPES.indexOf(file.type) !== -1;
+    });
+  }
+
+  // --- Accept dropped files (other drags keep their default) ---
+  function allowFileDrop(e) {
+    if (
+      e.dataTransfer &&
+      Array.prototype.indexOf.call(e.dataTransfer.types, "Files") !== -1
+    ) {
+      e.preventDefault();
+    }
+  }
+
+  // --- Alt text from a file name ("aws-setup_2.png" -> "aws setup 2") ---
+  function altTextFor(file) {
+    var name = (file.name || "")
+      .replace(/\.[a-z0-9]+$/i, "")
+      .replace(/[-_]+/g, " ")
+      .trim();
+    // Pasted screenshots are all called "image.png"
+    return name === "image" ? "" : name;
+  }
+
+  // --- Insert text at the cursor of the Markdown field ---
+  function insertAtCursor(text) {
+    var start = fieldContent.selectionStart;
+    var end = fieldContent.selectionEnd;
+    fieldContent.value =
+      fieldContent.value.slice(0, start) + text + fieldContent.value.slice(end);
+    fieldContent.selectionStart = fieldContent.selectionEnd =
+      start + text.length;
+  }
+
+  // --- Upload images into the post ---
+  // A placeholder is inserted at the cursor right away and replaced with
+  // the Markdown image once the upload is done (or removed if it fails).
+  async function uploadInlineImages(files) {
+    for (var i = 0; i < files.length; i++) {
+      var file = files[i];
+      var placeholder = "![Uploading image " + ++uploadCounter + "...]()";
+      insertAtCursor(placeholder);
+      uploadStatusEl.textContent =
+        "Uploading " + (file.name || "image") + "...";
+
+      try {
+        var image = await uploadImage(file);
+        fieldContent.value = fieldContent.value.replace(
+          placeholder,
+          "![" + altTextFor(file) + "](" + image.url + ")",
+        );
+      } catch (err) {
+        fieldContent.value = fieldContent.value.replace(placeholder, "");
+        alert(
+          "Failed to upload " + (file.name || "image") + ": " + err.message,
+        );
+      }
+      updatePreview();
+    }
+    uploadStatusEl.textContent = UPLOAD_HINT;
+  }
+
+  // --- Cover image ---
+  function updateCoverThumb() {
+    var url = fieldCover.value.trim();
+    if (url) {
+      coverThumbEl.src = url;
+      coverThumbEl.classList.remove("hidden");
+    } else {
+      coverThumbEl.removeAttribute("src");
+      coverThumbEl.classList.add("hidden");
+    }
+  }
+
+  async function uploadCover(file) {
+    coverUploadBtn.disabled = true;
+    try {
+      var image = await uploadImage(file);
+      fieldCover.value = image.url;
+      updateCoverThumb();
+    } catch (err) {
+      alert("Failed to upload cover image: " + err.message);
+    } finally {
+      coverUploadBtn.disabled = false;
+    }
+  }
+
+  function setupImageUploads() {
+    // Markdown field: drop or paste image files
+    fieldContent.addEventListener("dragover", allowFileDrop);
+    fieldContent.addEventListener("drop", function (e) {
+      var files = imageFiles(e.dataTransfer);
+      if (files.length === 0) return;
+      e.preventDefault();
+      uploadInlineImages(files);
+    });
+    fieldContent.addEventListener("paste", function (e) {
+      var files = imageFiles(e.clipboardData);
+      if (files.length === 0) return;
+      e.preventDefault();
+      uploadInlineImages(files);
+    });
+
+    // Cover image: upload button, dropped file or a typed URL
+    coverUploadBtn.addEventListener("click", function () {
+      coverFileInput.click();
+    });
+    coverFileInput.addEventListener("change", function () {
+      if (coverFileInput.files.length > 0) {
+        uploadCover(coverFileInput.files[0]);
+      }
+      coverFileInput.value = "";
+    });
+    coverDropEl.addEventListener("dragover", allowFileDrop);
+    coverDropEl.addEventListener("drop", function (e) {
+      var files = imageFiles(e.dataTransfer);
+      if (files.length === 0) return;
+      e.preventDefault();
+      uploadCover(files[0]);
+    });
+    fieldCover.addEventListener("change", updateCoverThumb);
+  }
+
   // --- Save post (create or update) ---
   async function savePost() {
     var title = fieldTitle.value.trim();
@@ -345,6 +860,17 @@
       return;
     }
 
+    // Scheduled posts need a go-live time in the future
+    var publishAt = null;
+    if (fieldStatus.value === "scheduled") {
+      publishAt = fieldPublishAt.value ? new Date(fieldPublishAt.value) : null;
+      if (!publishAt || publishAt.getTime() <= Date.now()) {
+        alert("Please pick a publish date in the future.");
+        fieldPublishAt.focus();
+        return;
+      }
+    }
+
     // Build request body
     var body = {
       title: title,
@@ -353,11 +879,23 @@
       status: fieldStatus.value,
       featured: fieldFeatured.checked,
       excerpt: fieldExcerpt.value.trim() || null,
+      cover_image_url: fieldCover.value.trim() || null,
+      series_id: fieldSeries.value ? parseInt(fieldSeries.value, 10) : null,
     };
+    if (publishAt) {
+      body.publish_at = publishAt.toISOString();
+    }
+
+    // Explicit slug; left empty, the API derives it from the title
+    var slug = fieldSlug.value.trim();
+    if (slug) {
+      body.slug = slug;
+    }
 
-    // Parse tags
+    // Parse tags. Always sent when editing, so clearing the field removes
+    // the manual tags (Comprehend tags are kept by the API).
     var tagsValue = fieldTags.value.trim();
-    if (tagsValue) {
+    if (tagsValue || editingPostId) {
       body.tags = tagsValue
         .split(",")
         .map(function (t) {
@@ -383,9 +921,10 @@
       });
 
       if (response.ok) {
-        // Reload list and go back
+        // Reload list and go back (series counts may have changed)
         hideEditor();
         await loadPostList();
+        await loadSeries();
       } else {
         var err = await response.json();
         alert("Failed to save: " + (err.error || response.statusText));
@@ -399,6 +938,316 @@
     }
   }
 
+  // --- Revision history ---
+  async function loadHistory() {
+    selectedRevision = null;
+    historyRestoreBtn.classList.add("hidden");
+    historyDiffEl.innerHTML =
+      '<p class="px-4 text-slate-400 dark:text-slate-500 text-sm italic font-sans">Select a revision to see what changed.</p>';
+    historyListEl.innerHTML =
+      '<div class="p-4 text-sm text-slate-400 dark:text-slate-500">Loading...</div>';
+
+    var revisions = [];
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/posts/" + editingPostId + "/revisions",
+      );
+      if (response.ok) {
+        revisions = await response.json();
+      }
+    } catch (err) {
+      console.warn("Failed to load revisions:", err.message);
+    }
+
+    if (revisions.length === 0) {
+      historyListEl.innerHTML =
+        '<div class="p-4 text-sm text-slate-400 dark:text-slate-500">No revisions yet. Every save creates one.</div>';
+      return;
+    }
+
+    var latest = revisions[0].revision_number;
+    historyListEl.innerHTML = revisions
+      .map(function (rev) {
+        var author = rev.author_name || rev.author_sub || "Original";
+        var label =
+          rev.revision_number === latest
+            ? " (current)"
+            : rev.restored_from
+              ? " (restored #" + rev.restored_from + ")"
+              : "";
+        return (
+          '<button class="history-item w-full text-left px-4 py-2.5 border-b border-slate-100 dark:border-slate-700/30 last:border-0" data-revision="' +
+          rev.revision_number +
+          '">' +
+          '<div class="text-sm font-medium text-slate-900 dark:text-white">#' +
+          rev.revision_number +
+          escapeHtml(label) +
+          "</div>" +
+          '<div class="text-xs text-slate-500 dark:text-slate-400">' +
+          escapeHtml(author) +
+          " &middot; " +
+          new Date(rev.created_at).toLocaleString("en-US") +
+          "</div>" +
+          "</button>"
+        );
+      })
+      .join("");
+
+    historyListEl.querySelectorAll(".history-item").forEach(function (item) {
+      item.addEventListener("click", function () {
+        showRevisionDiff(
+          parseInt(item.getAttribute("data-revision"), 10),
+          latest,
+        );
+      });
+    });
+  }
+
+  // --- Preview links ---
+  async function loadPreviewLinks() {
+    var links = [];
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/posts/" + editingPostId + "/previews",
+      );
+      if (response.ok) {
+        links = await response.json();
+      }
+    } catch (err) {
+      console.warn("Failed to load preview links:", err.message);
+    }
+
+    if (links.length === 0) {
+      previewListEl.innerHTML =
+        '<p class="text-sm text-slate-400 dark:text-slate-500 italic">No active preview links.</p>';
+      return;
+    }
+
+    previewListEl.innerHTML = links
+      .map(function (link) {
+        return (
+          '<div class="flex items-center gap-2 py-2 border-t border-slate-100 dark:border-slate-700/30">' +
+          '<input type="text" readonly class="input-v2 flex-1 font-mono text-xs" value="' +
+          escapeHtml(link.url).replace(/"/g, "&quot;") +
+          '" />' +
+          '<span class="text-xs text-slate-500 dark:text-slate-400 whitespace-nowrap">until ' +
+          new Date(link.expires_at).toLocaleString("en-US") +
+          "</span>" +
+          '<button class="admin-action-btn preview-copy" data-url="' +
+          escapeHtml(link.url).replace(/"/g, "&quot;") +
+          '" title="Copy link">' +
+          '<i class="ti ti-copy"></i>' +
+          "</button>" +
+          '<button class="admin-action-btn admin-action-delete preview-revoke" data-id="' +
+          link.id +
+          '" title="Revoke">' +
+          '<i class="ti ti-link-off"></i>' +
+          "</button>" +
+          "</div>"
+        );
+      })
+      .join("");
+
+    previewListEl.querySelectorAll(".preview-copy").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        copyPreviewLink(btn.getAttribute("data-url"), btn);
+      });
+    });
+    previewListEl.querySelectorAll(".preview-revoke").forEach(function (btn) {
+      btn.addEventListener("click", function () {
+        revokePreviewLink(parseInt(btn.getAttribute("data-id"), 10));
+      });
+    });
+  }
+
+  // --- Copy a preview link to the clipboard ---
+  async function copyPreviewLink(url, btn) {
+    try {
+      await navigator.clipboard.writeText(url);
+      btn.innerHTML = '<i class="ti ti-check"></i>';
+      setTimeout(function () {
+        btn.innerHTML = '<i class="ti ti-copy"></i>';
+      }, 1500);
+    } catch (err) {
+      // No clipboard access (e.g. plain http): the link can be selected
+      console.warn("Failed to copy preview link:", err.message);
+    }
+  }
+
+  // --- Create a preview link for the saved version of the post ---
+  async function createPreviewLink() {
+    try {
+      previewCreateBtn.disabled = true;
+      var response = await AdminAuth.authFetch(
+        "/api/admin/posts/" + editingPostId + "/previews",
+        {
+          method: "POST",
+          body: JSON.stringify({
+            expires_in_hours: parseInt(previewExpiryEl.value, 10),
+          }),
+        },
+      );
+      if (response.ok) {
+        await loadPreviewLinks();
+      } else {
+        var err = await response.json();
+        alert(
+          "Failed to create preview link: " +
+            (err.error || response.statusText),
+        );
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    } finally {
+      previewCreateBtn.disabled = false;
+    }
+  }
+
+  // --- Revoke a preview link (stops working immediately) ---
+  async function revokePreviewLink(previewId) {
+    if (!confirm("Revoke this preview link? It stops working immediately.")) {
+      return;
+    }
+
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/posts/" + editingPostId + "/previews/" + previewId,
+        { method: "DELETE" },
+      );
+      if (response.ok) {
+        await loadPreviewLinks();
+      } else {
+        var err = await response.json();
+        alert("Failed to revoke: " + (err.error || response.statusText));
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+  }
+
+  // --- Render one diff line ---
+  function diffLine(type, text) {
+    var prefix = type === "add" ? "+ " : type === "remove" ? "- " : "  ";
+    return (
+      '<div class="diff-line ' +
+      type +
+      '">' +
+      prefix +
+      escapeHtml(text) +
+      "</div>"
+    );
+  }
+
+  // --- Render a field change (title/excerpt) ---
+  function fieldChange(label, change) {
+    if (!change) return "";
+    return (
+      '<div class="px-3 pb-2 font-sans text-[11px] font-semibold uppercase tracking-wider text-slate-400 dark:text-slate-500">' +
+      label +
+      "</div>" +
+      diffLine("remove", change.from || "") +
+      diffLine("add", change.to || "") +
+      '<div class="pb-3"></div>'
+    );
+  }
+
+  // --- Show what revision n changed compared to the one before it ---
+  async function showRevisionDiff(revisionNumber, latest) {
+    selectedRevision = revisionNumber;
+    historyListEl.querySelectorAll(".history-item").forEach(function (item) {
+      item.classList.toggle(
+        "active",
+        parseInt(item.getAttribute("data-revision"), 10) === revisionNumber,
+      );
+    });
+    // Restoring the current revision would not change anything
+    historyRestoreBtn.classList.toggle("hidden", revisionNumber === latest);
+
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/posts/" +
+          editingPostId +
+          "/revisions/diff?to=" +
+          revisionNumber,
+      );
+      if (!response.ok) throw new Error(response.statusText);
+      var result = await response.json();
+
+      var html =
+        fieldChange("Title", result.diff.title) +
+        fieldChange("Excerpt", result.diff.excerpt);
+
+      result.diff.content.forEach(function (block) {
+        var lines = block.lines;
+        if (
+          block.type === "equal" &&
+          lines.length > DIFF_CONTEXT_LINES * 2 + 1
+        ) {
+          lines.slice(0, DIFF_CONTEXT_LINES).forEach(function (line) {
+            html += diffLine("equal", line);
+          });
+          html +=
+            '<div class="diff-line text-slate-400 dark:text-slate-500 italic">  ... ' +
+            (lines.length - DIFF_CONTEXT_LINES * 2) +
+            " unchanged lines ...</div>";
+          lines.slice(-DIFF_CONTEXT_LINES).forEach(function (line) {
+            html += diffLine("equal", line);
+          });
+          return;
+        }
+        lines.forEach(function (line) {
+          html += diffLine(block.type, line);
+        });
+      });
+
+      historyDiffEl.innerHTML = html;
+    } catch (err) {
+      historyDiffEl.innerHTML =
+        '<p class="px-4 text-sm text-red-500 font-sans">Failed to load diff: ' +
+        escapeHtml(err.message) +
+        "</p>";
+    }
+  }
+
+  // --- Restore the selected revision as the current version ---
+  async function restoreRevision() {
+    if (!selectedRevision) return;
+    var confirmed = confirm(
+      "Restore revision #" +
+        selectedRevision +
+        "?\n\nTitle, excerpt and content are replaced (a changed title brings its slug). " +
+        "Unsaved changes in the editor are lost, " +
+        "the current version stays in the history.",
+    );
+    if (!confirmed) return;
+
+    try {
+      var response = await AdminAuth.authFetch(
+        "/api/admin/posts/" +
+          editingPostId +
+          "/revisions/" +
+          selectedRevision +
+          "/restore",
+        { method: "POST" },
+      );
+
+      if (response.ok) {
+        var post = await response.json();
+        fieldTitle.value = post.title || "";
+        fieldSlug.value = post.slug || "";
+        fieldExcerpt.value = post.excerpt || "";
+        fieldContent.value = post.content || "";
+        updatePreview();
+        await loadHistory();
+      } else {
+        var err = await response.json();
+        alert("Failed to restore: " + (err.error || response.statusText));
+      }
+    } catch (err) {
+      alert("Network error: " + err.message);
+    }
+  }
+
   // --- Delete a post ---
   async function deletePost(id, title) {
     var confirmed = confirm(
@@ -465,13 +1314,40 @@
     editorSaveBtn = document.getElementById("editor-save-btn");
     editorCancelBtn = document.getElementById("editor-cancel-btn");
     fieldTitle = document.getElementById("editor-field-title");
+    fieldSlug = document.getElementById("editor-field-slug");
     fieldCategory = document.getElementById("editor-field-category");
     fieldStatus = document.getElementById("editor-field-status");
+    fieldPublishAt = document.getElementById("editor-field-publish-at");
+    publishAtWrap = document.getElementById("editor-publish-at-wrap");
     fieldFeatured = document.getElementById("editor-field-featured");
     fieldExcerpt = document.getElementById("editor-field-excerpt");
     fieldTags = document.getElementById("editor-field-tags");
+    fieldCover = document.getElementById("editor-field-cover");
+    coverThumbEl = document.getElementById("editor-cover-thumb");
+    coverFileInput = document.getElementById("editor-cover-file");
+    coverUploadBtn = document.getElementById("editor-cover-upload-btn");
+    coverDropEl = document.getElementById("editor-cover-drop");
+    uploadStatusEl = document.getElementById("editor-upload-status");
+    autoTagsEl = document.getElementById("editor-auto-tags");
+    tagSuggestionsEl = document.getElementById("editor-tag-suggestions");
+    tagSuggestionsListEl = document.getElementById(
+      "editor-tag-suggestions-list",
+    );
+    fieldSeries = document.getElementById("editor-field-series");
+    seriesNewBtn = document.getElementById("editor-series-new-btn");
     fieldContent = document.getElementById("editor-field-content");
     previewEl = document.getElementById("editor-preview");
+    historyPanel = document.getElementById("editor-history");
+    historyListEl = document.getElementById("history-list");
+    historyDiffEl = document.getElementById("history-diff");
+    historyRestoreBtn = document.getElementById("history-restore-btn");
+    previewsPanel = document.getElementById("editor-previews");
+    previewListEl = document.getElementById("preview-list");
+    previewExpiryEl = document.getElementById("preview-expiry");
+    previewCreateBtn = document.getElementById("preview-create-btn");
+    seriesPanel = document.getElementById("editor-series");
+    seriesTitleEl = document.getElementById("editor-series-title");
+    seriesPartsEl = document.getElementById("editor-series-parts");
 
     // Set up logout button
     var logoutBtn = document.getElementById("logout-btn");
@@ -496,12 +1372,18 @@
     editorBackBtn.addEventListener("click", hideEditor);
     editorCancelBtn.addEventListener("click", hideEditor);
     editorSaveBtn.addEventListener("click", savePost);
+    historyRestoreBtn.addEventListener("click", restoreRevision);
+    previewCreateBtn.addEventListener("click", createPreviewLink);
+    seriesNewBtn.addEventListener("click", createSeries);
+    fieldStatus.addEventListener("change", updatePublishAtVisibility);
 
-    // Set up live preview
+    // Set up live preview + image uploads
     setupPreview();
+    setupImageUploads();
 
     // Load data
     await loadCategories();
+    await loadSeries();
     await loadPostList();
 
     // Check URL params (e.g. ?action=new or ?edit=5)
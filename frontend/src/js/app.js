@@ -4,8 +4,11 @@
 //
 // Fetches blog posts from the backend API and
 // renders them as cards on the page.
-// Supports search (title/excerpt) and category
-// filter via API query parameters.
+// Supports full-text search (highlighted
+// snippets in the cards) and category
+// filter via API query parameters. Posts are
+// loaded page by page (cursor pagination) with
+// a "load more" button below the grid.
 // If the API is not available (e.g. local dev
 // without Docker), demo posts are shown with
 // client-side filtering as fallback.
@@ -20,8 +23,13 @@
   // --- Filter state ---
   var activeCategory = ""; // category slug, empty = all
   var searchQuery = ""; // current search text
-  var allPosts = []; // cached posts for count display
+  var allPosts = []; // posts loaded so far (all pages)
   var totalPostCount = 0; // total posts before filtering
+  var matchedPostCount = 0; // total posts matching the current filters
+  var nextCursor = null; // cursor for the next page, null = last page
+  var isLoadingMore = false; // prevents double "load more" requests
+  var listGeneration = 0; // bumped by every new filter, older responses are dropped
+  var PAGE_SIZE = 12;
   var isDemo = false; // true when API is not available
   var debounceTimer = null; // for search debounce
 
@@ -333,10 +341,14 @@
       escapeHtml(post.title) +
       "</span>" +
       "</h2>" +
-      // Excerpt
-      '<p class="text-sm text-slate-600 dark:text-slate-400 mb-4 card-excerpt">' +
-      escapeHtml(post.excerpt) +
-      "</p>" +
+      // Excerpt, or the highlighted search snippet (already HTML-escaped by the API)
+      (post.snippet
+        ? '<p class="text-sm text-slate-600 dark:text-slate-400 mb-4 card-excerpt search-snippet">' +
+          post.snippet +
+          "</p>"
+        : '<p class="text-sm text-slate-600 dark:text-slate-400 mb-4 card-excerpt">' +
+          escapeHtml(post.excerpt) +
+          "</p>") +
       // Footer: date + tags
       '<div class="flex items-center justify-between pt-3 border-t border-slate-100 dark:border-slate-700/50">' +
       '<span class="flex items-center gap-1.5 text-xs text-slate-400 dark:text-slate-500">' +
@@ -361,29 +373,54 @@
     });
   }
 
+  // --- Update the post count label ---
+  // Shows "X of Y posts" when filtered. X is the number of matching posts
+  // reported by the API (not just the pages loaded so far).
+  function renderPostCount() {
+    var count = document.getElementById("post-count");
+    if (!count) return;
+
+    var lang = getCurrentLang();
+    var isFiltered = activeCategory || searchQuery;
+    if (isFiltered && totalPostCount > 0) {
+      count.textContent =
+        matchedPostCount +
+        (lang === "en" ? " of " : " von ") +
+        totalPostCount +
+        " posts";
+    } else {
+      count.textContent = matchedPostCount + " posts";
+    }
+  }
+
+  // --- Show/hide the "load more" button ---
+  function updateLoadMore() {
+    var wrap = document.getElementById("load-more-wrap");
+    var btn = document.getElementById("load-more-btn");
+    if (!wrap) return;
+    wrap.classList.toggle("hidden", isDemo || !nextCursor);
+    if (btn) btn.disabled = isLoadingMore;
+  }
+
   // --- Render all posts into the grid ---
+  // API posts arrive already sorted by the backend (see ?order=).
+  // Demo posts are sorted client-side.
   function renderPosts(posts) {
     var grid = document.getElementById("posts-grid");
     var loading = document.getElementById("posts-loading");
-    var count = document.getElementById("post-count");
 
-    // Apply current sort order
-    posts = sortPosts(posts);
+    if (isDemo) {
+      posts = sortPosts(posts);
+      matchedPostCount = posts.length;
+    }
 
     if (!grid) return;
 
     // Hide loading skeleton
     if (loading) loading.classList.add("hidden");
 
-    // Update post count - show "X of Y" when filtered
-    if (count) {
-      var isFiltered = activeCategory || searchQuery;
-      if (isFiltered && totalPostCount > 0) {
-        count.textContent = posts.length + " of " + totalPostCount + " posts";
-      } else {
-        count.textContent = posts.length + " posts";
-      }
-    }
+    renderPostCount();
+    updateLoadMore();
 
     // Handle no results
     if (posts.length === 0) {
@@ -406,6 +443,21 @@
     grid.innerHTML = html;
   }
 
+  // --- Append the next page of posts below the existing cards ---
+  function appendPosts(posts) {
+    var grid = document.getElementById("posts-grid");
+    if (!grid) return;
+
+    grid.insertAdjacentHTML(
+      "beforeend",
+      posts
+        .map(function (post, i) {
+          return createPostCard(post, i);
+        })
+        .join(""),
+    );
+  }
+
   // --- Render category filter buttons ---
   function renderCategoryFilters(categories) {
     var container = document.getElementById("category-filters");
@@ -536,22 +588,27 @@
     }
 
     // Post count suffix
-    var countEl = document.getElementById("post-count");
-    if (countEl && allPosts.length > 0) {
-      var isFiltered = activeCategory || searchQuery;
-      if (isFiltered && totalPostCount > 0) {
-        countEl.textContent =
-          allPosts.length +
-          (lang === "en" ? " of " : " von ") +
-          totalPostCount +
-          " posts";
-      } else {
-        countEl.textContent = allPosts.length + " posts";
-      }
-    }
+    if (allPosts.length > 0) renderPostCount();
   }
 
-  // --- Fetch posts from the API with current filters ---
+  // --- Build the /posts query string for the active filters ---
+  // The backend sorts and paginates, so the sort order is part of the query.
+  function buildPostsQuery(cursor) {
+    var params = ["limit=" + PAGE_SIZE];
+    if (searchQuery) params.push("search=" + encodeURIComponent(searchQuery));
+    if (activeCategory)
+      params.push("category=" + encodeURIComponent(activeCategory));
+    params.push("order=" + (sortNewest ? "desc" : "asc"));
+    // Add language parameter for translation
+    var lang = getCurrentLang();
+    if (lang === "en") params.push("lang=en");
+    if (cursor) params.push("cursor=" + encodeURIComponent(cursor));
+    return "?" + params.join("&");
+  }
+
+  // --- Fetch the first page of posts from the API with current filters ---
+  // Starts a new list generation: pages still loading for the previous
+  // filters are dropped when they arrive.
   function fetchFilteredPosts() {
     if (isDemo) {
       // Client-side filtering in demo mode
@@ -560,27 +617,25 @@
       return;
     }
 
-    // Build query string from active filters
-    var params = [];
-    if (searchQuery) params.push("search=" + encodeURIComponent(searchQuery));
-    if (activeCategory)
-      params.push("category=" + encodeURIComponent(activeCategory));
-    // Add language parameter for translation
-    var lang = getCurrentLang();
-    if (lang === "en") params.push("lang=en");
-    var queryString = params.length > 0 ? "?" + params.join("&") : "";
+    var generation = ++listGeneration;
+    nextCursor = null;
+    isLoadingMore = false;
+    updateLoadMore();
 
-    fetch(API_BASE + "/posts" + queryString)
+    fetch(API_BASE + "/posts" + buildPostsQuery(null))
       .then(function (response) {
         if (!response.ok) throw new Error("API returned " + response.status);
         return response.json();
       })
       .then(function (data) {
-        var posts = data.posts || data;
-        allPosts = posts;
-        renderPosts(posts);
+        if (generation !== listGeneration) return;
+        allPosts = data.posts;
+        nextCursor = data.next_cursor;
+        matchedPostCount = data.total;
+        renderPosts(allPosts);
       })
       .catch(function () {
+        if (generation !== listGeneration) return;
         // If API fails mid-session, fall back to demo
         isDemo = true;
         var filtered = filterDemoPosts();
@@ -589,35 +644,109 @@
       });
   }
 
-  // --- Initial load: fetch all posts + categories ---
+  // --- Load the next page (cursor from the previous response) ---
+  // done (optional) runs once the request has finished, successful or not,
+  // unless the filters changed in the meantime (the page is dropped then).
+  function loadMorePosts(done) {
+    if (isDemo || !nextCursor || isLoadingMore) return;
+    var generation = listGeneration;
+    isLoadingMore = true;
+    updateLoadMore();
+
+    fetch(API_BASE + "/posts" + buildPostsQuery(nextCursor))
+      .then(function (response) {
+        if (!response.ok) throw new Error("API returned " + response.status);
+        return response.json();
+      })
+      .then(function (data) {
+        if (generation !== listGeneration) return;
+        allPosts = allPosts.concat(data.posts);
+        nextCursor = data.next_cursor;
+        matchedPostCount = data.total;
+        appendPosts(data.posts);
+      })
+      .catch(function () {
+        // Keep the button so the reader can retry
+      })
+      .then(function () {
+        if (generation !== listGeneration) return;
+        isLoadingMore = false;
+        renderPostCount();
+        updateLoadMore();
+        if (done) done();
+      });
+  }
+
+  // --- Load further pages until at least `count` posts are shown ---
+  // Stops early on the last page or when a page fails to load.
+  function loadPagesUntil(count, done) {
+    var loaded = allPosts.length;
+    if (loaded >= count || !nextCursor) {
+      done();
+      return;
+    }
+    loadMorePosts(function () {
+      if (allPosts.length === loaded) done();
+      else loadPagesUntil(count, done);
+    });
+  }
+
+  // --- Set up the "load more" button ---
+  function setupLoadMore() {
+    var btn = document.getElementById("load-more-btn");
+    if (btn) {
+      btn.addEventListener("click", function () {
+        loadMorePosts();
+      });
+    }
+  }
+
+  // --- Initial load: fetch first page of posts + categories ---
   // Includes language parameter so posts load in the active language
   // (important when returning from a post page where EN was selected).
-  function loadPosts() {
-    var lang = getCurrentLang();
-    var langParam = lang === "en" ? "?lang=en" : "";
-    fetch(API_BASE + "/posts" + langParam)
+  // listState (from restoreListState) reloads as many pages as the reader
+  // had open and scrolls back to where they left the list.
+  function loadPosts(listState) {
+    var generation = ++listGeneration;
+    var isFiltered = searchQuery || activeCategory;
+
+    fetch(API_BASE + "/posts" + buildPostsQuery(null))
       .then(function (response) {
         if (!response.ok) throw new Error("API returned " + response.status);
         return response.json();
       })
       .then(function (data) {
-        var posts = data.posts || data;
-        if (posts.length > 0) {
+        var posts = data.posts;
+        // A restored search may match nothing; only an empty blog means demo
+        if (posts.length > 0 || isFiltered) {
           isDemo = false;
-          allPosts = posts;
-          totalPostCount = posts.length;
-          renderPosts(posts);
           showStatus(false);
           // Fetch categories for filter buttons
           loadCategories();
+          // A filtered first page only counts its matches
+          if (isFiltered) loadTotalPostCount();
+          else totalPostCount = data.total;
+          // The reader already changed the filters
+          if (generation !== listGeneration) return;
+          allPosts = posts;
+          nextCursor = data.next_cursor;
+          matchedPostCount = data.total;
+          renderPosts(posts);
+          if (listState) {
+            loadPagesUntil(listState.loaded, function () {
+              restoreScrollPosition(listState);
+            });
+          }
         } else {
           // API works but no posts - show demo
           initDemoMode();
+          restoreScrollPosition(listState);
         }
       })
       .catch(function () {
         // API not available - show demo posts
         initDemoMode();
+        restoreScrollPosition(listState);
       });
   }
 
@@ -631,6 +760,22 @@
     renderCategoryFilters(DEMO_CATEGORIES);
   }
 
+  // --- Fetch the number of all posts (the "of Y" in "X of Y posts") ---
+  function loadTotalPostCount() {
+    fetch(API_BASE + "/posts?limit=1")
+      .then(function (response) {
+        if (!response.ok) throw new Error("API returned " + response.status);
+        return response.json();
+      })
+      .then(function (data) {
+        totalPostCount = data.total;
+        renderPostCount();
+      })
+      .catch(function () {
+        // Without it the label shows only the matching posts
+      });
+  }
+
   // --- Fetch categories from API for filter buttons ---
   function loadCategories() {
     fetch(API_BASE + "/categories")
@@ -657,7 +802,9 @@
     var clearBtn = document.getElementById("search-clear");
     if (!input) return;
 
-    // Debounced search: waits 300ms after user stops typing
+    // Debounced search: waits 300ms after user stops typing.
+    // The API does full-text search ("exact phrase", prefix*) and returns
+    // results by relevance with a snippet per post, rendered by createPostCard.
     input.addEventListener("input", function () {
       var value = input.value.trim();
       searchQuery = value;
@@ -695,6 +842,17 @@
     });
   }
 
+  // --- Show the sort direction on the toggle button ---
+  function updateSortIcon() {
+    var btn = document.getElementById("sort-toggle");
+    var icon = btn && btn.querySelector("i");
+    if (icon) {
+      icon.className = sortNewest
+        ? "ti ti-arrow-down text-sm"
+        : "ti ti-arrow-up text-sm";
+    }
+  }
+
   // --- Set up sort toggle ---
   function setupSortToggle() {
     var btn = document.getElementById("sort-toggle");
@@ -704,12 +862,7 @@
     btn.addEventListener("click", function () {
       sortNewest = !sortNewest;
       // Update icon and label
-      var icon = btn.querySelector("i");
-      if (icon) {
-        icon.className = sortNewest
-          ? "ti ti-arrow-down text-sm"
-          : "ti ti-arrow-up text-sm";
-      }
+      updateSortIcon();
       if (label) {
         var lang = getCurrentLang();
         if (lang === "en") {
@@ -718,78 +871,110 @@
           label.textContent = sortNewest ? "Neueste zuerst" : "Chronologisch";
         }
       }
-      // Re-render with current data
+      // Re-render demo data, or re-fetch from the first page (server-side sort)
       if (isDemo) {
         renderPosts(filterDemoPosts());
       } else {
-        renderPosts(allPosts);
+        fetchFilteredPosts();
       }
     });
   }
 
-  // --- Save scroll position before leaving the page ---
-  // So when the user clicks "Back to Blog Posts", we can
-  // scroll them back to where they were in the post list.
+  // --- Save the list state before leaving the page ---
+  // So when the user clicks "Back to Blog Posts", we can show the same
+  // list (filters, sort order, pages loaded so far) and scroll them back
+  // to where they were in it.
+  function saveListState() {
+    sessionStorage.setItem(
+      "postListState",
+      JSON.stringify({
+        scroll: window.scrollY,
+        loaded: allPosts.length,
+        search: searchQuery,
+        category: activeCategory,
+        order: sortNewest ? "desc" : "asc",
+      }),
+    );
+  }
+
   function setupScrollMemory() {
-    // Save scroll position whenever user is about to leave
-    window.addEventListener("beforeunload", function () {
-      sessionStorage.setItem("scrollPos", window.scrollY.toString());
-    });
+    // Save the list state whenever user is about to leave
+    window.addEventListener("beforeunload", saveListState);
 
     // Also save when clicking a post card (beforeunload doesn't always fire on SPA-like nav)
     document.addEventListener("click", function (e) {
       var card = e.target.closest(".post-card");
-      if (card) {
-        sessionStorage.setItem("scrollPos", window.scrollY.toString());
-      }
+      if (card) saveListState();
     });
   }
 
   // --- Save current post list context for prev/next navigation ---
-  // When a user clicks a post card, we save the currently visible
-  // posts (filtered + sorted) so the post page can show matching
-  // prev/next links. This respects category filter, search, and
-  // sort order -- the navigation always matches what the user saw.
+  // When a user clicks a post card, we save the active filters and
+  // sort order so the post page can ask /api/posts/:slug/adjacent for
+  // matching prev/next links. This respects category filter, search,
+  // and sort order -- even for posts on pages not loaded yet.
   function setupPostNavContext() {
     document.addEventListener("click", function (e) {
       var card = e.target.closest(".post-card");
       if (!card) return;
 
-      // Get the currently rendered posts in their displayed order
-      var currentPosts = isDemo ? filterDemoPosts() : allPosts;
-      var sorted = sortPosts(currentPosts);
-
-      // Save slug + title for each post (minimal data for navigation)
-      var navList = sorted.map(function (p) {
-        return { slug: p.slug, title: p.title };
-      });
-
-      // Store with language key so prev/next titles match active language
-      var lang = getCurrentLang ? getCurrentLang() : "de";
-      sessionStorage.setItem("postNavContext_" + lang, JSON.stringify(navList));
+      sessionStorage.setItem(
+        "postNavFilters",
+        JSON.stringify({
+          search: searchQuery,
+          category: activeCategory,
+          order: sortNewest ? "desc" : "asc",
+        }),
+      );
     });
   }
 
-  // --- Restore scroll position if coming back from a post ---
-  function restoreScrollPosition() {
-    var saved = sessionStorage.getItem("scrollPos");
-    if (saved) {
-      // Small delay so the DOM has rendered the posts first
-      setTimeout(function () {
-        window.scrollTo(0, parseInt(saved, 10));
-      }, 100);
-      sessionStorage.removeItem("scrollPos");
+  // --- Restore the list state if coming back from a post ---
+  // Applies the saved filters and sort order before the first fetch and
+  // returns the state for loadPosts (null when there is none).
+  function restoreListState() {
+    var state = null;
+    try {
+      state = JSON.parse(sessionStorage.getItem("postListState"));
+    } catch (e) {
+      // Invalid JSON, start fresh
     }
+    sessionStorage.removeItem("postListState");
+    if (!state) return null;
+
+    searchQuery = state.search || "";
+    activeCategory = state.category || "";
+    sortNewest = state.order === "desc";
+
+    var input = document.getElementById("search-input");
+    var clearBtn = document.getElementById("search-clear");
+    if (input) input.value = searchQuery;
+    if (clearBtn) clearBtn.classList.toggle("hidden", !searchQuery);
+    updateSortIcon();
+    return state;
+  }
+
+  // --- Scroll back to the saved position once the posts are rendered ---
+  function restoreScrollPosition(state) {
+    if (!state) return;
+    window.scrollTo(0, parseInt(state.scroll, 10) || 0);
+  }
+
+  // --- Preselect a category from ?category= (links from the sitemap) ---
+  function applyUrlCategory() {
+    var params = new URLSearchParams(window.location.search);
+    activeCategory = params.get("category") || "";
   }
 
   // --- Start loading when DOM is ready ---
   document.addEventListener("DOMContentLoaded", function () {
-    loadPosts();
+    applyUrlCategory();
+    loadPosts(restoreListState());
     setupSearch();
     setupSortToggle();
+    setupLoadMore();
     setupScrollMemory();
     setupPostNavContext();
-    restoreScrollPosition();
 
     // Re-fetch posts and update static text when language is toggled (DE/EN)
     window.addEventListener("languageChanged", function () {
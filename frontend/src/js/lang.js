@@ -2,6 +2,7 @@
 // Language Toggle - DE/EN switch for blog posts
 //
 // Persists language choice in localStorage.
+// A ?lang=de / ?lang=en URL parameter overrides it.
 // Pages that support translation (blog.html, post.html)
 // read this value and pass ?lang=en to the API.
 //
@@ -56,6 +57,14 @@
     }
   }
 
+  // --- Apply ?lang=de / ?lang=en from the URL ---
+  // Links from the sitemap (hreflang) and feeds open a specific language.
+  // The choice is saved, so the reader stays in that language.
+  function applyUrlLanguage() {
+    var match = /[?&]lang=(de|en)(&|$)/.exec(window.location.search);
+    if (match) setLanguage(match[1]);
+  }
+
   // --- Initialize toggle on DOM ready ---
   function init() {
     var lang = getLanguage();
@@ -83,5 +92,8 @@
     set: setLanguage,
   };
 
+  // Runs before the page scripts read the language
+  applyUrlLanguage();
+
   document.addEventListener("DOMContentLoaded", init);
 })();
@@ -2,17 +2,26 @@
 // Post Page - Single Article View
 //
 // Loads a single blog post from the API using
-// the ?slug= URL parameter, then converts the
-// Markdown content to HTML using the "marked"
-// library. Code blocks get syntax highlighting
-// via highlight.js.
+// the ?slug= URL parameter. The API returns the
+// article already rendered and sanitized
+// (content_html: heading anchors, highlighted
+// code); "marked" only renders the built-in demo
+// post. On the server-rendered page
+// (nginx SSI) the post is embedded as JSON and
+// rendered without an API call.
 //
 // Features:
-//   - Markdown rendering with syntax highlighting
+//   - Article HTML from the API, with heading anchors and highlighting
+//   - Table of contents (sticky sidebar) highlighting the current section
 //   - Like button (localStorage prevents duplicates)
-//   - Comment section (load approved + submit new)
+//   - View beacon (counted once per visitor and day by the API)
+//   - Comment section (threads of approved comments, replies, author badge)
 //   - Category visual (animated floating blobs)
 //   - Prev/Next post navigation
+//   - "Part 2 of 5" box with the other parts of a series
+//   - Related posts as cards (shared tags, category, text)
+//   - Preview links for unpublished posts (?preview=<token>,
+//     banner instead of likes, comments and navigation)
 //
 // Example URL: post.html?slug=tailscale-traefik-setup
 // ============================================
@@ -30,6 +39,7 @@
 
   // --- Category color + icon mapping ---
   // Matches the colors used in app.js and styles.css
+  // (tone = Tailwind color of the related post cards)
   // Category slugs must match the DB exactly (see categories table)
   var CATEGORY_CONFIG = {
     "devops-ci-cd": {
@@ -37,42 +47,49 @@
       icon: "ti ti-rocket",
       bgClass: "bg-sky-500/10",
       textClass: "text-sky-500",
+      tone: "sky",
     },
     "aws-cloud": {
       color: "249, 115, 22",
       icon: "ti ti-cloud",
       bgClass: "bg-orange-500/10",
       textClass: "text-orange-500",
+      tone: "orange",
     },
     "homelab-self-hosting": {
       color: "34, 197, 94",
       icon: "ti ti-server",
       bgClass: "bg-green-500/10",
       textClass: "text-green-500",
+      tone: "green",
     },
     "networking-security": {
       color: "239, 68, 68",
       icon: "ti ti-shield-lock",
       bgClass: "bg-red-500/10",
       textClass: "text-red-500",
+      tone: "red",
     },
     certifications: {
       color: "245, 158, 11",
       icon: "ti ti-certificate",
       bgClass: "bg-amber-500/10",
       textClass: "text-amber-500",
+      tone: "amber",
     },
     "tools-productivity": {
       color: "168, 85, 247",
       icon: "ti ti-tool",
       bgClass: "bg-purple-500/10",
       textClass: "text-purple-500",
+      tone: "purple",
     },
     "career-learning": {
       color: "20, 184, 166",
       icon: "ti ti-school",
       bgClass: "bg-teal-500/10",
       textClass: "text-teal-500",
+      tone: "teal",
     },
   };
 
@@ -132,12 +149,22 @@
   // --- Store current post data for comments/likes ---
   var currentPost = null;
 
+  // --- Whether this page load was already counted as a view ---
+  var viewSent = false;
+
   // --- Get the slug from the URL (?slug=my-post) ---
   function getSlugFromUrl() {
     var params = new URLSearchParams(window.location.search);
     return params.get("slug");
   }
 
+  // --- Get the preview token from the URL (?preview=...) ---
+  // Set on preview links the editor creates for drafts and scheduled posts
+  function getPreviewTokenFromUrl() {
+    var params = new URLSearchParams(window.location.search);
+    return params.get("preview");
+  }
+
   // --- Format a date string ---
   function formatDate(dateString) {
     var date = new Date(dateString);
@@ -307,6 +334,16 @@
     });
   }
 
+  // --- Article HTML ---
+  // Posts from the API come rendered and sanitized by the backend
+  // (content_html). Only the demo post is rendered here; DOMPurify
+  // strips dangerous elements (script, onerror, etc.) from it.
+  function articleHtml(post) {
+    if (post.content_html) return post.content_html;
+    var html = marked.parse(post.content);
+    return typeof DOMPurify !== "undefined" ? DOMPurify.sanitize(html) : html;
+  }
+
   // ============================================
   // CATEGORY VISUAL - Animated floating blobs
   // ============================================
@@ -457,6 +494,33 @@
     });
   }
 
+  // --- Count the page view (once per page load) ---
+  // The API ignores bots and repeated views of the same visitor on the
+  // same day. A page opened in a background tab or prerendered counts
+  // only once it is actually shown.
+  function sendViewBeacon(post) {
+    if (viewSent || !post.id || post === DEMO_POST) return;
+    viewSent = true;
+
+    function send() {
+      var url = API_BASE + "/posts/" + post.id + "/view";
+      if (navigator.sendBeacon && navigator.sendBeacon(url)) return;
+      fetch(url, { method: "POST", keepalive: true }).catch(function () {
+        /* a lost view is fine */
+      });
+    }
+
+    if (document.visibilityState === "visible") {
+      send();
+      return;
+    }
+    document.addEventListener("visibilitychange", function onVisible() {
+      if (document.visibilityState !== "visible") return;
+      document.removeEventListener("visibilitychange", onVisible);
+      send();
+    });
+  }
+
   // ============================================
   // AUDIO PLAYER (Amazon Polly text-to-speech)
   // ============================================
@@ -669,7 +733,25 @@
       });
   }
 
+  // --- Comment the form replies to (null = comment on the post) ---
+  var replyToId = null;
+
+  // --- Rendered comments by id (for the "Replying to" hint) ---
+  var commentsById = {};
+
+  // --- Form token of the post (comment_token), sent with a comment ---
+  // The API's spam filter tells from it how long the page was open.
+  var commentToken = null;
+
+  // --- Count comments including all replies ---
+  function countComments(comments) {
+    return comments.reduce(function (sum, comment) {
+      return sum + 1 + countComments(comment.replies || []);
+    }, 0);
+  }
+
   // --- Render comments into the DOM ---
+  // The API returns threads: each comment with its replies (nested).
   function renderComments(comments) {
     var listEl = document.getElementById("comments-list");
     var emptyEl = document.getElementById("comments-empty");
@@ -679,7 +761,7 @@
     if (!listEl) return;
 
     // Update counts
-    var count = comments.length;
+    var count = countComments(comments);
     if (countBadge) countBadge.textContent = count;
     if (engagementCount) engagementCount.textContent = count;
 
@@ -692,47 +774,114 @@
 
     if (emptyEl) emptyEl.classList.add("hidden");
 
-    // Render each comment
-    listEl.innerHTML = comments
-      .map(function (comment, index) {
-        // Generate initials for avatar
-        var initials = comment.author_name
-          .split(" ")
-          .map(function (w) {
-            return w.charAt(0).toUpperCase();
-          })
-          .join("")
-          .substring(0, 2);
+    // Reply buttons: one listener for the whole list
+    if (!listEl.dataset.replyListenerAttached) {
+      listEl.dataset.replyListenerAttached = "true";
+      listEl.addEventListener("click", function (e) {
+        var btn = e.target.closest(".comment-reply-btn");
+        if (btn) setReplyTarget(Number(btn.getAttribute("data-comment-id")));
+      });
+    }
 
-        return (
-          '<div class="comment-item flex gap-4 p-4 rounded-xl border border-slate-100 dark:border-slate-700/30 bg-white dark:bg-slate-800/30" ' +
-          'style="animation: fadeIn 0.4s ease ' +
-          index * 0.1 +
-          's forwards; opacity: 0;">' +
-          // Avatar
-          '<div class="flex-shrink-0 w-10 h-10 rounded-full bg-sky-500/10 flex items-center justify-center">' +
-          '<span class="text-xs font-bold text-sky-500">' +
-          initials +
-          "</span>" +
-          "</div>" +
-          // Content
-          '<div class="flex-1 min-w-0">' +
-          '<div class="flex items-center gap-2 mb-1">' +
-          '<span class="text-sm font-semibold text-slate-900 dark:text-white">' +
-          escapeHtml(comment.author_name) +
-          "</span>" +
-          '<span class="text-xs text-slate-400 dark:text-slate-500">' +
-          formatRelativeTime(comment.created_at) +
-          "</span>" +
-          "</div>" +
-          '<p class="text-sm text-slate-600 dark:text-slate-300 leading-relaxed">' +
-          escapeHtml(comment.content) +
-          "</p>" +
-          "</div>" +
-          "</div>"
-        );
-      })
-      .join("");
+    // Render each thread (replies indented below their comment)
+    commentsById = {};
+    var index = 0;
+    var isEn = getCurrentLang() === "en";
+
+    function renderThread(thread) {
+      return thread
+        .map(function (comment) {
+          commentsById[comment.id] = comment;
+          var delay = index++ * 0.1;
+
+          // Generate initials for avatar
+          var initials = comment.author_name
+            .split(" ")
+            .map(function (w) {
+              return w.charAt(0).toUpperCase();
+            })
+            .join("")
+            .substring(0, 2);
+
+          // Verified badge on replies of the blog author
+          var authorBadge = comment.is_author
+            ? '<span class="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-sky-500/10 text-sky-500 text-[11px] font-semibold">' +
+              '<i class="ti ti-rosette-discount-check"></i>' +
+              '<span data-de="Autor" data-en="Author">' +
+              (isEn ? "Author" : "Autor") +
+              "</span>" +
+              "</span>"
+            : "";
+
+          var replies = comment.replies || [];
+          var repliesHtml = replies.length
+            ? '<div class="mt-4 space-y-4 pl-4 border-l-2 border-slate-100 dark:border-slate-700/40">' +
+              renderThread(replies) +
+              "</div>"
+            : "";
+
+          return (
+            '<div class="comment-item flex gap-4 p-4 rounded-xl border border-slate-100 dark:border-slate-700/30 bg-white dark:bg-slate-800/30" ' +
+            'style="animation: fadeIn 0.4s ease ' +
+            delay +
+            's forwards; opacity: 0;">' +
+            // Avatar
+            '<div class="flex-shrink-0 w-10 h-10 rounded-full bg-sky-500/10 flex items-center justify-center">' +
+            '<span class="text-xs font-bold text-sky-500">' +
+            escapeHtml(initials) +
+            "</span>" +
+            "</div>" +
+            // Content
+            '<div class="flex-1 min-w-0">' +
+            '<div class="flex items-center gap-2 mb-1 flex-wrap">' +
+            '<span class="text-sm font-semibold text-slate-900 dark:text-white">' +
+            escapeHtml(comment.author_name) +
+            "</span>" +
+            authorBadge +
+            '<span class="text-xs text-slate-400 dark:text-slate-500">' +
+            formatRelativeTime(comment.created_at) +
+            "</span>" +
+            "</div>" +
+            '<p class="text-sm text-slate-600 dark:text-slate-300 leading-relaxed">' +
+            escapeHtml(comment.content) +
+            "</p>" +
+            // Reply button
+            '<button type="button" class="comment-reply-btn mt-2 inline-flex items-center gap-1 text-xs font-medium text-slate-400 dark:text-slate-500 hover:text-sky-500 transition-colors" data-comment-id="' +
+            comment.id +
+            '">' +
+            '<i class="ti ti-corner-down-right"></i>' +
+            '<span data-de="Antworten" data-en="Reply">' +
+            (isEn ? "Reply" : "Antworten") +
+            "</span>" +
+            "</button>" +
+            repliesHtml +
+            "</div>" +
+            "</div>"
+          );
+        })
+        .join("");
+    }
+
+    listEl.innerHTML = renderThread(comments);
+  }
+
+  // --- Set the comment the form replies to (null = comment on the post) ---
+  function setReplyTarget(commentId) {
+    var comment = commentId ? commentsById[commentId] : null;
+    replyToId = comment ? comment.id : null;
+
+    var hint = document.getElementById("reply-target");
+    var nameEl = document.getElementById("reply-target-name");
+    if (hint) hint.classList.toggle("hidden", !comment);
+    if (nameEl) nameEl.textContent = comment ? comment.author_name : "";
+    if (!comment) return;
+
+    // Jump to the form and start typing
+    var form = document.getElementById("comment-form");
+    if (!form) return;
+    form.scrollIntoView({ behavior: "smooth", block: "center" });
+    var contentInput = form.querySelector('[name="content"]');
+    if (contentInput) contentInput.focus({ preventScroll: true });
   }
 
   // --- Escape HTML to prevent XSS in comment content ---
@@ -742,6 +891,88 @@
     return div.innerHTML;
   }
 
+  // --- Show the email field only for email notifications ---
+  function updateEmailField(form) {
+    var notifyInput = form.querySelector('[name="notify"]');
+    var emailInput = form.querySelector('[name="author_email"]');
+    if (!notifyInput || !emailInput) return;
+    emailInput.classList.toggle("hidden", !notifyInput.checked);
+    emailInput.required = notifyInput.checked;
+  }
+
+  // --- Tell whether email notifications are on after sending a comment ---
+  // notifications from the API: "confirm", "unavailable" or null
+  function showNotifyHint(notifications) {
+    var hint = document.getElementById("comment-notify-hint");
+    if (!hint) return;
+
+    var texts = {
+      confirm: [
+        "Bitte best&auml;tige deine E-Mail-Adresse &uuml;ber den Link in der E-Mail, die wir dir geschickt haben.",
+        "Please confirm your email address with the link in the email we sent you.",
+      ],
+      unavailable: [
+        "E-Mail-Benachrichtigungen sind gerade nicht verf&uuml;gbar.",
+        "Email notifications are not available right now.",
+      ],
+    };
+    var text = texts[notifications];
+    hint.classList.toggle("hidden", !text);
+    if (!text) return;
+    hint.setAttribute("data-de", text[0]);
+    hint.setAttribute("data-en", text[1]);
+    hint.innerHTML = getCurrentLang() === "en" ? text[1] : text[0];
+  }
+
+  // --- Success text after sending a comment: online or after review ---
+  function showSuccessText(approved) {
+    var el = document.getElementById("comment-success-text");
+    if (!el) return;
+
+    var text = approved
+      ? ["Danke! Dein Kommentar ist online.", "Thanks! Your comment is online."]
+      : [
+          "Danke! Dein Kommentar erscheint nach der Pr&uuml;fung.",
+          "Thanks! Your comment will appear after review.",
+        ];
+    el.setAttribute("data-de", text[0]);
+    el.setAttribute("data-en", text[1]);
+    el.innerHTML = getCurrentLang() === "en" ? text[1] : text[0];
+  }
+
+  // --- Notice after a link from a notification email (?email=...) ---
+  function showEmailNotice() {
+    var status = new URLSearchParams(window.location.search).get("email");
+    var notice = document.getElementById("email-notice");
+    var notices = {
+      confirmed: [
+        "border-green-500/20 bg-green-500/10 text-green-600 dark:text-green-400",
+        "Deine E-Mail-Adresse ist best&auml;tigt. Wir benachrichtigen dich, wenn dein Kommentar freigegeben wird oder eine Antwort bekommt.",
+        "Your email address is confirmed. We will let you know when your comment is approved or gets a reply.",
+      ],
+      unsubscribed: [
+        "border-sky-500/10 bg-sky-500/5 text-slate-600 dark:text-slate-300",
+        "Du bist abgemeldet und bekommst keine E-Mails mehr zu deinen Kommentaren.",
+        "You are unsubscribed and will not get any more emails about your comments.",
+      ],
+      invalid: [
+        "border-amber-500/20 bg-amber-500/10 text-amber-600 dark:text-amber-400",
+        "Dieser Link ist ung&uuml;ltig oder abgelaufen.",
+        "This link is invalid or has expired.",
+      ],
+    };
+    var entry = notices[status];
+    if (!notice || !entry || !notice.classList.contains("hidden")) return;
+
+    var text = notice.querySelector("p");
+    notice.className += " " + entry[0];
+    text.setAttribute("data-de", entry[1]);
+    text.setAttribute("data-en", entry[2]);
+    text.innerHTML = getCurrentLang() === "en" ? entry[2] : entry[1];
+    notice.classList.remove("hidden");
+    notice.scrollIntoView({ behavior: "smooth", block: "center" });
+  }
+
   // --- Setup comment form submission ---
   function setupCommentForm(postId) {
     var form = document.getElementById("comment-form");
@@ -751,6 +982,22 @@
     if (form.dataset.listenerAttached) return;
     form.dataset.listenerAttached = "true";
 
+    // Email notifications: the address is only asked for (and sent) when wanted
+    var notifyInput = form.querySelector('[name="notify"]');
+    if (notifyInput) {
+      notifyInput.addEventListener("change", function () {
+        updateEmailField(form);
+      });
+    }
+
+    // "Cancel" in the reply hint: back to a comment on the post
+    var replyCancel = document.getElementById("reply-cancel");
+    if (replyCancel) {
+      replyCancel.addEventListener("click", function () {
+        setReplyTarget(null);
+      });
+    }
+
     form.addEventListener("submit", function (e) {
       e.preventDefault();
 
@@ -778,6 +1025,18 @@
         author_name: nameInput.value.trim(),
         content: contentInput.value.trim(),
       };
+      if (replyToId) data.parent_id = replyToId;
+      if (commentToken) data.form_token = commentToken;
+      // Honeypot: hidden from people, only bots fill it in
+      var websiteInput = form.querySelector('[name="website"]');
+      if (websiteInput && websiteInput.value) data.website = websiteInput.value;
+      if (notifyInput && notifyInput.checked) {
+        data.notify = true;
+        data.author_email = form
+          .querySelector('[name="author_email"]')
+          .value.trim();
+        data.language = getCurrentLang();
+      }
 
       fetch(API_BASE + "/posts/" + postId + "/comments", {
         method: "POST",
@@ -792,13 +1051,21 @@
           if (!response.ok) throw new Error("Failed");
           return response.json();
         })
-        .then(function () {
+        .then(function (comment) {
           // Show success message prominently
           var success = document.getElementById("comment-success");
           if (success) success.classList.remove("hidden");
+          showNotifyHint(comment.notifications);
+
+          // Trusted commenters and allow rules: the comment is online already
+          var approved = comment.status === "approved";
+          showSuccessText(approved);
+          if (approved) loadComments(postId);
 
           // Reset form but keep visible (user can submit another)
           form.reset();
+          updateEmailField(form);
+          setReplyTarget(null);
           submitBtn.disabled = false;
           submitBtn.textContent =
             getCurrentLang() === "en" ? "Send comment" : "Kommentar senden";
@@ -962,7 +1229,7 @@
       metaEl.innerHTML =
         '<span class="flex items-center gap-1.5">' +
         '<i class="ti ti-calendar text-sm"></i>' +
-        formatDate(post.published_at) +
+        formatDate(post.published_at || post.publish_at || post.updated_at) +
         "</span>" +
         '<span class="flex items-center gap-1.5">' +
         '<i class="ti ti-clock text-sm"></i>' +
@@ -1035,16 +1302,18 @@
         .join("");
     }
 
-    // Convert Markdown to HTML and insert it
+    // Insert the article HTML
     var contentEl = document.getElementById("post-content");
     if (contentEl) {
-      // Sanitize Markdown HTML output to prevent stored XSS attacks.
-      // DOMPurify strips dangerous elements (script, onerror, etc.)
-      // while keeping safe formatting (h1, p, code, etc.).
-      contentEl.innerHTML =
-        typeof DOMPurify !== "undefined"
-          ? DOMPurify.sanitize(marked.parse(post.content))
-          : marked.parse(post.content);
+      contentEl.innerHTML = articleHtml(post);
+    }
+    renderToc(post);
+
+    // Preview of an unpublished post: only the article, nothing to
+    // like, comment on or navigate to yet
+    if (post.preview) {
+      renderPreview(post);
+      return;
     }
 
     // Show all sections, hide loading skeleton
@@ -1068,93 +1337,110 @@
     // Setup reading progress bar (tracks scroll through article)
     setupReadingProgress();
 
-    // Setup like button + audio player
+    // Setup like button + audio player, count the view
     setupLikeButton(post);
     setupAudioButton(post);
+    sendViewBeacon(post);
 
     // Load and display comments
     if (post.id) {
+      commentToken = post.comment_token || null;
       loadComments(post.id);
       setupCommentForm(post.id);
       setupLiveNameValidation();
+      showEmailNotice();
     }
 
-    // Build prev/next navigation
+    // Build series box, prev/next navigation and related posts
+    loadSeries(post);
     loadPostNavigation(post.slug);
+    loadRelatedPosts(post.slug);
+  }
+
+  // --- Show the preview banner with the expiry of the link ---
+  function showPreviewBanner(post) {
+    var banner = document.getElementById("preview-banner");
+    var expiresEl = document.getElementById("preview-expires");
+    if (banner) banner.classList.remove("hidden");
+    if (expiresEl && post.preview_expires_at) {
+      var lang = getCurrentLang();
+      expiresEl.textContent =
+        (lang === "en" ? "Link valid until " : "Link gueltig bis ") +
+        new Date(post.preview_expires_at).toLocaleString(
+          lang === "en" ? "en-US" : "de-DE",
+        );
+    }
+  }
+
+  // --- Show a preview: banner, header and article only ---
+  function renderPreview(post) {
+    showPreviewBanner(post);
+
+    var loading = document.getElementById("post-loading");
+    var header = document.getElementById("post-header");
+    var contentSection = document.getElementById("post-content-section");
+    if (loading) loading.classList.add("hidden");
+    if (header) header.classList.remove("hidden");
+    if (contentSection) contentSection.classList.remove("hidden");
+
+    setupContentAnimations();
+    setupReadingProgress();
   }
 
   // ============================================
   // POST NAVIGATION (prev/next)
   // ============================================
 
-  // --- Load prev/next post navigation ---
-  // Reads the post list context saved by app.js (respects filter,
-  // search, sort order). Falls back to full API list if no context
-  // exists (e.g. direct link to a post).
-  function loadPostNavigation(currentSlug) {
-    // Use language-specific cache key so prev/next titles match the active language
-    var lang = getCurrentLang();
-    var saved = sessionStorage.getItem("postNavContext_" + lang);
-    if (saved) {
-      try {
-        var navList = JSON.parse(saved);
-        buildNavFromList(navList, currentSlug);
-        return;
-      } catch (e) {
-        // Invalid JSON, fall through to API fallback
+  // --- Build the query string for /api/posts/:slug/adjacent ---
+  // Reads the filter context saved by app.js (category, search, sort
+  // order) so prev/next matches the list the reader came from. Without
+  // context (e.g. direct link) the backend defaults to chronological order.
+  function buildAdjacentQuery(lang) {
+    var params = [];
+    try {
+      var filters = JSON.parse(sessionStorage.getItem("postNavFilters"));
+      if (filters) {
+        if (filters.search)
+          params.push("search=" + encodeURIComponent(filters.search));
+        if (filters.category)
+          params.push("category=" + encodeURIComponent(filters.category));
+        if (filters.order === "desc") params.push("order=desc");
       }
+    } catch (e) {
+      // Invalid JSON, use defaults
     }
+    if (lang === "en") params.push("lang=en");
+    return params.length > 0 ? "?" + params.join("&") : "";
+  }
 
-    // Fetch posts with current language for correct translated titles.
-    // The API returns posts with translated titles when lang=en is passed.
-    // We also save the result to sessionStorage so subsequent navigations
-    // on the same language don't need another API call.
-    var langParam = lang === "en" ? "?lang=en" : "";
+  // --- Fetch the prev/next posts for the current post ---
+  function fetchAdjacentPosts(currentSlug, lang) {
+    return fetch(
+      API_BASE +
+        "/posts/" +
+        encodeURIComponent(currentSlug) +
+        "/adjacent" +
+        buildAdjacentQuery(lang),
+    ).then(function (response) {
+      if (!response.ok) throw new Error("Failed");
+      return response.json();
+    });
+  }
 
-    fetch(API_BASE + "/posts" + langParam)
-      .then(function (response) {
-        if (!response.ok) throw new Error("Failed");
-        return response.json();
-      })
+  // --- Load prev/next post navigation ---
+  // Asks the backend for the two neighbours only, instead of
+  // downloading the whole post list.
+  function loadPostNavigation(currentSlug) {
+    fetchAdjacentPosts(currentSlug, getCurrentLang())
       .then(function (data) {
-        var posts = data.posts || data;
-        // API returns newest-first (DESC), but blog.html defaults to
-        // chronological (oldest-first). Reverse so prev/next directions match.
-        posts.reverse();
-        var navList = posts.map(function (p) {
-          return { slug: p.slug, title: p.title };
-        });
-        // Cache for this language so prev/next works on subsequent navigation
-        sessionStorage.setItem(
-          "postNavContext_" + lang,
-          JSON.stringify(navList),
-        );
-        buildNavFromList(navList, currentSlug);
+        if (!data.prev && !data.next) return;
+        renderPostNavigation(data.prev, data.next);
       })
       .catch(function () {
         // No navigation available
       });
   }
 
-  // --- Find prev/next in list and render navigation ---
-  function buildNavFromList(navList, currentSlug) {
-    var currentIndex = -1;
-    for (var i = 0; i < navList.length; i++) {
-      if (navList[i].slug === currentSlug) {
-        currentIndex = i;
-        break;
-      }
-    }
-    if (currentIndex === -1) return;
-
-    var prevPost = currentIndex > 0 ? navList[currentIndex - 1] : null;
-    var nextPost =
-      currentIndex < navList.length - 1 ? navList[currentIndex + 1] : null;
-
-    if (!prevPost && !nextPost) return;
-    renderPostNavigation(prevPost, nextPost);
-  }
-
   // --- Render prev/next navigation into the DOM ---
   function renderPostNavigation(prevPost, nextPost) {
     var navEl = document.getElementById("post-navigation");
@@ -1179,17 +1465,14 @@
 
   // --- Update prev/next titles + labels after language switch ---
   // Keeps navigation structure intact (same prev/next posts), only updates
-  // visible text: post titles (from API) and direction labels (DE/EN).
-  // This avoids the position-swap bug that happened when rebuilding from
-  // the full API list (different order than the blog.html filtered list).
+  // visible text: post titles (from the adjacent endpoint) and direction
+  // labels (DE/EN).
   function refreshNavLanguage(lang) {
     var navEl = document.getElementById("post-navigation");
     if (!navEl) return;
     var links = navEl.querySelectorAll("a");
     if (!links.length) return;
 
-    var langParam = lang === "en" ? "?lang=en" : "";
-
     // Step 1: Update direction labels immediately (no API needed)
     for (var i = 0; i < links.length; i++) {
       var labelSpan = links[i].querySelector(".text-xs");
@@ -1212,37 +1495,26 @@
       }
     }
 
-    // Step 2: Fetch translated titles from API
-    // Collect slugs from existing nav link hrefs
-    var slugs = [];
-    var linkBySlug = {};
-    for (var j = 0; j < links.length; j++) {
-      var href = links[j].getAttribute("href") || "";
-      var match = href.match(/slug=([^&]+)/);
-      if (match) {
-        var slug = decodeURIComponent(match[1]);
-        slugs.push(slug);
-        linkBySlug[slug] = links[j];
-      }
-    }
-    if (!slugs.length) return;
+    // Step 2: Fetch translated titles for both neighbours in one request
+    var slug = getSlugFromUrl();
+    if (!slug) return;
 
-    // Fetch each post individually to get its translated title
-    slugs.forEach(function (slug) {
-      fetch(API_BASE + "/posts/" + slug + langParam)
-        .then(function (r) {
-          return r.ok ? r.json() : Promise.reject();
-        })
-        .then(function (post) {
-          var link = linkBySlug[slug];
-          if (!link) return;
-          var titleSpan = link.querySelector(".line-clamp-2");
-          if (titleSpan) titleSpan.textContent = post.title;
-        })
-        .catch(function () {
-          /* keep current title */
+    fetchAdjacentPosts(slug, lang)
+      .then(function (data) {
+        [data.prev, data.next].forEach(function (post) {
+          if (!post) return;
+          for (var j = 0; j < links.length; j++) {
+            var href = links[j].getAttribute("href") || "";
+            if (href !== "./post.html?slug=" + encodeURIComponent(post.slug))
+              continue;
+            var titleSpan = links[j].querySelector(".line-clamp-2");
+            if (titleSpan) titleSpan.textContent = post.title;
+          }
         });
-    });
+      })
+      .catch(function () {
+        /* keep current titles */
+      });
   }
 
   // --- Build a single nav link element ---
@@ -1303,6 +1575,244 @@
     return link;
   }
 
+  // ============================================
+  // SERIES ("Part 2 of 5")
+  // ============================================
+
+  // --- Load the series of the post and render its parts ---
+  // Only published parts are listed and numbered (GET /api/series/:slug).
+  // Also called after a language switch for the translated titles.
+  function loadSeries(post) {
+    var seriesEl = document.getElementById("post-series");
+    if (!seriesEl) return;
+    if (!post.series_slug) {
+      seriesEl.classList.add("hidden");
+      return;
+    }
+
+    var lang = getCurrentLang();
+    fetch(
+      API_BASE +
+        "/series/" +
+        encodeURIComponent(post.series_slug) +
+        (lang === "en" ? "?lang=en" : ""),
+    )
+      .then(function (response) {
+        if (!response.ok) throw new Error("Failed");
+        return response.json();
+      })
+      .then(function (series) {
+        renderSeries(series, post.slug);
+      })
+      .catch(function () {
+        // No series box
+        seriesEl.classList.add("hidden");
+      });
+  }
+
+  // --- Render the series box: label, series title and the part list ---
+  // The current part is highlighted instead of linked.
+  function renderSeries(series, currentSlug) {
+    var seriesEl = document.getElementById("post-series");
+    if (!seriesEl) return;
+
+    while (seriesEl.firstChild) seriesEl.removeChild(seriesEl.firstChild);
+
+    var lang = getCurrentLang();
+    var current = null;
+    series.posts.forEach(function (part) {
+      if (part.slug === currentSlug) current = part;
+    });
+
+    var box = document.createElement("div");
+    box.className =
+      "p-5 rounded-xl border border-slate-200 dark:border-slate-700/50 " +
+      "bg-white dark:bg-slate-800/50";
+
+    var label = document.createElement("span");
+    label.className =
+      "flex items-center gap-1.5 text-xs font-medium " +
+      "text-slate-400 dark:text-slate-500 mb-1";
+    var icon = document.createElement("i");
+    icon.className = "ti ti-list-numbers text-sm";
+    label.appendChild(icon);
+    label.appendChild(
+      document.createTextNode(
+        current
+          ? (lang === "en" ? "Part " : "Teil ") +
+              current.part +
+              (lang === "en" ? " of " : " von ") +
+              series.posts.length
+          : lang === "en"
+            ? "Series"
+            : "Serie",
+      ),
+    );
+
+    var title = document.createElement("p");
+    title.className =
+      "text-sm font-semibold text-slate-900 dark:text-white mb-3";
+    title.textContent = series.title;
+
+    var list = document.createElement("ol");
+    list.className = "space-y-1.5";
+    series.posts.forEach(function (part) {
+      var item = document.createElement("li");
+      item.className = "flex gap-2 text-sm";
+
+      var number = document.createElement("span");
+      number.className = "w-5 flex-shrink-0 text-slate-400 dark:text-slate-500";
+      number.textContent = part.part + ".";
+      item.appendChild(number);
+
+      if (part === current) {
+        var here = document.createElement("span");
+        here.className = "font-semibold text-sky-500 dark:text-sky-400";
+        here.textContent = part.title;
+        item.appendChild(here);
+      } else {
+        var link = document.createElement("a");
+        link.href = "./post.html?slug=" + encodeURIComponent(part.slug);
+        link.className =
+          "text-slate-600 dark:text-slate-300 " +
+          "hover:text-sky-500 dark:hover:text-sky-400 transition-colors";
+        link.textContent = part.title;
+        item.appendChild(link);
+      }
+      list.appendChild(item);
+    });
+
+    box.appendChild(label);
+    box.appendChild(title);
+    box.appendChild(list);
+    seriesEl.appendChild(box);
+    seriesEl.classList.remove("hidden");
+  }
+
+  // ============================================
+  // RELATED POSTS
+  // ============================================
+
+  // --- Load the related posts and render them as cards ---
+  // Ranked by the backend (shared tags, category, text similarity).
+  // Also called after a language switch for the translated titles.
+  function loadRelatedPosts(currentSlug) {
+    var relatedEl = document.getElementById("post-related");
+    var listEl = document.getElementById("post-related-list");
+    if (!relatedEl || !listEl) return;
+
+    fetch(
+      API_BASE +
+        "/posts/" +
+        encodeURIComponent(currentSlug) +
+        "/related" +
+        (getCurrentLang() === "en" ? "?lang=en" : ""),
+    )
+      .then(function (response) {
+        if (!response.ok) throw new Error("Failed");
+        return response.json();
+      })
+      .then(function (data) {
+        if (data.posts.length === 0) {
+          relatedEl.classList.add("hidden");
+          return;
+        }
+        listEl.innerHTML = data.posts.map(createRelatedCard).join("");
+        relatedEl.classList.remove("hidden");
+      })
+      .catch(function () {
+        // No related posts
+      });
+  }
+
+  // --- Create HTML for a related post card ---
+  // Same card as createPostCard() in app.js (blog page), colored by the
+  // category slug instead of the name.
+  function createRelatedCard(post, index) {
+    var config = CATEGORY_CONFIG[post.category_slug] || {
+      color: "148, 163, 184",
+      tone: "slate",
+    };
+    var tone = config.tone;
+
+    var tagsHtml = (post.tags || [])
+      .slice(0, 3)
+      .map(function (tag) {
+        return (
+          '<span class="text-xs text-' +
+          tone +
+          '-500/70">#' +
+          escapeHtml(tag.name) +
+          "</span>"
+        );
+      })
+      .join(" ");
+
+    var featuredHtml = post.featured
+      ? '<span class="flex items-center gap-1 text-xs text-amber-400" title="Featured">' +
+        '<i class="ti ti-star-filled text-sm"></i></span>'
+      : "";
+
+    return (
+      '<article class="post-card fade-in glow-' +
+      (tone === "slate" ? "sky" : tone) +
+      " bg-white dark:bg-slate-800/50 rounded-xl " +
+      "border border-slate-200 dark:border-slate-700/50 " +
+      "border-t-2 border-t-" +
+      tone +
+      "-500 " +
+      "hover:border-slate-300 dark:hover:border-slate-600 " +
+      'cursor-pointer group relative overflow-hidden" style="animation-delay: ' +
+      index * 0.1 +
+      's" ' +
+      "onclick=\"window.location.href='./post.html?slug=" +
+      escapeHtml(post.slug) +
+      "'\">" +
+      '<div class="card-blob" style="background:rgba(' +
+      config.color +
+      ",0.2);animation-delay:" +
+      index * 0.3 +
+      's;"></div>' +
+      '<div class="p-6 relative" style="z-index:1;">' +
+      '<div class="flex items-center justify-between mb-3">' +
+      '<div class="flex items-center gap-2">' +
+      '<span class="badge px-2.5 py-1 rounded-full bg-' +
+      tone +
+      "-500/20 text-" +
+      tone +
+      '-400">' +
+      escapeHtml(post.category_name || "") +
+      "</span>" +
+      featuredHtml +
+      "</div>" +
+      '<span class="flex items-center gap-1 text-xs text-slate-400 dark:text-slate-500">' +
+      '<i class="ti ti-clock text-sm"></i>' +
+      post.reading_time_minutes +
+      " min read" +
+      "</span>" +
+      "</div>" +
+      '<h3 class="text-lg font-semibold text-slate-900 dark:text-slate-100 mb-2">' +
+      '<span class="title-text">' +
+      escapeHtml(post.title) +
+      "</span>" +
+      "</h3>" +
+      '<p class="text-sm text-slate-600 dark:text-slate-400 mb-4 line-clamp-3">' +
+      escapeHtml(post.excerpt || "") +
+      "</p>" +
+      '<div class="flex items-center justify-between pt-3 border-t border-slate-100 dark:border-slate-700/50">' +
+      '<span class="flex items-center gap-1.5 text-xs text-slate-400 dark:text-slate-500">' +
+      '<i class="ti ti-calendar text-sm"></i>' +
+      formatDate(post.published_at) +
+      "</span>" +
+      '<div class="flex gap-2">' +
+      tagsHtml +
+      "</div>" +
+      "</div>" +
+      "</div>" +
+      "</article>"
+    );
+  }
+
   // ============================================
   // READING PROGRESS BAR
   // ============================================
@@ -1348,6 +1858,118 @@
     updateProgress();
   }
 
+  // ============================================
+  // TABLE OF CONTENTS (sticky sidebar + scroll-spy)
+  // ============================================
+
+  // Fewer headings than this: no table of contents
+  var MIN_TOC_ENTRIES = 3;
+
+  // Headings above this line (px from the top, below the fixed nav)
+  // belong to the section being read
+  var TOC_ACTIVE_OFFSET = 120;
+
+  // Scroll-spy of the article shown (replaced when the language changes)
+  var tocObserver = null;
+
+  // --- Render post.toc (H2/H3 headings from the API) ---
+  // The same list goes into the sidebar (wide screens) and the box above
+  // the article (small screens); CSS shows one of them via .has-toc.
+  function renderToc(post) {
+    var section = document.getElementById("post-content-section");
+    var lists = [
+      document.getElementById("post-toc-list"),
+      document.getElementById("post-toc-box-list"),
+    ];
+    if (!section || !lists[0] || !lists[1]) return;
+
+    if (tocObserver) {
+      tocObserver.disconnect();
+      tocObserver = null;
+    }
+
+    var toc = post.toc || [];
+    lists.forEach(function (list) {
+      list.innerHTML = "";
+    });
+    if (toc.length < MIN_TOC_ENTRIES) {
+      section.classList.remove("has-toc");
+      return;
+    }
+
+    // Built as elements: ids and texts go in without HTML parsing
+    lists.forEach(function (list) {
+      toc.forEach(function (entry) {
+        var link = document.createElement("a");
+        link.href = "#" + entry.id;
+        link.className =
+          entry.level === 3 ? "toc-link toc-link-sub" : "toc-link";
+        link.textContent = entry.text;
+        link.setAttribute("data-toc-id", entry.id);
+        var item = document.createElement("li");
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+    });
+    section.classList.add("has-toc");
+
+    // Close the box on small screens after jumping to a section
+    var box = document.getElementById("post-toc-box");
+    lists[1].onclick = function (e) {
+      if (box && e.target.closest(".toc-link")) box.open = false;
+    };
+
+    setupTocScrollSpy(toc);
+  }
+
+  // --- Highlight the section being read ---
+  // Like setupContentAnimations(), an IntersectionObserver watches the
+  // headings; it fires when one crosses the line at TOC_ACTIVE_OFFSET.
+  // As in setupReadingProgress(), the update runs in requestAnimationFrame.
+  function setupTocScrollSpy(toc) {
+    var headings = [];
+    toc.forEach(function (entry) {
+      var heading = document.getElementById(entry.id);
+      if (heading) headings.push(heading);
+    });
+    if (headings.length === 0) return;
+
+    var links = document.querySelectorAll(".toc-link");
+    var ticking = false;
+
+    function updateActive() {
+      // Last heading above the line (none before the first section)
+      var activeId = null;
+      for (var i = 0; i < headings.length; i++) {
+        if (headings[i].getBoundingClientRect().top > TOC_ACTIVE_OFFSET) break;
+        activeId = headings[i].id;
+      }
+      for (var j = 0; j < links.length; j++) {
+        links[j].classList.toggle(
+          "active",
+          links[j].getAttribute("data-toc-id") === activeId,
+        );
+      }
+      ticking = false;
+    }
+
+    tocObserver = new IntersectionObserver(
+      function () {
+        if (!ticking) {
+          requestAnimationFrame(updateActive);
+          ticking = true;
+        }
+      },
+      { rootMargin: "-" + TOC_ACTIVE_OFFSET + "px 0px 0px 0px" },
+    );
+    headings.forEach(function (heading) {
+      tocObserver.observe(heading);
+    });
+
+    // Run once on setup in case the page is already scrolled
+    updateActive();
+  }
+
   // ============================================
   // ERROR STATE
   // ============================================
@@ -1371,7 +1993,60 @@
   // MAIN - Load post from API
   // ============================================
 
+  // --- Post embedded by the server-rendered page ---
+  // nginx includes it via SSI (see backend routes/render.ts). It is the
+  // same JSON the API returns; only used when it is in the reader's
+  // language, otherwise the post is fetched as before.
+  function getEmbeddedPost(lang) {
+    var el = document.getElementById("post-data");
+    if (!el) return null;
+    try {
+      var post = JSON.parse(el.textContent);
+      return post.language === lang ? post : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // --- Renamed post: show the current slug in the address bar ---
+  function showCurrentSlug(post, slug) {
+    if (post.slug && post.slug !== slug) {
+      var url = new URL(window.location);
+      url.searchParams.set("slug", post.slug);
+      window.history.replaceState({}, "", url);
+    }
+  }
+
+  // --- Load the post of a preview link ---
+  // Not counted as a view; an invalid, expired or revoked link shows an
+  // error instead of the demo post.
+  function loadPreview(token) {
+    setupMarked();
+    var lang = getCurrentLang();
+    var langParam = lang === "en" ? "?lang=en" : "";
+
+    fetch(API_BASE + "/previews/" + encodeURIComponent(token) + langParam)
+      .then(function (response) {
+        if (!response.ok) throw new Error("Not found");
+        return response.json();
+      })
+      .then(renderPost)
+      .catch(function () {
+        showError(
+          lang === "en"
+            ? "This preview link is invalid or has expired."
+            : "Dieser Vorschau-Link ist ungueltig oder abgelaufen.",
+        );
+      });
+  }
+
   function loadPost() {
+    var previewToken = getPreviewTokenFromUrl();
+    if (previewToken) {
+      loadPreview(previewToken);
+      return;
+    }
+
     var slug = getSlugFromUrl();
 
     if (!slug) {
@@ -1392,12 +2067,22 @@
     var lang = getCurrentLang();
     var langParam = lang === "en" ? "?lang=en" : "";
 
+    // Server-rendered page: hydrate from the embedded post, no API call
+    var embedded = getEmbeddedPost(lang);
+    if (embedded) {
+      showCurrentSlug(embedded, slug);
+      renderPost(embedded);
+      return;
+    }
+
+    // Old slugs of renamed posts answer with a 301, fetch follows it
     fetch(API_BASE + "/posts/" + slug + langParam)
       .then(function (response) {
         if (!response.ok) throw new Error("Not found");
         return response.json();
       })
       .then(function (post) {
+        showCurrentSlug(post, slug);
         renderPost(post);
       })
       .catch(function () {
@@ -1440,12 +2125,16 @@
       updateStaticText();
 
       // Re-fetch post content in new language (translated body from API)
+      var previewToken = getPreviewTokenFromUrl();
       var slug = getSlugFromUrl();
-      if (!slug) return;
+      if (!slug && !previewToken) return;
       var lang = getCurrentLang();
       var langParam = lang === "en" ? "?lang=en" : "";
+      var postUrl = previewToken
+        ? API_BASE + "/previews/" + encodeURIComponent(previewToken)
+        : API_BASE + "/posts/" + slug;
 
-      fetch(API_BASE + "/posts/" + slug + langParam)
+      fetch(postUrl + langParam)
         .then(function (response) {
           if (!response.ok) throw new Error("Not found");
           return response.json();
@@ -1456,20 +2145,19 @@
           var contentEl = document.getElementById("post-content");
           if (titleEl) titleEl.textContent = post.title;
           if (contentEl && post.content) {
-            // Sanitize translated Markdown to prevent XSS
-            var parsedHtml =
-              typeof marked !== "undefined"
-                ? marked.parse(post.content)
-                : post.content;
-            contentEl.innerHTML =
-              typeof DOMPurify !== "undefined"
-                ? DOMPurify.sanitize(parsedHtml)
-                : parsedHtml;
+            contentEl.innerHTML = articleHtml(post);
+            renderToc(post);
           }
           // Update nav titles + labels in-place (keeps prev/next positions stable).
           // We do NOT rebuild from API because the API default sort order may
           // differ from the blog.html sort order, causing positions to swap.
-          refreshNavLanguage(lang);
+          if (post.preview) {
+            showPreviewBanner(post);
+          } else {
+            refreshNavLanguage(lang);
+            loadSeries(post);
+            loadRelatedPosts(post.slug);
+          }
         })
         .catch(function () {
           // Silently fail -- keep current content
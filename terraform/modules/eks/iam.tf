@@ -179,9 +179,22 @@ resource "aws_iam_role_policy" "backend_comprehend" {
         Effect = "Allow"
         Action = [
           "s3:PutObject",
-          "s3:GetObject"
+          "s3:GetObject",
+          "s3:DeleteObject"
         ]
-        Resource = "${var.s3_bucket_arn}/audio/*"
+        Resource = [
+          "${var.s3_bucket_arn}/audio/*",
+          "${var.s3_bucket_arn}/images/*"
+        ]
+      },
+      {
+        # Media library: find audio files left behind by deleted posts
+        Effect   = "Allow"
+        Action   = ["s3:ListBucket"]
+        Resource = var.s3_bucket_arn
+        Condition = {
+          StringLike = { "s3:prefix" = ["audio/*"] }
+        }
       }
     ]
   })
@@ -160,9 +160,20 @@ resource "aws_iam_user_policy" "lightsail_backend" {
         Effect = "Allow"
         Action = [
           "s3:PutObject",
-          "s3:GetObject"
+          "s3:GetObject",
+          "s3:DeleteObject"
         ]
         Resource = "arn:aws:s3:::${var.s3_bucket_name}/*"
+      },
+      {
+        # Media library: find audio files left behind by deleted posts
+        Sid      = "S3ListAudio"
+        Effect   = "Allow"
+        Action   = ["s3:ListBucket"]
+        Resource = "arn:aws:s3:::${var.s3_bucket_name}"
+        Condition = {
+          StringLike = { "s3:prefix" = ["audio/*"] }
+        }
       }
     ]
   })